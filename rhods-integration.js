@@ -2,725 +2,34 @@
 
 /**
  * AI Builder CLI - RHODS (Red Hat OpenShift Data Science) Integration
- * Complete pipeline automation and model deployment for RHODS
+ * Kept for existing scripts: the commands now live in the main CLI as
+ * `ai-builder rhods …`, and this forwards to them.
  */
 
-const fs = require('fs');
-const path = require('path');
-const https = require('https');
-const http = require('http');
-const { spawn, exec } = require('child_process');
-
-class RHODSIntegration {
-  constructor() {
-    this.dashboardUrl = 'https://rhods-dashboard-redhat-ods-applications.apps.rm3.7wse.p1.openshiftapps.com';
-    this.inferenceUrl = 'https://digitalproph8-dev-digitalproph8-dev.apps.rm3.7wse.p1.openshiftapps.com/v2/models/digitalproph8-dev/infer';
-    this.username = 'superadmin';
-    this.password = 's)g_U+l|o{u@bzo2i081oe!';
-    this.authToken = null;
-    this.pipelines = new Map();
-    this.models = new Map();
-  }
-
-  // Authenticate with RHODS dashboard
-  async authenticate() {
-    console.log('🔐 Authenticating with RHODS dashboard...');
-    
-    try {
-      // Simulate authentication (in real implementation, would use OAuth/Keycloak)
-      this.authToken = Buffer.from(`${this.username}:${this.password}`).toString('base64');
-      console.log('✅ Authentication successful');
-      return true;
-    } catch (error) {
-      console.log(`❌ Authentication failed: ${error.message}`);
-      return false;
-    }
-  }
-
-  // Create data science pipeline
-  async createPipeline(pipelineConfig) {
-    const { name, description, notebooks, runtime, resources } = pipelineConfig;
-    
-    console.log(`🚀 Creating pipeline: ${name}`);
-    
-    if (!await this.authenticate()) {
-      throw new Error('Authentication failed');
-    }
-
-    try {
-      // Pipeline configuration for RHODS
-      const pipeline = {
-        name: name,
-        description: description,
-        kind: 'pipeline',
-        metadata: {
-          annotations: {
-            'opendatahub.io/connected': 'true',
-            'opendatahub.io/created-by': 'ai-builder-cli'
-          }
-        },
-        spec: {
-          runtime: runtime || 's2i-python-39',
-          resources: resources || {
-            limits: {
-              cpu: '2',
-              memory: '4Gi'
-            }
-          },
-          notebooks: notebooks || [],
-          parameters: {
-            enable_caching: true,
-            enable_gpu: false,
-            timeout: 3600
-          }
-        }
-      };
-
-      // Create pipeline via RHODS API
-      const response = await this.makeRHODSRequest('POST', '/api/pipelines', pipeline);
-      
-      if (response.success) {
-        this.pipelines.set(name, {
-          id: response.pipeline_id,
-          status: 'created',
-          created_at: new Date().toISOString(),
-          endpoint: response.endpoint
-        });
-        
-        console.log(`✅ Pipeline ${name} created successfully`);
-        console.log(`📍 Pipeline ID: ${response.pipeline_id}`);
-        
-        return response;
-      } else {
-        throw new Error(response.error || 'Pipeline creation failed');
-      }
-    } catch (error) {
-      console.log(`❌ Pipeline creation failed: ${error.message}`);
-      throw error;
-    }
-  }
-
-  // Deploy model to RHODS
-  async deployModel(modelConfig) {
-    const { name, modelPath, framework, runtime, scaling } = modelConfig;
-    
-    console.log(`🚀 Deploying model: ${name}`);
-    
-    if (!await this.authenticate()) {
-      throw new Error('Authentication failed');
-    }
-
-    try {
-      // Model deployment configuration
-      const deployment = {
-        name: name,
-        framework: framework || 'python',
-        runtime: runtime || 's2i-python-39',
-        model_path: modelPath,
-        resources: {
-          requests: {
-            cpu: '1',
-            memory: '2Gi'
-          },
-          limits: {
-            cpu: '2',
-            memory: '4Gi'
-          }
-        },
-        scaling: scaling || {
-          replicas: 1,
-          min_replicas: 1,
-          max_replicas: 3
-        },
-        inference_endpoint: `${this.inferenceUrl}/${name}`,
-        environment: {
-          RHODS_ENV: 'production',
-          LOG_LEVEL: 'INFO'
-        }
-      };
-
-      // Deploy model via RHODS API
-      const response = await this.makeRHODSRequest('POST', '/api/models/deploy', deployment);
-      
-      if (response.success) {
-        this.models.set(name, {
-          id: response.model_id,
-          status: 'deploying',
-          endpoint: response.endpoint,
-          created_at: new Date().toISOString()
-        });
-        
-        console.log(`✅ Model ${name} deployment started`);
-        console.log(`📍 Endpoint: ${response.endpoint}`);
-        
-        // Monitor deployment
-        return this.monitorDeployment(name);
-      } else {
-        throw new Error(response.error || 'Model deployment failed');
-      }
-    } catch (error) {
-      console.log(`❌ Model deployment failed: ${error.message}`);
-      throw error;
-    }
-  }
-
-  // Monitor model deployment
-  async monitorDeployment(modelName) {
-    console.log(`📊 Monitoring deployment of ${modelName}...`);
-    
-    const maxAttempts = 30;
-    const delay = 10000; // 10 seconds
-    
-    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
-      try {
-        const status = await this.getDeploymentStatus(modelName);
-        
-        if (status.status === 'ready' || status.status === 'succeeded') {
-          console.log(`✅ Model ${modelName} is ready!`);
-          console.log(`🌐 Inference endpoint: ${status.endpoint}`);
-          return status;
-        } else if (status.status === 'failed' || status.status === 'error') {
-          throw new Error(`Deployment failed: ${status.error || 'Unknown error'}`);
-        }
-        
-        console.log(`⏳ Deployment status: ${status.status} (${attempt}/${maxAttempts})`);
-        await this.sleep(delay);
-      } catch (error) {
-        if (attempt === maxAttempts) {
-          throw error;
-        }
-        await this.sleep(delay);
-      }
-    }
-    
-    throw new Error('Deployment timeout');
-  }
-
-  // Get deployment status
-  async getDeploymentStatus(modelName) {
-    try {
-      const response = await this.makeRHODSRequest('GET', `/api/models/${modelName}/status`);
-      return response;
-    } catch (error) {
-      return { status: 'unknown', error: error.message };
-    }
-  }
-
-  // Run inference on deployed model
-  async runInference(modelName, data, parameters = {}) {
-    console.log(`🔍 Running inference on ${modelName}...`);
-    
-    try {
-      const model = this.models.get(modelName);
-      if (!model) {
-        throw new Error(`Model ${modelName} not deployed`);
-      }
-
-      const payload = {
-        model_name: modelName,
-        data: data,
-        parameters: {
-          temperature: 0.7,
-          max_tokens: 1000,
-          ...parameters
-        }
-      };
-
-      const response = await this.makeInferenceRequest(payload);
-      
-      console.log(`✅ Inference completed`);
-      console.log(`📊 Result: ${JSON.stringify(response.result, null, 2)}`);
-      
-      return response;
-    } catch (error) {
-      console.log(`❌ Inference failed: ${error.message}`);
-      throw error;
-    }
-  }
-
-  // Create automated pipeline
-  async createAutomatedPipeline(config) {
-    const { name, stages, triggers, schedule } = config;
-    
-    console.log(`🤖 Creating automated pipeline: ${name}`);
-    
-    try {
-      const pipeline = {
-        name: name,
-        kind: 'automated-pipeline',
-        spec: {
-          stages: stages || [
-            {
-              name: 'data-preprocessing',
-              type: 'notebook',
-              notebook_path: '/notebooks/preprocess.ipynb',
-              parameters: {}
-            },
-            {
-              name: 'model-training',
-              type: 'training',
-              framework: 'tensorflow',
-              parameters: {
-                epochs: 10,
-                batch_size: 32
-              }
-            },
-            {
-              name: 'model-evaluation',
-              type: 'evaluation',
-              metrics: ['accuracy', 'precision', 'recall']
-            },
-            {
-              name: 'model-deployment',
-              type: 'deployment',
-              deployment_config: {
-                replicas: 1,
-                memory: '2Gi'
-              }
-            }
-          ],
-          triggers: triggers || ['webhook', 'schedule'],
-          schedule: schedule || '0 2 * * *', // Daily at 2 AM
-          notifications: {
-            on_success: ['email'],
-            on_failure: ['email', 'slack']
-          }
-        }
-      };
-
-      const response = await this.makeRHODSRequest('POST', '/api/pipelines/automated', pipeline);
-      
-      if (response.success) {
-        console.log(`✅ Automated pipeline ${name} created`);
-        console.log(`🔄 Schedule: ${schedule || 'Daily at 2 AM'}`);
-        return response;
-      } else {
-        throw new Error(response.error || 'Automated pipeline creation failed');
-      }
-    } catch (error) {
-      console.log(`❌ Automated pipeline creation failed: ${error.message}`);
-      throw error;
-    }
-  }
-
-  // List all pipelines
-  async listPipelines() {
-    console.log('📋 RHODS Pipelines:');
-    console.log('==================');
-    
-    try {
-      const response = await this.makeRHODSRequest('GET', '/api/pipelines');
-      
-      if (response.pipelines) {
-        response.pipelines.forEach(pipeline => {
-          console.log(`📊 ${pipeline.name}`);
-          console.log(`   Status: ${pipeline.status}`);
-          console.log(`   Runtime: ${pipeline.runtime}`);
-          console.log(`   Created: ${pipeline.created_at}`);
-          console.log('');
-        });
-      }
-    } catch (error) {
-      console.log('❌ Failed to list pipelines');
-    }
-  }
-
-  // List all deployed models
-  async listModels() {
-    console.log('📋 Deployed Models:');
-    console.log('==================');
-    
-    try {
-      const response = await this.makeRHODSRequest('GET', '/api/models');
-      
-      if (response.models) {
-        response.models.forEach(model => {
-          console.log(`📊 ${model.name}`);
-          console.log(`   Status: ${model.status}`);
-          console.log(`   Framework: ${model.framework}`);
-          console.log(`   Endpoint: ${model.endpoint}`);
-          console.log(`   Deployed: ${model.deployed_at}`);
-          console.log('');
-        });
-      }
-    } catch (error) {
-      console.log('❌ Failed to list models');
-    }
-  }
-
-  // Make request to RHODS API
-  async makeRHODSRequest(method, endpoint, data = null) {
-    return new Promise((resolve, reject) => {
-      const url = new URL(endpoint, this.dashboardUrl);
-      const isHttps = url.protocol === 'https:';
-      const httpModule = isHttps ? https : http;
-      
-      const options = {
-        hostname: url.hostname,
-        port: url.port || (isHttps ? 443 : 80),
-        path: url.pathname,
-        method: method,
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Basic ${this.authToken}`
-        }
-      };
-
-      const req = httpModule.request(options, (res) => {
-        let body = '';
-        
-        res.on('data', (chunk) => {
-          body += chunk;
-        });
-        
-        res.on('end', () => {
-          try {
-            const response = JSON.parse(body);
-            if (res.statusCode >= 200 && res.statusCode < 300) {
-              resolve(response);
-            } else {
-              reject(new Error(response.error || `HTTP ${res.statusCode}`));
-            }
-          } catch (error) {
-            resolve({ success: false, error: `Invalid response: ${error.message}` });
-          }
-        });
-      });
-
-      req.on('error', (error) => {
-        reject(error);
-      });
-
-      if (data) {
-        req.write(JSON.stringify(data));
-      }
-      
-      req.end();
-    });
-  }
-
-  // Make inference request
-  async makeInferenceRequest(data) {
-    return new Promise((resolve, reject) => {
-      const url = new URL('/infer', this.inferenceUrl);
-      const isHttps = url.protocol === 'https:';
-      const httpModule = isHttps ? https : http;
-      
-      const options = {
-        hostname: url.hostname,
-        port: url.port || (isHttps ? 443 : 80),
-        path: url.pathname,
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Basic ${this.authToken}`
-        }
-      };
-
-      const req = httpModule.request(options, (res) => {
-        let body = '';
-        
-        res.on('data', (chunk) => {
-          body += chunk;
-        });
-        
-        res.on('end', () => {
-          try {
-            const response = JSON.parse(body);
-            resolve(response);
-          } catch (error) {
-            reject(new Error(`Invalid response: ${error.message}`));
-          }
-        });
-      });
-
-      req.on('error', (error) => {
-        reject(error);
-      });
-
-      req.write(JSON.stringify(data));
-      req.end();
-    });
-  }
-
-  sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+function load(name) {
+  try {
+    return require(`./lib/${name}`);
+  } catch (error) {
+    if (error.code !== 'MODULE_NOT_FOUND') throw error;
+    console.error('❌ The ai-builder CLI is not built yet: run npm run build first');
+    process.exit(1);
   }
 }
 
-class RHODSCli {
-  constructor() {
-    this.rhods = new RHODSIntegration();
-    this.commands = {
-      'auth': this.authenticate.bind(this),
-      'create-pipeline': this.createPipeline.bind(this),
-      'create-automated': this.createAutomatedPipeline.bind(this),
-      'deploy-model': this.deployModel.bind(this),
-      'list-pipelines': this.listPipelines.bind(this),
-      'list-models': this.listModels.bind(this),
-      'infer': this.runInference.bind(this),
-      'status': this.getStatus.bind(this),
-      'setup-cluster': this.setupCluster.bind(this),
-      'help': this.showHelp.bind(this)
-    };
-  }
-
-  async authenticate() {
-    try {
-      await this.rhods.authenticate();
-      console.log('✅ RHODS authentication successful');
-    } catch (error) {
-      console.log(`❌ Authentication failed: ${error.message}`);
-    }
-  }
-
-  async createPipeline(args) {
-    const [pipelineName] = args;
-    
-    if (!pipelineName) {
-      console.log('❌ Usage: rhods-cli create-pipeline <name>');
-      return;
-    }
-
-    const pipelineConfig = {
-      name: pipelineName,
-      description: `Automated pipeline for ${pipelineName}`,
-      runtime: 's2i-python-39',
-      resources: {
-        limits: {
-          cpu: '2',
-          memory: '4Gi'
-        }
-      }
-    };
-
-    try {
-      await this.rhods.createPipeline(pipelineConfig);
-    } catch (error) {
-      console.log(`❌ Pipeline creation failed: ${error.message}`);
-    }
-  }
-
-  async createAutomated(args) {
-    const [pipelineName] = args;
-    
-    if (!pipelineName) {
-      console.log('❌ Usage: rhods-cli create-automated <name>');
-      return;
-    }
-
-    const config = {
-      name: pipelineName,
-      schedule: '0 2 * * *', // Daily at 2 AM
-      triggers: ['schedule', 'webhook']
-    };
-
-    try {
-      await this.rhods.createAutomatedPipeline(config);
-    } catch (error) {
-      console.log(`❌ Automated pipeline creation failed: ${error.message}`);
-    }
-  }
-
-  async deployModel(args) {
-    const [modelName, framework = 'python'] = args;
-    
-    if (!modelName) {
-      console.log('❌ Usage: rhods-cli deploy-model <name> [framework]');
-      return;
-    }
-
-    const modelConfig = {
-      name: modelName,
-      modelPath: this.detectModelFiles()[0] || './model.pkl',
-      framework: framework,
-      runtime: 's2i-python-39'
-    };
-
-    try {
-      await this.rhods.deployModel(modelConfig);
-    } catch (error) {
-      console.log(`❌ Model deployment failed: ${error.message}`);
-    }
-  }
-
-  async listPipelines() {
-    try {
-      await this.rhods.listPipelines();
-    } catch (error) {
-      console.log(`❌ Failed to list pipelines: ${error.message}`);
-    }
-  }
-
-  async listModels() {
-    try {
-      await this.rhods.listModels();
-    } catch (error) {
-      console.log(`❌ Failed to list models: ${error.message}`);
-    }
-  }
-
-  async runInference(args) {
-    const [modelName, ...dataArgs] = args;
-    
-    if (!modelName) {
-      console.log('❌ Usage: rhods-cli infer <model-name> <data>');
-      return;
-    }
-
-    const data = this.parseInferenceData(dataArgs);
-    
-    try {
-      await this.rhods.runInference(modelName, data);
-    } catch (error) {
-      console.log(`❌ Inference failed: ${error.message}`);
-    }
-  }
-
-  async getStatus(args) {
-    const [resourceName] = args;
-    
-    if (!resourceName) {
-      console.log('❌ Usage: rhods-cli status <pipeline-or-model-name>');
-      return;
-    }
-
-    try {
-      const status = await this.rhods.getDeploymentStatus(resourceName);
-      console.log(`📊 Status for ${resourceName}:`);
-      console.log(`   Status: ${status.status}`);
-      console.log(`   Endpoint: ${status.endpoint || 'N/A'}`);
-      console.log(`   Error: ${status.error || 'None'}`);
-    } catch (error) {
-      console.log(`❌ Status check failed: ${error.message}`);
-    }
-  }
-
-  async setupCluster() {
-    console.log('🔧 Setting up RHODS cluster automation...');
-    
-    try {
-      // Authenticate first
-      await this.rhods.authenticate();
-      
-      // Create default pipelines
-      await this.rhods.createPipeline({
-        name: 'default-ml-pipeline',
-        description: 'Default ML pipeline for data science projects'
-      });
-      
-      // Create automated pipeline
-      await this.rhods.createAutomatedPipeline({
-        name: 'daily-ml-automation',
-        schedule: '0 2 * * *'
-      });
-      
-      console.log('✅ RHODS cluster automation setup complete');
-    } catch (error) {
-      console.log(`❌ Cluster setup failed: ${error.message}`);
-    }
-  }
-
-  detectModelFiles() {
-    const extensions = ['.pkl', '.joblib', '.h5', '.pb', '.onnx', '.pt', '.pth'];
-    const files = [];
-    
-    function scanDirectory(dir) {
-      const items = fs.readdirSync(dir);
-      for (const item of items) {
-        const fullPath = path.join(dir, item);
-        const stat = fs.statSync(fullPath);
-        
-        if (stat.isDirectory()) {
-          scanDirectory(fullPath);
-        } else if (extensions.some(ext => item.endsWith(ext))) {
-          files.push(fullPath);
-        }
-      }
-    }
-    
-    scanDirectory('.');
-    return files;
-  }
-
-  parseInferenceData(args) {
-    if (args.length === 0) {
-      return { prompt: 'Hello, world!' };
-    }
-    
-    try {
-      return JSON.parse(args.join(' '));
-    } catch (error) {
-      return { prompt: args.join(' ') };
-    }
-  }
-
-  showHelp() {
-    console.log(`
-🚀 RHODS CLI - Red Hat OpenShift Data Science Integration
-=========================================================
-
-COMMANDS:
-  rhods-cli auth                           Authenticate with RHODS
-  rhods-cli create-pipeline <name>         Create data science pipeline
-  rhods-cli create-automated <name>        Create automated pipeline
-  rhods-cli deploy-model <name> [framework] Deploy model to RHODS
-  rhods-cli list-pipelines                 List all pipelines
-  rhods-cli list-models                    List deployed models
-  rhods-cli infer <model-name> <data>      Run inference
-  rhods-cli status <name>                  Check status
-  rhods-cli setup-cluster                  Setup cluster automation
-  rhods-cli help                           Show this help
-
-EXAMPLES:
-  rhods-cli auth
-  rhods-cli setup-cluster
-  rhods-cli deploy-model my-model tensorflow
-  rhods-cli infer my-model '{"prompt": "Hello"}'
-  rhods-cli status my-model
-
-ENVIRONMENT:
-  RHODS_DASHBOARD_URL (auto-configured)
-  RHODS_INFERENCE_URL (auto-configured)
-  RHODS_USERNAME (auto-configured)
-  RHODS_PASSWORD (auto-configured)
-
-QUICK START:
-  1. rhods-cli auth
-  2. rhods-cli setup-cluster
-  3. rhods-cli deploy-model my-model
-  4. rhods-cli infer my-model "Hello world"
-    `);
-  }
-
-  async execute(args) {
-    const [command, ...commandArgs] = args;
-    
-    if (!command || command === '--help') {
-      this.showHelp();
-      return;
-    }
-
-    const handler = this.commands[command];
-    if (!handler) {
-      console.log(`❌ Unknown command: ${command}`);
-      this.showHelp();
-      return;
-    }
-
-    try {
-      await handler(commandArgs);
-    } catch (error) {
-      console.log(`❌ Error: ${error.message}`);
-    }
-  }
+// `node rhods-integration.js create-pipeline my-pipeline` runs
+// `ai-builder rhods create-pipeline my-pipeline`
+function toCLIArgs(args) {
+  const [command, ...rest] = args;
+  return ['rhods', ...(!command || command === 'help' ? ['--help'] : [command]), ...rest];
 }
 
-// Main execution
 if (require.main === module) {
-  const args = process.argv.slice(2);
-  const cli = new RHODSCli();
-  cli.execute(args);
+  load('index').main([process.argv[0], process.argv[1], ...toCLIArgs(process.argv.slice(2))]);
 }
 
-module.exports = { RHODSCli, RHODSIntegration };
+module.exports = {
+  toCLIArgs,
+  get RHODSClient() {
+    return load('integrations/rhods').RHODSClient;
+  }
+};
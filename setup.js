@@ -128,7 +128,9 @@ class AutoInstaller {
         'ws': '^8.11.0',
         'crypto': '^1.0.1',
         'fs-extra': '^11.1.0',
-        'axios': '^1.3.4'
+        'axios': '^1.3.4',
+        'yaml': '^2.3.4',
+        'handlebars': '^4.7.8'
       },
       devDependencies: {
         'typescript': '^4.9.5',
@@ -0,0 +1,363 @@
+import { CLIArgument, CLICommand, CLIOption } from '../types';
+
+export const COMPLETION_SHELLS = ['bash', 'zsh', 'fish'] as const;
+
+export type CompletionShell = typeof COMPLETION_SHELLS[number];
+
+// What the command line being completed says so far; `path` is the value
+// of its --path option, if any
+export interface CompletionContext {
+  path?: string;
+}
+
+// Values the scripts ask for at completion time through
+// `ai-builder completion values <source> --path <path>`, e.g. the targets of the project
+export type CompletionSources = Record<string, (context: CompletionContext) => Promise<string[]>>;
+
+// A command or subcommand, addressed by its words ('' is the program itself)
+interface CompletionNode {
+  path: string;
+  subcommands: CLICommand[];
+  options: CLIOption[];
+  arguments: CLIArgument[];
+}
+
+// What an option value or argument completes to
+type ValueSpec = { words: string[] } | { source: string } | { files: true };
+
+const BIN = 'ai-builder';
+
+// Global options are accepted after any subcommand, so every node offers them
+export function generateCompletionScript(shell: CompletionShell, commands: CLICommand[], globalOptions: CLIOption[]): string {
+  const nodes = collectNodes(commands);
+
+  switch (shell) {
+    case 'bash':
+      return generateBash(nodes, globalOptions);
+    case 'zsh':
+      return generateZsh(nodes, globalOptions);
+    case 'fish':
+      return generateFish(nodes, globalOptions);
+  }
+}
+
+function collectNodes(commands: CLICommand[]): CompletionNode[] {
+  const nodes: CompletionNode[] = [{ path: '', subcommands: commands, options: [], arguments: [] }];
+
+  const visit = (command: CLICommand, parent: string) => {
+    const path = parent ? `${parent} ${command.name}` : command.name;
+    nodes.push({
+      path,
+      subcommands: command.subcommands || [],
+      options: command.options || [],
+      arguments: command.arguments || []
+    });
+    (command.subcommands || []).forEach(subcommand => visit(subcommand, path));
+  };
+  commands.forEach(command => visit(command, ''));
+
+  return nodes;
+}
+
+function flags(option: CLIOption): string[] {
+  return option.alias ? [`-${option.alias}`, `--${option.name}`] : [`--${option.name}`];
+}
+
+function valueSpec(option: CLIOption): ValueSpec | undefined {
+  if (option.type === 'boolean') {
+    return undefined;
+  }
+  if (option.complete) {
+    return { source: option.complete };
+  }
+  if (option.choices) {
+    return { words: option.choices };
+  }
+  return { files: true };
+}
+
+function singleQuote(text: string): string {
+  return `'${text.replace(/'/g, `'\\''`)}'`;
+}
+
+// bash and zsh share the helpers below; zsh lists carry descriptions
+
+// A `case "$1|$2"` function over "<path>|<word>" keys; `*` keys match any path
+function shCase(name: string, entries: [string[], string][], fallback: string): string {
+  return [
+    `${name}() {`,
+    '  case "$1|$2" in',
+    ...entries.filter(([keys]) => keys.length > 0).map(([keys, body]) => `    ${keys.join('|')}) ${body};;`),
+    `    *) ${fallback};;`,
+    '  esac',
+    '}'
+  ].join('\n');
+}
+
+function shKey(path: string | undefined, word: string | number): string {
+  return path === undefined ? `*"|${word}"` : `"${path}|${word}"`;
+}
+
+function shValues(spec: ValueSpec): string {
+  if ('source' in spec) {
+    return `_ai_builder_dynamic ${spec.source}`;
+  }
+  if ('words' in spec) {
+    return `echo ${singleQuote(spec.words.join(' '))}`;
+  }
+  return 'echo :files';
+}
+
+function shHelpers(nodes: CompletionNode[], globalOptions: CLIOption[], describe: boolean): string {
+  // Options of a node, or with no node the global ones
+  const scoped = [
+    ...nodes.flatMap(node => node.options.map(option => ({ path: node.path as string | undefined, option }))),
+    ...globalOptions.map(option => ({ path: undefined as string | undefined, option }))
+  ];
+  const withValues = scoped.filter(({ option }) => valueSpec(option));
+
+  const list = (items: [string, string][]): string => describe
+    ? `printf '%s\\n' ${items.map(([name, description]) => singleQuote(`${name.replace(/:/g, '\\:')}:${description}`)).join(' ')}`
+    : `echo ${singleQuote(items.map(([name]) => name).join(' '))}`;
+
+  const optionItems = (options: CLIOption[]): [string, string][] =>
+    options.flatMap(option => flags(option).map((flag): [string, string] => [flag, option.description]));
+
+  return [
+    // project_path is set by the completion function's walk over the words
+    '_ai_builder_dynamic() {',
+    `  command ${BIN} completion values "$1" --path "$project_path" 2>/dev/null`,
+    '}',
+    '',
+    shCase('_ai_builder_is_subcommand',
+      [[nodes.flatMap(node => node.subcommands.map(sub => shKey(node.path, sub.name))), 'return 0']], 'return 1'),
+    '',
+    shCase('_ai_builder_takes_value',
+      [[withValues.flatMap(({ path, option }) => flags(option).map(flag => shKey(path, flag))), 'return 0']], 'return 1'),
+    '',
+    // Node options come first so they win over a global option of the same name
+    shCase('_ai_builder_option_values',
+      withValues.map(({ path, option }) => [flags(option).map(flag => shKey(path, flag)), shValues(valueSpec(option)!)]), 'return 1'),
+    '',
+    shCase('_ai_builder_argument_values', nodes.flatMap(node => node.arguments
+      .map((argument, index): [string[], string] => [[shKey(node.path, index + 1)], argument.complete ? `_ai_builder_dynamic ${argument.complete}` : ''])
+      .filter(([, body]) => body)), 'return 1'),
+    '',
+    '_ai_builder_subcommands() {',
+    '  case "$1" in',
+    ...nodes.filter(node => node.subcommands.length > 0).map(node =>
+      `    "${node.path}") ${list(node.subcommands.map((sub): [string, string] => [sub.name, sub.description]))};;`),
+    '  esac',
+    '}',
+    '',
+    '_ai_builder_options() {',
+    '  case "$1" in',
+    ...nodes.filter(node => node.options.length > 0).map(node => `    "${node.path}") ${list(optionItems(node.options))};;`),
+    '  esac',
+    `  ${list(optionItems(globalOptions))}`,
+    '}'
+  ].join('\n');
+}
+
+// Walks the words before the cursor: subcommands extend the path, option values
+// are skipped (keeping the --path one) and anything else is a positional argument
+function shWalk(words: string, first: number, last: string): string {
+  return [
+    `  for ((i = ${first}; i < ${last}; i++)); do`,
+    `    word="\${${words}[i]}"`,
+    '    if ((skip)); then',
+    '      skip=0',
+    '      [[ $option == --path || $option == -p ]] && project_path="${word/#\\~/$HOME}"',
+    '    elif [[ $word == -* ]]; then',
+    '      option="$word"',
+    '      _ai_builder_takes_value "$node" "$word" && skip=1',
+    '    elif _ai_builder_is_subcommand "$node" "$word"; then',
+    '      node="${node:+$node }$word"',
+    '      position=0',
+    '    else',
+    '      position=$((position + 1))',
+    '    fi',
+    '  done'
+  ].join('\n');
+}
+
+function generateBash(nodes: CompletionNode[], globalOptions: CLIOption[]): string {
+  return [
+    `# bash completion for ${BIN}`,
+    `# Generated by \`${BIN} completion bash\`; load it with`,
+    `#   source <(${BIN} completion bash)`,
+    '',
+    shHelpers(nodes, globalOptions, false),
+    '',
+    '_ai_builder() {',
+    '  local cur="${COMP_WORDS[COMP_CWORD]}" prev="${COMP_WORDS[COMP_CWORD-1]}"',
+    '  local node="" position=0 skip=0 option="" project_path="" word i values',
+    '  COMPREPLY=()',
+    '',
+    shWalk('COMP_WORDS', 1, 'COMP_CWORD'),
+    '',
+    '  if ((skip)); then',
+    '    values=$(_ai_builder_option_values "$node" "$prev")',
+    '  elif [[ $cur == -* ]]; then',
+    '    values=$(_ai_builder_options "$node")',
+    '  else',
+    '    values="$(_ai_builder_subcommands "$node") $(_ai_builder_argument_values "$node" $((position + 1)))"',
+    '  fi',
+    '',
+    '  if [[ $values == :files ]]; then',
+    '    COMPREPLY=($(compgen -f -- "$cur"))',
+    '  else',
+    '    COMPREPLY=($(compgen -W "$values" -- "$cur"))',
+    '  fi',
+    '}',
+    '',
+    `complete -o filenames -F _ai_builder ${BIN}`,
+    ''
+  ].join('\n');
+}
+
+function generateZsh(nodes: CompletionNode[], globalOptions: CLIOption[]): string {
+  return [
+    `#compdef ${BIN}`,
+    `# zsh completion for ${BIN}`,
+    `# Generated by \`${BIN} completion zsh\`; load it with`,
+    `#   source <(${BIN} completion zsh)`,
+    `# or save it as _${BIN} in a directory on $fpath`,
+    '',
+    shHelpers(nodes, globalOptions, true),
+    '',
+    '_ai_builder() {',
+    '  local cur="${words[CURRENT]}" prev="${words[CURRENT-1]}"',
+    '  local node="" position=0 skip=0 option="" project_path="" word i',
+    '  local -a values',
+    '',
+    shWalk('words', 2, 'CURRENT'),
+    '',
+    '  if ((skip)); then',
+    '    values=($(_ai_builder_option_values "$node" "$prev"))',
+    '    if [[ ${values[1]} == :files ]]; then',
+    '      _files',
+    '    else',
+    '      compadd -- $values',
+    '    fi',
+    '  elif [[ $cur == -* ]]; then',
+    '    values=(${(f)"$(_ai_builder_options "$node")"})',
+    "    _describe 'option' values",
+    '  else',
+    '    values=(${(f)"$(_ai_builder_subcommands "$node")"})',
+    "    (( ${#values} )) && _describe 'command' values",
+    '    values=($(_ai_builder_argument_values "$node" $((position + 1))))',
+    '    (( ${#values} )) && compadd -- $values',
+    '  fi',
+    '}',
+    '',
+    'if [[ ${zsh_eval_context[-1]} == loadautofunc ]]; then',
+    '  _ai_builder "$@"',
+    'else',
+    `  compdef _ai_builder ${BIN}`,
+    'fi',
+    ''
+  ].join('\n');
+}
+
+function generateFish(nodes: CompletionNode[], globalOptions: CLIOption[]): string {
+  const fishKey = (path: string, word: string) => singleQuote(`${path}|${word}`);
+
+  const switchFunction = (name: string, keys: string[]): string[] => [
+    `function ${name}`,
+    '    switch "$argv[1]|$argv[2]"',
+    ...(keys.length ? [`        case ${keys.join(' ')}`, '            return 0'] : []),
+    '    end',
+    '    return 1',
+    'end'
+  ];
+
+  const condition = (node: CompletionNode, position?: number): string =>
+    `-n ${singleQuote(`__ai_builder_at "${node.path}"${position ? ` ${position}` : ''}`)}`;
+
+  const optionLine = (option: CLIOption, scope: string): string => {
+    const spec = valueSpec(option);
+    let value = '';
+    if (spec && 'source' in spec) {
+      value = `-x -a ${singleQuote(`(__ai_builder_values ${spec.source})`)}`;
+    } else if (spec && 'words' in spec) {
+      value = `-x -a ${singleQuote(spec.words.join(' '))}`;
+    } else if (spec) {
+      value = '-r -F';
+    }
+
+    return [
+      `complete -c ${BIN}`,
+      scope,
+      option.alias ? `-s ${option.alias}` : '',
+      `-l ${option.name}`,
+      value,
+      `-d ${singleQuote(option.description)}`
+    ].filter(Boolean).join(' ');
+  };
+
+  const lines: string[] = globalOptions.map(option => optionLine(option, ''));
+  for (const node of nodes) {
+    node.subcommands.forEach(subcommand => {
+      lines.push(`complete -c ${BIN} ${condition(node)} -a ${subcommand.name} -d ${singleQuote(subcommand.description)}`);
+    });
+    node.options.forEach(option => lines.push(optionLine(option, condition(node))));
+    node.arguments.forEach((argument, index) => {
+      if (argument.complete) {
+        lines.push(`complete -c ${BIN} ${condition(node, index + 1)} -a ${singleQuote(`(__ai_builder_values ${argument.complete})`)} -d ${singleQuote(argument.description)}`);
+      }
+    });
+  }
+
+  const valueKeys = [
+    ...nodes.flatMap(node => node.options.filter(option => valueSpec(option)).flatMap(option => flags(option).map(flag => fishKey(node.path, flag)))),
+    ...globalOptions.filter(option => valueSpec(option)).flatMap(option => flags(option).map(flag => `'*|${flag}'`))
+  ];
+
+  return [
+    `# fish completion for ${BIN}`,
+    `# Generated by \`${BIN} completion fish\`; load it with`,
+    `#   ${BIN} completion fish | source`,
+    '',
+    '# Passes on the --path of the command line, so values come from that project',
+    'function __ai_builder_values',
+    '    set -l project_path ""',
+    '    set -l previous ""',
+    '    for word in (commandline -opc)[2..-1]',
+    '        contains -- $previous --path -p; and set project_path (string replace -r -- \'^~\' $HOME $word)',
+    '        set previous $word',
+    '    end',
+    `    command ${BIN} completion values $argv[1] --path "$project_path" 2>/dev/null`,
+    'end',
+    '',
+    ...switchFunction('__ai_builder_is_subcommand', nodes.flatMap(node => node.subcommands.map(sub => fishKey(node.path, sub.name)))),
+    '',
+    ...switchFunction('__ai_builder_takes_value', valueKeys),
+    '',
+    '# Walks the words before the cursor like the bash and zsh scripts; succeeds',
+    '# when the command path (and the argument position, if given) match',
+    'function __ai_builder_at',
+    '    set -l node ""',
+    '    set -l position 0',
+    '    set -l skip 0',
+    '    for word in (commandline -opc)[2..-1]',
+    '        if test $skip = 1',
+    '            set skip 0',
+    "        else if string match -q -- '-*' $word",
+    '            __ai_builder_takes_value "$node" $word; and set skip 1',
+    '        else if __ai_builder_is_subcommand "$node" $word',
+    '            set node (string trim -- "$node $word")',
+    '            set position 0',
+    '        else',
+    '            set position (math $position + 1)',
+    '        end',
+    '    end',
+    '    test "$node" = "$argv[1]"; or return 1',
+    '    test (count $argv) -lt 2; or test $skip = 0 -a (math $position + 1) = $argv[2]',
+    'end',
+    '',
+    `complete -c ${BIN} -f`,
+    ...lines,
+    ''
+  ].join('\n');
+}
@@ -1,13 +1,31 @@
-import { Command } from 'commander';
+import { Command, CommanderError, Option } from 'commander';
 import chalk from 'chalk';
 import inquirer from 'inquirer';
 import ora from 'ora';
-import { CLICommand, CommandArgs, ProgressIndicator, Logger } from '../types';
+import * as YAML from 'yaml';
+import { CLICommand, CLIArgument, CLIOption, CommandArgs, CommandResult, OutputFormat, ProgressIndicator, Logger } from '../types';
+import { ExitCode, EXIT_CODE_DESCRIPTIONS, UsageError, getExitCode } from '../utils/errors';
 
+export const OUTPUT_FORMATS: OutputFormat[] = ['table', 'json', 'yaml'];
+
+// CI runners set CI; without a terminal on stdin nobody can answer a prompt either
+export function detectNonInteractive(env: NodeJS.ProcessEnv = process.env, stdin: { isTTY?: boolean } = process.stdin): boolean {
+  const ci = (env.CI || '').toLowerCase();
+  return (ci !== '' && ci !== 'false' && ci !== '0') || !stdin.isTTY;
+}
+
+// stdout carries only what a command shows (its tables, or its result with
+// --output json|yaml); titles, messages, spinners and prompts go to stderr,
+// so piping a command gives clean data
 export class CLIInterface {
   private program: Command;
   private logger: Logger;
   private commands: Map<string, CLICommand> = new Map();
+  private outputFormat: OutputFormat = 'table';
+  private prompter = inquirer.createPromptModule({ output: process.stderr });
+  // Without interaction a prompt is an error; --yes still answers confirmations
+  private interactive = !detectNonInteractive();
+  private assumeYes = false;
 
   constructor(logger: Logger) {
     this.program = new Command();
@@ -26,6 +44,16 @@ export class CLIInterface {
       .option('-v, --verbose', 'Enable verbose logging')
       .option('--config <path>', 'Path to config file')
       .option('--no-color', 'Disable colored output')
+      .option('--context <name>', 'Cluster context for this run')
+      .option('--set <key=value>', 'Override a setting for this run (repeatable)', (value: string, previous: string[]) => [...previous, value], [])
+      .addOption(new Option('-o, --output <format>', 'Output format').choices(OUTPUT_FORMATS).default('table'))
+      .option('-y, --yes', 'Answer yes to confirmations and never prompt')
+      .option('--non-interactive', 'Never prompt: a missing answer is an error (the default in CI and without a terminal)')
+      .addHelpText('after', `\nExit codes:\n${Object.entries(EXIT_CODE_DESCRIPTIONS)
+        .map(([code, description]) => `  ${code}  ${description}`)
+        .join('\n')}`)
+      // Usage errors exit with ExitCode.USAGE instead of commander's 1
+      .exitOverride()
       .hook('preAction', (thisCommand) => {
         this.handlePreAction(thisCommand);
       });
@@ -33,6 +61,14 @@ export class CLIInterface {
 
   private handlePreAction(command: Command): void {
     const options = command.opts();
+    this.outputFormat = options.output || 'table';
+
+    if (options.yes) {
+      this.setAssumeYes(true);
+    }
+    if (options.nonInteractive) {
+      this.setInteractive(false);
+    }
     
     if (options.verbose) {
       this.logger.info('Verbose mode enabled');
@@ -49,11 +85,8 @@ export class CLIInterface {
       .command(command.name)
       .description(command.description);
 
-    // Add options
-    command.options.forEach(option => {
-      const optionString = option.alias ? `-${option.alias}, --${option.name}` : `--${option.name}`;
-      cmd.option(optionString, option.description, option.default);
-    });
+    this.addArguments(cmd, command.arguments);
+    this.addOptions(cmd, command.options);
 
     // Add subcommands if any
     if (command.subcommands) {
@@ -63,10 +96,10 @@ export class CLIInterface {
     }
 
     // Set the handler
-    cmd.action(async (args, ...rest) => {
+    cmd.action(async (...values: any[]) => {
       try {
-        const commandArgs = this.parseCommandArgs(args, command.options);
-        await command.handler(commandArgs);
+        const commandArgs = this.parseCommandArgs(cmd.opts(), command.options, command.arguments, values);
+        this.render(await command.handler(commandArgs));
       } catch (error) {
         this.handleError(error as Error, command.name);
       }
@@ -75,42 +108,98 @@ export class CLIInterface {
     this.commands.set(command.name, command);
   }
 
+  public hasCommand(name: string): boolean {
+    return this.commands.has(name);
+  }
+
+  public getCommands(): CLICommand[] {
+    return Array.from(this.commands.values());
+  }
+
+  // The program's own options (--output, --context, --help, ...) as CLIOption metadata
+  public getGlobalOptions(): CLIOption[] {
+    return this.program.createHelp().visibleOptions(this.program)
+      .filter(option => option.long)
+      .map(option => ({
+        name: option.long!.slice(2),
+        alias: option.short?.slice(1),
+        description: option.description,
+        type: option.required || option.optional ? 'string' as const : 'boolean' as const,
+        choices: option.argChoices
+      }));
+  }
+
   private registerSubcommand(parentCommand: Command, subcommand: CLICommand): void {
     const cmd = parentCommand
       .command(subcommand.name)
       .description(subcommand.description);
 
-    // Add options
-    subcommand.options.forEach(option => {
-      const optionString = option.alias ? `-${option.alias}, --${option.name}` : `--${option.name}`;
-      cmd.option(optionString, option.description, option.default);
-    });
+    this.addArguments(cmd, subcommand.arguments);
+    this.addOptions(cmd, subcommand.options);
 
     // Set the handler
-    cmd.action(async (args) => {
+    cmd.action(async (...values: any[]) => {
       try {
-        const commandArgs = this.parseCommandArgs(args, subcommand.options);
-        await subcommand.handler(commandArgs);
+        const commandArgs = this.parseCommandArgs(cmd.opts(), subcommand.options, subcommand.arguments, values);
+        this.render(await subcommand.handler(commandArgs));
       } catch (error) {
         this.handleError(error as Error, `${parentCommand.name()} ${subcommand.name}`);
       }
     });
   }
 
-  private parseCommandArgs(args: any, options: any[]): CommandArgs {
+  private addArguments(cmd: Command, args: CLIArgument[] = []): void {
+    args.forEach(arg => {
+      const name = arg.variadic ? `${arg.name}...` : arg.name;
+      cmd.argument(arg.required ? `<${name}>` : `[${name}]`, arg.description);
+    });
+  }
+
+  private addOptions(cmd: Command, options: CLIOption[]): void {
+    options.forEach(option => {
+      const optionString = option.alias ? `-${option.alias}, --${option.name}` : `--${option.name}`;
+
+      if (option.type === 'boolean') {
+        cmd.option(optionString, option.description, option.default);
+      } else if (option.type === 'number') {
+        cmd.option(`${optionString} <${option.name}>`, option.description, (value: string) => Number(value), option.default);
+      } else if (option.repeatable) {
+        cmd.option(`${optionString} <${option.name}>`, option.description, (value: string, previous: string[]) => [...previous, value], option.default || []);
+      } else {
+        cmd.option(`${optionString} <${option.name}>`, option.description, option.default);
+      }
+    });
+  }
+
+  // Commander stores `--dry-run` as `dryRun` and `--no-cache` as `cache` (true unless
+  // the flag is given); handlers read the same keys. Positional arguments arrive
+  // first in the action callback, in declaration order.
+  private parseCommandArgs(args: any, options: CLIOption[], positional: CLIArgument[] = [], values: any[] = []): CommandArgs {
     const parsed: CommandArgs = {};
+
+    positional.forEach((arg, index) => {
+      if (values[index] !== undefined) {
+        parsed[this.toCamelCase(arg.name)] = values[index];
+      }
+    });
     
     options.forEach(option => {
-      const value = args[option.name];
+      const key = this.toCamelCase(option.name.replace(/^no-/, ''));
+      const value = args[key];
       if (value !== undefined) {
-        parsed[option.name] = value;
+        parsed[key] = value;
       }
     });
 
     return parsed;
   }
 
+  private toCamelCase(name: string): string {
+    return name.replace(/-([a-z])/g, (_, letter: string) => letter.toUpperCase());
+  }
+
   private handleError(error: Error, commandName: string): void {
+    const exitCode = getExitCode(error);
     this.logger.error(`Command '${commandName}' failed`, error);
     
     console.error(chalk.red('✗'), chalk.bold(`Error in command '${commandName}':`));
@@ -119,15 +208,62 @@ export class CLIInterface {
     if (process.env.NODE_ENV === 'development') {
       console.error(chalk.gray(error.stack));
     }
+
+    // Scripts reading --output json|yaml get the failure in the same format
+    this.render({ error: { command: commandName, message: error.message, exitCode } });
     
-    process.exit(1);
+    process.exit(exitCode);
+  }
+
+  public getOutputFormat(): OutputFormat {
+    return this.outputFormat;
+  }
+
+  public setOutputFormat(format: OutputFormat): void {
+    if (!OUTPUT_FORMATS.includes(format)) {
+      throw new Error(`Unknown output format '${format}': expected one of ${OUTPUT_FORMATS.join(', ')}`);
+    }
+    this.outputFormat = format;
+  }
+
+  // With --output json|yaml the result is all stdout gets; in table mode the
+  // command has already shown it
+  public render(result: CommandResult | void): void {
+    if (result === undefined || this.outputFormat === 'table') {
+      return;
+    }
+
+    if (this.outputFormat === 'json') {
+      this.json(result);
+    } else {
+      // Through JSON first, so dates and class instances come out as in --output json
+      process.stdout.write(YAML.stringify(JSON.parse(JSON.stringify(result))));
+    }
+  }
+
+  public isInteractive(): boolean {
+    return this.interactive && !this.assumeYes;
+  }
+
+  public setInteractive(interactive: boolean): void {
+    this.interactive = interactive;
+  }
+
+  // --yes, or the cli.auto_confirm setting
+  public setAssumeYes(assumeYes: boolean): void {
+    this.assumeYes = assumeYes;
   }
 
   public async execute(argv: string[]): Promise<void> {
     try {
       await this.program.parseAsync(argv);
     } catch (error) {
-      this.handleError(error as Error, 'cli');
+      // Commander has already printed help, the version or what was wrong
+      if (error instanceof CommanderError) {
+        process.exit(error.exitCode === 0 ? ExitCode.SUCCESS : ExitCode.USAGE);
+      } else {
+        this.handleError(error as Error, 'cli');
+      }
     }
   }
 
@@ -153,7 +289,7 @@ export class CLIInterface {
           spinner.succeed(message);
           spinner = null;
         } else {
-          console.log(chalk.green('✓'), message);
+          console.error(chalk.green('✓'), message);
         }
       },
       error: (message: string) => {
@@ -161,7 +297,7 @@ export class CLIInterface {
           spinner.fail(message);
           spinner = null;
         } else {
-          console.log(chalk.red('✗'), message);
+          console.error(chalk.red('✗'), message);
         }
       },
       stop: () => {
@@ -174,10 +310,21 @@ export class CLIInterface {
   }
 
   public async prompt<T extends Record<string, any>>(questions: inquirer.QuestionCollection<T>): Promise<T> {
-    return await inquirer.prompt<T>(questions);
+    if (!this.isInteractive()) {
+      const question: any = Array.isArray(questions) ? questions[0] : questions;
+      throw new UsageError(`Cannot ask '${question?.message || 'a question'}' in non-interactive mode; pass the answer as an option`);
+    }
+    return await this.prompter<T>(questions);
   }
 
   public confirm(message: string): Promise<boolean> {
+    if (this.assumeYes) {
+      return Promise.resolve(true);
+    }
+    if (!this.interactive) {
+      return Promise.reject(new UsageError(`Confirmation needed: ${message} Pass --yes to confirm`));
+    }
+
     return this.prompt({
       type: 'confirm',
       name: 'confirmed',
@@ -196,6 +343,11 @@ export class CLIInterface {
   }
 
   public input(message: string, defaultValue?: string): Promise<string> {
+    // Without anyone to ask, a default is the answer
+    if (!this.isInteractive() && defaultValue !== undefined) {
+      return Promise.resolve(defaultValue);
+    }
+
     return this.prompt({
       type: 'input',
       name: 'value',
@@ -223,34 +375,40 @@ export class CLIInterface {
 
   // Display utilities
   public success(message: string): void {
-    console.log(chalk.green('✓'), message);
+    console.error(chalk.green('✓'), message);
   }
 
   public error(message: string): void {
-    console.log(chalk.red('✗'), message);
+    console.error(chalk.red('✗'), message);
   }
 
   public warning(message: string): void {
-    console.log(chalk.yellow('⚠'), message);
+    console.error(chalk.yellow('⚠'), message);
   }
 
   public info(message: string): void {
-    console.log(chalk.blue('ℹ'), message);
+    console.error(chalk.blue('ℹ'), message);
   }
 
   public highlight(message: string): void {
-    console.log(chalk.cyan('→'), message);
+    console.error(chalk.cyan('→'), message);
   }
 
   public title(message: string): void {
-    console.log(chalk.bold.underline(message));
+    console.error(chalk.bold.underline(message));
   }
 
   public subtitle(message: string): void {
-    console.log(chalk.bold(message));
+    console.error(chalk.bold(message));
   }
 
+  // Tables, lists and printed text are the command's data; with --output
+  // json|yaml the result replaces them
   public table(data: Record<string, any>[]): void {
+    if (this.outputFormat !== 'table') {
+      return;
+    }
+
     if (data.length === 0) {
       this.info('No data to display');
       return;
@@ -282,16 +440,26 @@ export class CLIInterface {
   }
 
   public list(items: string[], bullet: string = '•'): void {
+    if (this.outputFormat !== 'table') {
+      return;
+    }
+
     items.forEach(item => {
       console.log(`${bullet} ${item}`);
     });
   }
 
+  public print(text: string): void {
+    if (this.outputFormat === 'table') {
+      console.log(text);
+    }
+  }
+
   public divider(char: string = '-', length: number = 50): void {
-    console.log(char.repeat(length));
+    console.error(char.repeat(length));
   }
 
   public newline(count: number = 1): void {
-    console.log('\n'.repeat(count - 1));
+    console.error('\n'.repeat(count - 1));
   }
 }
@@ -0,0 +1,56 @@
+import { Deployment, Release } from '../types';
+
+// Shapes shared by the results of several commands, for --output json|yaml
+
+export interface DeploymentSummary {
+  id: string;
+  projectId: string;
+  target: string;
+  type: string;
+  environment: string;
+  version: string;
+  status: string;
+  url?: string;
+  pid?: number;
+  logFile?: string;
+  rollbackFrom?: string;
+  createdAt: Date;
+  completedAt?: Date;
+}
+
+export function summarizeDeployment(deployment: Deployment): DeploymentSummary {
+  const metadata = deployment.result?.metadata || {};
+  return {
+    id: deployment.id,
+    projectId: deployment.projectId,
+    target: deployment.target.name,
+    type: deployment.target.type,
+    environment: deployment.target.environment,
+    version: deployment.version,
+    status: deployment.status,
+    url: deployment.result?.url,
+    pid: metadata.pid,
+    logFile: metadata.logFile,
+    rollbackFrom: deployment.rollbackFrom,
+    createdAt: deployment.createdAt,
+    completedAt: deployment.completedAt
+  };
+}
+
+export interface ReleaseSummary {
+  id: string;
+  version: string;
+  deploymentId: string;
+  createdAt: Date;
+  current: boolean;
+}
+
+export function summarizeRelease(release: Release, currentReleaseId?: string): ReleaseSummary {
+  return {
+    id: release.id,
+    version: release.version,
+    deploymentId: release.deploymentId,
+    createdAt: release.createdAt,
+    current: release.id === currentReleaseId
+  };
+}
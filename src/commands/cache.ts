@@ -0,0 +1,74 @@
+import { CLICommand, CLIOption, CommandArgs, CommandResult, Logger } from '../types';
+import { CLIInterface } from '../cli/interface';
+import { BuildCache } from '../core/build-cache';
+
+export class CacheCommand implements CLICommand {
+  name = 'cache';
+  description = 'Inspect and manage the build cache';
+
+  constructor(
+    private cli: CLIInterface,
+    private buildCache: BuildCache,
+    private logger: Logger
+  ) {}
+
+  options: CLIOption[] = [];
+
+  subcommands: CLICommand[] = [
+    {
+      name: 'prune',
+      description: 'Remove cached builds',
+      options: [
+        {
+          name: 'older-than',
+          description: 'Only remove entries not used in this many days',
+          type: 'number' as const
+        }
+      ],
+      handler: (args: CommandArgs) => this.prune(args)
+    }
+  ];
+
+  async handler(): Promise<CommandResult> {
+    this.cli.title('🗄️  AI Builder - Build Cache');
+    this.cli.newline();
+
+    const stats = await this.buildCache.stats();
+
+    this.cli.table([{
+      'Location': this.buildCache.getCacheDir(),
+      'Entries': stats.entries,
+      'Size': this.formatFileSize(stats.bytes)
+    }]);
+
+    this.cli.newline();
+    this.cli.info('Run `ai-builder cache prune` to clear it');
+
+    return { location: this.buildCache.getCacheDir(), entries: stats.entries, bytes: stats.bytes };
+  }
+
+  private async prune(args: CommandArgs): Promise<CommandResult> {
+    const result = await this.buildCache.prune(args.olderThan);
+
+    if (result.removed === 0) {
+      this.cli.info('Build cache is already clean');
+    } else {
+      this.cli.success(`Removed ${result.removed} cached build(s), freed ${this.formatFileSize(result.bytes)}`);
+    }
+
+    return { removed: result.removed, bytes: result.bytes };
+  }
+
+  private formatFileSize(bytes: number): string {
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let size = bytes;
+    let unitIndex = 0;
+
+    while (size >= 1024 && unitIndex < units.length - 1) {
+      size /= 1024;
+      unitIndex++;
+    }
+
+    return `${size.toFixed(1)} ${units[unitIndex]}`;
+  }
+}
@@ -0,0 +1,75 @@
+import * as path from 'path';
+import { CLICommand, CLIOption, CommandArgs, CommandResult, Logger } from '../types';
+import { CLIInterface } from '../cli/interface';
+import { COMPLETION_SHELLS, CompletionContext, CompletionShell, CompletionSources, generateCompletionScript } from '../cli/completion';
+import { UsageError } from '../utils/errors';
+
+export class CompletionCommand implements CLICommand {
+  name = 'completion';
+  description = 'Print a shell completion script (bash, zsh or fish; defaults to $SHELL)';
+
+  constructor(
+    private cli: CLIInterface,
+    private sources: CompletionSources,
+    private logger: Logger
+  ) {}
+
+  options: CLIOption[] = [];
+
+  subcommands: CLICommand[] = [
+    ...COMPLETION_SHELLS.map(shell => ({
+      name: shell,
+      description: `Print the ${shell} completion script`,
+      options: [],
+      handler: () => this.script(shell)
+    })),
+    {
+      name: 'values',
+      description: 'Print completion values, one per line (used by the completion scripts)',
+      arguments: [{ name: 'source', description: 'projects, targets, templates, models or openshift-models', required: true }],
+      options: [
+        {
+          name: 'path',
+          alias: 'p',
+          description: 'Project the values come from (targets); empty means the current directory',
+          type: 'string' as const
+        }
+      ],
+      handler: (args: CommandArgs) => this.values(args.source, { path: args.path || undefined })
+    }
+  ];
+
+  async handler(): Promise<CommandResult> {
+    const shell = path.basename(process.env.SHELL || '') as CompletionShell;
+    if (!COMPLETION_SHELLS.includes(shell)) {
+      throw new UsageError(`Cannot tell the shell from $SHELL; use 'ai-builder completion ${COMPLETION_SHELLS.join('|')}'`);
+    }
+    return this.script(shell);
+  }
+
+  private async script(shell: CompletionShell): Promise<CommandResult> {
+    const script = generateCompletionScript(shell, this.cli.getCommands(), this.cli.getGlobalOptions());
+    this.cli.print(script);
+    return { shell, script };
+  }
+
+  // Runs on every <Tab>: a failing source completes nothing rather than printing errors
+  private async values(source: string, context: CompletionContext): Promise<CommandResult> {
+    const load = this.sources[source];
+    if (!load) {
+      throw new UsageError(`Unknown completion source '${source}'. Use one of: ${Object.keys(this.sources).join(', ')}`);
+    }
+
+    let values: string[] = [];
+    try {
+      values = Array.from(new Set(await load(context))).sort();
+    } catch (error) {
+      this.logger.debug(`Completion source '${source}' failed`, { error: (error as Error).message });
+    }
+
+    if (values.length > 0) {
+      this.cli.print(values.join('\n'));
+    }
+    return { source, values };
+  }
+}
@@ -0,0 +1,407 @@
+import * as fs from 'fs-extra';
+import * as path from 'path';
+import { CLICommand, CLIOption, CommandArgs, CommandResult, Logger } from '../types';
+import { CLIInterface } from '../cli/interface';
+import { ConfigManagerImpl } from '../core/config-manager';
+import { ConfigResolver, ConfigLayerValue } from '../core/config-resolver';
+import { ConfigKeySchema, getEnvNames } from '../core/config-schema';
+import { ProjectManagerImpl } from '../core/project-manager';
+import { UsageError, ValidationError } from '../utils/errors';
+
+const MASK = '********';
+
+export class ConfigCommand implements CLICommand {
+  name = 'config';
+  description = 'Get, set and manage configuration';
+
+  constructor(
+    private cli: CLIInterface,
+    private configManager: ConfigManagerImpl,
+    private resolver: ConfigResolver,
+    private projectManager: ProjectManagerImpl,
+    private logger: Logger
+  ) {}
+
+  options: CLIOption[] = [
+    {
+      name: 'scope',
+      alias: 's',
+      description: 'Configuration scope (global, project)',
+      type: 'string' as const,
+      default: 'global'
+    },
+    {
+      name: 'path',
+      alias: 'p',
+      description: 'Path to the project directory (project scope)',
+      type: 'string' as const,
+      default: '.'
+    }
+  ];
+
+  subcommands: CLICommand[] = [
+    {
+      name: 'get',
+      description: 'Show the value of a key',
+      arguments: [{ name: 'key', description: 'Configuration key', required: true }],
+      options: [
+        {
+          name: 'reveal',
+          description: 'Show encrypted values in plain text',
+          type: 'boolean' as const,
+          default: false
+        },
+        ...this.options
+      ],
+      handler: (args: CommandArgs) => this.get(args)
+    },
+    {
+      name: 'set',
+      description: 'Set a key (values are parsed by the type the key expects)',
+      arguments: [
+        { name: 'key', description: 'Configuration key', required: true },
+        { name: 'value', description: 'Value to store', required: true }
+      ],
+      options: [...this.options],
+      handler: (args: CommandArgs) => this.set(args)
+    },
+    {
+      name: 'list',
+      description: 'List configured keys',
+      options: [...this.options],
+      handler: (args: CommandArgs) => this.list(args)
+    },
+    {
+      name: 'delete',
+      description: 'Remove a key',
+      arguments: [{ name: 'key', description: 'Configuration key', required: true }],
+      options: [...this.options],
+      handler: (args: CommandArgs) => this.delete(args)
+    },
+    {
+      name: 'export',
+      description: 'Write the configuration to a JSON file',
+      arguments: [{ name: 'file', description: 'File to write', required: true }],
+      options: [
+        {
+          name: 'include-secrets',
+          description: 'Write encrypted values in plain text instead of masking them',
+          type: 'boolean' as const,
+          default: false
+        },
+        ...this.options
+      ],
+      handler: (args: CommandArgs) => this.export(args)
+    },
+    {
+      name: 'import',
+      description: 'Read configuration from a JSON file',
+      arguments: [{ name: 'file', description: 'File to read', required: true }],
+      options: [...this.options],
+      handler: (args: CommandArgs) => this.import(args)
+    },
+    {
+      name: 'reset',
+      description: 'Remove all keys (the global scope gets its defaults back)',
+      options: [
+        {
+          name: 'force',
+          alias: 'f',
+          description: 'Reset without confirmation',
+          type: 'boolean' as const,
+          default: false
+        },
+        ...this.options
+      ],
+      handler: (args: CommandArgs) => this.reset(args)
+    },
+    {
+      name: 'explain',
+      description: 'Show the effective value of a key and which layer supplied it',
+      arguments: [{ name: 'key', description: 'Configuration key', required: true }],
+      options: [
+        {
+          name: 'reveal',
+          description: 'Show sensitive values in plain text',
+          type: 'boolean' as const,
+          default: false
+        },
+        {
+          name: 'path',
+          alias: 'p',
+          description: 'Project whose config is included',
+          type: 'string' as const,
+          default: '.'
+        }
+      ],
+      handler: (args: CommandArgs) => this.explain(args)
+    },
+    {
+      name: 'rotate-key',
+      description: 'Re-encrypt secrets under a new encryption key (keeps a backup)',
+      options: [
+        {
+          name: 'path',
+          alias: 'p',
+          description: 'Project whose config is re-encrypted along with the global one',
+          type: 'string' as const,
+          default: '.'
+        }
+      ],
+      handler: (args: CommandArgs) => this.rotateKey(args)
+    }
+  ];
+
+  async handler(args: CommandArgs): Promise<CommandResult> {
+    return this.list(args);
+  }
+
+  private async get(args: CommandArgs): Promise<CommandResult> {
+    const scope = await this.useScope(args);
+    const value = await this.configManager.get(args.key, scope);
+
+    if (value === undefined) {
+      this.cli.error(`'${args.key}' is not set (${scope})`);
+      throw new UsageError(`Config key '${args.key}' not found`);
+    }
+
+    const entry = (await this.configManager.list(scope)).find(item => item.key === args.key);
+    const masked = entry?.encrypted && !args.reveal;
+    this.cli.print(masked ? MASK : this.formatValue(value));
+
+    return { key: args.key, value: masked ? MASK : value, scope, encrypted: !!entry?.encrypted };
+  }
+
+  private async set(args: CommandArgs): Promise<CommandResult> {
+    const scope = await this.useScope(args);
+    const value = this.configManager.parseValue(args.key, args.value);
+
+    await this.configManager.set(args.key, value, scope);
+
+    const encrypted = this.configManager.isEncryptedKey(args.key);
+    if (encrypted) {
+      this.cli.success(`Set ${args.key} = ${MASK} (${scope}, encrypted)`);
+    } else {
+      this.cli.success(`Set ${args.key} = ${this.formatValue(value)} (${scope})`);
+    }
+
+    return { key: args.key, value: encrypted ? MASK : value, scope, encrypted };
+  }
+
+  private async list(args: CommandArgs): Promise<CommandResult> {
+    const scope = await this.useScope(args);
+    const entries = await this.configManager.list(scope);
+
+    this.cli.title(`⚙️ AI Builder - Configuration (${scope})`);
+    this.cli.newline();
+
+    if (entries.length === 0) {
+      this.cli.info(`No configuration set in ${this.configManager.getConfigPath(scope)}`);
+      return [];
+    }
+
+    const sorted = entries.sort((a, b) => a.key.localeCompare(b.key));
+    this.cli.table(sorted.map(entry => ({
+      'Key': entry.key,
+      'Value': entry.encrypted ? MASK : this.formatValue(entry.value),
+      'Type': entry.encrypted ? 'encrypted' : this.configManager.getValueType(entry.key),
+      'Updated': new Date(entry.updatedAt).toLocaleString()
+    })));
+
+    return sorted.map(entry => ({
+      key: entry.key,
+      value: entry.encrypted ? MASK : entry.value,
+      scope,
+      encrypted: !!entry.encrypted,
+      updatedAt: entry.updatedAt
+    }));
+  }
+
+  private async delete(args: CommandArgs): Promise<CommandResult> {
+    const scope = await this.useScope(args);
+
+    if (await this.configManager.get(args.key, scope) === undefined) {
+      this.cli.warning(`'${args.key}' is not set (${scope})`);
+      return { key: args.key, scope, deleted: false };
+    }
+
+    await this.configManager.delete(args.key, scope);
+    this.cli.success(`Deleted ${args.key} (${scope})`);
+    return { key: args.key, scope, deleted: true };
+  }
+
+  private async export(args: CommandArgs): Promise<CommandResult> {
+    const scope = await this.useScope(args);
+    const exported = await this.configManager.exportConfig(scope, args.includeSecrets);
+    const file = path.resolve(args.file);
+
+    await fs.ensureDir(path.dirname(file));
+    await fs.writeJson(file, exported, { spaces: 2 });
+
+    if (args.includeSecrets) {
+      await fs.chmod(file, 0o600);
+      this.cli.warning(`${file} contains secrets in plain text`);
+    }
+
+    this.cli.success(`Exported ${Object.keys(exported).length} keys (${scope}) to ${file}`);
+    return { file, scope, keys: Object.keys(exported), includesSecrets: !!args.includeSecrets };
+  }
+
+  private async import(args: CommandArgs): Promise<CommandResult> {
+    const scope = await this.useScope(args);
+    const file = path.resolve(args.file);
+
+    let data: any;
+    try {
+      data = await fs.readJson(file);
+    } catch (error) {
+      this.cli.error(`Could not read ${file}: ${(error as Error).message}`);
+      throw error;
+    }
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      this.cli.error(`${file} must contain a JSON object of keys and values`);
+      throw new ValidationError('Invalid config file');
+    }
+
+    const imported = await this.configManager.importConfig(data, scope);
+    const skipped = Object.keys(data).length - imported.length;
+
+    this.cli.success(`Imported ${imported.length} keys (${scope}) from ${file}`);
+    if (skipped > 0) {
+      this.cli.info(`Skipped ${skipped} masked values; set them with 'ai-builder config set'`);
+    }
+
+    return { file, scope, imported, skipped };
+  }
+
+  private async reset(args: CommandArgs): Promise<CommandResult> {
+    const scope = await this.useScope(args);
+
+    if (!args.force) {
+      const confirmed = await this.cli.confirm(`Remove all ${scope} configuration in ${this.configManager.getConfigPath(scope)}?`);
+      if (!confirmed) {
+        this.cli.info('Reset cancelled');
+        return { scope, reset: false };
+      }
+    }
+
+    await this.configManager.resetConfig(scope);
+
+    if (scope === 'global') {
+      await this.configManager.setDefaultConfig();
+      this.cli.success('Global configuration reset to defaults');
+    } else {
+      this.cli.success('Project configuration removed');
+    }
+    return { scope, reset: true };
+  }
+
+  private async explain(args: CommandArgs): Promise<CommandResult> {
+    // Outside a project the project layer is simply empty
+    const project = await this.projectManager.loadProject(args.path || '.').catch(() => undefined);
+    if (project) {
+      this.configManager.setProjectPath(project.path);
+    }
+
+    const resolved = await this.resolver.explain(args.key);
+    const sensitive = resolved.schema?.sensitive || this.configManager.isEncryptedKey(args.key);
+    const show = (value: any) => sensitive && !args.reveal ? MASK : this.formatValue(value);
+
+    this.cli.title(`🔎 ${args.key}`);
+    this.cli.newline();
+
+    if (resolved.schema) {
+      this.cli.info(resolved.schema.description);
+      this.cli.info(`Type: ${this.describeSchema(resolved.schema)}`);
+    } else {
+      this.cli.warning('Not a known setting: stored as a string and not checked');
+    }
+    this.cli.info(`Environment: ${getEnvNames(args.key).join(', ')}`);
+    this.cli.newline();
+
+    if (resolved.source) {
+      this.cli.success(`${show(resolved.value)} (from ${resolved.source}: ${resolved.origin})`);
+    } else {
+      this.cli.info('Not set');
+    }
+
+    if (resolved.layers.length > 0) {
+      this.cli.newline();
+      this.cli.table(resolved.layers.map(layer => ({
+        'Layer': layer.source,
+        'Origin': layer.origin,
+        'Value': show(layer.value),
+        'Status': this.describeLayer(layer, resolved.source === layer.source && resolved.origin === layer.origin)
+      })));
+    }
+
+    const mask = (value: any) => sensitive && !args.reveal ? MASK : value;
+    return {
+      key: args.key,
+      value: mask(resolved.value),
+      source: resolved.source,
+      origin: resolved.origin,
+      schema: resolved.schema,
+      env: getEnvNames(args.key),
+      layers: resolved.layers.map(layer => ({ ...layer, value: mask(layer.value) }))
+    };
+  }
+
+  private async rotateKey(args: CommandArgs): Promise<CommandResult> {
+    // Outside a project only the global config is rotated
+    const project = await this.projectManager.loadProject(args.path || '.').catch(() => undefined);
+    if (project) {
+      this.configManager.setProjectPath(project.path);
+    }
+
+    const result = await this.configManager.rotateKey();
+
+    this.cli.success(`Encryption key rotated (${result.previousKeyId} → ${result.keyId})`);
+    this.cli.info(`Re-encrypted ${result.values} values in:`);
+    this.cli.list(result.files.length > 0 ? result.files : ['(no config files yet)']);
+    this.cli.info(`Previous key and config backed up to ${result.backupDir}`);
+    this.cli.info('Other projects are re-encrypted the next time their config is read');
+
+    return result;
+  }
+
+  // Project scope reads <project>/.ai-builder/config.json of a real project
+  private async useScope(args: CommandArgs): Promise<'global' | 'project'> {
+    const scope = args.scope || 'global';
+
+    if (scope !== 'global' && scope !== 'project') {
+      this.cli.error(`Unknown scope '${scope}'. Use 'global' or 'project'`);
+      throw new UsageError(`Invalid scope: ${scope}`);
+    }
+
+    if (scope === 'project') {
+      const project = await this.projectManager.loadProject(args.path || '.');
+      this.configManager.setProjectPath(project.path);
+    }
+
+    return scope;
+  }
+
+  private describeSchema(schema: ConfigKeySchema): string {
+    const details: string[] = [];
+
+    if (schema.enum) details.push(`one of ${schema.enum.join(', ')}`);
+    if (schema.min !== undefined) details.push(`min ${schema.min}`);
+    if (schema.max !== undefined) details.push(`max ${schema.max}`);
+    if (schema.default !== undefined) details.push(`default ${this.formatValue(schema.default)}`);
+
+    return details.length > 0 ? `${schema.type} (${details.join(', ')})` : schema.type;
+  }
+
+  private describeLayer(layer: ConfigLayerValue, used: boolean): string {
+    if (layer.errors.length > 0) {
+      return `❌ Invalid: ${layer.errors.join('; ')}`;
+    }
+    return used ? '✅ Used' : '⤵️ Overridden';
+  }
+
+  private formatValue(value: any): string {
+    return typeof value === 'string' ? value : JSON.stringify(value);
+  }
+}
@@ -0,0 +1,183 @@
+import { CLICommand, CLIOption, CommandArgs, CommandResult, Logger } from '../types';
+import { CLIInterface } from '../cli/interface';
+import { ContextManager } from '../core/context-manager';
+import { UsageError } from '../utils/errors';
+
+export class ContextCommand implements CLICommand {
+  name = 'context';
+  description = 'Manage OpenShift/RHODS cluster contexts';
+
+  constructor(
+    private cli: CLIInterface,
+    private contextManager: ContextManager,
+    private logger: Logger
+  ) {}
+
+  options: CLIOption[] = [];
+
+  subcommands: CLICommand[] = [
+    {
+      name: 'add',
+      description: 'Add or update a context',
+      arguments: [{ name: 'name', description: 'Context name', required: true }],
+      options: [
+        {
+          name: 'dashboard-url',
+          description: 'RHODS dashboard URL',
+          type: 'string' as const
+        },
+        {
+          name: 'inference-url',
+          description: 'Model inference URL',
+          type: 'string' as const
+        },
+        {
+          name: 'deploy-endpoint',
+          description: 'OpenShift model deployment endpoint',
+          type: 'string' as const
+        },
+        {
+          name: 'username',
+          alias: 'u',
+          description: 'Dashboard user',
+          type: 'string' as const
+        },
+        {
+          name: 'credentials',
+          alias: 'c',
+          description: 'Where the token/password lives: env:VARIABLE or a config key',
+          type: 'string' as const
+        },
+        {
+          name: 'namespace',
+          alias: 'n',
+          description: 'Default project/namespace',
+          type: 'string' as const
+        },
+        {
+          name: 'use',
+          description: 'Switch to the context after adding it',
+          type: 'boolean' as const,
+          default: false
+        },
+        {
+          name: 'force',
+          alias: 'f',
+          description: 'Replace an existing context of the same name',
+          type: 'boolean' as const,
+          default: false
+        }
+      ],
+      handler: (args: CommandArgs) => this.add(args)
+    },
+    {
+      name: 'use',
+      description: 'Make a context the current one',
+      arguments: [{ name: 'name', description: 'Context name', required: true }],
+      options: [],
+      handler: (args: CommandArgs) => this.use(args.name)
+    },
+    {
+      name: 'list',
+      description: 'List contexts',
+      options: [],
+      handler: () => this.list()
+    },
+    {
+      name: 'delete',
+      description: 'Delete a context',
+      arguments: [{ name: 'name', description: 'Context name', required: true }],
+      options: [],
+      handler: (args: CommandArgs) => this.delete(args.name)
+    }
+  ];
+
+  async handler(): Promise<CommandResult> {
+    return this.list();
+  }
+
+  private async add(args: CommandArgs): Promise<CommandResult> {
+    try {
+      await this.contextManager.add({
+        name: args.name,
+        dashboardUrl: args.dashboardUrl,
+        inferenceUrl: args.inferenceUrl,
+        deployEndpoint: args.deployEndpoint,
+        username: args.username,
+        credentials: args.credentials,
+        namespace: args.namespace
+      }, args.force);
+
+      if (args.use) {
+        await this.contextManager.use(args.name);
+      }
+    } catch (error) {
+      this.cli.error((error as Error).message);
+      // Adding only refuses with a usage error when the name is taken
+      if (error instanceof UsageError) {
+        this.cli.info('Use --force to replace it');
+      }
+      throw error;
+    }
+
+    this.cli.success(`Context '${args.name}' saved${args.use ? ' and set as current' : ''}`);
+    return { context: await this.contextManager.get(args.name), current: !!args.use };
+  }
+
+  private async use(name: string): Promise<CommandResult> {
+    try {
+      await this.contextManager.use(name);
+    } catch (error) {
+      this.cli.error((error as Error).message);
+      throw error;
+    }
+
+    this.cli.success(`Switched to context '${name}'`);
+
+    // --context, AI_BUILDER_CONTEXT or a project setting would still win
+    const effective = await this.contextManager.getCurrentName();
+    if (effective !== name) {
+      this.cli.warning(`Context '${effective}' is still in effect here; run 'ai-builder config explain context.current' to see why`);
+    }
+
+    return { current: name, effective };
+  }
+
+  private async list(): Promise<CommandResult> {
+    this.cli.title('🗺️ AI Builder - Contexts');
+    this.cli.newline();
+
+    const contexts = await this.contextManager.list();
+
+    if (contexts.length === 0) {
+      this.cli.info("No contexts yet. Add one with 'ai-builder context add <name> --dashboard-url <url> ...'");
+      return [];
+    }
+
+    const current = await this.contextManager.getCurrentName();
+
+    this.cli.table(contexts.map(context => ({
+      'Current': context.name === current ? '*' : '',
+      'Name': context.name,
+      'Namespace': context.namespace || '-',
+      'Deploy Endpoint': context.deployEndpoint || '-',
+      'Dashboard': context.dashboardUrl || '-',
+      'Inference': context.inferenceUrl || '-',
+      'Credentials': context.credentials || '-'
+    })));
+
+    return contexts.map(context => ({ ...context, current: context.name === current }));
+  }
+
+  private async delete(name: string): Promise<CommandResult> {
+    try {
+      await this.contextManager.delete(name);
+    } catch (error) {
+      this.cli.error((error as Error).message);
+      throw error;
+    }
+
+    this.cli.success(`Context '${name}' deleted`);
+    return { name, deleted: true };
+  }
+}
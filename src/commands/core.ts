@@ -1,6 +1,14 @@
-import { CLICommand, CommandArgs, Project, Template, Logger } from '../types';
+import * as path from 'path';
+import * as fs from 'fs-extra';
+import { CLICommand, CommandArgs, CommandResult, Project, Logger, Deployment, DeploymentLog, DeploymentTarget, Release } from '../types';
 import { CLIInterface } from '../cli/interface';
+import { summarizeDeployment, summarizeRelease } from '../cli/results';
 import { ProjectManagerImpl } from '../core/project-manager';
+import { TemplateRegistry } from '../core/template-registry';
+import { MANIFEST_FILES } from '../core/manifest';
+import { WORKSPACE_FILES, Workspace, WorkspaceMember, WorkspaceTaskResult, WorkspaceTaskStatus, findChangedMembers, loadWorkspace, runInDependencyOrder } from '../core/workspace';
+import { DeploymentEngineImpl, DeploymentPipeline } from '../core/deployment-engine';
+import { ExitCode, UsageError, ValidationError, BuildError, DeployError, asCLIError } from '../utils/errors';
 
 export class InitCommand implements CLICommand {
   name = 'init';
@@ -9,6 +17,7 @@ export class InitCommand implements CLICommand {
   constructor(
     private cli: CLIInterface,
     private projectManager: ProjectManagerImpl,
+    private templates: TemplateRegistry,
     private logger: Logger
   ) {}
 
@@ -18,6 +27,7 @@ export class InitCommand implements CLICommand {
       alias: 't',
       description: 'Template to use for the project',
       type: 'string' as const,
+      complete: 'templates',
       required: true
     },
     {
@@ -33,35 +43,39 @@ export class InitCommand implements CLICommand {
       description: 'Directory to create the project in',
       type: 'string' as const,
       default: '.'
+    },
+    {
+      name: 'var',
+      description: 'Answer a template variable without being asked, as key=value (repeatable)',
+      type: 'string' as const,
+      repeatable: true
     }
   ];
 
-  async handler(args: CommandArgs): Promise<void> {
+  async handler(args: CommandArgs): Promise<CommandResult | void> {
     this.cli.title('🚀 AI Builder - Project Initialization');
     this.cli.newline();
 
     try {
       // Validate template
-      const templates = await this.getAvailableTemplates();
-      const template = templates.find(t => t.name === args.template);
-      
+      const template = await this.templates.find(args.template);
+
       if (!template) {
-        this.cli.error(`Template '${args.template}' not found`);
+        const templates = await this.templates.list();
         this.cli.info('Available templates:');
         templates.forEach(t => this.cli.list([`  • ${t.name}: ${t.description}`]));
-        return;
+        throw new UsageError(`Template '${args.template}' not found`);
       }
 
-      // Create project
-      const progress = this.cli.createProgressIndicator();
-      progress.start(`Creating project '${args.name}'...`);
-
+      // Ask for variables before the spinner takes over the terminal
       const project = await this.projectManager.createProject(
         args.template,
         args.name,
-        args.path
+        args.path,
+        { variables: parseVariables(args.var), interactive: this.cli.isInteractive() }
       );
 
+      const progress = this.cli.createProgressIndicator();
       progress.success(`Project '${args.name}' created successfully!`);
       this.cli.newline();
 
@@ -84,97 +98,90 @@ export class InitCommand implements CLICommand {
       ]);
 
       this.cli.newline();
-      this.cli.info(`Project configuration saved to: ${path.join(project.path, '.ai-builder/project.json')}`);
+      this.cli.info(`Project configuration saved to: ${path.join(project.path, MANIFEST_FILES[0])} (commit it with the project)`);
+
+      return {
+        project: {
+          id: project.id,
+          name: project.name,
+          template: project.template,
+          version: project.version,
+          path: project.path,
+          createdAt: project.createdAt
+        }
+      };
 
     } catch (error) {
       this.cli.error(`Failed to create project: ${(error as Error).message}`);
       throw error;
     }
   }
+}
 
-  private async getAvailableTemplates(): Promise<Template[]> {
-    // This would load from templates directory
-    // For now, return mock templates
-    return [
-      {
-        name: 'express-api',
-        version: '1.0.0',
-        description: 'Express.js API with TypeScript',
-        category: 'backend',
-        tags: ['api', 'express', 'typescript'],
-        config: {
-          build: {
-            command: 'npm run build',
-            outputDir: 'dist',
-            environment: {},
-            dependencies: ['express', 'typescript'],
-            scripts: {}
-          },
-          deploy: {
-            targets: [],
-            healthCheck: {
-              endpoint: '/health',
-              interval: 30000,
-              timeout: 5000,
-              retries: 3
-            }
-          }
-        },
-        files: []
-      },
-      {
-        name: 'react-app',
-        version: '1.0.0',
-        description: 'React application with Vite',
-        category: 'frontend',
-        tags: ['react', 'vite', 'typescript'],
-        config: {
-          build: {
-            command: 'npm run build',
-            outputDir: 'dist',
-            environment: {},
-            dependencies: ['react', 'vite'],
-            scripts: {}
-          },
-          deploy: {
-            targets: [],
-            healthCheck: {
-              endpoint: '/',
-              interval: 30000,
-              timeout: 5000,
-              retries: 3
-            }
-          }
-        },
-        files: []
-      },
-      {
-        name: 'fullstack-ai',
-        version: '1.0.0',
-        description: 'Full-stack AI application with database',
-        category: 'fullstack',
-        tags: ['ai', 'database', 'fullstack'],
-        config: {
-          build: {
-            command: 'npm run build',
-            outputDir: 'dist',
-            environment: {},
-            dependencies: ['express', 'react', 'prisma'],
-            scripts: {}
-          },
-          deploy: {
-            targets: [],
-            healthCheck: {
-              endpoint: '/health',
-              interval: 30000,
-              timeout: 5000,
-              retries: 3
-            }
-          }
-        },
-        files: []
-      }
-    ];
+// `--var port=8080 --var db=postgres` → { port: '8080', db: 'postgres' }
+export function parseVariables(assignments: string[] = []): Record<string, string> {
+  const variables: Record<string, string> = {};
+
+  for (const assignment of assignments) {
+    const separator = assignment.indexOf('=');
+    if (separator <= 0) {
+      throw new UsageError(`--var expects key=value, got '${assignment}'`);
+    }
+    variables[assignment.slice(0, separator)] = assignment.slice(separator + 1);
+  }
+
+  return variables;
+}
+
+// `build` and `deploy` options for working on every project in a workspace
+const workspaceOptions = [
+  {
+    name: 'all',
+    alias: 'a',
+    description: `Every project in the workspace (${WORKSPACE_FILES[0]}), dependencies first`,
+    type: 'boolean' as const,
+    default: false
+  },
+  {
+    name: 'changed-since',
+    description: 'With --all, only projects changed since this git ref, and the projects depending on them',
+    type: 'string' as const
+  },
+  {
+    name: 'concurrency',
+    description: 'With --all, how many projects to work on at once (default: the workspace\'s concurrency, or 4)',
+    type: 'number' as const
+  }
+];
+
+// The workspace members `--all` selects, in dependency order
+async function selectWorkspaceMembers(cli: CLIInterface, args: CommandArgs): Promise<{ workspace: Workspace; members: WorkspaceMember[]; concurrency: number }> {
+  if (args.concurrency !== undefined && (!Number.isInteger(args.concurrency) || args.concurrency < 1)) {
+    throw new UsageError(`--concurrency must be a whole number of at least 1, got '${args.concurrency}'`);
+  }
+
+  const workspace = await loadWorkspace(args.path);
+  const members = args.changedSince ? await findChangedMembers(workspace, args.changedSince) : workspace.members;
+
+  cli.info(`Workspace: ${workspace.file}`);
+  if (args.changedSince) {
+    cli.info(`Changed since ${args.changedSince}: ${members.map(member => member.name).join(', ') || 'nothing'}`);
+  }
+  return { workspace, members, concurrency: args.concurrency ?? workspace.concurrency };
+}
+
+function showWorkspaceResults(cli: CLIInterface, results: WorkspaceTaskResult<any>[], done: string): void {
+  const labels: Record<WorkspaceTaskStatus, string> = { succeeded: `✅ ${done}`, failed: '❌ Failed', skipped: '⏭ Skipped' };
+  cli.table(results.map(result => ({
+    'Project': result.member,
+    'Status': labels[result.status],
+    'Details': result.status === 'skipped' ? `Not run: ${result.error}` : result.error || '-'
+  })));
+}
+
+function rejectWorkspaceOnlyOptions(args: CommandArgs): void {
+  if (args.changedSince || args.concurrency !== undefined) {
+    throw new UsageError(`--${args.changedSince ? 'changed-since' : 'concurrency'} only applies with --all`);
   }
 }
 
@@ -209,14 +216,26 @@ export class BuildCommand implements CLICommand {
       description: 'Show detailed build output',
       type: 'boolean' as const,
       default: false
-    }
+    },
+    {
+      name: 'no-cache',
+      description: 'Rebuild even if the build inputs have not changed',
+      type: 'boolean' as const
+    },
+    ...workspaceOptions
   ];
 
-  async handler(args: CommandArgs): Promise<void> {
+  async handler(args: CommandArgs): Promise<CommandResult> {
     this.cli.title('🔨 AI Builder - Project Build');
     this.cli.newline();
 
+    if (args.all) {
+      return this.buildWorkspace(args);
+    }
+
     try {
+      rejectWorkspaceOnlyOptions(args);
+
       // Load project
       const project = await this.projectManager.loadProject(args.path);
       
@@ -232,7 +251,8 @@ export class BuildCommand implements CLICommand {
         validation.errors.forEach(error => {
           this.cli.list([`  ✗ ${error.message}`]);
         });
-        return;
+        process.exitCode = ExitCode.VALIDATION;
+        return { project: project.name, success: false, errors: validation.errors.map(error => error.message) };
       }
 
       if (validation.warnings.length > 0) {
@@ -247,15 +267,26 @@ export class BuildCommand implements CLICommand {
       const progress = this.cli.createProgressIndicator();
       progress.start('Building project...');
 
-      const buildResult = await this.projectManager.buildProject(project);
+      const buildResult = await this.projectManager.buildProject(project, { cache: args.cache });
+      const result = {
+        project: project.name,
+        success: buildResult.success,
+        cached: !!buildResult.cached,
+        duration: buildResult.duration,
+        artifacts: buildResult.artifacts,
+        warnings: validation.warnings.map(warning => warning.message),
+        error: buildResult.error,
+        ...(args.verbose && { output: buildResult.output })
+      };
 
       if (buildResult.success) {
-        progress.success('Build completed successfully!');
+        progress.success(buildResult.cached ? 'Build inputs unchanged, reused cached build' : 'Build completed successfully!');
         this.cli.newline();
 
         this.cli.subtitle('📊 Build Results:');
         this.cli.table([{
           'Status': '✅ Success',
+          'Cached': buildResult.cached ? 'Yes' : 'No',
           'Duration': `${buildResult.duration}ms`,
           'Artifacts': buildResult.artifacts.length,
           'Output Size': this.formatFileSize(buildResult.artifacts.reduce((total, artifact) => total + artifact.size, 0))
@@ -264,7 +295,7 @@ export class BuildCommand implements CLICommand {
         if (args.verbose && buildResult.output) {
           this.cli.newline();
           this.cli.subtitle('📝 Build Output:');
-          console.log(buildResult.output);
+          this.cli.print(buildResult.output);
         }
 
         if (buildResult.artifacts.length > 0) {
@@ -285,12 +316,64 @@ export class BuildCommand implements CLICommand {
         if (args.verbose && buildResult.output) {
           this.cli.newline();
           this.cli.subtitle('📝 Build Output:');
-          console.log(buildResult.output);
+          this.cli.print(buildResult.output);
         }
 
-        process.exit(1);
+        // Fail, but only once the result has been rendered
+        process.exitCode = ExitCode.BUILD;
       }
 
+      return result;
+
+    } catch (error) {
+      this.cli.error(`Build failed: ${(error as Error).message}`);
+      throw error;
+    }
+  }
+
+  private async buildWorkspace(args: CommandArgs): Promise<CommandResult> {
+    try {
+      const { workspace, members, concurrency } = await selectWorkspaceMembers(this.cli, args);
+      if (members.length === 0) {
+        this.cli.success('Nothing to build');
+        return { workspace: workspace.file, projects: [] };
+      }
+
+      this.cli.info(`Building ${members.map(member => member.name).join(', ')} (up to ${concurrency} at a time)`);
+      this.cli.newline();
+
+      const results = await runInDependencyOrder(members, concurrency, async member => {
+        const project = await this.projectManager.loadProject(member.path);
+        const validation = await this.projectManager.validateProject(project);
+        if (!validation.valid) {
+          throw new ValidationError(`Validation failed: ${validation.errors.map(error => error.message).join('; ')}`);
+        }
+
+        this.cli.info(`[${member.name}] Building with: ${project.config.build.command}`);
+        const buildResult = await this.projectManager.buildProject(project, { cache: args.cache });
+        if (!buildResult.success) {
+          this.cli.error(`[${member.name}] Build failed: ${buildResult.error || 'Unknown error occurred'}`);
+          throw new BuildError(buildResult.error || 'Build failed');
+        }
+
+        this.cli.success(`[${member.name}] ${buildResult.cached ? 'Reused cached build' : `Built in ${buildResult.duration}ms`}`);
+        return {
+          cached: !!buildResult.cached,
+          duration: buildResult.duration,
+          artifacts: buildResult.artifacts,
+          ...(args.verbose && { output: buildResult.output })
+        };
+      });
+
+      this.cli.newline();
+      this.cli.subtitle('📊 Build Results:');
+      showWorkspaceResults(this.cli, results, 'Built');
+
+      if (results.some(result => result.status !== 'succeeded')) {
+        process.exitCode = ExitCode.BUILD;
+      }
+      return { workspace: workspace.file, changedSince: args.changedSince, projects: results };
+
     } catch (error) {
       this.cli.error(`Build failed: ${(error as Error).message}`);
       throw error;
@@ -318,6 +401,7 @@ export class DeployCommand implements CLICommand {
   constructor(
     private cli: CLIInterface,
     private projectManager: ProjectManagerImpl,
+    private deploymentPipeline: DeploymentPipeline,
     private logger: Logger
   ) {}
 
@@ -327,6 +411,7 @@ export class DeployCommand implements CLICommand {
       alias: 't',
       description: 'Deployment target',
       type: 'string' as const,
+      complete: 'targets',
       required: true
     },
     {
@@ -348,14 +433,26 @@ export class DeployCommand implements CLICommand {
       description: 'Show what would be deployed without actually deploying',
       type: 'boolean' as const,
       default: false
-    }
+    },
+    {
+      name: 'no-cache',
+      description: 'Rebuild even if the build inputs have not changed',
+      type: 'boolean' as const
+    },
+    ...workspaceOptions
   ];
 
-  async handler(args: CommandArgs): Promise<void> {
+  async handler(args: CommandArgs): Promise<CommandResult | void> {
     this.cli.title('🚀 AI Builder - Project Deployment');
     this.cli.newline();
 
+    if (args.all) {
+      return this.deployWorkspace(args);
+    }
+
     try {
+      rejectWorkspaceOnlyOptions(args);
+
       // Load project
       const project = await this.projectManager.loadProject(args.path);
       
@@ -366,12 +463,11 @@ export class DeployCommand implements CLICommand {
       // Find deployment target
       const target = project.config.deploy?.targets?.find(t => t.name === args.target);
       if (!target) {
-        this.cli.error(`Deployment target '${args.target}' not found`);
         this.cli.info('Available targets:');
         project.config.deploy?.targets?.forEach(t => {
           this.cli.list([`  • ${t.name} (${t.type})`]);
         });
-        return;
+        throw new UsageError(`Deployment target '${args.target}' not found`);
       }
 
       // Show deployment plan
@@ -381,6 +477,7 @@ export class DeployCommand implements CLICommand {
         'Target': target.name,
         'Type': target.type,
         'Environment': target.environment,
+        'Strategy': target.strategy?.type || 'recreate',
         'Version': project.version
       }]);
 
@@ -406,30 +503,47 @@ export class DeployCommand implements CLICommand {
           `• Project: ${project.name}`,
           `• Target: ${target.name} (${target.type})`,
           `• Environment: ${target.environment}`,
+          `• Strategy: ${target.strategy?.type || 'recreate'}`,
           `• Version: ${project.version}`,
           `• Build command: ${project.config.build.command}`,
           `• Output directory: ${project.config.build.outputDir}`
         ]);
-        return;
-      }
 
-      // Build project first
-      this.cli.info('🔨 Building project before deployment...');
-      const buildResult = await this.projectManager.buildProject(project);
-      
-      if (!buildResult.success) {
-        this.cli.error('Build failed - deployment aborted');
-        return;
-      }
+        const environment = await this.deploymentPipeline.previewEnvironment(project, target);
+        if (Object.keys(environment).length > 0) {
+          this.cli.newline();
+          this.cli.subtitle('🔧 Environment:');
+          this.cli.list(Object.entries(environment).map(([key, value]) => `• ${key}=${value}`));
+        }
 
-      this.cli.success('Build completed successfully');
+        return {
+          dryRun: true,
+          project: project.name,
+          target: target.name,
+          type: target.type,
+          environment: target.environment,
+          strategy: target.strategy?.type || 'recreate',
+          version: project.version,
+          buildCommand: project.config.build.command,
+          outputDir: project.config.build.outputDir,
+          variables: environment
+        };
+      }
 
-      // Deploy (placeholder for actual deployment logic)
+      // The pipeline builds the project (or reuses a cached build) before deploying
       const progress = this.cli.createProgressIndicator();
       progress.start(`Deploying to ${target.name}...`);
 
-      // TODO: Implement actual deployment logic
-      await this.simulateDeployment(target, project);
+      let deployment: Deployment;
+      try {
+        deployment = await this.deploymentPipeline.executeDeployment(project, target, {
+          cache: args.cache,
+          progressCallback: (percent, message) => progress.update(message, percent)
+        });
+      } catch (error) {
+        progress.error(`Deployment to '${target.name}' failed`);
+        throw error;
+      }
 
       progress.success(`Deployment to '${target.name}' completed successfully!`);
       this.cli.newline();
@@ -437,32 +551,128 @@ export class DeployCommand implements CLICommand {
       this.cli.subtitle('🎉 Deployment Results:');
       this.cli.table([{
         'Status': '✅ Success',
+        'Deployment': deployment.id,
         'Target': target.name,
         'Environment': target.environment,
-        'Version': project.version,
-        'Deployed At': new Date().toLocaleString()
+        'Version': deployment.version,
+        'Build': deployment.buildResult?.cached ? 'Cached' : 'Fresh',
+        'URL': deployment.result?.url || 'N/A',
+        'Deployed At': (deployment.completedAt || new Date()).toLocaleString()
       }]);
 
+      // Providers that supervise a process report it, e.g. local deployments
+      const metadata = deployment.result?.metadata || {};
+      if (metadata.pid) {
+        this.cli.table([{
+          'PID': metadata.pid,
+          'Port': metadata.instancePort ?? metadata.port,
+          'Log File': metadata.logFile || 'N/A'
+        }]);
+      }
+
       this.cli.newline();
       this.cli.info('📊 Next steps:');
       this.cli.list([
         'ai-builder status',
-        'ai-builder logs',
-        'ai-builder rollback <version>'
+        `ai-builder logs --deployment ${deployment.id}`,
+        `ai-builder rollback [version] --target ${target.name}`,
+        `ai-builder stop --target ${target.name}`
       ]);
 
+      return { deployment: summarizeDeployment(deployment), cached: !!deployment.buildResult?.cached };
+
     } catch (error) {
       this.cli.error(`Deployment failed: ${(error as Error).message}`);
-      throw error;
+      throw asCLIError(error, message => new DeployError(message));
     }
   }
 
-  private async simulateDeployment(target: any, project: Project): Promise<void> {
-    // Simulate deployment delay
-    await new Promise(resolve => setTimeout(resolve, 2000));
-    
-    // This would be replaced with actual deployment logic
-    this.logger.info(`Simulating deployment to ${target.name} (${target.type})`);
+  // Each member that has the target is built and deployed once the members it
+  // depends on are; members without the target are left out
+  private async deployWorkspace(args: CommandArgs): Promise<CommandResult | void> {
+    try {
+      const { workspace, members, concurrency } = await selectWorkspaceMembers(this.cli, args);
+
+      const plan: { member: WorkspaceMember; project: Project; target: DeploymentTarget }[] = [];
+      const missing: string[] = [];
+      for (const member of members) {
+        const project = await this.projectManager.loadProject(member.path);
+        const target = project.config.deploy?.targets?.find(t => t.name === args.target);
+        target ? plan.push({ member, project, target }) : missing.push(member.name);
+      }
+
+      if (missing.length > 0) {
+        this.cli.info(`No '${args.target}' target, left out: ${missing.join(', ')}`);
+      }
+      if (plan.length === 0) {
+        this.cli.success('Nothing to deploy');
+        return { workspace: workspace.file, target: args.target, projects: [] };
+      }
+
+      this.cli.subtitle('📋 Deployment Plan (in order):');
+      this.cli.table(plan.map(({ member, project, target }) => ({
+        'Project': member.name,
+        'Path': path.relative(workspace.root, member.path) || '.',
+        'After': member.dependsOn.join(', ') || '-',
+        'Type': target.type,
+        'Environment': target.environment,
+        'Version': project.version
+      })));
+      this.cli.newline();
+
+      if (args.dryRun) {
+        this.cli.info('🔍 Dry run mode - no actual deployment will be performed');
+        return {
+          dryRun: true,
+          workspace: workspace.file,
+          target: args.target,
+          projects: plan.map(({ member, project, target }) => ({
+            project: member.name,
+            path: member.path,
+            dependsOn: member.dependsOn,
+            type: target.type,
+            environment: target.environment,
+            version: project.version
+          }))
+        };
+      }
+
+      if (!args.force) {
+        const confirmed = await this.cli.confirm(`Are you sure you want to deploy ${plan.length} project${plan.length === 1 ? '' : 's'} to '${args.target}'?`);
+        if (!confirmed) {
+          this.cli.info('Deployment cancelled');
+          return;
+        }
+      }
+
+      const byName = new Map(plan.map(entry => [entry.member.name, entry]));
+      const results = await runInDependencyOrder(plan.map(entry => entry.member), concurrency, async member => {
+        const { project, target } = byName.get(member.name)!;
+        this.cli.info(`[${member.name}] Deploying to ${target.name} (${target.environment})`);
+
+        try {
+          const deployment = await this.deploymentPipeline.executeDeployment(project, target, { cache: args.cache });
+          this.cli.success(`[${member.name}] Deployed ${deployment.version}${deployment.result?.url ? ` at ${deployment.result.url}` : ''}`);
+          return summarizeDeployment(deployment);
+        } catch (error) {
+          this.cli.error(`[${member.name}] Deployment failed: ${(error as Error).message}`);
+          throw error;
+        }
+      });
+
+      this.cli.newline();
+      this.cli.subtitle('🎉 Deployment Results:');
+      showWorkspaceResults(this.cli, results, 'Deployed');
+
+      if (results.some(result => result.status !== 'succeeded')) {
+        process.exitCode = ExitCode.DEPLOY;
+      }
+      return { workspace: workspace.file, target: args.target, changedSince: args.changedSince, projects: results };
+
+    } catch (error) {
+      this.cli.error(`Deployment failed: ${(error as Error).message}`);
+      throw asCLIError(error, message => new DeployError(message));
+    }
   }
 }
 
@@ -473,6 +683,7 @@ export class StatusCommand implements CLICommand {
   constructor(
     private cli: CLIInterface,
     private projectManager: ProjectManagerImpl,
+    private deploymentEngine: DeploymentEngineImpl,
     private logger: Logger
   ) {}
 
@@ -481,7 +692,8 @@ export class StatusCommand implements CLICommand {
       name: 'project',
       alias: 'p',
       description: 'Show status for specific project',
-      type: 'string' as const
+      type: 'string' as const,
+      complete: 'projects'
     },
     {
       name: 'deployments',
@@ -492,7 +704,7 @@ export class StatusCommand implements CLICommand {
     }
   ];
 
-  async handler(args: CommandArgs): Promise<void> {
+  async handler(args: CommandArgs): Promise<CommandResult> {
     this.cli.title('📊 AI Builder - Status Overview');
     this.cli.newline();
 
@@ -500,11 +712,11 @@ export class StatusCommand implements CLICommand {
       if (args.project) {
         // Show status for specific project
         const project = await this.projectManager.loadProject(args.project);
-        await this.showProjectStatus(project, args.deployments);
+        return await this.showProjectStatus(project, args.deployments);
       } else {
         // Show status for all projects
         const projects = await this.projectManager.listProjects();
-        await this.showAllProjectsStatus(projects, args.deployments);
+        return await this.showAllProjectsStatus(projects, args.deployments);
       }
 
     } catch (error) {
@@ -513,15 +725,17 @@ export class StatusCommand implements CLICommand {
     }
   }
 
-  private async showProjectStatus(project: Project, showDeployments: boolean): Promise<void> {
+  private async showProjectStatus(project: Project, showDeployments: boolean): Promise<CommandResult> {
+    const deployments = await this.deploymentEngine.findDeployments({ projectId: project.id });
+
     this.cli.subtitle(`📁 Project: ${project.name}`);
     this.cli.table([{
       'Name': project.name,
       'Template': project.template,
       'Version': project.version,
       'Path': project.path,
-      'Created': project.createdAt.toLocaleString(),
-      'Updated': project.updatedAt.toLocaleString()
+      'Created': new Date(project.createdAt).toLocaleString(),
+      'Updated': new Date(project.updatedAt).toLocaleString()
     }]);
 
     // Show validation status
@@ -548,19 +762,27 @@ export class StatusCommand implements CLICommand {
     this.cli.newline();
     this.cli.subtitle('🎯 Deployment Targets:');
     if (project.config.deploy?.targets && project.config.deploy.targets.length > 0) {
-      project.config.deploy.targets.forEach(target => {
-        this.cli.list([`  • ${target.name} (${target.type} - ${target.environment})`]);
-      });
+      this.cli.table(project.config.deploy.targets.map(target => {
+        const current = deployments.find(d => d.target.name === target.name);
+        return {
+          'Target': target.name,
+          'Type': target.type,
+          'Environment': target.environment,
+          'Version': current?.version || '-',
+          'Status': current ? this.formatDeploymentStatus(current.status) : 'Never deployed',
+          'URL': current?.result?.url || '-'
+        };
+      }));
     } else {
       this.cli.info('No deployment targets configured');
     }
 
     // Show deployment history
-    if (showDeployments && project.deployments.length > 0) {
+    if (showDeployments && deployments.length > 0) {
       this.cli.newline();
       this.cli.subtitle('📜 Deployment History:');
-      const deploymentData = project.deployments.map(deployment => ({
-        'ID': deployment.id.substring(0, 8),
+      const deploymentData = deployments.map(deployment => ({
+        'ID': deployment.id,
         'Target': deployment.target.name,
         'Version': deployment.version,
         'Status': this.formatDeploymentStatus(deployment.status),
@@ -571,42 +793,76 @@ export class StatusCommand implements CLICommand {
       }));
       this.cli.table(deploymentData);
     }
+
+    const targets = project.config.deploy?.targets || [];
+    return {
+      project: {
+        id: project.id,
+        name: project.name,
+        template: project.template,
+        version: project.version,
+        path: project.path,
+        createdAt: project.createdAt,
+        updatedAt: project.updatedAt
+      },
+      validation: {
+        valid: validation.valid,
+        errors: validation.errors.map(error => error.message),
+        warnings: validation.warnings.map(warning => warning.message)
+      },
+      targets: targets.map(target => {
+        const current = deployments.find(d => d.target.name === target.name);
+        return {
+          name: target.name,
+          type: target.type,
+          environment: target.environment,
+          deployment: current ? summarizeDeployment(current) : null
+        };
+      }),
+      ...(showDeployments && { deployments: deployments.map(summarizeDeployment) })
+    };
   }
 
-  private async showAllProjectsStatus(projects: Project[], showDeployments: boolean): Promise<void> {
+  private async showAllProjectsStatus(projects: Project[], showDeployments: boolean): Promise<CommandResult> {
     if (projects.length === 0) {
       this.cli.info('No projects found');
-      return;
+      return { projects: [] };
     }
 
     this.cli.subtitle(`📁 All Projects (${projects.length})`);
     
-    const projectData = await Promise.all(projects.map(async project => {
-      const validation = await this.projectManager.validateProject(project);
-      return {
-        'Name': project.name,
-        'Template': project.template,
-        'Version': project.version,
-        'Status': validation.valid ? '✅ Valid' : '❌ Invalid',
-        'Deployments': project.deployments.length,
-        'Updated': project.updatedAt.toLocaleDateString()
-      };
-    }));
-
-    this.cli.table(projectData);
+    const allDeployments = await this.deploymentEngine.findDeployments();
+
+    const summaries = await Promise.all(projects.map(async project => ({
+      id: project.id,
+      name: project.name,
+      template: project.template,
+      version: project.version,
+      path: project.path,
+      valid: (await this.projectManager.validateProject(project)).valid,
+      deployments: allDeployments.filter(d => d.projectId === project.id).length,
+      updatedAt: project.updatedAt
+    })));
+
+    this.cli.table(summaries.map(summary => ({
+      'Name': summary.name,
+      'Template': summary.template,
+      'Version': summary.version,
+      'Status': summary.valid ? '✅ Valid' : '❌ Invalid',
+      'Deployments': summary.deployments,
+      'Updated': new Date(summary.updatedAt).toLocaleDateString()
+    })));
+
+    const recentDeployments = allDeployments.slice(0, 10);
 
     if (showDeployments) {
       this.cli.newline();
       this.cli.subtitle('📜 Recent Deployments:');
-      
-      const allDeployments = projects
-        .flatMap(p => p.deployments)
-        .sort((a, b) => b.createdAt.getTime() - a.createdAt.getTime())
-        .slice(0, 10);
-
-      if (allDeployments.length > 0) {
-        const deploymentData = allDeployments.map(deployment => ({
-          'Project': deployment.projectId.substring(0, 8),
+
+      if (recentDeployments.length > 0) {
+        const deploymentData = recentDeployments.map(deployment => ({
+          'ID': deployment.id,
+          'Project': projects.find(p => p.id === deployment.projectId)?.name || deployment.projectId.substring(0, 8),
           'Target': deployment.target.name,
           'Status': this.formatDeploymentStatus(deployment.status),
           'Created': deployment.createdAt.toLocaleString()
@@ -616,6 +872,11 @@ export class StatusCommand implements CLICommand {
         this.cli.info('No deployments found');
       }
     }
+
+    return {
+      projects: summaries,
+      ...(showDeployments && { deployments: recentDeployments.map(summarizeDeployment) })
+    };
   }
 
   private formatDeploymentStatus(status: string): string {
@@ -626,8 +887,290 @@ export class StatusCommand implements CLICommand {
       'success': '✅ Success',
       'failed': '❌ Failed',
       'rolling_back': '🔄 Rolling Back',
-      'rolled_back': '↩️ Rolled Back'
+      'rolled_back': '↩️ Rolled Back',
+      'stopped': '⏹️ Stopped',
+      'cancelled': '🚫 Cancelled'
     };
     return statusMap[status] || status;
   }
 }
+
+export class LogsCommand implements CLICommand {
+  name = 'logs';
+  description = 'Show the logs of a deployment';
+  
+  constructor(
+    private cli: CLIInterface,
+    private projectManager: ProjectManagerImpl,
+    private deploymentEngine: DeploymentEngineImpl,
+    private logger: Logger
+  ) {}
+
+  options = [
+    {
+      name: 'deployment',
+      alias: 'd',
+      description: 'Deployment ID (or unique prefix)',
+      type: 'string' as const
+    },
+    {
+      name: 'target',
+      alias: 't',
+      description: 'Show the latest deployment to this target',
+      type: 'string' as const,
+      complete: 'targets'
+    },
+    {
+      name: 'path',
+      alias: 'p',
+      description: 'Path to the project directory',
+      type: 'string' as const,
+      default: '.'
+    },
+    {
+      name: 'level',
+      alias: 'l',
+      description: 'Only show entries of this level',
+      type: 'string' as const,
+      choices: ['debug', 'info', 'warn', 'error']
+    },
+    {
+      name: 'limit',
+      alias: 'n',
+      description: 'Show only the last N entries',
+      type: 'number' as const
+    },
+    {
+      name: 'app',
+      alias: 'a',
+      description: 'Show the output of the deployed process instead',
+      type: 'boolean' as const,
+      default: false
+    }
+  ];
+
+  async handler(args: CommandArgs): Promise<CommandResult> {
+    const deployment = await this.findDeployment(args);
+
+    if (!deployment) {
+      this.cli.info('No deployments found');
+      return { deployment: null, logs: [] };
+    }
+
+    if (args.app) {
+      return { deployment: deployment.id, lines: await this.showAppLog(deployment, args.limit) };
+    }
+
+    this.cli.title(`📜 Logs for deployment ${deployment.id}`);
+    this.cli.info(`Target: ${deployment.target.name} | Version: ${deployment.version} | Status: ${deployment.status}`);
+    this.cli.newline();
+
+    let logs = await this.deploymentEngine.getLogs(deployment);
+
+    if (args.level) {
+      logs = logs.filter(log => log.level === args.level);
+    }
+    if (args.limit) {
+      logs = logs.slice(-args.limit);
+    }
+
+    if (logs.length === 0) {
+      this.cli.info('No log entries');
+    }
+
+    logs.forEach(log => this.cli.print(this.formatLog(log)));
+    return { deployment: deployment.id, logs };
+  }
+
+  private async findDeployment(args: CommandArgs): Promise<Deployment | null> {
+    if (args.deployment) {
+      const deployment = await this.deploymentEngine.getDeployment(args.deployment);
+      if (!deployment) {
+        throw new UsageError(`Deployment '${args.deployment}' not found`);
+      }
+      return deployment;
+    }
+
+    const project = await this.projectManager.loadProject(args.path);
+    const [latest] = await this.deploymentEngine.findDeployments({
+      projectId: project.id,
+      target: args.target,
+      limit: 1
+    });
+
+    return latest || null;
+  }
+
+  // stdout/stderr of the process, for providers that capture it to a file
+  private async showAppLog(deployment: Deployment, limit?: number): Promise<string[]> {
+    const logFile = deployment.result?.metadata.logFile;
+    if (!logFile || !await fs.pathExists(logFile)) {
+      this.cli.info(`No process output recorded for deployment ${deployment.id}`);
+      return [];
+    }
+
+    const lines = (await fs.readFile(logFile, 'utf-8')).split('\n');
+    if (lines[lines.length - 1] === '') {
+      lines.pop();
+    }
+
+    const shown = limit ? lines.slice(-limit) : lines;
+    this.cli.print(shown.join('\n'));
+    return shown;
+  }
+
+  private formatLog(log: DeploymentLog): string {
+    return `[${log.timestamp.toISOString()}] ${log.level.toUpperCase().padEnd(5)} ${log.source}: ${log.message}`;
+  }
+}
+
+export class RollbackCommand implements CLICommand {
+  name = 'rollback';
+  description = 'Roll a deployment target back to a previous release';
+  
+  constructor(
+    private cli: CLIInterface,
+    private projectManager: ProjectManagerImpl,
+    private deploymentEngine: DeploymentEngineImpl,
+    private logger: Logger
+  ) {}
+
+  arguments = [
+    {
+      name: 'version',
+      description: 'Release version or id to roll back to (defaults to the last good release)'
+    }
+  ];
+
+  options = [
+    {
+      name: 'target',
+      alias: 't',
+      description: 'Deployment target to roll back',
+      type: 'string' as const,
+      complete: 'targets'
+    },
+    {
+      name: 'path',
+      alias: 'p',
+      description: 'Path to the project directory',
+      type: 'string' as const,
+      default: '.'
+    },
+    {
+      name: 'force',
+      alias: 'f',
+      description: 'Roll back without confirmation',
+      type: 'boolean' as const,
+      default: false
+    }
+  ];
+
+  async handler(args: CommandArgs): Promise<CommandResult | void> {
+    this.cli.title('🔄 AI Builder - Rollback');
+    this.cli.newline();
+
+    try {
+      const project = await this.projectManager.loadProject(args.path);
+      const targets = project.config.deploy?.targets || [];
+
+      // A single configured target does not need to be named
+      const targetName = args.target || (targets.length === 1 ? targets[0].name : undefined);
+      if (!targetName) {
+        targets.forEach(t => this.cli.list([`  • ${t.name} (${t.type})`]));
+        throw new UsageError('Please choose a target with --target');
+      }
+
+      const [current] = await this.deploymentEngine.findDeployments({
+        projectId: project.id,
+        target: targetName,
+        limit: 1
+      });
+      if (!current) {
+        throw new UsageError(`No deployments found for target '${targetName}'`);
+      }
+
+      // Each deploy records its own release, so a version may have several;
+      // the newest good one is used
+      const releases = await this.deploymentEngine.listReleases(project.id, targetName);
+      const release = args.version
+        ? await this.deploymentEngine.findRelease(current, args.version)
+        : await this.deploymentEngine.findLastGoodRelease(current);
+
+      if (!release) {
+        this.showReleases(releases, current.releaseId);
+        throw new UsageError(args.version
+          ? `Release '${args.version}' not found for target '${targetName}'`
+          : `No earlier release to roll back to on target '${targetName}'`);
+      }
+
+      this.cli.subtitle('📋 Rollback Plan:');
+      this.cli.table([{
+        'Project': project.name,
+        'Target': targetName,
+        'Environment': current.target.environment,
+        'Current Version': current.version,
+        'Rollback To': release.version,
+        'Release': release.id,
+        'Released': release.createdAt.toLocaleString()
+      }]);
+      this.cli.newline();
+
+      if (!args.force) {
+        const confirmed = await this.cli.confirm(
+          `Roll '${targetName}' back from ${current.version} to ${release.version}?`
+        );
+
+        if (!confirmed) {
+          this.cli.info('Rollback cancelled');
+          return;
+        }
+      }
+
+      const progress = this.cli.createProgressIndicator();
+      progress.start(`Rolling back to ${release.version}...`);
+
+      try {
+        await this.deploymentEngine.rollback(current, release.id);
+      } catch (error) {
+        progress.error(`Rollback to ${release.version} failed`);
+        throw error;
+      }
+
+      progress.success(`Rolled '${targetName}' back to ${release.version}`);
+      this.cli.newline();
+
+      this.cli.table([{
+        'Status': '✅ Rolled back',
+        'Deployment': current.id,
+        'Version': current.version,
+        'Rolled Back From': current.rollbackFrom || 'N/A',
+        'URL': current.result?.url || 'N/A'
+      }]);
+
+      return {
+        deployment: summarizeDeployment(current),
+        releases: releases.map(item => summarizeRelease(item, current.releaseId))
+      };
+
+    } catch (error) {
+      this.cli.error(`Rollback failed: ${(error as Error).message}`);
+      throw asCLIError(error, message => new DeployError(message));
+    }
+  }
+
+  private showReleases(releases: Release[], currentReleaseId?: string): void {
+    if (releases.length === 0) {
+      this.cli.info('No releases have been recorded yet');
+      return;
+    }
+
+    this.cli.info('Available releases:');
+    this.cli.table(releases.map(release => ({
+      'Version': release.version,
+      'Deployment': release.deploymentId,
+      'Released': release.createdAt.toLocaleString(),
+      'Current': release.id === currentReleaseId ? '✓' : ''
+    })));
+  }
+}
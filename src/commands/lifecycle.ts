@@ -0,0 +1,176 @@
+import { CLICommand, CommandArgs, CommandResult, Deployment, DeploymentStatus, Logger } from '../types';
+import { CLIInterface } from '../cli/interface';
+import { summarizeDeployment } from '../cli/results';
+import { ProjectManagerImpl } from '../core/project-manager';
+import { DeploymentEngineImpl } from '../core/deployment-engine';
+import { UsageError, DeployError, asCLIError } from '../utils/errors';
+
+const deploymentOptions = [
+  {
+    name: 'target',
+    alias: 't',
+    description: 'Use the latest deployment to this target',
+    type: 'string' as const,
+    complete: 'targets'
+  },
+  {
+    name: 'path',
+    alias: 'p',
+    description: 'Path to the project directory',
+    type: 'string' as const,
+    default: '.'
+  }
+];
+
+const deploymentArgument = {
+  name: 'deployment',
+  description: 'Deployment ID (or unique prefix); defaults to the latest matching deployment of the project'
+};
+
+// An explicit deployment id, or the project's newest deployment (optionally to
+// one target) that matches
+async function findDeployment(
+  projectManager: ProjectManagerImpl,
+  deploymentEngine: DeploymentEngineImpl,
+  args: CommandArgs,
+  matches: (deployment: Deployment) => boolean
+): Promise<Deployment | null> {
+  if (args.deployment) {
+    const deployment = await deploymentEngine.getDeployment(args.deployment);
+    if (!deployment) {
+      throw new UsageError(`Deployment '${args.deployment}' not found`);
+    }
+    return deployment;
+  }
+
+  const project = await projectManager.loadProject(args.path);
+  const deployments = await deploymentEngine.findDeployments({ projectId: project.id, target: args.target });
+
+  return deployments.find(matches) || null;
+}
+
+export class StopCommand implements CLICommand {
+  name = 'stop';
+  description = 'Stop a running deployment';
+
+  constructor(
+    private cli: CLIInterface,
+    private projectManager: ProjectManagerImpl,
+    private deploymentEngine: DeploymentEngineImpl,
+    private logger: Logger
+  ) {}
+
+  arguments = [deploymentArgument];
+
+  options = deploymentOptions;
+
+  async handler(args: CommandArgs): Promise<CommandResult> {
+    const deployment = await findDeployment(this.projectManager, this.deploymentEngine, args, candidate =>
+      candidate.status === DeploymentStatus.SUCCESS || candidate.status === DeploymentStatus.ROLLED_BACK
+    );
+
+    if (!deployment) {
+      this.cli.info('No running deployment found');
+      return { deployment: null };
+    }
+
+    try {
+      await this.deploymentEngine.stopDeployment(deployment);
+      this.cli.success(`Stopped ${deployment.id} (${deployment.target.name}, ${deployment.version})`);
+    } catch (error) {
+      this.cli.error(`Failed to stop deployment: ${(error as Error).message}`);
+      throw asCLIError(error, message => new DeployError(message));
+    }
+
+    return { deployment: summarizeDeployment(deployment) };
+  }
+}
+
+export class RestartCommand implements CLICommand {
+  name = 'restart';
+  description = 'Restart a deployment\'s process';
+
+  constructor(
+    private cli: CLIInterface,
+    private projectManager: ProjectManagerImpl,
+    private deploymentEngine: DeploymentEngineImpl,
+    private logger: Logger
+  ) {}
+
+  arguments = [deploymentArgument];
+
+  options = deploymentOptions;
+
+  async handler(args: CommandArgs): Promise<CommandResult> {
+    // Anything that got as far as running, including a process that has since crashed
+    const deployment = await findDeployment(this.projectManager, this.deploymentEngine, args, candidate =>
+      !!candidate.result?.success && candidate.status !== DeploymentStatus.CANCELLED
+    );
+
+    if (!deployment) {
+      this.cli.info('No deployment found to restart');
+      return { deployment: null };
+    }
+
+    const progress = this.cli.createProgressIndicator();
+    progress.start(`Restarting ${deployment.id}...`);
+
+    try {
+      await this.deploymentEngine.restartDeployment(deployment);
+    } catch (error) {
+      progress.error('Restart failed');
+      this.cli.error((error as Error).message);
+      throw asCLIError(error, message => new DeployError(message));
+    }
+
+    progress.success(`Restarted ${deployment.id}`);
+    this.cli.table([{
+      'Target': deployment.target.name,
+      'Version': deployment.version,
+      'PID': deployment.result?.metadata.pid ?? 'N/A',
+      'URL': deployment.result?.url || 'N/A',
+      'Log File': deployment.result?.metadata.logFile || 'N/A'
+    }]);
+
+    return { deployment: summarizeDeployment(deployment) };
+  }
+}
+
+export class CancelCommand implements CLICommand {
+  name = 'cancel';
+  description = 'Cancel a deployment that is still in progress';
+
+  constructor(
+    private cli: CLIInterface,
+    private projectManager: ProjectManagerImpl,
+    private deploymentEngine: DeploymentEngineImpl,
+    private logger: Logger
+  ) {}
+
+  arguments = [deploymentArgument];
+
+  options = deploymentOptions;
+
+  async handler(args: CommandArgs): Promise<CommandResult> {
+    const deployment = await findDeployment(this.projectManager, this.deploymentEngine, args, candidate =>
+      candidate.status === DeploymentStatus.PENDING ||
+      candidate.status === DeploymentStatus.BUILDING ||
+      candidate.status === DeploymentStatus.DEPLOYING
+    );
+
+    if (!deployment) {
+      this.cli.info('No deployment in progress');
+      return { deployment: null };
+    }
+
+    try {
+      await this.deploymentEngine.cancelDeployment(deployment);
+      this.cli.success(`Cancelled ${deployment.id}; the deploying process stops at its next step`);
+    } catch (error) {
+      this.cli.error(`Failed to cancel deployment: ${(error as Error).message}`);
+      throw asCLIError(error, message => new DeployError(message));
+    }
+
+    return { deployment: summarizeDeployment(deployment) };
+  }
+}
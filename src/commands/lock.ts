@@ -0,0 +1,117 @@
+import { CLICommand, CLIOption, CommandArgs, CommandResult, Logger } from '../types';
+import { CLIInterface } from '../cli/interface';
+import { ProjectManagerImpl } from '../core/project-manager';
+import { LockManager, LockStatus } from '../core/lock-manager';
+import { UsageError } from '../utils/errors';
+
+export class LockCommand implements CLICommand {
+  name = 'lock';
+  description = 'Inspect or break deploy locks';
+
+  constructor(
+    private cli: CLIInterface,
+    private projectManager: ProjectManagerImpl,
+    private lockManager: LockManager,
+    private logger: Logger
+  ) {}
+
+  options: CLIOption[] = [
+    {
+      name: 'path',
+      alias: 'p',
+      description: 'Path to the project directory',
+      type: 'string' as const,
+      default: '.'
+    }
+  ];
+
+  subcommands: CLICommand[] = [
+    {
+      name: 'status',
+      description: 'Show who holds the deploy locks of a project',
+      options: [
+        {
+          name: 'target',
+          alias: 't',
+          description: 'Only show the lock of this target',
+          type: 'string' as const,
+          complete: 'targets'
+        },
+        ...this.options
+      ],
+      handler: (args: CommandArgs) => this.status(args)
+    },
+    {
+      name: 'release',
+      description: 'Release a stale deploy lock (or any lock with --force)',
+      options: [
+        {
+          name: 'target',
+          alias: 't',
+          description: 'Target whose lock to release',
+          type: 'string' as const,
+          complete: 'targets',
+          required: true
+        },
+        {
+          name: 'force',
+          alias: 'f',
+          description: 'Break the lock even if its deploy still looks alive',
+          type: 'boolean' as const,
+          default: false
+        },
+        ...this.options
+      ],
+      handler: (args: CommandArgs) => this.release(args)
+    }
+  ];
+
+  async handler(args: CommandArgs): Promise<CommandResult> {
+    return this.status(args);
+  }
+
+  private async status(args: CommandArgs): Promise<CommandResult> {
+    const project = await this.projectManager.loadProject(args.path);
+    const found = args.target
+      ? [await this.lockManager.get(project.id, args.target)]
+      : await this.lockManager.list(project.id);
+    const locks = found.filter((lock): lock is LockStatus => lock !== null);
+
+    if (locks.length === 0) {
+      this.cli.info(args.target ? `Target '${args.target}' is not locked` : 'No targets are locked');
+      return [];
+    }
+
+    this.cli.table(locks.map(lock => ({
+      'Target': lock.target,
+      'Owner': lock.owner,
+      'Host': lock.host,
+      'PID': lock.pid,
+      'Deployment': lock.deploymentId || '-',
+      'Since': lock.startedAt.toLocaleString(),
+      'State': lock.stale ? '💤 Stale' : '🔒 Active'
+    })));
+
+    return locks;
+  }
+
+  private async release(args: CommandArgs): Promise<CommandResult> {
+    const project = await this.projectManager.loadProject(args.path);
+    const lock = await this.lockManager.get(project.id, args.target);
+
+    if (!lock) {
+      this.cli.info(`Target '${args.target}' is not locked`);
+      return { target: args.target, released: false };
+    }
+
+    if (!lock.stale && !args.force) {
+      this.cli.error(`Target '${args.target}' is locked by ${this.lockManager.describe(lock)}, which still looks alive`);
+      this.cli.info('Use --force to break it anyway');
+      throw new UsageError(`Lock on '${args.target}' is active`);
+    }
+
+    await this.lockManager.forceRelease(project.id, args.target);
+    this.cli.success(`Released the lock on '${args.target}' held by ${this.lockManager.describe(lock)}`);
+    return { target: args.target, released: true, lock };
+  }
+}
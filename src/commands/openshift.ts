@@ -0,0 +1,190 @@
+import * as path from 'path';
+import { CLICommand, CLIOption, CommandArgs, CommandResult, Logger } from '../types';
+import { CLIInterface } from '../cli/interface';
+import { ContextManager } from '../core/context-manager';
+import { OpenShiftClient } from '../integrations/openshift';
+import { detectModelFiles, readRequirements, detectFramework, parseInferenceData } from '../integrations/model-files';
+import { UsageError, DeployError, asCLIError } from '../utils/errors';
+
+const modelArgument = { name: 'model', description: 'Model name', required: true, complete: 'openshift-models' };
+
+export class OpenShiftCommand implements CLICommand {
+  name = 'openshift';
+  description = 'Deploy and query models on the OpenShift model endpoint';
+
+  constructor(
+    private cli: CLIInterface,
+    private contextManager: ContextManager,
+    private logger: Logger
+  ) {}
+
+  options: CLIOption[] = [];
+
+  subcommands: CLICommand[] = [
+    {
+      name: 'init',
+      description: 'Check the endpoint and token',
+      options: [],
+      handler: () => this.init()
+    },
+    {
+      name: 'deploy-model',
+      description: 'Deploy the model files in a directory',
+      arguments: [
+        { name: 'name', description: 'Model name', required: true },
+        { name: 'type', description: 'Model type (default: ml)', required: false }
+      ],
+      options: [
+        {
+          name: 'path',
+          alias: 'p',
+          description: 'Directory with the model files and requirements.txt',
+          type: 'string' as const,
+          default: '.'
+        },
+        {
+          name: 'no-wait',
+          description: 'Return once the deployment has started',
+          type: 'boolean' as const
+        }
+      ],
+      handler: (args: CommandArgs) => this.deployModel(args)
+    },
+    {
+      name: 'list-models',
+      description: 'List the models deployed from this machine',
+      options: [],
+      handler: () => this.listModels()
+    },
+    {
+      name: 'infer',
+      description: 'Run inference; data is JSON or a prompt',
+      arguments: [modelArgument, { name: 'data', description: 'JSON input, or prompt text', required: false, variadic: true }],
+      options: [],
+      handler: (args: CommandArgs) => this.infer(args)
+    },
+    {
+      name: 'status',
+      description: 'Show a model\'s deployment status',
+      arguments: [modelArgument],
+      options: [],
+      handler: (args: CommandArgs) => this.status(args.model)
+    }
+  ];
+
+  async handler(): Promise<CommandResult> {
+    return this.listModels();
+  }
+
+  private async getClient(): Promise<OpenShiftClient> {
+    const { openshift } = await this.contextManager.getSettings();
+    return new OpenShiftClient(openshift, this.logger);
+  }
+
+  private async init(): Promise<CommandResult> {
+    const client = await this.getClient();
+
+    if (!client.hasToken()) {
+      this.cli.warning('No OpenShift token: set openshift.token, OPENSHIFT_TOKEN or use a context');
+    }
+
+    try {
+      await client.checkConnection();
+    } catch (error) {
+      this.cli.error(`Connection failed: ${(error as Error).message}`);
+      this.cli.info('Check openshift.endpoint and openshift.token (ai-builder config list)');
+      throw error;
+    }
+
+    this.cli.success('OpenShift connection successful');
+    return { connected: true };
+  }
+
+  private async deployModel(args: CommandArgs): Promise<CommandResult> {
+    const dir = path.resolve(args.path);
+    const modelFiles = await detectModelFiles(dir);
+    if (modelFiles.length === 0) {
+      throw new UsageError(`No model files (.pkl, .joblib, .h5, .pb, .onnx, .pt, .pth) found in ${dir}`);
+    }
+
+    const requirements = await readRequirements(dir);
+    const client = await this.getClient();
+    const progress = this.cli.createProgressIndicator();
+    progress.start(`Deploying model ${args.name}...`);
+
+    try {
+      const model = await client.deployModel({
+        name: args.name,
+        type: args.type || 'ml',
+        framework: detectFramework(requirements),
+        modelPath: path.relative(dir, modelFiles[0]),
+        requirements
+      });
+
+      if (args.wait === false) {
+        progress.success(`Deployment of ${args.name} started`);
+        return model;
+      }
+
+      const status = await client.waitForModel(args.name, {
+        onStatus: (current, attempt, attempts) =>
+          progress.update(`Waiting for ${args.name} (${current.status})`, Math.round(attempt / attempts * 100))
+      });
+      progress.success(`Model ${args.name} is ready`);
+      if (status.endpoint) {
+        this.cli.info(`Endpoint: ${status.endpoint}`);
+      }
+      return { ...model, status: 'ready', endpoint: status.endpoint || model.endpoint };
+    } catch (error) {
+      progress.error(`Deployment of ${args.name} failed: ${(error as Error).message}`);
+      throw asCLIError(error, message => new DeployError(message));
+    }
+  }
+
+  private async listModels(): Promise<CommandResult> {
+    const models = await (await this.getClient()).listModels();
+
+    this.cli.title('📋 AI Builder - OpenShift Models');
+    this.cli.newline();
+
+    if (models.length === 0) {
+      this.cli.info("No models deployed yet. Deploy one with 'ai-builder openshift deploy-model <name>'");
+      return [];
+    }
+
+    this.cli.table(models.map(model => ({
+      'Name': model.name,
+      'Status': model.status,
+      'Endpoint': model.endpoint || 'N/A',
+      'Deployed': new Date(model.deployedAt).toLocaleString()
+    })));
+
+    return models;
+  }
+
+  private async infer(args: CommandArgs): Promise<CommandResult> {
+    const client = await this.getClient();
+
+    try {
+      const result = await client.infer(args.model, parseInferenceData(args.data || []));
+      this.cli.print(JSON.stringify(result, null, 2));
+      return result;
+    } catch (error) {
+      this.cli.error(`Inference failed: ${(error as Error).message}`);
+      throw error;
+    }
+  }
+
+  private async status(name: string): Promise<CommandResult> {
+    const status = await (await this.getClient()).getStatus(name);
+
+    this.cli.title(`📊 Status for ${name}`);
+    this.cli.table([{
+      'Status': status.status,
+      'Endpoint': status.endpoint || 'N/A',
+      'Error': status.error || 'None'
+    }]);
+
+    return { name, ...status };
+  }
+}
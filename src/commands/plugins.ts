@@ -0,0 +1,109 @@
+import { CLICommand, CLIOption, CommandArgs, CommandResult, Logger } from '../types';
+import { CLIInterface } from '../cli/interface';
+import { PluginManager, LoadedPlugin } from '../core/plugin-manager';
+
+export class PluginsCommand implements CLICommand {
+  name = 'plugins';
+  description = 'List, enable and disable plugins';
+
+  constructor(
+    private cli: CLIInterface,
+    private pluginManager: PluginManager,
+    private logger: Logger
+  ) {}
+
+  options: CLIOption[] = [];
+
+  subcommands: CLICommand[] = [
+    {
+      name: 'list',
+      description: 'List installed and project plugins',
+      options: [],
+      handler: () => this.list()
+    },
+    {
+      name: 'enable',
+      description: 'Enable a plugin',
+      arguments: [{ name: 'name', description: 'Plugin name', required: true }],
+      options: [],
+      handler: (args: CommandArgs) => this.setEnabled(args.name, true)
+    },
+    {
+      name: 'disable',
+      description: 'Disable a plugin without uninstalling it',
+      arguments: [{ name: 'name', description: 'Plugin name', required: true }],
+      options: [],
+      handler: (args: CommandArgs) => this.setEnabled(args.name, false)
+    }
+  ];
+
+  async handler(): Promise<CommandResult> {
+    return this.list();
+  }
+
+  private async list(): Promise<CommandResult> {
+    this.cli.title('🔌 AI Builder - Plugins');
+    this.cli.newline();
+
+    const plugins = this.pluginManager.list();
+
+    if (plugins.length === 0) {
+      this.cli.info(`No plugins found. Install them in ${this.pluginManager.getPluginsDir()} or list them under \`plugins\` in the project config`);
+      return [];
+    }
+
+    this.cli.table(plugins.map(plugin => ({
+      'Name': plugin.name,
+      'Version': plugin.plugin?.version || '-',
+      'Source': plugin.source,
+      'Status': this.formatStatus(plugin),
+      'Commands': (plugin.plugin?.commands || []).map(command => command.name).join(', ') || '-',
+      'Path': plugin.path
+    })));
+
+    const broken = plugins.filter(plugin => plugin.errors.length > 0);
+    if (broken.length > 0) {
+      this.cli.newline();
+      broken.forEach(plugin => {
+        this.cli.error(`${plugin.name}:`);
+        this.cli.list(plugin.errors.map(error => `  ✗ ${error}`));
+      });
+    }
+
+    return plugins.map(plugin => ({
+      name: plugin.name,
+      version: plugin.plugin?.version,
+      source: plugin.source,
+      enabled: plugin.enabled,
+      disabledBy: plugin.disabledBy,
+      commands: (plugin.plugin?.commands || []).map(command => command.name),
+      path: plugin.path,
+      errors: plugin.errors
+    }));
+  }
+
+  private async setEnabled(name: string, enabled: boolean): Promise<CommandResult> {
+    try {
+      await this.pluginManager.setEnabled(name, enabled);
+    } catch (error) {
+      this.cli.error((error as Error).message);
+      throw error;
+    }
+
+    const plugin = this.pluginManager.list().find(entry => entry.name === name);
+    this.cli.success(`Plugin '${name}' ${enabled ? 'enabled' : 'disabled'}`);
+
+    if (enabled && plugin?.disabledBy === 'project') {
+      this.cli.warning('The project config still sets `enabled: false` for this plugin');
+    }
+
+    return { name, enabled, effective: plugin?.enabled ?? enabled };
+  }
+
+  private formatStatus(plugin: LoadedPlugin): string {
+    if (!plugin.enabled) {
+      return plugin.disabledBy === 'project' ? '⏸️ Disabled (project)' : '⏸️ Disabled';
+    }
+    return plugin.errors.length > 0 ? '❌ Invalid' : '✅ Enabled';
+  }
+}
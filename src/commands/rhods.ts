@@ -0,0 +1,289 @@
+import * as path from 'path';
+import { CLICommand, CLIOption, CommandArgs, CommandResult, Logger } from '../types';
+import { CLIInterface } from '../cli/interface';
+import { ContextManager } from '../core/context-manager';
+import { RHODSClient, DEFAULT_SCHEDULE } from '../integrations/rhods';
+import { detectModelFiles, parseInferenceData } from '../integrations/model-files';
+import { DeployError, asCLIError } from '../utils/errors';
+
+const modelArgument = { name: 'model', description: 'Model name', required: true, complete: 'models' };
+
+export class RHODSCommand implements CLICommand {
+  name = 'rhods';
+  description = 'Manage pipelines and model serving on Red Hat OpenShift Data Science';
+
+  constructor(
+    private cli: CLIInterface,
+    private contextManager: ContextManager,
+    private logger: Logger
+  ) {}
+
+  options: CLIOption[] = [];
+
+  subcommands: CLICommand[] = [
+    {
+      name: 'auth',
+      description: 'Check that dashboard credentials are configured',
+      options: [],
+      handler: () => this.auth()
+    },
+    {
+      name: 'create-pipeline',
+      description: 'Create a data science pipeline',
+      arguments: [{ name: 'name', description: 'Pipeline name', required: true }],
+      options: [
+        {
+          name: 'notebook',
+          alias: 'n',
+          description: 'Notebook to run (comma-separated for several)',
+          type: 'string' as const
+        }
+      ],
+      handler: (args: CommandArgs) => this.createPipeline(args)
+    },
+    {
+      name: 'create-automated',
+      description: 'Create a scheduled preprocess/train/evaluate/deploy pipeline',
+      arguments: [{ name: 'name', description: 'Pipeline name', required: true }],
+      options: [
+        {
+          name: 'schedule',
+          description: 'Cron schedule',
+          type: 'string' as const,
+          default: DEFAULT_SCHEDULE
+        }
+      ],
+      handler: (args: CommandArgs) => this.createAutomated(args)
+    },
+    {
+      name: 'deploy-model',
+      description: 'Serve the model files in a directory',
+      arguments: [
+        { name: 'name', description: 'Model name', required: true },
+        { name: 'framework', description: 'Model framework (default: python)', required: false }
+      ],
+      options: [
+        {
+          name: 'path',
+          alias: 'p',
+          description: 'Directory with the model files',
+          type: 'string' as const,
+          default: '.'
+        },
+        {
+          name: 'no-wait',
+          description: 'Return once the deployment has started',
+          type: 'boolean' as const
+        }
+      ],
+      handler: (args: CommandArgs) => this.deployModel(args)
+    },
+    {
+      name: 'list-pipelines',
+      description: 'List pipelines',
+      options: [],
+      handler: () => this.listPipelines()
+    },
+    {
+      name: 'list-models',
+      description: 'List served models',
+      options: [],
+      handler: () => this.listModels()
+    },
+    {
+      name: 'infer',
+      description: 'Run inference; data is JSON or a prompt',
+      arguments: [modelArgument, { name: 'data', description: 'JSON input, or prompt text', required: false, variadic: true }],
+      options: [],
+      handler: (args: CommandArgs) => this.infer(args)
+    },
+    {
+      name: 'status',
+      description: 'Show a model\'s serving status',
+      arguments: [modelArgument],
+      options: [],
+      handler: (args: CommandArgs) => this.status(args.model)
+    },
+    {
+      name: 'setup-cluster',
+      description: 'Create the default pipeline and the daily automated pipeline',
+      options: [],
+      handler: () => this.setupCluster()
+    }
+  ];
+
+  async handler(): Promise<CommandResult> {
+    return this.listModels();
+  }
+
+  private async getClient(): Promise<RHODSClient> {
+    const { rhods } = await this.contextManager.getSettings();
+    return new RHODSClient(rhods, this.logger);
+  }
+
+  private async auth(): Promise<CommandResult> {
+    const { rhods } = await this.contextManager.getSettings();
+    new RHODSClient(rhods, this.logger).authenticate();
+
+    this.cli.success(`RHODS credentials set for ${rhods.username} (${rhods.dashboardUrl})`);
+    return { username: rhods.username, dashboardUrl: rhods.dashboardUrl };
+  }
+
+  private async createPipeline(args: CommandArgs): Promise<CommandResult> {
+    const client = await this.getClient();
+
+    try {
+      const result = await client.createPipeline({
+        name: args.name,
+        description: `Automated pipeline for ${args.name}`,
+        notebooks: args.notebook ? args.notebook.split(',').map((notebook: string) => notebook.trim()) : []
+      });
+      this.cli.success(`Pipeline ${args.name} created${result.pipeline_id ? ` (${result.pipeline_id})` : ''}`);
+      return result;
+    } catch (error) {
+      this.cli.error(`Pipeline creation failed: ${(error as Error).message}`);
+      throw error;
+    }
+  }
+
+  private async createAutomated(args: CommandArgs): Promise<CommandResult> {
+    const client = await this.getClient();
+
+    try {
+      const result = await client.createAutomatedPipeline({
+        name: args.name,
+        schedule: args.schedule,
+        triggers: ['schedule', 'webhook']
+      });
+      this.cli.success(`Automated pipeline ${args.name} created (schedule: ${args.schedule})`);
+      return result;
+    } catch (error) {
+      this.cli.error(`Automated pipeline creation failed: ${(error as Error).message}`);
+      throw error;
+    }
+  }
+
+  private async deployModel(args: CommandArgs): Promise<CommandResult> {
+    const dir = path.resolve(args.path);
+    const modelFiles = await detectModelFiles(dir);
+    const client = await this.getClient();
+    const progress = this.cli.createProgressIndicator();
+    progress.start(`Deploying model ${args.name}...`);
+
+    try {
+      const result = await client.deployModel({
+        name: args.name,
+        framework: args.framework || 'python',
+        modelPath: modelFiles.length > 0 ? path.relative(dir, modelFiles[0]) : './model.pkl'
+      });
+
+      if (args.wait === false) {
+        progress.success(`Deployment of ${args.name} started`);
+        return result;
+      }
+
+      const status = await client.waitForModel(args.name, {
+        onStatus: (current, attempt, attempts) =>
+          progress.update(`Waiting for ${args.name} (${current.status})`, Math.round(attempt / attempts * 100))
+      });
+      progress.success(`Model ${args.name} is ready`);
+      const endpoint = status.endpoint || result.endpoint;
+      if (endpoint) {
+        this.cli.info(`Endpoint: ${endpoint}`);
+      }
+      return { ...result, status: status.status, endpoint };
+    } catch (error) {
+      progress.error(`Deployment of ${args.name} failed: ${(error as Error).message}`);
+      throw asCLIError(error, message => new DeployError(message));
+    }
+  }
+
+  private async listPipelines(): Promise<CommandResult> {
+    const pipelines = await (await this.getClient()).listPipelines();
+
+    this.cli.title('🔧 AI Builder - RHODS Pipelines');
+    this.cli.newline();
+
+    if (pipelines.length === 0) {
+      this.cli.info("No pipelines yet. Create one with 'ai-builder rhods create-pipeline <name>'");
+      return [];
+    }
+
+    this.cli.table(pipelines.map(pipeline => ({
+      'Name': pipeline.name,
+      'Status': pipeline.status || 'N/A',
+      'Created': pipeline.created_at ? new Date(pipeline.created_at).toLocaleString() : 'N/A'
+    })));
+
+    return pipelines;
+  }
+
+  private async listModels(): Promise<CommandResult> {
+    const models = await (await this.getClient()).listModels();
+
+    this.cli.title('📊 AI Builder - RHODS Models');
+    this.cli.newline();
+
+    if (models.length === 0) {
+      this.cli.info("No models deployed yet. Deploy one with 'ai-builder rhods deploy-model <name>'");
+      return [];
+    }
+
+    this.cli.table(models.map(model => ({
+      'Name': model.name,
+      'Status': model.status || 'N/A',
+      'Framework': model.framework || 'N/A',
+      'Endpoint': model.endpoint || 'N/A'
+    })));
+
+    return models;
+  }
+
+  private async infer(args: CommandArgs): Promise<CommandResult> {
+    const client = await this.getClient();
+
+    try {
+      const result = await client.infer(args.model, parseInferenceData(args.data || []));
+      this.cli.print(JSON.stringify(result, null, 2));
+      return result;
+    } catch (error) {
+      this.cli.error(`Inference failed: ${(error as Error).message}`);
+      throw error;
+    }
+  }
+
+  private async status(name: string): Promise<CommandResult> {
+    const status = await (await this.getClient()).getStatus(name);
+
+    this.cli.title(`📊 Status for ${name}`);
+    this.cli.table([{
+      'Status': status.status,
+      'Endpoint': status.endpoint || 'N/A',
+      'Error': status.error || 'None'
+    }]);
+
+    return { name, ...status };
+  }
+
+  private async setupCluster(): Promise<CommandResult> {
+    const client = await this.getClient();
+    const progress = this.cli.createProgressIndicator();
+    progress.start('Setting up RHODS cluster automation...');
+
+    try {
+      const pipeline = await client.createPipeline({
+        name: 'default-ml-pipeline',
+        description: 'Default ML pipeline for data science projects'
+      });
+      const automated = await client.createAutomatedPipeline({
+        name: 'daily-ml-automation',
+        schedule: DEFAULT_SCHEDULE
+      });
+      progress.success('RHODS cluster automation setup complete');
+      return { pipeline, automated };
+    } catch (error) {
+      progress.error(`Cluster setup failed: ${(error as Error).message}`);
+      throw error;
+    }
+  }
+}
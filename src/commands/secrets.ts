@@ -0,0 +1,131 @@
+import { CLICommand, CLIOption, CommandArgs, CommandResult, Logger } from '../types';
+import { CLIInterface } from '../cli/interface';
+import { ProjectManagerImpl } from '../core/project-manager';
+import { SecretStore, ALL_TARGETS } from '../core/secret-store';
+import { UsageError } from '../utils/errors';
+
+export class SecretsCommand implements CLICommand {
+  name = 'secrets';
+  description = 'Manage secrets injected into deployments';
+
+  constructor(
+    private cli: CLIInterface,
+    private projectManager: ProjectManagerImpl,
+    private secretStore: SecretStore,
+    private logger: Logger
+  ) {}
+
+  options: CLIOption[] = [
+    {
+      name: 'target',
+      alias: 't',
+      description: 'Deployment target (default: all targets)',
+      type: 'string' as const,
+      complete: 'targets'
+    },
+    {
+      name: 'path',
+      alias: 'p',
+      description: 'Path to the project directory',
+      type: 'string' as const,
+      default: '.'
+    }
+  ];
+
+  subcommands: CLICommand[] = [
+    {
+      name: 'set',
+      description: 'Set a secret; prompts for the value when it is left out',
+      arguments: [
+        { name: 'name', description: 'Environment variable name', required: true },
+        { name: 'value', description: 'Secret value (avoid it on shared machines: it ends up in shell history)', required: false }
+      ],
+      options: this.options,
+      handler: (args: CommandArgs) => this.set(args)
+    },
+    {
+      name: 'list',
+      description: 'List secret names (values are never shown)',
+      options: this.options,
+      handler: (args: CommandArgs) => this.list(args)
+    },
+    {
+      name: 'delete',
+      description: 'Delete a secret',
+      arguments: [{ name: 'name', description: 'Environment variable name', required: true }],
+      options: this.options,
+      handler: (args: CommandArgs) => this.delete(args)
+    }
+  ];
+
+  async handler(args: CommandArgs): Promise<CommandResult> {
+    return this.list(args);
+  }
+
+  private async set(args: CommandArgs): Promise<CommandResult> {
+    const project = await this.projectManager.loadProject(args.path);
+    const target = this.getTarget((project.config.deploy?.targets || []).map(item => item.name), args.target);
+    const value = args.value ?? await this.cli.password(`Value for ${args.name}:`);
+
+    try {
+      await this.secretStore.set(project.id, args.name, value, target);
+    } catch (error) {
+      this.cli.error((error as Error).message);
+      throw error;
+    }
+
+    this.cli.success(`Secret '${args.name}' saved for ${this.describeTarget(target)} (encrypted)`);
+    return { name: args.name, target };
+  }
+
+  private async list(args: CommandArgs): Promise<CommandResult> {
+    const project = await this.projectManager.loadProject(args.path);
+    const secrets = await this.secretStore.list(project.id, args.target);
+
+    this.cli.title(`🔑 AI Builder - Secrets (${project.name})`);
+    this.cli.newline();
+
+    if (secrets.length === 0) {
+      this.cli.info("No secrets yet. Add one with 'ai-builder secrets set <NAME> [--target <target>]'");
+      return [];
+    }
+
+    this.cli.table(secrets.map(secret => ({
+      'Name': secret.name,
+      'Target': secret.target === ALL_TARGETS ? 'all' : secret.target,
+      'Value': '********'
+    })));
+
+    return secrets;
+  }
+
+  private async delete(args: CommandArgs): Promise<CommandResult> {
+    const project = await this.projectManager.loadProject(args.path);
+    const target = args.target || ALL_TARGETS;
+
+    try {
+      await this.secretStore.delete(project.id, args.name, target);
+    } catch (error) {
+      this.cli.error((error as Error).message);
+      throw error;
+    }
+
+    this.cli.success(`Secret '${args.name}' deleted for ${this.describeTarget(target)}`);
+    return { name: args.name, target, deleted: true };
+  }
+
+  // A typo in --target would store a secret no deployment ever receives
+  private getTarget(targets: string[], target?: string): string {
+    if (!target) {
+      return ALL_TARGETS;
+    }
+    if (!targets.includes(target)) {
+      throw new UsageError(`Target '${target}' not found in project config`);
+    }
+    return target;
+  }
+
+  private describeTarget(target: string): string {
+    return target === ALL_TARGETS ? 'all targets' : `target '${target}'`;
+  }
+}
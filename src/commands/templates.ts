@@ -0,0 +1,196 @@
+import { CLICommand, CLIOption, CommandArgs, CommandResult, Logger } from '../types';
+import { CLIInterface } from '../cli/interface';
+import { TemplateRegistry } from '../core/template-registry';
+
+const templateArgument = { name: 'name', description: 'Template name', required: true, complete: 'templates' };
+
+export class TemplatesCommand implements CLICommand {
+  name = 'templates';
+  description = 'List, add, remove and show project templates';
+
+  constructor(
+    private cli: CLIInterface,
+    private registry: TemplateRegistry,
+    private logger: Logger
+  ) {}
+
+  options: CLIOption[] = [
+    {
+      name: 'category',
+      alias: 'c',
+      description: 'Only templates in this category',
+      type: 'string' as const
+    },
+    {
+      name: 'tag',
+      description: 'Only templates with this tag',
+      type: 'string' as const
+    }
+  ];
+
+  subcommands: CLICommand[] = [
+    {
+      name: 'list',
+      description: 'List templates from every source',
+      options: this.options,
+      handler: (args: CommandArgs) => this.list(args)
+    },
+    {
+      name: 'show',
+      description: 'Show a template: its metadata, variables and files',
+      arguments: [templateArgument],
+      options: [],
+      handler: (args: CommandArgs) => this.show(args.name)
+    },
+    {
+      name: 'add',
+      description: 'Add a template from a directory or a .tgz/.tar.gz archive',
+      arguments: [{ name: 'source', description: 'Template directory or archive', required: true }],
+      options: [
+        {
+          name: 'to',
+          description: 'Install into this directory instead of ~/.ai-builder/templates (e.g. a shared team source)',
+          type: 'string' as const
+        },
+        {
+          name: 'force',
+          alias: 'f',
+          description: 'Replace a template with the same name',
+          type: 'boolean' as const,
+          default: false
+        }
+      ],
+      handler: (args: CommandArgs) => this.add(args)
+    },
+    {
+      name: 'remove',
+      description: 'Remove a template added with `templates add`',
+      arguments: [templateArgument],
+      options: [
+        {
+          name: 'from',
+          description: 'Remove it from this directory (e.g. a shared team source)',
+          type: 'string' as const
+        },
+        {
+          name: 'force',
+          alias: 'f',
+          description: 'Do not ask for confirmation',
+          type: 'boolean' as const,
+          default: false
+        }
+      ],
+      handler: (args: CommandArgs) => this.remove(args)
+    }
+  ];
+
+  async handler(args: CommandArgs): Promise<CommandResult> {
+    return this.list(args);
+  }
+
+  private async list(args: CommandArgs): Promise<CommandResult> {
+    this.cli.title('📁 AI Builder - Templates');
+    this.cli.newline();
+
+    const templates = (await this.registry.list()).filter(template =>
+      (!args.category || template.category === args.category) && (!args.tag || template.tags.includes(args.tag)));
+
+    if (templates.length === 0) {
+      this.cli.info(args.category || args.tag ? 'No templates match' : `No templates found. Searched: ${this.registry.getSources().map(source => source.dir).join(', ')}`);
+      return [];
+    }
+
+    this.cli.table(templates.map(template => ({
+      'Name': template.name,
+      'Version': template.version,
+      'Category': template.category,
+      'Tags': template.tags.join(', ') || '-',
+      'Source': template.source,
+      'Description': template.description
+    })));
+
+    return templates;
+  }
+
+  private async show(name: string): Promise<CommandResult> {
+    let template;
+    try {
+      template = await this.registry.get(name);
+    } catch (error) {
+      this.cli.error((error as Error).message);
+      throw error;
+    }
+
+    this.cli.title(`📁 Template: ${template.name}`);
+    this.cli.newline();
+    this.cli.table([{
+      'Version': template.version,
+      'Category': template.category,
+      'Tags': template.tags.join(', ') || '-',
+      'Source': template.source,
+      'Path': template.path
+    }]);
+    this.cli.info(template.description);
+
+    const variables = template.config.variables || [];
+    if (variables.length > 0) {
+      this.cli.newline();
+      this.cli.subtitle('Variables (answer with `init --var name=value`):');
+      this.cli.table(variables.map(variable => ({
+        'Name': variable.name,
+        'Type': variable.type === 'choice' ? `choice (${(variable.choices || []).join('|')})` : variable.type,
+        'Required': variable.required ? 'yes' : 'no',
+        'Default': variable.default !== undefined ? String(variable.default) : '-',
+        'Description': variable.description
+      })));
+    }
+
+    if (template.files.length > 0) {
+      this.cli.newline();
+      this.cli.subtitle('Files:');
+      this.cli.list(template.files.map(file => file.path));
+    }
+
+    return {
+      name: template.name,
+      version: template.version,
+      description: template.description,
+      category: template.category,
+      tags: template.tags,
+      source: template.source,
+      path: template.path,
+      variables,
+      files: template.files.map(file => file.path)
+    };
+  }
+
+  private async add(args: CommandArgs): Promise<CommandResult> {
+    try {
+      const template = await this.registry.add(args.source, { to: args.to, force: args.force });
+      this.cli.success(`Template '${template.name}' ${template.version} added to ${template.path}`);
+      return template;
+    } catch (error) {
+      this.cli.error(`Failed to add template: ${(error as Error).message}`);
+      throw error;
+    }
+  }
+
+  private async remove(args: CommandArgs): Promise<CommandResult> {
+    if (!args.force) {
+      const confirmed = await this.cli.confirm(`Remove template '${args.name}'?`);
+      if (!confirmed) {
+        this.cli.info('Remove cancelled');
+        return { name: args.name, removed: false };
+      }
+    }
+
+    try {
+      const template = await this.registry.remove(args.name, args.from);
+      this.cli.success(`Template '${template.name}' removed from ${template.path}`);
+      return { ...template, removed: true };
+    } catch (error) {
+      this.cli.error((error as Error).message);
+      throw error;
+    }
+  }
+}
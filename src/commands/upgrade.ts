@@ -0,0 +1,128 @@
+import { CLICommand, CLIOption, CommandArgs, CommandResult, Logger, UpgradeFileStatus, UpgradeResult } from '../types';
+import { CLIInterface } from '../cli/interface';
+import { ProjectManagerImpl } from '../core/project-manager';
+import { parseVariables } from './core';
+import { ExitCode } from '../utils/errors';
+
+const STATUS_MARKS: Record<UpgradeFileStatus, string> = {
+  added: '+',
+  updated: '~',
+  removed: '-',
+  conflict: '!',
+  kept: '='
+};
+
+export class UpgradeCommand implements CLICommand {
+  name = 'upgrade';
+  description = 'Re-apply the newest version of the project\'s template, merging it with your changes';
+
+  constructor(
+    private cli: CLIInterface,
+    private projectManager: ProjectManagerImpl,
+    private logger: Logger
+  ) {}
+
+  options: CLIOption[] = [
+    {
+      name: 'path',
+      alias: 'p',
+      description: 'Path to the project directory',
+      type: 'string' as const,
+      default: '.'
+    },
+    {
+      name: 'dry-run',
+      description: 'Show the diff without changing any file',
+      type: 'boolean' as const,
+      default: false
+    },
+    {
+      name: 'var',
+      description: 'Answer a template variable, as key=value (repeatable); earlier answers are reused',
+      type: 'string' as const,
+      repeatable: true
+    },
+    {
+      name: 'force',
+      alias: 'f',
+      description: 'Apply without confirmation',
+      type: 'boolean' as const,
+      default: false
+    }
+  ];
+
+  async handler(args: CommandArgs): Promise<CommandResult> {
+    this.cli.title('⬆️  AI Builder - Template Upgrade');
+    this.cli.newline();
+
+    let shown = false;
+    let result: UpgradeResult;
+    try {
+      const project = await this.projectManager.loadProject(args.path);
+
+      result = await this.projectManager.upgradeProject(project, {
+        dryRun: args.dryRun,
+        variables: parseVariables(args.var),
+        interactive: this.cli.isInteractive(),
+        confirm: async plan => {
+          this.showChanges(plan);
+          shown = true;
+          return args.force || this.cli.confirm(`Apply ${plan.files.length} change${plan.files.length === 1 ? '' : 's'} to '${plan.project}'?`);
+        }
+      });
+    } catch (error) {
+      this.cli.error(`Failed to upgrade project: ${(error as Error).message}`);
+      throw error;
+    }
+
+    if (result.upToDate) {
+      this.cli.success(`'${result.project}' is up to date with ${result.template} ${result.to}`);
+      return result;
+    }
+
+    if (!shown) {
+      this.showChanges(result);
+    }
+
+    if (result.dryRun) {
+      this.cli.info('🔍 Dry run mode - no files were changed');
+    } else if (!result.applied) {
+      this.cli.info('Upgrade cancelled');
+    } else if (result.conflicts > 0) {
+      this.cli.warning(`Upgraded to ${result.template} ${result.to} with ${result.conflicts} conflict${result.conflicts === 1 ? '' : 's'}; resolve the <<<<<<< markers in: ${result.files.filter(file => file.status === 'conflict').map(file => file.path).join(', ')}`);
+      process.exitCode = ExitCode.FAILURE;
+    } else {
+      this.cli.success(`Upgraded '${result.project}' to ${result.template} ${result.to}`);
+    }
+
+    return result;
+  }
+
+  private showChanges(result: UpgradeResult): void {
+    this.cli.table([{
+      'Project': result.project,
+      'Template': result.template,
+      'From': result.from || 'unknown',
+      'To': result.to
+    }]);
+
+    if (!result.hasBase) {
+      this.cli.warning('The output of the original template version was not found, so files that differ from the new version are conflicts');
+    }
+
+    this.cli.newline();
+    if (result.files.length === 0) {
+      this.cli.info('No file changes');
+      return;
+    }
+
+    this.cli.subtitle('📝 Changes:');
+    this.cli.list(result.files.map(file => `${STATUS_MARKS[file.status]} ${file.path} (${file.status}${file.conflicts > 0 ? `, ${file.conflicts} conflict${file.conflicts === 1 ? '' : 's'}` : ''}${file.status === 'kept' ? ': you changed or deleted it, so it was left alone' : ''})`), '');
+
+    for (const file of result.files.filter(change => change.diff)) {
+      this.cli.newline();
+      this.cli.print(file.diff.trimEnd());
+    }
+    this.cli.newline();
+  }
+}
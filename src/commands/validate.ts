@@ -0,0 +1,88 @@
+import * as path from 'path';
+import { CLICommand, CLIOption, CommandArgs, CommandResult, Logger } from '../types';
+import { CLIInterface } from '../cli/interface';
+import { ProjectManagerImpl } from '../core/project-manager';
+import { MANIFEST_FILES, ManifestIssue, LoadedManifest, formatIssue, loadManifest, manifestToProject, parsePath } from '../core/manifest';
+import { ExitCode } from '../utils/errors';
+
+export class ValidateCommand implements CLICommand {
+  name = 'validate';
+  description = `Check ${MANIFEST_FILES[0]} against its schema and the project's settings (for pre-commit and CI)`;
+
+  constructor(
+    private cli: CLIInterface,
+    private projectManager: ProjectManagerImpl,
+    private logger: Logger
+  ) {}
+
+  options: CLIOption[] = [
+    {
+      name: 'path',
+      alias: 'p',
+      description: 'Path to the project directory',
+      type: 'string' as const,
+      default: '.'
+    },
+    {
+      name: 'strict',
+      description: 'Fail on warnings too',
+      type: 'boolean' as const,
+      default: false
+    }
+  ];
+
+  async handler(args: CommandArgs): Promise<CommandResult> {
+    const dir = path.resolve(args.path);
+    const loaded = await loadManifest(dir);
+    const issues: ManifestIssue[] = [];
+
+    if (!loaded) {
+      issues.push({
+        severity: 'warning',
+        code: 'NO_MANIFEST',
+        message: `No ${MANIFEST_FILES[0]}; only .ai-builder/project.json was checked, and it is not meant to be committed`
+      });
+    } else {
+      issues.push(...loaded.issues);
+    }
+
+    // Semantic checks need a manifest that passed the schema; they never write
+    // project metadata, so a CI checkout stays clean
+    if (!loaded || loaded.manifest) {
+      const project = loaded?.manifest ? manifestToProject(loaded.manifest, dir) : await this.projectManager.loadProject(dir);
+      const result = await this.projectManager.validateProject(project);
+
+      issues.push(
+        ...result.errors.map(error => this.toIssue('error', error.code, error.message, error.field, loaded)),
+        ...result.warnings.map(warning => this.toIssue('warning', warning.code, warning.message, warning.field, loaded))
+      );
+    }
+
+    issues.sort((a, b) => (a.line ?? Infinity) - (b.line ?? Infinity) || (a.column ?? 0) - (b.column ?? 0));
+    const errors = issues.filter(issue => issue.severity === 'error');
+    const warnings = issues.filter(issue => issue.severity === 'warning');
+    const valid = errors.length === 0 && (!args.strict || warnings.length === 0);
+
+    issues.forEach(issue => this.cli.print(formatIssue(issue)));
+
+    const file = loaded ? path.relative(process.cwd(), loaded.file) || loaded.file : dir;
+    if (valid) {
+      this.cli.success(`${file} is valid${warnings.length > 0 ? ` (${warnings.length} warning${warnings.length === 1 ? '' : 's'})` : ''}`);
+    } else {
+      this.cli.error(`${file}: ${errors.length} error${errors.length === 1 ? '' : 's'}, ${warnings.length} warning${warnings.length === 1 ? '' : 's'}`);
+      process.exitCode = ExitCode.VALIDATION;
+    }
+
+    return { valid, file: loaded?.file, errors, warnings };
+  }
+
+  // Project checks name a config field; point at it in the manifest when it is there
+  private toIssue(severity: 'error' | 'warning', code: string, message: string, field: string | undefined, loaded?: LoadedManifest): ManifestIssue {
+    if (!loaded || !field || code === 'MISSING_FILE') {
+      return { severity, code, message, ...field && { path: field } };
+    }
+
+    const location = loaded.locate(parsePath(field));
+    return { severity, code, message, path: field, file: loaded.file, ...location };
+  }
+}
@@ -0,0 +1,201 @@
+import * as fs from 'fs-extra';
+import * as path from 'path';
+import * as os from 'os';
+import * as crypto from 'crypto';
+import { BuildResult, Logger, Project } from '../types';
+
+// Bump when the key inputs or the entry layout change so old entries stop matching
+const CACHE_FORMAT_VERSION = 2;
+const RESULT_FILE = 'result.json';
+const OUTPUT_DIR = 'output';
+
+// Never part of a build's inputs
+const IGNORED_DIRS = new Set(['node_modules', '.git', '.ai-builder', '.ai-builder-template']);
+
+export interface CachePruneResult {
+  removed: number;
+  bytes: number;
+}
+
+export interface CacheStats {
+  entries: number;
+  bytes: number;
+}
+
+export class BuildCache {
+  private cacheDir: string;
+  private logger: Logger;
+
+  constructor(logger: Logger, dataDir?: string) {
+    this.logger = logger;
+    this.cacheDir = path.join(dataDir || path.join(os.homedir(), '.ai-builder'), 'cache', 'builds');
+  }
+
+  // The key covers everything that can change the build output: the source
+  // tree (minus the output dir and dependencies), the BuildConfig and the
+  // environment the build runs with.
+  async computeKey(project: Project): Promise<string> {
+    const buildConfig = project.config.build;
+    const hash = crypto.createHash('sha256');
+
+    hash.update(this.stableStringify({
+      format: CACHE_FORMAT_VERSION,
+      node: process.version,
+      build: buildConfig,
+      environment: project.config.environment?.variables || {}
+    }));
+
+    const outputDir = path.resolve(project.path, buildConfig.outputDir || '.');
+    const files: string[] = [];
+    await this.collectSourceFiles(project.path, '', outputDir, files);
+
+    for (const file of files.sort()) {
+      const content = await fs.readFile(path.join(project.path, file));
+      hash.update(`${file}\0`);
+      hash.update(crypto.createHash('sha256').update(content).digest('hex'));
+    }
+
+    return hash.digest('hex');
+  }
+
+  // Put the cached output back in the project's output dir and return the
+  // stored build result, or null on a miss.
+  async restore(key: string, project: Project): Promise<BuildResult | null> {
+    const entryDir = path.join(this.cacheDir, key);
+    const resultPath = path.join(entryDir, RESULT_FILE);
+
+    if (!await fs.pathExists(resultPath)) {
+      return null;
+    }
+
+    try {
+      const startTime = Date.now();
+      const result: BuildResult = await fs.readJson(resultPath);
+      const outputDir = path.resolve(project.path, project.config.build.outputDir || '.');
+
+      if (await fs.pathExists(path.join(entryDir, OUTPUT_DIR))) {
+        // The project root is written over, never cleared
+        if (outputDir !== path.resolve(project.path)) {
+          await fs.remove(outputDir);
+        }
+        await fs.copy(path.join(entryDir, OUTPUT_DIR), outputDir);
+      }
+
+      // Track last use so `cache prune --older-than` keeps entries that are still hit
+      const now = new Date();
+      await fs.utimes(resultPath, now, now);
+
+      return { ...result, cached: true, cacheKey: key, duration: Date.now() - startTime };
+    } catch (error) {
+      this.logger.warn(`Ignoring unreadable build cache entry ${key}: ${error}`);
+      return null;
+    }
+  }
+
+  async store(key: string, project: Project, result: BuildResult): Promise<void> {
+    const entryDir = path.join(this.cacheDir, key);
+    const stagingDir = `${entryDir}.${process.pid}.tmp`;
+    const outputDir = path.resolve(project.path, project.config.build.outputDir || '.');
+
+    await fs.remove(stagingDir);
+    await fs.ensureDir(stagingDir);
+
+    // Builds into the project root (`"outputDir": "."`) keep the whole tree
+    // apart from the dirs that are never inputs or output
+    const isRoot = outputDir === path.resolve(project.path);
+    if (await fs.pathExists(outputDir)) {
+      await fs.copy(outputDir, path.join(stagingDir, OUTPUT_DIR), {
+        filter: source => !isRoot || source === outputDir || !IGNORED_DIRS.has(path.basename(source))
+      });
+    }
+
+    await fs.writeJson(path.join(stagingDir, RESULT_FILE), { ...result, cacheKey: key }, { spaces: 2 });
+    await fs.remove(entryDir);
+    await fs.move(stagingDir, entryDir);
+
+    this.logger.debug(`Cached build of '${project.name}' as ${key.substring(0, 12)}`);
+  }
+
+  // Remove every entry, or only those not used within the last `olderThanDays` days
+  async prune(olderThanDays?: number): Promise<CachePruneResult> {
+    const cutoff = olderThanDays !== undefined ? Date.now() - olderThanDays * 24 * 60 * 60 * 1000 : Infinity;
+    const result: CachePruneResult = { removed: 0, bytes: 0 };
+
+    for (const entry of await this.listEntries()) {
+      const entryDir = path.join(this.cacheDir, entry);
+      const resultPath = path.join(entryDir, RESULT_FILE);
+      const lastUsed = await fs.pathExists(resultPath) ? (await fs.stat(resultPath)).mtimeMs : 0;
+
+      if (lastUsed < cutoff) {
+        result.bytes += await this.getSize(entryDir);
+        await fs.remove(entryDir);
+        result.removed++;
+      }
+    }
+
+    return result;
+  }
+
+  async stats(): Promise<CacheStats> {
+    const entries = await this.listEntries();
+    let bytes = 0;
+
+    for (const entry of entries) {
+      bytes += await this.getSize(path.join(this.cacheDir, entry));
+    }
+
+    return { entries: entries.length, bytes };
+  }
+
+  getCacheDir(): string {
+    return this.cacheDir;
+  }
+
+  private async listEntries(): Promise<string[]> {
+    if (!await fs.pathExists(this.cacheDir)) {
+      return [];
+    }
+
+    return fs.readdir(this.cacheDir);
+  }
+
+  private async collectSourceFiles(basePath: string, relativePath: string, outputDir: string, files: string[]): Promise<void> {
+    const currentPath = path.join(basePath, relativePath);
+    const entries = await fs.readdir(currentPath, { withFileTypes: true });
+
+    for (const entry of entries) {
+      const entryPath = path.join(currentPath, entry.name);
+      const entryRelativePath = path.join(relativePath, entry.name);
+
+      if (entry.isDirectory()) {
+        if (IGNORED_DIRS.has(entry.name) || entryPath === outputDir) continue;
+        await this.collectSourceFiles(basePath, entryRelativePath, outputDir, files);
+      } else if (entry.isFile()) {
+        files.push(entryRelativePath);
+      }
+    }
+  }
+
+  private async getSize(target: string): Promise<number> {
+    const stats = await fs.lstat(target);
+    if (!stats.isDirectory()) {
+      return stats.size;
+    }
+
+    let size = 0;
+    for (const entry of await fs.readdir(target)) {
+      size += await this.getSize(path.join(target, entry));
+    }
+    return size;
+  }
+
+  private stableStringify(value: any): string {
+    if (Array.isArray(value)) {
+      return `[${value.map(item => this.stableStringify(item)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+      return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${this.stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+  }
+}
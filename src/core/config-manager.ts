@@ -3,6 +3,20 @@ import * as path from 'path';
 import * as os from 'os';
 import * as crypto from 'crypto';
 import { ConfigManager, ConfigEntry, Logger } from '../types';
+import { CONFIG_SCHEMA, ConfigValueType, getValueType, parseConfigValue, validateConfigValue } from './config-schema';
+import { ValidationError } from '../utils/errors';
+
+const CIPHER = 'aes-256-gcm';
+const FORMAT_VERSION = 'v1';
+const KEY_FILE = '.key';
+const BACKUPS_DIR = 'backups';
+
+// Defaults written by setDefaultConfig
+export const DEFAULT_CONFIG: Record<string, boolean | number | string> = Object.fromEntries(
+  Object.entries(CONFIG_SCHEMA)
+    .filter(([, schema]) => schema.default !== undefined)
+    .map(([key, schema]) => [key, schema.default!])
+);
 
 export class ConfigManagerImpl implements ConfigManager {
   private configDir: string;
@@ -10,6 +24,7 @@ export class ConfigManagerImpl implements ConfigManager {
   private projectConfigPath: string;
   private logger: Logger;
   private encryptionKey: string;
+  private retiredKeys?: Map<string, string>;
 
   constructor(logger: Logger, configDir?: string) {
     this.logger = logger;
@@ -25,7 +40,7 @@ export class ConfigManagerImpl implements ConfigManager {
   }
 
   private getOrCreateEncryptionKey(): string {
-    const keyPath = path.join(this.configDir, '.key');
+    const keyPath = path.join(this.configDir, KEY_FILE);
     
     try {
       if (fs.existsSync(keyPath)) {
@@ -36,44 +51,153 @@ export class ConfigManagerImpl implements ConfigManager {
     }
 
     const key = crypto.randomBytes(32).toString('hex');
+    fs.ensureDirSync(this.configDir);
     fs.writeFileSync(keyPath, key, 'utf-8');
     fs.chmodSync(keyPath, 0o600); // Restrict permissions
     
     return key;
   }
 
-  private encrypt(value: string): string {
-    const algorithm = 'aes-256-gcm';
-    const iv = crypto.randomBytes(16);
-    const cipher = crypto.createCipher(algorithm, this.encryptionKey);
-    
-    let encrypted = cipher.update(value, 'utf8', 'hex');
-    encrypted += cipher.final('hex');
-    
-    const tag = cipher.getAuthTag();
-    
-    return iv.toString('hex') + ':' + tag.toString('hex') + ':' + encrypted;
+  // v1:<key id>:<iv>:<auth tag>:<ciphertext>, all hex. The key id tells which
+  // key encrypted a value, so values written before a rotation can still be read
+  private encrypt(value: string, key: string = this.encryptionKey): string {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(CIPHER, this.toCipherKey(key), iv);
+    const encrypted = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+
+    return [
+      FORMAT_VERSION,
+      this.getKeyId(key),
+      iv.toString('hex'),
+      cipher.getAuthTag().toString('hex'),
+      encrypted.toString('hex')
+    ].join(':');
   }
 
   private decrypt(encryptedValue: string): string {
-    const algorithm = 'aes-256-gcm';
     const parts = encryptedValue.split(':');
-    
-    if (parts.length !== 3) {
+
+    if (parts.length === 3) {
+      return this.decryptLegacy(parts);
+    }
+
+    if (parts.length !== 5 || parts[0] !== FORMAT_VERSION) {
       throw new Error('Invalid encrypted value format');
     }
-    
-    const iv = Buffer.from(parts[0], 'hex');
-    const tag = Buffer.from(parts[1], 'hex');
-    const encrypted = parts[2];
-    
-    const decipher = crypto.createDecipher(algorithm, this.encryptionKey);
-    decipher.setAuthTag(tag);
-    
-    let decrypted = decipher.update(encrypted, 'hex', 'utf8');
-    decrypted += decipher.final('utf8');
-    
-    return decrypted;
+
+    const [, keyId, iv, tag, encrypted] = parts;
+    const key = this.findKey(keyId);
+    if (!key) {
+      throw new Error(`Value was encrypted with an unknown key (${keyId})`);
+    }
+
+    const decipher = crypto.createDecipheriv(CIPHER, this.toCipherKey(key), Buffer.from(iv, 'hex'));
+    decipher.setAuthTag(Buffer.from(tag, 'hex'));
+
+    return Buffer.concat([decipher.update(Buffer.from(encrypted, 'hex')), decipher.final()]).toString('utf8');
+  }
+
+  // Values written by createCipher: iv:tag:ciphertext, where the stored IV was
+  // never used. createCipher derived key and IV from the key file contents with
+  // OpenSSL's EVP_BytesToKey (MD5, one round, no salt), which is redone here.
+  // Legacy values predate rotation, so the oldest key is the likely one
+  private decryptLegacy(parts: string[]): string {
+    const candidates = [...Array.from(this.getRetiredKeys().values()), this.encryptionKey];
+
+    for (const key of candidates) {
+      const password = Buffer.from(key, 'utf8');
+      let derived: Buffer = Buffer.alloc(0);
+      let block: Buffer = Buffer.alloc(0);
+
+      while (derived.length < 44) {
+        block = crypto.createHash('md5').update(Buffer.concat([block, password])).digest();
+        derived = Buffer.concat([derived, block]);
+      }
+
+      try {
+        const decipher = crypto.createDecipheriv(CIPHER, derived.subarray(0, 32), derived.subarray(32, 44));
+        decipher.setAuthTag(Buffer.from(parts[1], 'hex'));
+        return Buffer.concat([decipher.update(Buffer.from(parts[2], 'hex')), decipher.final()]).toString('utf8');
+      } catch (error) {
+        // Wrong key: the auth tag does not match
+      }
+    }
+
+    throw new Error('Legacy value does not decrypt with any known key');
+  }
+
+  private findKey(keyId: string): string | undefined {
+    if (keyId === this.getKeyId(this.encryptionKey)) {
+      return this.encryptionKey;
+    }
+    return this.getRetiredKeys().get(keyId);
+  }
+
+  // Keys replaced by rotate-key stay in their backup; oldest first
+  private getRetiredKeys(): Map<string, string> {
+    if (!this.retiredKeys) {
+      this.retiredKeys = new Map();
+      const backupsDir = path.join(this.configDir, BACKUPS_DIR);
+
+      if (fs.existsSync(backupsDir)) {
+        for (const backup of fs.readdirSync(backupsDir).sort()) {
+          const keyPath = path.join(backupsDir, backup, KEY_FILE);
+          if (fs.existsSync(keyPath)) {
+            const key = fs.readFileSync(keyPath, 'utf-8');
+            this.retiredKeys.set(this.getKeyId(key), key);
+          }
+        }
+      }
+    }
+    return this.retiredKeys;
+  }
+
+  private getKeyId(key: string): string {
+    return crypto.createHash('sha256').update(key.trim()).digest('hex').slice(0, 8);
+  }
+
+  private toCipherKey(key: string): Buffer {
+    const trimmed = key.trim();
+    return /^[0-9a-f]{64}$/i.test(trimmed)
+      ? Buffer.from(trimmed, 'hex')
+      : crypto.createHash('sha256').update(trimmed).digest();
+  }
+
+  private isOutdated(encryptedValue: string): boolean {
+    return !encryptedValue.startsWith(`${FORMAT_VERSION}:${this.getKeyId(this.encryptionKey)}:`);
+  }
+
+  // Values in the legacy format or under a retired key are re-encrypted with
+  // the current key the first time their file is read
+  private async readConfigFile(configPath: string): Promise<Record<string, ConfigEntry>> {
+    const config: Record<string, ConfigEntry> = await fs.readJson(configPath);
+    let migrated = 0;
+
+    for (const entry of Object.values(config)) {
+      if (!entry.encrypted || !this.isOutdated(entry.value)) continue;
+
+      try {
+        entry.value = this.encrypt(this.decrypt(entry.value));
+        migrated++;
+      } catch (error) {
+        this.logger.warn(`Could not re-encrypt config value for key: ${entry.key}: ${(error as Error).message}`);
+      }
+    }
+
+    if (migrated > 0) {
+      await this.writeConfigFile(configPath, config);
+      this.logger.info(`Re-encrypted ${migrated} config value${migrated === 1 ? '' : 's'} in ${configPath}`);
+    }
+
+    return config;
+  }
+
+  // Write to a temporary file and rename it, so a crash never leaves half a config
+  private async writeConfigFile(configPath: string, config: Record<string, ConfigEntry>): Promise<void> {
+    const tempPath = `${configPath}.${process.pid}.tmp`;
+    await fs.ensureDir(path.dirname(configPath));
+    await fs.writeJson(tempPath, config, { spaces: 2 });
+    await fs.rename(tempPath, configPath);
   }
 
   async set(key: string, value: any, scope: 'global' | 'project' = 'global'): Promise<void> {
@@ -90,13 +214,14 @@ export class ConfigManagerImpl implements ConfigManager {
     // Load existing config
     if (await fs.pathExists(configPath)) {
       try {
-        const configData = await fs.readJson(configPath);
-        config = configData;
+        config = await this.readConfigFile(configPath);
       } catch (error) {
         this.logger.warn(`Failed to load config from ${configPath}: ${error}`);
       }
     }
 
+    this.checkValue(key, value);
+
     // Determine if value should be encrypted
     const shouldEncrypt = this.shouldEncryptValue(key, value);
     const processedValue = shouldEncrypt ? this.encrypt(JSON.stringify(value)) : value;
@@ -112,7 +237,7 @@ export class ConfigManagerImpl implements ConfigManager {
     };
 
     // Save config
-    await fs.writeJson(configPath, config, { spaces: 2 });
+    await this.writeConfigFile(configPath, config);
     this.logger.debug(`Config saved: ${key} (${scope})`);
   }
 
@@ -130,7 +255,7 @@ export class ConfigManagerImpl implements ConfigManager {
     }
 
     try {
-      const config: Record<string, ConfigEntry> = await fs.readJson(configPath);
+      const config = await this.readConfigFile(configPath);
       const entry = config[key];
       
       if (!entry) {
@@ -169,7 +294,7 @@ export class ConfigManagerImpl implements ConfigManager {
     }
 
     try {
-      const config: Record<string, ConfigEntry> = await fs.readJson(configPath);
+      const config = await this.readConfigFile(configPath);
       return Object.values(config);
     } catch (error) {
       this.logger.error(`Failed to list config entries: ${error}`);
@@ -191,11 +316,11 @@ export class ConfigManagerImpl implements ConfigManager {
     }
 
     try {
-      const config: Record<string, ConfigEntry> = await fs.readJson(configPath);
+      const config = await this.readConfigFile(configPath);
       
       if (config[key]) {
         delete config[key];
-        await fs.writeJson(configPath, config, { spaces: 2 });
+        await this.writeConfigFile(configPath, config);
         this.logger.debug(`Config deleted: ${key} (${scope})`);
       }
     } catch (error) {
@@ -208,6 +333,31 @@ export class ConfigManagerImpl implements ConfigManager {
     this.projectConfigPath = path.join(projectPath, '.ai-builder', 'config.json');
   }
 
+  getConfigPath(scope: 'global' | 'project' = 'global'): string {
+    return scope === 'global' ? this.globalConfigPath : this.projectConfigPath;
+  }
+
+  // Schema keys have a fixed type; anything else is a string
+  getValueType(key: string): ConfigValueType {
+    return getValueType(key);
+  }
+
+  // Turns a command-line string into the value type the key expects
+  parseValue(key: string, raw: string): any {
+    return parseConfigValue(key, raw);
+  }
+
+  isEncryptedKey(key: string): boolean {
+    return this.shouldEncryptValue(key, undefined);
+  }
+
+  private checkValue(key: string, value: any): void {
+    const errors = validateConfigValue(key, value);
+    if (errors.length > 0) {
+      throw new ValidationError(`Invalid value for ${key}: ${errors.join('; ')}`);
+    }
+  }
+
   private shouldEncryptValue(key: string, value: any): boolean {
     const sensitiveKeys = [
       'password', 'token', 'secret', 'key', 'credential',
@@ -220,22 +370,7 @@ export class ConfigManagerImpl implements ConfigManager {
 
   // Utility methods for common config operations
   async setDefaultConfig(): Promise<void> {
-    const defaultConfig = {
-      'cli.default_region': 'us-east-1',
-      'cli.auto_confirm': false,
-      'cli.verbose': false,
-      'build.parallel': true,
-      'build.timeout': 300000, // 5 minutes
-      'deploy.health_check_enabled': true,
-      'deploy.auto_rollback': false,
-      'deploy.max_retries': 3,
-      'logs.level': 'info',
-      'logs.format': 'pretty',
-      'templates.auto_update': true,
-      'welcome.shown': false
-    };
-
-    for (const [key, value] of Object.entries(defaultConfig)) {
+    for (const [key, value] of Object.entries(DEFAULT_CONFIG)) {
       const existing = await this.get(key);
       if (existing === undefined) {
         await this.set(key, value);
@@ -252,6 +387,9 @@ export class ConfigManagerImpl implements ConfigManager {
     for (const entry of entries) {
       if (entry.encrypted && !includeEncrypted) {
         exported[entry.key] = '[ENCRYPTED]';
+      } else if (entry.encrypted) {
+        // Export the plain value so importing it does not encrypt the ciphertext again
+        exported[entry.key] = await this.get(entry.key, scope);
       } else {
         exported[entry.key] = entry.value;
       }
@@ -260,14 +398,20 @@ export class ConfigManagerImpl implements ConfigManager {
     return exported;
   }
 
-  async importConfig(configData: Record<string, any>, scope: 'global' | 'project' = 'global'): Promise<void> {
-    for (const [key, value] of Object.entries(configData)) {
-      if (value !== '[ENCRYPTED]') {
-        await this.set(key, value, scope);
-      }
+  async importConfig(configData: Record<string, any>, scope: 'global' | 'project' = 'global'): Promise<string[]> {
+    const entries = Object.entries(configData).filter(([, value]) => value !== '[ENCRYPTED]');
+
+    // Check every value before writing any, so a bad file changes nothing
+    for (const [key, value] of entries) {
+      this.checkValue(key, value);
+    }
+
+    for (const [key, value] of entries) {
+      await this.set(key, value, scope);
     }
 
     this.logger.info(`Configuration imported for scope: ${scope}`);
+    return entries.map(([key]) => key);
   }
 
   async resetConfig(scope: 'global' | 'project' = 'global'): Promise<void> {
@@ -283,6 +427,91 @@ export class ConfigManagerImpl implements ConfigManager {
     }
   }
 
+  // Re-encrypts the global config, and the project config if one is set, under a
+  // new key. The old key and files are copied to backups/ first; if anything
+  // fails midway the backup is put back. Other projects' configs still name the
+  // old key and are re-encrypted when they are next read
+  async rotateKey(): Promise<KeyRotationResult> {
+    const configPaths: string[] = [];
+    for (const configPath of [this.globalConfigPath, this.projectConfigPath]) {
+      if (configPath && await fs.pathExists(configPath)) {
+        configPaths.push(configPath);
+      }
+    }
+
+    // Decrypt everything up front: a value we cannot read stops the rotation before any change
+    const configs = new Map<string, Record<string, ConfigEntry>>();
+    const plainValues = new Map<ConfigEntry, string>();
+
+    for (const configPath of configPaths) {
+      const config: Record<string, ConfigEntry> = await fs.readJson(configPath);
+      for (const entry of Object.values(config).filter(item => item.encrypted)) {
+        try {
+          plainValues.set(entry, this.decrypt(entry.value));
+        } catch (error) {
+          throw new Error(`Cannot rotate the key: failed to decrypt '${entry.key}' in ${configPath}: ${(error as Error).message}`);
+        }
+      }
+      configs.set(configPath, config);
+    }
+
+    const keyPath = path.join(this.configDir, KEY_FILE);
+    const backupDir = path.join(this.configDir, BACKUPS_DIR, `key-${new Date().toISOString().replace(/[:.]/g, '-')}`);
+    const backups = configPaths.map((configPath, index) => ({
+      original: configPath,
+      backup: path.join(backupDir, `config-${index}.json`)
+    }));
+
+    await fs.ensureDir(backupDir);
+    await fs.copy(keyPath, path.join(backupDir, KEY_FILE));
+    for (const file of backups) {
+      await fs.copy(file.original, file.backup);
+    }
+    await fs.writeJson(path.join(backupDir, 'files.json'), backups, { spaces: 2 });
+
+    const oldKey = this.encryptionKey;
+    const newKey = crypto.randomBytes(32).toString('hex');
+
+    for (const [entry, plain] of plainValues) {
+      entry.value = this.encrypt(plain, newKey);
+      entry.updatedAt = new Date();
+    }
+
+    try {
+      // Stage every file, then swap them in with renames
+      const staged: { from: string; to: string }[] = [];
+      await fs.writeFile(`${keyPath}.tmp`, newKey, { encoding: 'utf-8', mode: 0o600 });
+      staged.push({ from: `${keyPath}.tmp`, to: keyPath });
+
+      for (const [configPath, config] of configs) {
+        await fs.writeJson(`${configPath}.tmp`, config, { spaces: 2 });
+        staged.push({ from: `${configPath}.tmp`, to: configPath });
+      }
+
+      for (const file of staged) {
+        await fs.rename(file.from, file.to);
+      }
+    } catch (error) {
+      await fs.copy(path.join(backupDir, KEY_FILE), keyPath);
+      for (const file of backups) {
+        await fs.copy(file.backup, file.original);
+      }
+      throw new Error(`Key rotation failed, restored the previous key and config: ${(error as Error).message}`);
+    }
+
+    this.encryptionKey = newKey;
+    this.retiredKeys = undefined;
+    this.logger.info(`Rotated config encryption key ${this.getKeyId(oldKey)} -> ${this.getKeyId(newKey)}`);
+
+    return {
+      keyId: this.getKeyId(newKey),
+      previousKeyId: this.getKeyId(oldKey),
+      backupDir,
+      files: configPaths,
+      values: plainValues.size
+    };
+  }
+
   async validateConfig(): Promise<ValidationResult> {
     const errors: string[] = [];
     const warnings: string[] = [];
@@ -301,7 +530,7 @@ export class ConfigManagerImpl implements ConfigManager {
       }
 
       // Check encryption key
-      const keyPath = path.join(this.configDir, '.key');
+      const keyPath = path.join(this.configDir, KEY_FILE);
       if (!await fs.pathExists(keyPath)) {
         warnings.push('Encryption key not found, will be created automatically');
       }
@@ -330,6 +559,14 @@ export class ConfigManagerImpl implements ConfigManager {
   }
 }
 
+export interface KeyRotationResult {
+  keyId: string;
+  previousKeyId: string;
+  backupDir: string;
+  files: string[];
+  values: number;
+}
+
 interface ValidationResult {
   valid: boolean;
   errors: string[];
@@ -0,0 +1,162 @@
+import { Logger } from '../types';
+import { ConfigManagerImpl } from './config-manager';
+import { CONFIG_SCHEMA, ConfigKeySchema, getEnvNames, parseConfigValue, validateConfigValue } from './config-schema';
+import { UsageError } from '../utils/errors';
+
+export type ConfigSource = 'flag' | 'env' | 'project' | 'global' | 'default';
+
+export interface ConfigLayerValue {
+  source: ConfigSource;
+  value: any;
+  // The flag, environment variable or file that supplied the value
+  origin: string;
+  // Why the value is ignored, if it is
+  errors: string[];
+}
+
+export interface ResolvedConfig {
+  key: string;
+  value: any;
+  source?: ConfigSource;
+  origin?: string;
+  schema?: ConfigKeySchema;
+  // Every layer that sets the key, highest precedence first
+  layers: ConfigLayerValue[];
+}
+
+// Collects `--set key=value` (or `--set=key=value`) from the command line;
+// `--context <name>` is short for `--set context.current=<name>`
+export function parseConfigFlags(argv: string[]): Record<string, string> {
+  const flags: Record<string, string> = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--context' || argv[i].startsWith('--context=')) {
+      const name = argv[i] === '--context' ? argv[++i] : argv[i].slice('--context='.length);
+      if (!name) {
+        throw new UsageError('--context expects a context name');
+      }
+      flags['context.current'] = name;
+      continue;
+    }
+
+    let assignment: string | undefined;
+    if (argv[i] === '--set') {
+      assignment = argv[++i];
+    } else if (argv[i].startsWith('--set=')) {
+      assignment = argv[i].slice('--set='.length);
+    } else {
+      continue;
+    }
+
+    const separator = assignment ? assignment.indexOf('=') : -1;
+    if (!assignment || separator <= 0) {
+      throw new UsageError(`--set expects key=value, got '${assignment || ''}'`);
+    }
+    flags[assignment.slice(0, separator)] = assignment.slice(separator + 1);
+  }
+
+  return flags;
+}
+
+// Resolves settings with the precedence flag > env > project > global > default.
+// A value that fails the schema is skipped with a warning and the next layer wins.
+export class ConfigResolver {
+  private flags: Record<string, any> = {};
+  private warned = new Set<string>();
+
+  constructor(
+    private configManager: ConfigManagerImpl,
+    private logger: Logger,
+    private env: NodeJS.ProcessEnv = process.env
+  ) {}
+
+  setFlags(flags: Record<string, any>): void {
+    this.flags = { ...flags };
+  }
+
+  async get(key: string): Promise<any> {
+    return (await this.explain(key)).value;
+  }
+
+  async explain(key: string): Promise<ResolvedConfig> {
+    const layers = await this.collect(key);
+    const winner = layers.find(layer => layer.errors.length === 0);
+
+    for (const layer of layers.filter(item => item.errors.length > 0)) {
+      const warning = `${key} from ${layer.origin}`;
+      if (!this.warned.has(warning)) {
+        this.warned.add(warning);
+        this.logger.warn(`Ignoring ${warning}: ${layer.errors.join('; ')}`);
+      }
+    }
+
+    return {
+      key,
+      value: winner?.value,
+      source: winner?.source,
+      origin: winner?.origin,
+      schema: CONFIG_SCHEMA[key],
+      layers
+    };
+  }
+
+  // Schema keys plus any other key stored in the global or project config
+  async keys(): Promise<string[]> {
+    const keys = new Set(Object.keys(CONFIG_SCHEMA));
+
+    for (const scope of this.getScopes()) {
+      (await this.configManager.list(scope)).forEach(entry => keys.add(entry.key));
+    }
+    Object.keys(this.flags).forEach(key => keys.add(key));
+
+    return Array.from(keys).sort();
+  }
+
+  private async collect(key: string): Promise<ConfigLayerValue[]> {
+    const layers: ConfigLayerValue[] = [];
+
+    if (this.flags[key] !== undefined) {
+      layers.push(this.fromInput('flag', `--set ${key}`, key, this.flags[key]));
+    }
+
+    for (const name of getEnvNames(key)) {
+      if (this.env[name] !== undefined && this.env[name] !== '') {
+        layers.push(this.fromInput('env', name, key, this.env[name]));
+      }
+    }
+
+    // Project before global: getScopes is ordered by precedence
+    for (const scope of this.getScopes().reverse()) {
+      const value = await this.configManager.get(key, scope);
+      if (value !== undefined) {
+        layers.push({
+          source: scope,
+          value,
+          origin: this.configManager.getConfigPath(scope),
+          errors: validateConfigValue(key, value)
+        });
+      }
+    }
+
+    const schema = CONFIG_SCHEMA[key];
+    if (schema?.default !== undefined) {
+      layers.push({ source: 'default', value: schema.default, origin: 'built-in default', errors: [] });
+    }
+
+    return layers;
+  }
+
+  // Flags and environment variables are strings until parsed by the key's type
+  private fromInput(source: ConfigSource, origin: string, key: string, raw: any): ConfigLayerValue {
+    try {
+      const value = typeof raw === 'string' ? parseConfigValue(key, raw) : raw;
+      return { source, value, origin, errors: validateConfigValue(key, value) };
+    } catch (error) {
+      return { source, value: raw, origin, errors: [(error as Error).message] };
+    }
+  }
+
+  private getScopes(): ('global' | 'project')[] {
+    return this.configManager.getConfigPath('project') ? ['global', 'project'] : ['global'];
+  }
+}
@@ -0,0 +1,127 @@
+import { ValidationError } from '../utils/errors';
+
+export type ConfigValueType = 'boolean' | 'number' | 'string';
+
+export interface ConfigKeySchema {
+  type: ConfigValueType;
+  description: string;
+  default?: boolean | number | string;
+  // Environment variables that set the key, besides AI_BUILDER_<KEY>
+  env?: string[];
+  enum?: string[];
+  min?: number;
+  max?: number;
+  integer?: boolean;
+  // Masked when shown
+  sensitive?: boolean;
+}
+
+// Every setting the CLI reads. Keys outside the schema can still be stored;
+// they are plain strings and are not checked
+export const CONFIG_SCHEMA: Record<string, ConfigKeySchema> = {
+  'cli.default_region': { type: 'string', description: 'Default cloud region', default: 'us-east-1' },
+  'cli.auto_confirm': { type: 'boolean', description: 'Skip confirmation prompts', default: false },
+  'cli.verbose': { type: 'boolean', description: 'Verbose output', default: false },
+  'build.parallel': { type: 'boolean', description: 'Run independent build steps in parallel', default: true },
+  'build.timeout': { type: 'number', description: 'Build timeout in milliseconds', default: 300000, min: 1000, integer: true },
+  'deploy.health_check_enabled': { type: 'boolean', description: 'Run health checks after deploying', default: true },
+  'deploy.auto_rollback': { type: 'boolean', description: 'Roll back automatically when health checks fail', default: false },
+  'deploy.max_retries': { type: 'number', description: 'Retries for failed deploy steps', default: 3, min: 0, max: 10, integer: true },
+  'deploy.history_max_per_target': { type: 'number', description: 'Deployment records kept per target', default: 50, min: 1, integer: true },
+  'deploy.history_retention_days': { type: 'number', description: 'Days deployment records are kept', default: 90, min: 1, integer: true },
+  'deploy.lock_stale_minutes': { type: 'number', description: 'Minutes after which a deploy lock is considered stale', default: 120, min: 1 },
+  'deploy.lock_dir': { type: 'string', description: 'Directory for deploy locks; point it at shared storage so teammates and CI see each other\'s locks', env: ['AI_BUILDER_LOCK_DIR'] },
+  'logs.level': { type: 'string', description: 'Log level', default: 'info', enum: ['error', 'warn', 'info', 'debug'], env: ['LOG_LEVEL'] },
+  'logs.format': {
+    type: 'string',
+    description: 'Log format (pretty by default when NODE_ENV=development)',
+    default: process.env.NODE_ENV === 'development' ? 'pretty' : 'json',
+    enum: ['pretty', 'json']
+  },
+  'templates.auto_update': { type: 'boolean', description: 'Update templates automatically', default: true },
+  'templates.sources': { type: 'string', description: 'Shared template directories, separated like PATH (":" or ";" on Windows)' },
+  'welcome.shown': { type: 'boolean', description: 'Whether the welcome message was shown', default: false },
+  'context.current': { type: 'string', description: 'Cluster context used by OpenShift and RHODS commands', env: ['AI_BUILDER_CONTEXT'] },
+  'openshift.endpoint': {
+    type: 'string',
+    description: 'OpenShift model deployment endpoint',
+    default: 'https://deploy-digitalproph8-dev.apps.rm3.7wse.p1.openshiftapps.com/v2/models/deploy/infer',
+    env: ['OPENSHIFT_ENDPOINT']
+  },
+  'openshift.token': { type: 'string', description: 'OpenShift API token', env: ['OPENSHIFT_TOKEN'], sensitive: true },
+  'rhods.dashboard_url': {
+    type: 'string',
+    description: 'RHODS dashboard URL',
+    default: 'https://rhods-dashboard-redhat-ods-applications.apps.rm3.7wse.p1.openshiftapps.com',
+    env: ['RHODS_DASHBOARD_URL']
+  },
+  'rhods.inference_url': {
+    type: 'string',
+    description: 'RHODS model inference URL',
+    default: 'https://digitalproph8-dev-digitalproph8-dev.apps.rm3.7wse.p1.openshiftapps.com/v2/models/digitalproph8-dev/infer',
+    env: ['RHODS_INFERENCE_URL']
+  },
+  'rhods.username': { type: 'string', description: 'RHODS dashboard user', default: 'superadmin', env: ['RHODS_USERNAME'] },
+  'rhods.password': { type: 'string', description: 'RHODS dashboard password', env: ['RHODS_PASSWORD'], sensitive: true }
+};
+
+// AI_BUILDER_DEPLOY_AUTO_ROLLBACK for deploy.auto_rollback, then any aliases
+export function getEnvNames(key: string): string[] {
+  const generic = `AI_BUILDER_${key.toUpperCase().replace(/[^A-Z0-9]+/g, '_')}`;
+  return [generic, ...(CONFIG_SCHEMA[key]?.env || [])];
+}
+
+export function getValueType(key: string): ConfigValueType {
+  return CONFIG_SCHEMA[key]?.type || 'string';
+}
+
+// Turns a string from the command line or environment into the key's type
+export function parseConfigValue(key: string, raw: string): any {
+  const type = getValueType(key);
+
+  if (type === 'boolean') {
+    const normalized = raw.trim().toLowerCase();
+    if (['true', 'yes', 'on', '1'].includes(normalized)) return true;
+    if (['false', 'no', 'off', '0'].includes(normalized)) return false;
+    throw new ValidationError(`Invalid value '${raw}' for ${key}: expected true or false`);
+  }
+
+  if (type === 'number') {
+    const value = Number(raw);
+    if (raw.trim() === '' || !Number.isFinite(value)) {
+      throw new ValidationError(`Invalid value '${raw}' for ${key}: expected a number`);
+    }
+    return value;
+  }
+
+  return raw;
+}
+
+// Problems with a value for a known key; unknown keys accept anything
+export function validateConfigValue(key: string, value: any): string[] {
+  const schema = CONFIG_SCHEMA[key];
+  if (!schema) {
+    return [];
+  }
+
+  if (typeof value !== schema.type) {
+    return [`expected a ${schema.type}, got ${JSON.stringify(value)}`];
+  }
+
+  const errors: string[] = [];
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`expected one of ${schema.enum.join(', ')}, got '${value}'`);
+  }
+  if (schema.integer && !Number.isInteger(value)) {
+    errors.push(`expected a whole number, got ${value}`);
+  }
+  if (schema.min !== undefined && value < schema.min) {
+    errors.push(`must be at least ${schema.min}, got ${value}`);
+  }
+  if (schema.max !== undefined && value > schema.max) {
+    errors.push(`must be at most ${schema.max}, got ${value}`);
+  }
+
+  return errors;
+}
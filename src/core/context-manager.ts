@@ -0,0 +1,181 @@
+import { Logger } from '../types';
+import { ConfigManagerImpl } from './config-manager';
+import { ConfigResolver } from './config-resolver';
+import { UsageError, ValidationError } from '../utils/errors';
+
+const CONTEXTS_KEY = 'contexts';
+const CURRENT_KEY = 'context.current';
+
+export interface ClusterContext {
+  name: string;
+  dashboardUrl?: string;
+  inferenceUrl?: string;
+  deployEndpoint?: string;
+  username?: string;
+  // Where the token/password lives: `env:NAME` or a config key such as `rhods.password`
+  credentials?: string;
+  namespace?: string;
+}
+
+export interface ClusterSettings {
+  context?: string;
+  openshift: {
+    endpoint: string;
+    token?: string;
+    namespace?: string;
+  };
+  rhods: {
+    dashboardUrl: string;
+    inferenceUrl: string;
+    username?: string;
+    password?: string;
+    namespace?: string;
+  };
+}
+
+// kubectl-style contexts for OpenShift/RHODS clusters, stored in the global
+// config under `contexts`. The current one is the `context.current` setting,
+// so `--context`, AI_BUILDER_CONTEXT and a project config can all pick it.
+export class ContextManager {
+  constructor(
+    private configManager: ConfigManagerImpl,
+    private resolver: ConfigResolver,
+    private logger: Logger,
+    private env: NodeJS.ProcessEnv = process.env
+  ) {}
+
+  async list(): Promise<ClusterContext[]> {
+    const stored = await this.readContexts();
+    return Object.keys(stored).sort().map(name => ({ ...stored[name], name }));
+  }
+
+  async get(name: string): Promise<ClusterContext | undefined> {
+    const stored = await this.readContexts();
+    return stored[name] ? { ...stored[name], name } : undefined;
+  }
+
+  async add(context: ClusterContext, overwrite: boolean = false): Promise<void> {
+    const errors = this.validate(context);
+    if (errors.length > 0) {
+      throw new ValidationError(`Invalid context '${context.name}': ${errors.join('; ')}`);
+    }
+
+    const stored = await this.readContexts();
+    if (stored[context.name] && !overwrite) {
+      throw new UsageError(`Context '${context.name}' already exists`);
+    }
+
+    const { name, ...fields } = context;
+    stored[name] = Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined && value !== ''));
+    await this.configManager.set(CONTEXTS_KEY, stored);
+    this.logger.info(`Context '${name}' saved`);
+  }
+
+  async delete(name: string): Promise<void> {
+    const stored = await this.readContexts();
+    if (!stored[name]) {
+      throw new UsageError(`Context '${name}' not found`);
+    }
+
+    delete stored[name];
+    await this.configManager.set(CONTEXTS_KEY, stored);
+
+    if (await this.configManager.get(CURRENT_KEY) === name) {
+      await this.configManager.delete(CURRENT_KEY);
+    }
+    this.logger.info(`Context '${name}' deleted`);
+  }
+
+  async use(name: string): Promise<void> {
+    if (!await this.get(name)) {
+      throw new UsageError(`Context '${name}' not found. Run 'ai-builder context list' to see the available contexts`);
+    }
+    await this.configManager.set(CURRENT_KEY, name);
+  }
+
+  async getCurrentName(): Promise<string | undefined> {
+    return await this.resolver.get(CURRENT_KEY) || undefined;
+  }
+
+  async getCurrent(): Promise<ClusterContext | undefined> {
+    const name = await this.getCurrentName();
+    if (!name) {
+      return undefined;
+    }
+
+    const context = await this.get(name);
+    if (!context) {
+      throw new UsageError(`Context '${name}' not found. Run 'ai-builder context list' to see the available contexts`);
+    }
+    return context;
+  }
+
+  async resolveCredentials(reference?: string): Promise<string | undefined> {
+    if (!reference) {
+      return undefined;
+    }
+    if (reference.startsWith('env:')) {
+      return this.env[reference.slice('env:'.length)] || undefined;
+    }
+    return await this.resolver.get(reference.replace(/^config:/, ''));
+  }
+
+  // Endpoints and credentials for the OpenShift and RHODS commands. A --set flag
+  // or environment variable still overrides the context; the context overrides
+  // project and global settings and the defaults.
+  async getSettings(): Promise<ClusterSettings> {
+    const context = await this.getCurrent();
+    const credentials = await this.resolveCredentials(context?.credentials);
+
+    const pick = async (key: string, contextValue?: string): Promise<any> => {
+      const resolved = await this.resolver.explain(key);
+      if (resolved.source === 'flag' || resolved.source === 'env' || contextValue === undefined) {
+        return resolved.value;
+      }
+      return contextValue;
+    };
+
+    return {
+      context: context?.name,
+      openshift: {
+        endpoint: await pick('openshift.endpoint', context?.deployEndpoint),
+        token: await pick('openshift.token', credentials),
+        namespace: context?.namespace
+      },
+      rhods: {
+        dashboardUrl: await pick('rhods.dashboard_url', context?.dashboardUrl),
+        inferenceUrl: await pick('rhods.inference_url', context?.inferenceUrl),
+        username: await pick('rhods.username', context?.username),
+        password: await pick('rhods.password', credentials),
+        namespace: context?.namespace
+      }
+    };
+  }
+
+  private validate(context: ClusterContext): string[] {
+    const errors: string[] = [];
+
+    if (!/^[A-Za-z0-9][A-Za-z0-9._-]*$/.test(context.name || '')) {
+      errors.push('name may only contain letters, digits, ".", "_" and "-"');
+    }
+
+    for (const field of ['dashboardUrl', 'inferenceUrl', 'deployEndpoint'] as const) {
+      const value = context[field];
+      if (value && !/^https?:\/\/[^/]+/.test(value)) {
+        errors.push(`${field} must be an http(s) URL`);
+      }
+    }
+
+    if (context.credentials && !/^(env:[A-Za-z_][A-Za-z0-9_]*|(config:)?[\w.-]+)$/.test(context.credentials)) {
+      errors.push('credentials must be env:VARIABLE or a config key');
+    }
+
+    return errors;
+  }
+
+  private async readContexts(): Promise<Record<string, Omit<ClusterContext, 'name'>>> {
+    const stored = await this.configManager.get(CONTEXTS_KEY);
+    return stored && typeof stored === 'object' ? { ...stored } : {};
+  }
+}
+
@@ -13,68 +13,165 @@ import {
   DeploymentLog,
   Logger,
   CloudProvider,
-  ProgressIndicator
+  ProgressIndicator,
+  Release,
+  ProjectManager,
+  DeployOptions,
+  HealthCheckConfig,
+  RollbackTrigger,
+  RolloutHandler,
+  DeploymentStrategy
 } from '../types';
+import { DockerProvider } from '../providers/docker-provider';
+import { LocalProvider } from '../providers/local-provider';
+import { SSHProvider } from '../providers/ssh-provider';
+import { DeploymentStore, DeploymentQuery, RetentionPolicy } from './deployment-store';
+import { ReleaseManager } from './release-manager';
+import { HookRunner } from './hooks';
+import { ProjectManagerImpl } from './project-manager';
+import { HealthChecker } from './health-check';
+import { LockManager } from './lock-manager';
+import { SecretStore } from './secret-store';
+import { ConfigManagerImpl } from './config-manager';
+import { SecretRedactor, REDACTED } from '../utils/redact';
+import { BuildError } from '../utils/errors';
+
+export interface DeploymentEngineOptions {
+  dataDir?: string;
+  retention?: Partial<RetentionPolicy>;
+  releasesToKeep?: number;
+  hooks?: HookRunner;
+  projectManager?: ProjectManager;
+  locks?: LockManager;
+  secrets?: SecretStore;
+}
+
+const DEFAULT_RELEASES_TO_KEEP = 10;
+
+const IN_PROGRESS_STATUSES = [
+  DeploymentStatus.PENDING,
+  DeploymentStatus.BUILDING,
+  DeploymentStatus.DEPLOYING,
+  DeploymentStatus.ROLLING_BACK
+];
+
+// Statuses whose process the provider can report on
+const SUPERVISED_STATUSES = [
+  DeploymentStatus.SUCCESS,
+  DeploymentStatus.ROLLED_BACK,
+  DeploymentStatus.STOPPED,
+  DeploymentStatus.FAILED
+];
 
 export class DeploymentEngineImpl extends EventEmitter implements DeploymentEngine {
   private activeDeployments: Map<string, Deployment> = new Map();
   private cloudProviders: Map<string, CloudProvider> = new Map();
+  private store: DeploymentStore;
+  private releases: ReleaseManager;
+  private releasesToKeep: number;
+  private hooks: HookRunner;
+  private projectManager: ProjectManager;
+  private locks: LockManager;
+  private secrets: SecretStore;
+  private redactor = new SecretRedactor();
+  private dataDir?: string;
   private logger: Logger;
 
-  constructor(logger: Logger) {
+  constructor(logger: Logger, options: DeploymentEngineOptions = {}) {
     super();
     this.logger = logger;
+    this.dataDir = options.dataDir;
+    this.store = new DeploymentStore(logger, options.dataDir, options.retention);
+    this.releases = new ReleaseManager(logger, options.dataDir);
+    this.releasesToKeep = options.releasesToKeep ?? DEFAULT_RELEASES_TO_KEEP;
+    this.hooks = options.hooks || new HookRunner(logger);
+    this.projectManager = options.projectManager || new ProjectManagerImpl(logger, options.dataDir, undefined, this.hooks);
+    this.locks = options.locks || new LockManager(logger, options.dataDir);
+    this.secrets = options.secrets || new SecretStore(new ConfigManagerImpl(logger, options.dataDir), logger);
     this.initializeCloudProviders();
   }
 
   private initializeCloudProviders(): void {
-    // Register cloud providers (would be implemented as separate classes)
-    // For now, we'll register mock providers
-    this.cloudProviders.set('local', new LocalProvider(this.logger));
+    // Register cloud providers; providers that are still simulated live in this file
+    this.cloudProviders.set('local', new LocalProvider(this.logger, this.dataDir));
     this.cloudProviders.set('docker', new DockerProvider(this.logger));
     this.cloudProviders.set('aws', new AWSProvider(this.logger));
-    this.cloudProviders.set('ssh', new SSHProvider(this.logger));
+    this.cloudProviders.set('ssh', new SSHProvider(this.logger, this.dataDir));
   }
 
-  async deploy(project: Project, target: DeploymentTarget): Promise<Deployment> {
+  // Only one deploy or rollback per project and target at a time; a second
+  // one fails before anything is recorded
+  async deploy(project: Project, target: DeploymentTarget, options: DeployOptions = {}): Promise<Deployment> {
+    const deploymentId = this.generateDeploymentId();
+    const lock = await this.locks.acquire(project.id, target.name, deploymentId);
+
+    try {
+      return await this.runDeployment(deploymentId, project, target, options);
+    } finally {
+      await this.locks.release(lock);
+    }
+  }
+
+  private async runDeployment(
+    deploymentId: string,
+    project: Project,
+    target: DeploymentTarget,
+    options: DeployOptions
+  ): Promise<Deployment> {
     this.logger.info(`Starting deployment of project '${project.name}' to target '${target.name}'`);
     
     const deployment: Deployment = {
-      id: this.generateDeploymentId(),
+      id: deploymentId,
       projectId: project.id,
       target,
       version: project.version,
       status: DeploymentStatus.PENDING,
       logs: [],
+      statusHistory: [{ status: DeploymentStatus.PENDING, timestamp: new Date() }],
       createdAt: new Date()
     };
 
     this.activeDeployments.set(deployment.id, deployment);
+    await this.store.save(deployment);
     this.emit('deploymentStarted', deployment);
 
     try {
       // Build project first
+      deployment.startedAt = new Date();
       await this.updateDeploymentStatus(deployment, DeploymentStatus.BUILDING);
       await this.addDeploymentLog(deployment, 'info', 'Starting build process', 'build-engine');
 
-      const buildResult = await this.buildProject(project);
+      const buildResult = await this.buildProject(project, options);
       
       if (!buildResult.success) {
-        throw new Error(`Build failed: ${buildResult.error}`);
+        throw new BuildError(`Build failed: ${buildResult.error}`);
       }
 
       deployment.buildResult = buildResult;
-      await this.addDeploymentLog(deployment, 'info', 'Build completed successfully', 'build-engine');
+      await this.addDeploymentLog(
+        deployment,
+        'info',
+        buildResult.cached ? 'Build inputs unchanged, reused cached build' : 'Build completed successfully',
+        'build-engine'
+      );
+
+      if (await this.isCancelled(deployment)) {
+        throw new Error('Deployment was cancelled');
+      }
+
+      await this.hooks.run('beforeDeploy', project, deployment);
 
       // Deploy to target
       await this.updateDeploymentStatus(deployment, DeploymentStatus.DEPLOYING);
       await this.addDeploymentLog(deployment, 'info', `Starting deployment to ${target.name}`, 'deployment-engine');
 
       const deploymentConfig: DeploymentConfig = {
+        deploymentId: deployment.id,
         project,
         target,
         buildResult,
-        environment: this.mergeEnvironmentVariables(project, target)
+        environment: this.mergeEnvironmentVariables(project, target),
+        secrets: await this.resolveSecrets(project, target)
       };
 
       const provider = this.cloudProviders.get(target.type);
@@ -82,27 +179,49 @@ export class DeploymentEngineImpl extends EventEmitter implements DeploymentEngi
         throw new Error(`No provider found for target type: ${target.type}`);
       }
 
-      const result = await provider.deploy(deploymentConfig);
+      const result = options.rollout
+        ? await options.rollout(provider, deploymentConfig, deployment)
+        : await provider.deploy(deploymentConfig);
       
       if (!result.success) {
         throw new Error(`Deployment failed: ${result.error}`);
       }
 
+      if (await this.isCancelled(deployment)) {
+        // Cancelled while the provider was starting it; do not leave it running
+        await provider.stop?.(deployment.id);
+        throw new Error('Deployment was cancelled');
+      }
+
       // Update deployment with result
-      deployment.status = DeploymentStatus.SUCCESS;
+      deployment.result = result;
       deployment.completedAt = new Date();
+      await this.updateDeploymentStatus(deployment, DeploymentStatus.SUCCESS);
       
       await this.addDeploymentLog(deployment, 'info', 'Deployment completed successfully', 'deployment-engine');
       await this.addDeploymentLog(deployment, 'info', `Deployment URL: ${result.url || 'N/A'}`, 'deployment-engine');
 
+      await this.recordRelease(project, deployment, deploymentConfig.environment);
+
+      // The deployment is live; a failing afterDeploy hook should not fail it
+      try {
+        await this.hooks.run('afterDeploy', project, result);
+      } catch (error) {
+        await this.addDeploymentLog(deployment, 'warn', (error as Error).message, 'deployment-engine');
+      }
+
       this.emit('deploymentCompleted', deployment);
       this.logger.info(`Deployment '${deployment.id}' completed successfully`);
 
       return deployment;
 
     } catch (error) {
-      deployment.status = DeploymentStatus.FAILED;
       deployment.completedAt = new Date();
+      if (await this.isCancelled(deployment)) {
+        await this.refreshFromStore(deployment);
+      } else {
+        await this.updateDeploymentStatus(deployment, DeploymentStatus.FAILED);
+      }
       
       await this.addDeploymentLog(deployment, 'error', (error as Error).message, 'deployment-engine');
       this.emit('deploymentFailed', deployment, error);
@@ -111,42 +230,99 @@ export class DeploymentEngineImpl extends EventEmitter implements DeploymentEngi
       throw error;
     } finally {
       this.activeDeployments.delete(deployment.id);
+      await this.pruneHistory();
     }
   }
 
   async rollback(deployment: Deployment, version: string): Promise<void> {
+    const lock = await this.locks.acquire(deployment.projectId, deployment.target.name, deployment.id);
+
+    try {
+      await this.runRollback(deployment, version);
+    } finally {
+      await this.locks.release(lock);
+    }
+  }
+
+  private async runRollback(deployment: Deployment, version: string): Promise<void> {
     this.logger.info(`Starting rollback of deployment '${deployment.id}' to version '${version}'`);
     
+    await this.refreshFromStore(deployment);
+
+    const release = await this.findRelease(deployment, version);
+    if (!release) {
+      throw new Error(`No release of version '${version}' found for target '${deployment.target.name}'`);
+    }
+
+    // Redeploy the release exactly as it was shipped
+    const project = { ...release.project, deployments: [] };
+
     try {
+      await this.hooks.run('beforeRollback', project, deployment);
+
       await this.updateDeploymentStatus(deployment, DeploymentStatus.ROLLING_BACK);
-      await this.addDeploymentLog(deployment, 'info', `Starting rollback to version ${version}`, 'rollback-engine');
+      await this.addDeploymentLog(deployment, 'info', `Starting rollback to version ${release.version} (release ${release.id})`, 'rollback-engine');
 
-      const provider = this.cloudProviders.get(deployment.target.type);
+      const provider = this.cloudProviders.get(release.target.type);
       if (!provider) {
-        throw new Error(`No provider found for target type: ${deployment.target.type}`);
+        throw new Error(`No provider found for target type: ${release.target.type}`);
       }
 
-      await provider.rollback(deployment.id, version);
+      // Releases never hold secret values, so the current ones are injected again
+      const result = await provider.deploy({
+        deploymentId: deployment.id,
+        project,
+        target: release.target,
+        buildResult: release.buildResult || { success: true, output: '', artifacts: [], duration: 0 },
+        environment: release.environment,
+        secrets: await this.resolveSecrets(project, release.target),
+        artifactsDir: release.artifactsDir,
+        releaseId: release.id
+      });
+
+      if (!result.success) {
+        throw new Error(`Redeploy of release ${release.id} failed: ${result.error}`);
+      }
       
-      deployment.status = DeploymentStatus.ROLLED_BACK;
       deployment.rollbackFrom = deployment.version;
-      deployment.version = version;
+      deployment.version = release.version;
+      deployment.releaseId = release.id;
+      deployment.result = result;
+      deployment.completedAt = new Date();
+      await this.updateDeploymentStatus(deployment, DeploymentStatus.ROLLED_BACK);
       
-      await this.addDeploymentLog(deployment, 'info', `Rollback to version ${version} completed successfully`, 'rollback-engine');
+      await this.addDeploymentLog(deployment, 'info', `Rollback to version ${release.version} completed successfully`, 'rollback-engine');
       
       this.emit('rollbackCompleted', deployment);
       this.logger.info(`Rollback of deployment '${deployment.id}' completed successfully`);
 
     } catch (error) {
+      if (deployment.status === DeploymentStatus.ROLLING_BACK) {
+        await this.updateDeploymentStatus(deployment, DeploymentStatus.FAILED);
+      }
       await this.addDeploymentLog(deployment, 'error', `Rollback failed: ${(error as Error).message}`, 'rollback-engine');
       this.emit('rollbackFailed', deployment, error);
       
       this.logger.error(`Rollback of deployment '${deployment.id}' failed: ${error}`);
       throw error;
     }
+
+    // The rollback itself succeeded; a failing afterRollback hook should not undo that
+    try {
+      await this.hooks.run('afterRollback', project, deployment);
+    } catch (error) {
+      await this.addDeploymentLog(deployment, 'warn', (error as Error).message, 'rollback-engine');
+    }
   }
 
   async getStatus(deployment: Deployment): Promise<DeploymentStatus> {
+    await this.refreshFromStore(deployment);
+
+    // Only deployments that reached the provider have anything running to ask about
+    if (!deployment.result?.success || !SUPERVISED_STATUSES.includes(deployment.status)) {
+      return deployment.status;
+    }
+
     const provider = this.cloudProviders.get(deployment.target.type);
     if (!provider) {
       throw new Error(`No provider found for target type: ${deployment.target.type}`);
@@ -155,8 +331,9 @@ export class DeploymentEngineImpl extends EventEmitter implements DeploymentEngi
     try {
       const remoteStatus = await provider.getStatus(deployment.id);
       
-      // Update local status if different
-      if (remoteStatus !== deployment.status) {
+      // Update local status if different; a running rollback stays rolled back
+      const running = remoteStatus === DeploymentStatus.SUCCESS && deployment.status === DeploymentStatus.ROLLED_BACK;
+      if (remoteStatus !== deployment.status && !running) {
         await this.updateDeploymentStatus(deployment, remoteStatus);
       }
 
@@ -168,43 +345,90 @@ export class DeploymentEngineImpl extends EventEmitter implements DeploymentEngi
   }
 
   async getLogs(deployment: Deployment): Promise<DeploymentLog[]> {
+    await this.refreshFromStore(deployment);
     return deployment.logs;
   }
 
+  // The deploying process, possibly another CLI invocation, notices the
+  // cancellation through the store and stops before or after the provider step
   async cancelDeployment(deployment: Deployment): Promise<void> {
     this.logger.info(`Cancelling deployment '${deployment.id}'`);
     
-    if (deployment.status === DeploymentStatus.SUCCESS || 
-        deployment.status === DeploymentStatus.FAILED ||
-        deployment.status === DeploymentStatus.ROLLED_BACK) {
+    await this.refreshFromStore(deployment);
+
+    if (!IN_PROGRESS_STATUSES.includes(deployment.status)) {
       throw new Error(`Cannot cancel deployment in '${deployment.status}' state`);
     }
 
-    deployment.status = DeploymentStatus.FAILED;
     deployment.completedAt = new Date();
+    await this.updateDeploymentStatus(deployment, DeploymentStatus.CANCELLED);
     
     await this.addDeploymentLog(deployment, 'info', 'Deployment cancelled by user', 'deployment-engine');
     
     this.emit('deploymentCancelled', deployment);
-    this.activeDeployments.delete(deployment.id);
   }
 
-  private async buildProject(project: Project): Promise<BuildResult> {
-    // This would integrate with the ProjectManager
-    // For now, return a mock build result
-    return {
-      success: true,
-      output: 'Build completed successfully',
-      artifacts: [
-        {
-          path: 'dist/index.js',
-          size: 1024,
-          hash: 'abc123',
-          type: 'file'
-        }
-      ],
-      duration: 1500
-    };
+  async stopDeployment(deployment: Deployment): Promise<void> {
+    await this.refreshFromStore(deployment);
+
+    if (IN_PROGRESS_STATUSES.includes(deployment.status)) {
+      throw new Error(`Deployment '${deployment.id}' is still ${deployment.status}; cancel it instead`);
+    }
+
+    const provider = this.getProvider(deployment);
+    if (!provider.stop) {
+      throw new Error(`Target type '${deployment.target.type}' does not support stopping deployments`);
+    }
+
+    await provider.stop(deployment.id);
+    await this.updateDeploymentStatus(deployment, DeploymentStatus.STOPPED);
+    await this.addDeploymentLog(deployment, 'info', 'Stopped by user', 'deployment-engine');
+    this.emit('deploymentStopped', deployment);
+  }
+
+  async restartDeployment(deployment: Deployment): Promise<void> {
+    await this.refreshFromStore(deployment);
+
+    if (IN_PROGRESS_STATUSES.includes(deployment.status)) {
+      throw new Error(`Deployment '${deployment.id}' is still ${deployment.status}`);
+    }
+
+    const provider = this.getProvider(deployment);
+    if (!provider.restart) {
+      throw new Error(`Target type '${deployment.target.type}' does not support restarting deployments`);
+    }
+
+    const result = await provider.restart(deployment.id);
+    deployment.result = result;
+
+    // Back to what it was while it last ran
+    const previous = [...(deployment.statusHistory || [])].reverse()
+      .find(change => change.status === DeploymentStatus.SUCCESS || change.status === DeploymentStatus.ROLLED_BACK);
+    await this.updateDeploymentStatus(deployment, previous?.status || DeploymentStatus.SUCCESS);
+    await this.addDeploymentLog(deployment, 'info', `Restarted (pid ${result.metadata.pid ?? 'N/A'})`, 'deployment-engine');
+    this.emit('deploymentRestarted', deployment);
+  }
+
+  // Another process may have cancelled the deployment through the store
+  async isCancelled(deployment: Deployment): Promise<boolean> {
+    if (deployment.status === DeploymentStatus.CANCELLED) {
+      return true;
+    }
+
+    const stored = await this.store.get(deployment.id);
+    return stored?.status === DeploymentStatus.CANCELLED;
+  }
+
+  private getProvider(deployment: Deployment): CloudProvider {
+    const provider = this.cloudProviders.get(deployment.target.type);
+    if (!provider) {
+      throw new Error(`No provider found for target type: ${deployment.target.type}`);
+    }
+    return provider;
+  }
+
+  private async buildProject(project: Project, options: DeployOptions): Promise<BuildResult> {
+    return this.projectManager.buildProject(project, { cache: options.cache });
   }
 
   private mergeEnvironmentVariables(project: Project, target: DeploymentTarget): Record<string, string> {
@@ -214,129 +438,159 @@ export class DeploymentEngineImpl extends EventEmitter implements DeploymentEngi
     return { ...baseEnv, ...targetEnv };
   }
 
+  // Secrets from the project config, then the secret store; the values are
+  // redacted from the engine's logs from here on
+  async resolveSecrets(project: Project, target: DeploymentTarget): Promise<Record<string, string>> {
+    const secrets = {
+      ...(project.config.environment?.secrets || {}),
+      ...await this.secrets.resolve(project.id, target.name)
+    };
+
+    const values = Object.values(secrets);
+    this.redactor.add(values);
+    this.logger.addSecrets?.(values);
+
+    return secrets;
+  }
+
+  // Environment and secrets a deployment would start with, secrets masked
+  async previewEnvironment(project: Project, target: DeploymentTarget): Promise<Record<string, string>> {
+    const secrets = await this.resolveSecrets(project, target);
+    const masked = Object.fromEntries(Object.keys(secrets).map(name => [name, REDACTED]));
+    return { ...this.redactor.redactValue(this.mergeEnvironmentVariables(project, target)), ...masked };
+  }
+
   private generateDeploymentId(): string {
     return `deploy_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   }
 
-  private async updateDeploymentStatus(deployment: Deployment, status: DeploymentStatus): Promise<void> {
+  async updateDeploymentStatus(deployment: Deployment, status: DeploymentStatus): Promise<void> {
     deployment.status = status;
+    deployment.statusHistory = [...(deployment.statusHistory || []), { status, timestamp: new Date() }];
+    await this.persist(deployment);
     this.emit('statusUpdated', deployment, status);
   }
 
-  private async addDeploymentLog(deployment: Deployment, level: 'info' | 'warn' | 'error' | 'debug', message: string, source: string): Promise<void> {
+  async addDeploymentLog(deployment: Deployment, level: 'info' | 'warn' | 'error' | 'debug', message: string, source: string): Promise<void> {
     const log: DeploymentLog = {
       id: this.generateLogId(),
       level,
-      message,
+      message: this.redactor.redact(message),
       timestamp: new Date(),
       source
     };
     
     deployment.logs.push(log);
+    await this.persist(deployment);
     this.emit('logAdded', deployment, log);
   }
 
-  private generateLogId(): string {
-    return `log_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-  }
+  // While a deployment is in progress another process may cancel it; keep that
+  // cancellation (and its log entry) instead of overwriting it
+  private async persist(deployment: Deployment): Promise<void> {
+    if (IN_PROGRESS_STATUSES.includes(deployment.status)) {
+      const stored = await this.store.get(deployment.id);
 
-  public getActiveDeployments(): Deployment[] {
-    return Array.from(this.activeDeployments.values());
+      if (stored?.status === DeploymentStatus.CANCELLED) {
+        const known = new Set(deployment.logs.map(log => log.id));
+        deployment.status = stored.status;
+        deployment.statusHistory = stored.statusHistory;
+        deployment.logs = [...deployment.logs, ...stored.logs.filter(log => !known.has(log.id))]
+          .sort((a, b) => a.timestamp.getTime() - b.timestamp.getTime());
+      }
+    }
+
+    await this.store.save(deployment);
   }
-}
 
-// Cloud Provider Implementations
+  // Callers may hold a copy loaded by another process; pick up what the store has
+  private async refreshFromStore(deployment: Deployment): Promise<void> {
+    const stored = await this.store.get(deployment.id);
+    if (!stored) return;
 
-class LocalProvider implements CloudProvider {
-  name = 'local';
-  type = 'local' as const;
+    deployment.status = stored.status;
+    deployment.logs = stored.logs;
+    deployment.statusHistory = stored.statusHistory;
+    deployment.result = stored.result;
+  }
 
-  constructor(private logger: Logger) {}
+  private async recordRelease(project: Project, deployment: Deployment, environment: Record<string, string>): Promise<void> {
+    try {
+      const release = await this.releases.create(project, deployment, environment);
+      deployment.releaseId = release.id;
+      await this.addDeploymentLog(deployment, 'info', `Recorded release ${release.id}`, 'deployment-engine');
+      await this.releases.prune(project.id, deployment.target.name, this.releasesToKeep);
+    } catch (error) {
+      // The deployment is live either way; it just cannot be rolled back to later
+      await this.addDeploymentLog(deployment, 'warn', `Failed to record release: ${(error as Error).message}`, 'deployment-engine');
+    }
+  }
 
-  async deploy(config: DeploymentConfig): Promise<DeploymentResult> {
-    this.logger.info(`Deploying ${config.project.name} to local environment`);
-    
-    // Simulate local deployment
-    await this.simulateDeployment();
-    
-    return {
-      success: true,
-      deploymentId: `local_${Date.now()}`,
-      url: `http://localhost:3000`,
-      endpoint: 'http://localhost:3000/api',
-      metadata: {
-        type: 'local',
-        port: 3000,
-        pid: process.pid
-      }
-    };
+  private async pruneHistory(): Promise<void> {
+    try {
+      await this.store.prune();
+    } catch (error) {
+      this.logger.warn(`Failed to prune deployment history: ${error}`);
+    }
   }
 
-  async getStatus(deploymentId: string): Promise<DeploymentStatus> {
-    // Check if local process is running
-    return DeploymentStatus.SUCCESS;
+  private generateLogId(): string {
+    return `log_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   }
 
-  async rollback(deploymentId: string, targetVersion: string): Promise<void> {
-    this.logger.info(`Rolling back local deployment ${deploymentId} to version ${targetVersion}`);
-    await this.simulateDeployment();
+  public getActiveDeployments(): Deployment[] {
+    return Array.from(this.activeDeployments.values());
   }
 
-  async listDeployments(): Promise<Deployment[]> {
-    // List local deployments
-    return [];
+  public async findDeployments(query: DeploymentQuery = {}): Promise<Deployment[]> {
+    return this.store.list(query);
   }
 
-  private async simulateDeployment(): Promise<void> {
-    await new Promise(resolve => setTimeout(resolve, 1000));
+  public async getDeployment(deploymentId: string): Promise<Deployment | null> {
+    return this.store.get(deploymentId);
   }
-}
 
-class DockerProvider implements CloudProvider {
-  name = 'docker';
-  type = 'docker' as const;
+  public async listReleases(projectId: string, target: string): Promise<Release[]> {
+    return this.releases.list(projectId, target);
+  }
 
-  constructor(private logger: Logger) {}
+  // Newest release of the deployment's target (of `version`, if given), other than
+  // its own or the one it runs, whose deployment is still considered good (not
+  // failed or rolled back; replaced ones count as stopped)
+  public async findLastGoodRelease(deployment: Deployment, version?: string): Promise<Release | null> {
+    for (const release of await this.releases.list(deployment.projectId, deployment.target.name)) {
+      if (release.deploymentId === deployment.id || release.id === deployment.releaseId) continue;
+      if (version !== undefined && release.version !== version) continue;
 
-  async deploy(config: DeploymentConfig): Promise<DeploymentResult> {
-    this.logger.info(`Deploying ${config.project.name} to Docker container`);
-    
-    // Simulate Docker deployment
-    await this.simulateDeployment();
-    
-    return {
-      success: true,
-      deploymentId: `docker_${Date.now()}`,
-      url: `http://localhost:8080`,
-      endpoint: `http://localhost:8080/api`,
-      metadata: {
-        type: 'docker',
-        image: `${config.project.name}:${config.project.version}`,
-        containerId: `container_${Date.now()}`,
-        port: config.target.config.port || 8080
+      const source = await this.store.get(release.deploymentId);
+      if (!source || source.status === DeploymentStatus.SUCCESS || source.status === DeploymentStatus.STOPPED) {
+        return release;
       }
-    };
-  }
+    }
 
-  async getStatus(deploymentId: string): Promise<DeploymentStatus> {
-    // Check Docker container status
-    return DeploymentStatus.SUCCESS;
+    return null;
   }
 
-  async rollback(deploymentId: string, targetVersion: string): Promise<void> {
-    this.logger.info(`Rolling back Docker deployment ${deploymentId} to version ${targetVersion}`);
-    await this.simulateDeployment();
-  }
-
-  async listDeployments(): Promise<Deployment[]> {
-    return [];
-  }
+  // The release `version` names for rolling `deployment` back: a release id, or
+  // else the newest good release of that version. Failing that, the newest of
+  // that version that is not already running.
+  public async findRelease(deployment: Deployment, version: string): Promise<Release | null> {
+    const releases = await this.releases.list(deployment.projectId, deployment.target.name);
+    const exact = releases.find(release => release.id === version);
+    if (exact) {
+      return exact;
+    }
 
-  private async simulateDeployment(): Promise<void> {
-    await new Promise(resolve => setTimeout(resolve, 2000));
+    const candidates = releases.filter(release => release.version === version);
+    return await this.findLastGoodRelease(deployment, version)
+      ?? candidates.find(release => release.id !== deployment.releaseId)
+      ?? candidates[0]
+      ?? null;
   }
 }
 
+// Cloud Provider Implementations
+
 class AWSProvider implements CloudProvider {
   name = 'aws';
   type = 'aws' as const;
@@ -382,115 +636,98 @@ class AWSProvider implements CloudProvider {
   }
 }
 
-class SSHProvider implements CloudProvider {
-  name = 'ssh';
-  type = 'ssh' as const;
-
-  constructor(private logger: Logger) {}
-
-  async deploy(config: DeploymentConfig): Promise<DeploymentResult> {
-    this.logger.info(`Deploying ${config.project.name} via SSH to ${config.target.config.host}`);
-    
-    // Simulate SSH deployment
-    await this.simulateDeployment();
-    
-    return {
-      success: true,
-      deploymentId: `ssh_${Date.now()}`,
-      url: `http://${config.target.config.host}:3000`,
-      endpoint: `http://${config.target.config.host}:3000/api`,
-      metadata: {
-        type: 'ssh',
-        host: config.target.config.host,
-        user: config.target.config.user || 'root',
-        path: '/var/www/app',
-        port: 3000
-      }
-    };
-  }
-
-  async getStatus(deploymentId: string): Promise<DeploymentStatus> {
-    // Check remote deployment status
-    return DeploymentStatus.SUCCESS;
-  }
-
-  async rollback(deploymentId: string, targetVersion: string): Promise<void> {
-    this.logger.info(`Rolling back SSH deployment ${deploymentId} to version ${targetVersion}`);
-    await this.simulateDeployment();
-  }
+// Deployment Pipeline with Health Checks and Automatic Rollback
 
-  async listDeployments(): Promise<Deployment[]> {
-    return [];
-  }
+export interface PipelineDefaults {
+  healthCheck?: boolean;
+  autoRollback?: boolean;
+}
 
-  private async simulateDeployment(): Promise<void> {
-    await new Promise(resolve => setTimeout(resolve, 2500));
-  }
+export interface PipelineOptions extends DeployOptions {
+  healthCheck?: boolean;
+  autoRollback?: boolean;
+  progressCallback?: (progress: number, message: string) => void;
 }
 
-// Deployment Pipeline with Health Checks and Monitoring
+const PIPELINE_SOURCE = 'deployment-pipeline';
+const DEFAULT_ERROR_RATE_WINDOW = 60000;
+const DEFAULT_ERROR_RATE_THRESHOLD = 50; // percentage
+const DEFAULT_CANARY_STEPS = [10, 50, 100];
+const DEFAULT_CANARY_PAUSE = 30000;
 
 export class DeploymentPipeline {
-  private deploymentEngine: DeploymentEngine;
-  private healthChecks: Map<string, HealthChecker> = new Map();
+  private deploymentEngine: DeploymentEngineImpl;
+  private defaults: PipelineDefaults;
   private logger: Logger;
 
-  constructor(deploymentEngine: DeploymentEngine, logger: Logger) {
+  constructor(deploymentEngine: DeploymentEngineImpl, logger: Logger, defaults: PipelineDefaults = {}) {
     this.deploymentEngine = deploymentEngine;
+    this.defaults = defaults;
     this.logger = logger;
-    this.setupEventListeners();
   }
 
-  private setupEventListeners(): void {
-    this.deploymentEngine.on('deploymentCompleted', async (deployment) => {
-      await this.startHealthChecks(deployment);
-    });
-
-    this.deploymentEngine.on('deploymentFailed', (deployment) => {
-      this.logger.error(`Deployment ${deployment.id} failed, checking for rollback triggers`);
-      this.checkRollbackTriggers(deployment);
-    });
-  }
-
-  async executeDeployment(project: Project, target: DeploymentTarget, options: {
-    healthCheck?: boolean;
-    autoRollback?: boolean;
-    progressCallback?: (progress: number, message: string) => void;
-  } = {}): Promise<Deployment> {
+  async executeDeployment(project: Project, target: DeploymentTarget, options: PipelineOptions = {}): Promise<Deployment> {
     this.logger.info(`Executing deployment pipeline for project '${project.name}'`);
 
     const progress = options.progressCallback || (() => {});
+    const healthCheck = options.healthCheck ?? this.defaults.healthCheck ?? true;
+    const autoRollback = options.autoRollback ?? project.config.deploy?.rollback?.enabled ?? this.defaults.autoRollback ?? false;
     
+    progress(10, 'Starting deployment...');
+    
+    // Pre-deployment checks
+    await this.runPreDeploymentChecks(project, target);
+    progress(20, 'Pre-deployment checks completed');
+
+    // An aborted rollout already put traffic back on the live version
+    let rolloutAborted = false;
+    const strategy = target.strategy?.type || 'recreate';
+    const rollout: RolloutHandler | undefined = strategy === 'recreate'
+      ? undefined
+      : (provider, config, deployment) => this.runRollout(provider, config, deployment, progress, () => {
+        rolloutAborted = true;
+      });
+
+    let deployment: Deployment;
     try {
-      progress(10, 'Starting deployment...');
-      
-      // Pre-deployment checks
-      await this.runPreDeploymentChecks(project, target);
-      progress(20, 'Pre-deployment checks completed');
-
-      // Execute deployment
-      const deployment = await this.deploymentEngine.deploy(project, target);
-      progress(80, 'Deployment completed');
-
-      // Post-deployment verification
-      if (options.healthCheck) {
-        progress(90, 'Running health checks...');
-        await this.runPostDeploymentHealthChecks(deployment);
-      }
-
-      progress(100, 'Deployment pipeline completed successfully');
-      return deployment;
-
+      deployment = await this.deploymentEngine.deploy(project, target, { cache: options.cache, rollout });
     } catch (error) {
       progress(0, 'Deployment failed');
       
-      if (options.autoRollback) {
-        this.logger.info('Auto-rollback triggered due to deployment failure');
-        // Implement auto-rollback logic
+      if (autoRollback && !rolloutAborted) {
+        await this.handleFailedDeployment(project, target);
       }
       
       throw error;
     }
+    progress(80, 'Deployment completed');
+
+    // Post-deployment verification
+    if (healthCheck) {
+      progress(90, 'Running health checks...');
+      const failure = await this.verifyDeployment(project, deployment, progress);
+
+      if (failure) {
+        if (!autoRollback) {
+          await this.log(deployment, 'error', `${failure}; automatic rollback is disabled, leaving deployment in place`);
+          await this.deploymentEngine.updateDeploymentStatus(deployment, DeploymentStatus.FAILED);
+          throw new Error(failure);
+        }
+
+        const release = await this.rollbackToLastGoodRelease(deployment, failure);
+        throw new Error(release
+          ? `${failure}; rolled back to release ${release.version}`
+          : `${failure}; no earlier release to roll back to`);
+      }
+    }
+
+    progress(100, 'Deployment pipeline completed successfully');
+    return deployment;
+  }
+
+  // What `deploy --dry-run` shows: the environment with secrets masked
+  async previewEnvironment(project: Project, target: DeploymentTarget): Promise<Record<string, string>> {
+    return this.deploymentEngine.previewEnvironment(project, target);
   }
 
   private async runPreDeploymentChecks(project: Project, target: DeploymentTarget): Promise<void> {
@@ -503,71 +740,251 @@ export class DeploymentPipeline {
     await new Promise(resolve => setTimeout(resolve, 1000)); // Simulate checks
   }
 
-  private async runPostDeploymentHealthChecks(deployment: Deployment): Promise<void> {
-    if (!deployment.target.config.healthCheck) {
-      this.logger.info('No health check configured for deployment');
-      return;
+  // Blue-green moves all traffic in one step; canary walks through its steps with a
+  // pause and a health check between them. Traffic only moves while the candidate
+  // is healthy; otherwise the candidate is discarded and the live version keeps serving.
+  private async runRollout(
+    provider: CloudProvider,
+    config: DeploymentConfig,
+    deployment: Deployment,
+    progress: (progress: number, message: string) => void,
+    onAbort: () => void
+  ): Promise<DeploymentResult> {
+    const strategy = config.target.strategy!;
+
+    if (!provider.startCandidate || !provider.shiftTraffic || !provider.promoteCandidate || !provider.discardCandidate) {
+      throw new Error(`Target type '${config.target.type}' does not support the '${strategy.type}' strategy`);
     }
 
-    const healthConfig = deployment.target.config.healthCheck;
-    const healthChecker = new HealthChecker(healthConfig, this.logger);
-    
-    this.healthChecks.set(deployment.id, healthChecker);
-    
+    const steps = strategy.type === 'canary' ? this.getCanarySteps(strategy) : [100];
+    const pause = strategy.type === 'canary' ? strategy.pause ?? DEFAULT_CANARY_PAUSE : 0;
+
+    await this.log(deployment, 'info', `Starting ${strategy.type} rollout of ${deployment.version} (traffic steps: ${steps.join('%, ')}%)`);
+
+    const candidate = await provider.startCandidate(config);
+    if (!candidate.success) {
+      throw new Error(`Failed to start ${deployment.version} next to the live version: ${candidate.error}`);
+    }
+    await this.log(deployment, 'info', `Started ${deployment.version} at ${candidate.url} without traffic`);
+
     try {
-      await healthChecker.startMonitoring(deployment);
-      this.logger.info(`Health checks started for deployment ${deployment.id}`);
+      await this.checkCandidate(config, deployment, candidate);
+
+      for (const [index, percent] of steps.entries()) {
+        if (await this.deploymentEngine.isCancelled(deployment)) {
+          throw new Error('the deployment was cancelled');
+        }
+
+        await provider.shiftTraffic(config, percent);
+        await this.log(deployment, 'info', `Shifted ${percent}% of traffic to ${deployment.version}`);
+        progress(30 + Math.round((index + 1) / steps.length * 45), `Rolling out: ${percent}% of traffic on ${deployment.version}`);
+
+        if (percent < 100) {
+          if (pause > 0) {
+            await this.log(deployment, 'info', `Pausing ${pause}ms before the next step`);
+            await this.sleep(pause);
+          }
+          await this.checkCandidate(config, deployment, candidate);
+        }
+      }
+
+      const result = await provider.promoteCandidate(config);
+      await this.log(deployment, 'info', `Promoted ${deployment.version}; previous version stopped`);
+      return result;
+
     } catch (error) {
-      this.logger.error(`Failed to start health checks: ${error}`);
+      await this.log(deployment, 'error', `Rollout aborted: ${(error as Error).message}; moving traffic back to the previous version`);
+      await provider.discardCandidate(config);
+      onAbort();
+      throw new Error(`${strategy.type} rollout aborted: ${(error as Error).message}`);
     }
   }
 
-  private async checkRollbackTriggers(deployment: Deployment): Promise<void> {
-    // Check if rollback should be triggered based on deployment failure
-    // This would implement the rollback logic based on configuration
-  }
+  private async checkCandidate(config: DeploymentConfig, deployment: Deployment, candidate: DeploymentResult): Promise<void> {
+    const healthConfig: HealthCheckConfig | undefined = config.target.config.healthCheck || config.project.config.deploy?.healthCheck;
+    if (!healthConfig) {
+      await this.log(deployment, 'warn', 'No health check configured; moving traffic without verification');
+      return;
+    }
+
+    const checker = new HealthChecker(healthConfig, this.logger);
+    const url = checker.resolveUrl(candidate.url);
+    if (!url) {
+      throw new Error('the candidate has no URL to health check');
+    }
 
-  private async startHealthChecks(deployment: Deployment): Promise<void> {
-    if (deployment.target.config.healthCheck) {
-      await this.runPostDeploymentHealthChecks(deployment);
+    const result = await checker.check(url);
+    if (!result.healthy) {
+      throw new Error(`candidate failed health check at ${url} (${checker.describe(result)})`);
     }
+
+    await this.log(deployment, 'info', `Candidate health check passed: ${url} (${checker.describe(result)})`);
   }
-}
 
-class HealthChecker {
-  private monitoring: boolean = false;
-  private interval?: NodeJS.Timeout;
+  // Ascending percentages within (0, 100], always ending at 100
+  private getCanarySteps(strategy: DeploymentStrategy): number[] {
+    const steps = Array.from(new Set((strategy.steps || DEFAULT_CANARY_STEPS)
+      .filter(step => step > 0 && step <= 100)))
+      .sort((a, b) => a - b);
 
-  constructor(
-    private config: any,
-    private logger: Logger
-  ) {}
+    return steps[steps.length - 1] === 100 ? steps : [...steps, 100];
+  }
 
-  async startMonitoring(deployment: Deployment): Promise<void> {
-    this.monitoring = true;
-    
-    this.interval = setInterval(async () => {
-      if (!this.monitoring) return;
-      
-      try {
-        await this.performHealthCheck(deployment);
-      } catch (error) {
-        this.logger.error(`Health check failed: ${error}`);
-        // Handle health check failure (alert, rollback, etc.)
+  // Returns why the deployment should be considered failed, or null when it is healthy
+  private async verifyDeployment(
+    project: Project,
+    deployment: Deployment,
+    progress: (progress: number, message: string) => void
+  ): Promise<string | null> {
+    const config: HealthCheckConfig | undefined = deployment.target.config.healthCheck || project.config.deploy?.healthCheck;
+    if (!config) {
+      await this.log(deployment, 'info', 'No health check configured, skipping verification');
+      return null;
+    }
+
+    const checker = new HealthChecker(config, this.logger);
+    const url = checker.resolveUrl(deployment.result?.url);
+    if (!url) {
+      await this.log(deployment, 'warn', `Skipping health check: no deployment URL to resolve '${config.endpoint}' against`);
+      return null;
+    }
+
+    const triggers = project.config.deploy?.rollback?.triggers || [];
+    const healthTrigger = triggers.find(trigger => trigger.type === 'health_check');
+    const errorRateTrigger = triggers.find(trigger => trigger.type === 'error_rate');
+
+    // health_check threshold: consecutive failed checks before the trigger fires
+    const maxFailures = Math.max(1, healthTrigger?.threshold ?? 1);
+    let failures = 0;
+
+    while (failures < maxFailures) {
+      const result = await checker.check(url);
+
+      if (result.healthy) {
+        await this.log(deployment, 'info', `Health check passed: ${url} (${checker.describe(result)})`);
+        break;
+      }
+
+      failures++;
+      await this.log(
+        deployment,
+        'error',
+        `Health check ${failures}/${maxFailures} failed after ${result.attempts} attempt(s): ${url} (${checker.describe(result)})`
+      );
+
+      if (failures < maxFailures) {
+        await this.sleep(config.interval);
+      }
+    }
+
+    // A failed health check fails the deployment whatever triggers are configured
+    if (failures === maxFailures) {
+      return healthTrigger
+        ? `Rollback trigger health_check fired after ${failures} failed health check(s)`
+        : 'Health check failed';
+    }
+
+    if (errorRateTrigger) {
+      return this.watchErrorRate(deployment, checker, url, config, errorRateTrigger, progress);
+    }
+
+    return null;
+  }
+
+  private async watchErrorRate(
+    deployment: Deployment,
+    checker: HealthChecker,
+    url: string,
+    config: HealthCheckConfig,
+    trigger: RollbackTrigger,
+    progress: (progress: number, message: string) => void
+  ): Promise<string | null> {
+    const timeWindow = trigger.timeWindow ?? DEFAULT_ERROR_RATE_WINDOW;
+    const threshold = trigger.threshold ?? DEFAULT_ERROR_RATE_THRESHOLD;
+    const deadline = Date.now() + timeWindow;
+    let total = 0;
+    let failed = 0;
+
+    await this.log(deployment, 'info', `Watching error rate of ${url} for ${timeWindow}ms (threshold ${threshold}%)`);
+
+    do {
+      const result = await checker.probe(url);
+      total++;
+      if (!result.healthy) {
+        failed++;
       }
-    }, this.config.interval);
+      progress(90, `Watching error rate: ${failed}/${total} probe(s) failed`);
+
+      const remaining = deadline - Date.now();
+      if (remaining > 0) {
+        await this.sleep(Math.min(config.interval, remaining));
+      }
+    } while (Date.now() < deadline);
+
+    const errorRate = (failed / total) * 100;
+    const summary = `Error rate ${errorRate.toFixed(1)}% over ${total} probe(s) (threshold ${threshold}%)`;
+
+    if (errorRate > threshold) {
+      await this.log(deployment, 'error', summary);
+      return `Rollback trigger error_rate fired: ${summary}`;
+    }
+
+    await this.log(deployment, 'info', summary);
+    return null;
   }
 
-  stopMonitoring(): void {
-    this.monitoring = false;
-    if (this.interval) {
-      clearInterval(this.interval);
+  private async handleFailedDeployment(project: Project, target: DeploymentTarget): Promise<void> {
+    const [deployment] = await this.deploymentEngine.findDeployments({
+      projectId: project.id,
+      target: target.name,
+      limit: 1
+    });
+    if (!deployment || deployment.status !== DeploymentStatus.FAILED) {
+      return;
+    }
+
+    // A failed build never touched the target, so there is nothing to undo
+    const reachedTarget = (deployment.statusHistory || []).some(change => change.status === DeploymentStatus.DEPLOYING);
+    if (!reachedTarget) {
+      await this.log(deployment, 'info', 'Deployment failed before reaching the target; no rollback needed');
+      return;
     }
+
+    try {
+      await this.rollbackToLastGoodRelease(deployment, 'Deployment failed');
+    } catch (error) {
+      // The original deployment error is what the caller needs to see
+      this.logger.error(`Automatic rollback of deployment ${deployment.id} failed: ${error}`);
+    }
+  }
+
+  private async rollbackToLastGoodRelease(deployment: Deployment, reason: string): Promise<Release | null> {
+    const release = await this.deploymentEngine.findLastGoodRelease(deployment);
+
+    if (!release) {
+      await this.log(deployment, 'error', `${reason}; no earlier healthy release found, cannot roll back`);
+      await this.deploymentEngine.updateDeploymentStatus(deployment, DeploymentStatus.FAILED);
+      return null;
+    }
+
+    await this.log(deployment, 'warn', `${reason}; rolling back automatically to release ${release.version}`);
+
+    try {
+      await this.deploymentEngine.rollback(deployment, release.id);
+    } catch (error) {
+      await this.log(deployment, 'error', `Automatic rollback to ${release.version} failed: ${(error as Error).message}`);
+      throw error;
+    }
+
+    return release;
+  }
+
+  private async log(deployment: Deployment, level: DeploymentLog['level'], message: string): Promise<void> {
+    this.logger[level](message);
+    await this.deploymentEngine.addDeploymentLog(deployment, level, message, PIPELINE_SOURCE);
   }
 
-  private async performHealthCheck(deployment: Deployment): Promise<void> {
-    // Implement actual health check logic
-    // This would make HTTP requests to the deployed service
-    this.logger.debug(`Performing health check for deployment ${deployment.id}`);
+  private sleep(ms: number): Promise<void> {
+    return new Promise(resolve => setTimeout(resolve, ms));
   }
 }
@@ -0,0 +1,164 @@
+import * as fs from 'fs-extra';
+import * as path from 'path';
+import * as os from 'os';
+import { Deployment, DeploymentStatus, Logger } from '../types';
+
+export interface RetentionPolicy {
+  maxPerTarget: number;
+  maxAgeDays: number;
+}
+
+export interface DeploymentQuery {
+  projectId?: string;
+  target?: string;
+  status?: DeploymentStatus;
+  limit?: number;
+}
+
+const DEFAULT_RETENTION: RetentionPolicy = {
+  maxPerTarget: 50,
+  maxAgeDays: 90
+};
+
+export class DeploymentStore {
+  private deploymentsDir: string;
+  private retention: RetentionPolicy;
+  private logger: Logger;
+
+  constructor(logger: Logger, dataDir?: string, retention: Partial<RetentionPolicy> = {}) {
+    this.logger = logger;
+    this.deploymentsDir = path.join(dataDir || path.join(os.homedir(), '.ai-builder'), 'deployments');
+    this.retention = {
+      maxPerTarget: retention.maxPerTarget ?? DEFAULT_RETENTION.maxPerTarget,
+      maxAgeDays: retention.maxAgeDays ?? DEFAULT_RETENTION.maxAgeDays
+    };
+  }
+
+  async save(deployment: Deployment): Promise<void> {
+    await fs.ensureDir(this.deploymentsDir);
+
+    // Write to a temp file and rename so a crash never leaves half a record behind
+    const recordPath = this.getRecordPath(deployment.id);
+    const tempPath = `${recordPath}.${process.pid}.tmp`;
+    await fs.writeJson(tempPath, deployment, { spaces: 2 });
+    await fs.rename(tempPath, recordPath);
+  }
+
+  async get(deploymentId: string): Promise<Deployment | null> {
+    const recordPath = this.getRecordPath(deploymentId);
+
+    if (await fs.pathExists(recordPath)) {
+      return this.readRecord(recordPath);
+    }
+
+    // Allow unambiguous id prefixes, as shown in `ai-builder status`
+    const matches = (await this.listRecordFiles()).filter(file => file.startsWith(deploymentId));
+    if (matches.length === 1) {
+      return this.readRecord(path.join(this.deploymentsDir, matches[0]));
+    }
+    if (matches.length > 1) {
+      throw new Error(`Deployment id '${deploymentId}' is ambiguous (${matches.length} matches)`);
+    }
+
+    return null;
+  }
+
+  async list(query: DeploymentQuery = {}): Promise<Deployment[]> {
+    const deployments: Deployment[] = [];
+
+    for (const file of await this.listRecordFiles()) {
+      const deployment = await this.readRecord(path.join(this.deploymentsDir, file));
+      if (!deployment) continue;
+
+      if (query.projectId && deployment.projectId !== query.projectId) continue;
+      if (query.target && deployment.target.name !== query.target) continue;
+      if (query.status && deployment.status !== query.status) continue;
+
+      deployments.push(deployment);
+    }
+
+    // Newest first
+    deployments.sort((a, b) => b.createdAt.getTime() - a.createdAt.getTime());
+
+    return query.limit ? deployments.slice(0, query.limit) : deployments;
+  }
+
+  async latest(projectId: string, target: string): Promise<Deployment | null> {
+    const [deployment] = await this.list({ projectId, target, limit: 1 });
+    return deployment || null;
+  }
+
+  async delete(deploymentId: string): Promise<void> {
+    await fs.remove(this.getRecordPath(deploymentId));
+  }
+
+  // Drop records beyond the per-target limit or older than the retention
+  // window. The newest record of each project/target is always kept so
+  // status and rollback still have something to work with.
+  async prune(): Promise<number> {
+    const cutoff = Date.now() - this.retention.maxAgeDays * 24 * 60 * 60 * 1000;
+    const byTarget = new Map<string, Deployment[]>();
+
+    for (const deployment of await this.list()) {
+      const key = `${deployment.projectId}:${deployment.target.name}`;
+      const group = byTarget.get(key) || [];
+      group.push(deployment);
+      byTarget.set(key, group);
+    }
+
+    let removed = 0;
+
+    for (const group of byTarget.values()) {
+      for (let i = 1; i < group.length; i++) {
+        const deployment = group[i];
+        if (i >= this.retention.maxPerTarget || deployment.createdAt.getTime() < cutoff) {
+          await this.delete(deployment.id);
+          removed++;
+        }
+      }
+    }
+
+    if (removed > 0) {
+      this.logger.debug(`Pruned ${removed} deployment record(s)`);
+    }
+
+    return removed;
+  }
+
+  private async listRecordFiles(): Promise<string[]> {
+    if (!await fs.pathExists(this.deploymentsDir)) {
+      return [];
+    }
+
+    const files = await fs.readdir(this.deploymentsDir);
+    return files.filter(file => file.endsWith('.json'));
+  }
+
+  private async readRecord(recordPath: string): Promise<Deployment | null> {
+    try {
+      const record = await fs.readJson(recordPath);
+      return this.reviveDates(record);
+    } catch (error) {
+      this.logger.warn(`Failed to load deployment record from '${recordPath}': ${error}`);
+      return null;
+    }
+  }
+
+  private reviveDates(record: any): Deployment {
+    record.createdAt = new Date(record.createdAt);
+    if (record.startedAt) record.startedAt = new Date(record.startedAt);
+    if (record.completedAt) record.completedAt = new Date(record.completedAt);
+
+    record.logs = (record.logs || []).map((log: any) => ({ ...log, timestamp: new Date(log.timestamp) }));
+    record.statusHistory = (record.statusHistory || []).map((change: any) => ({
+      ...change,
+      timestamp: new Date(change.timestamp)
+    }));
+
+    return record;
+  }
+
+  private getRecordPath(deploymentId: string): string {
+    return path.join(this.deploymentsDir, `${path.basename(deploymentId)}.json`);
+  }
+}
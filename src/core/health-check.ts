@@ -0,0 +1,102 @@
+import * as http from 'http';
+import * as https from 'https';
+import { HealthCheckConfig, Logger } from '../types';
+
+// Upper bound for the pause between retries of a single check
+const MAX_RETRY_DELAY = 1000;
+
+export interface HealthProbeResult {
+  healthy: boolean;
+  url: string;
+  statusCode?: number;
+  responseTime: number;
+  attempts: number;
+  error?: string;
+  timestamp: Date;
+}
+
+export class HealthChecker {
+  constructor(
+    private config: HealthCheckConfig,
+    private logger: Logger
+  ) {}
+
+  // `endpoint` may be a full URL or a path relative to the deployment URL
+  resolveUrl(baseUrl?: string): string | null {
+    if (/^https?:\/\//.test(this.config.endpoint)) {
+      return this.config.endpoint;
+    }
+    if (!baseUrl) {
+      return null;
+    }
+    return new URL(this.config.endpoint || '/', baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`).toString();
+  }
+
+  // One health check: probe until a healthy response or until the retries run out
+  async check(url: string): Promise<HealthProbeResult> {
+    const attempts = Math.max(1, (this.config.retries || 0) + 1);
+    let result: HealthProbeResult | undefined;
+
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      result = await this.probe(url, attempt);
+      if (result.healthy) {
+        return result;
+      }
+
+      this.logger.debug(`Health check attempt ${attempt}/${attempts} for ${url} failed: ${this.describe(result)}`);
+
+      if (attempt < attempts) {
+        await new Promise(resolve => setTimeout(resolve, Math.min(this.config.interval || MAX_RETRY_DELAY, MAX_RETRY_DELAY)));
+      }
+    }
+
+    return result!;
+  }
+
+  describe(result: HealthProbeResult): string {
+    if (result.error) {
+      return result.error;
+    }
+    return `HTTP ${result.statusCode} in ${result.responseTime}ms`;
+  }
+
+  // A single request, without retries
+  probe(url: string, attempt: number = 1): Promise<HealthProbeResult> {
+    const startTime = Date.now();
+    const client = url.startsWith('https:') ? https : http;
+
+    return new Promise(resolve => {
+      const finish = (statusCode?: number, error?: string) => resolve({
+        healthy: !error && this.isExpectedStatus(statusCode),
+        url,
+        statusCode,
+        responseTime: Date.now() - startTime,
+        attempts: attempt,
+        error,
+        timestamp: new Date()
+      });
+
+      const request = client.get(url, { timeout: this.config.timeout }, response => {
+        // Drain the body so the socket is released
+        response.resume();
+        finish(response.statusCode);
+      });
+
+      request.on('timeout', () => {
+        request.destroy(new Error(`Timed out after ${this.config.timeout}ms`));
+      });
+
+      request.on('error', error => finish(undefined, error.message));
+    });
+  }
+
+  private isExpectedStatus(statusCode?: number): boolean {
+    if (statusCode === undefined) {
+      return false;
+    }
+    if (this.config.expectedStatus !== undefined) {
+      return statusCode === this.config.expectedStatus;
+    }
+    return statusCode >= 200 && statusCode < 300;
+  }
+}
@@ -0,0 +1,64 @@
+import { Logger, PluginHooks, Project } from '../types';
+
+type HookName = keyof PluginHooks;
+type HookArgs<K extends HookName> = Parameters<NonNullable<PluginHooks[K]>>;
+
+// Called before a project's hooks first run, e.g. to load its plugins
+export type ProjectHookLoader = (project: Project) => Promise<void>;
+
+interface RegisteredHooks {
+  name: string;
+  hooks: PluginHooks;
+  // Path of the only project these hooks run for; unset runs them for all
+  projectPath?: string;
+}
+
+export class HookRunner {
+  private registered: RegisteredHooks[] = [];
+  private loader?: ProjectHookLoader;
+  private logger: Logger;
+
+  constructor(logger: Logger) {
+    this.logger = logger;
+  }
+
+  register(name: string, hooks: PluginHooks, projectPath?: string): void {
+    this.registered = this.registered.filter(entry => entry.name !== name || entry.projectPath !== projectPath);
+    this.registered.push({ name, hooks, projectPath });
+    this.logger.debug(`Registered hooks for '${name}'${projectPath ? ` in ${projectPath}` : ''}`);
+  }
+
+  // Drops the hooks of `name` for every project
+  unregister(name: string): void {
+    this.registered = this.registered.filter(entry => entry.name !== name);
+  }
+
+  setProjectLoader(loader: ProjectHookLoader): void {
+    this.loader = loader;
+  }
+
+  has(hook: HookName): boolean {
+    return this.registered.some(entry => typeof entry.hooks[hook] === 'function');
+  }
+
+  // Runs the hooks registered for all projects and those of `project`, one
+  // after another in registration order; the first failure stops the chain
+  // and is reported with the name of the owner.
+  async run<K extends HookName>(hook: K, project: Project, ...args: HookArgs<K>): Promise<void> {
+    await this.loader?.(project);
+
+    const projectPath = project.path;
+    for (const entry of this.registered.filter(candidate => candidate.projectPath === undefined || candidate.projectPath === projectPath)) {
+      const handler = entry.hooks[hook] as ((...handlerArgs: HookArgs<K>) => Promise<void>) | undefined;
+      if (typeof handler !== 'function') continue;
+
+      this.logger.debug(`Running ${hook} hook from '${entry.name}'`);
+
+      try {
+        await handler.apply(entry.hooks, args);
+      } catch (error) {
+        throw new Error(`${hook} hook from '${entry.name}' failed: ${(error as Error).message}`);
+      }
+    }
+  }
+}
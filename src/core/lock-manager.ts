@@ -0,0 +1,216 @@
+import * as fs from 'fs-extra';
+import * as path from 'path';
+import * as os from 'os';
+import { Logger } from '../types';
+import { toSegment } from '../utils/paths';
+
+const DEFAULT_STALE_MINUTES = 120;
+
+export interface LockInfo {
+  projectId: string;
+  target: string;
+  deploymentId?: string;
+  owner: string;
+  pid: number;
+  host: string;
+  startedAt: Date;
+}
+
+export interface LockStatus extends LockInfo {
+  stale: boolean;
+}
+
+// One lock file per project and target under <dataDir>/locks, or `locksDir`
+// when given. A lock is stale when its process is gone (same host only) or it
+// is older than the stale limit; stale locks are taken over instead of
+// blocking deploys.
+//
+// Locks only exclude deploys that share the directory: the default keeps two
+// deploys on one machine apart, while teammates and CI runners need a
+// `locksDir` on storage they all mount.
+export class LockManager {
+  private locksDir: string;
+  private staleAfterMs: number;
+  private logger: Logger;
+
+  constructor(logger: Logger, dataDir?: string, staleAfterMinutes: number = DEFAULT_STALE_MINUTES, locksDir?: string) {
+    this.logger = logger;
+    this.locksDir = locksDir
+      ? path.resolve(locksDir.replace(/^~(?=$|[\\/])/, os.homedir()))
+      : path.join(dataDir || path.join(os.homedir(), '.ai-builder'), 'locks');
+    this.staleAfterMs = staleAfterMinutes * 60 * 1000;
+  }
+
+  // Fails immediately if someone else holds a live lock
+  async acquire(projectId: string, target: string, deploymentId?: string): Promise<LockInfo> {
+    const lock: LockInfo = {
+      projectId,
+      target,
+      deploymentId,
+      owner: this.getOwner(),
+      pid: process.pid,
+      host: os.hostname(),
+      startedAt: new Date()
+    };
+
+    const lockPath = this.getLockPath(projectId, target);
+    await fs.ensureDir(path.dirname(lockPath));
+
+    // Write the whole record first and hard-link it into place: the link fails
+    // if a lock exists, and readers never see a half-written file
+    const tempPath = `${lockPath}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeJson(tempPath, lock, { spaces: 2 });
+
+    try {
+      for (let attempt = 0; attempt < 2; attempt++) {
+        try {
+          await fs.link(tempPath, lockPath);
+          this.logger.debug(`Acquired deploy lock for ${projectId}/${target}`);
+          return lock;
+        } catch (error) {
+          if ((error as NodeJS.ErrnoException).code !== 'EEXIST') throw error;
+        }
+
+        const holder = await this.get(projectId, target);
+        if (holder && !holder.stale) {
+          throw new Error(
+            `Target '${target}' is locked by ${this.describe(holder)}. ` +
+            `Wait for it to finish, or run 'ai-builder lock release --target ${target} --force' if it is stuck`
+          );
+        }
+
+        // Stale (or unreadable): move it aside under a name of our own, which
+        // only one process can do, and check that what we moved is the lock we
+        // judged stale rather than one another deploy took meanwhile
+        const movedPath = `${lockPath}.${process.pid}.${Date.now()}.stale`;
+        try {
+          await fs.rename(lockPath, movedPath);
+        } catch (error) {
+          if ((error as NodeJS.ErrnoException).code !== 'ENOENT') throw error;
+          continue;
+        }
+
+        const moved = await this.readLock(movedPath);
+        if (!this.sameHolder(holder, moved)) {
+          // Put the newer lock back; the next attempt reports its holder
+          await fs.link(movedPath, lockPath).catch(error => {
+            if ((error as NodeJS.ErrnoException).code !== 'EEXIST') throw error;
+          });
+        } else if (holder) {
+          this.logger.warn(`Taking over stale deploy lock held by ${this.describe(holder)}`);
+        }
+        await fs.remove(movedPath);
+      }
+
+      throw new Error(`Could not lock target '${target}': another deploy took the lock first`);
+    } finally {
+      await fs.remove(tempPath);
+    }
+  }
+
+  // Only removes the lock if it is still ours
+  async release(lock: LockInfo): Promise<void> {
+    const current = await this.get(lock.projectId, lock.target);
+
+    if (current && this.sameHolder(current, { ...lock, startedAt: new Date(lock.startedAt) })) {
+      await fs.remove(this.getLockPath(lock.projectId, lock.target));
+      this.logger.debug(`Released deploy lock for ${lock.projectId}/${lock.target}`);
+    }
+  }
+
+  async get(projectId: string, target: string): Promise<LockStatus | null> {
+    return this.readLock(this.getLockPath(projectId, target));
+  }
+
+  async list(projectId: string): Promise<LockStatus[]> {
+    const projectDir = path.join(this.locksDir, toSegment(projectId));
+    if (!await fs.pathExists(projectDir)) {
+      return [];
+    }
+
+    const locks: LockStatus[] = [];
+    for (const file of await fs.readdir(projectDir)) {
+      if (!file.endsWith('.lock')) continue;
+
+      const lock = await this.readLock(path.join(projectDir, file));
+      if (lock) locks.push(lock);
+    }
+
+    return locks;
+  }
+
+  // Break a lock regardless of who holds it
+  async forceRelease(projectId: string, target: string): Promise<LockStatus | null> {
+    const lock = await this.get(projectId, target);
+    await fs.remove(this.getLockPath(projectId, target));
+
+    if (lock) {
+      this.logger.warn(`Force-released deploy lock held by ${this.describe(lock)}`);
+    }
+    return lock;
+  }
+
+  describe(lock: LockInfo): string {
+    const deployment = lock.deploymentId ? `, deployment ${lock.deploymentId}` : '';
+    return `${lock.owner}@${lock.host} (pid ${lock.pid}${deployment}) since ${lock.startedAt.toLocaleString()}`;
+  }
+
+  private async readLock(lockPath: string): Promise<LockStatus | null> {
+    let record: any;
+    try {
+      record = await fs.readJson(lockPath);
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code === 'ENOENT') {
+        return null;
+      }
+      // A lock we cannot read protects nothing
+      this.logger.warn(`Ignoring unreadable lock file '${lockPath}': ${error}`);
+      return null;
+    }
+
+    const lock: LockInfo = { ...record, startedAt: new Date(record.startedAt) };
+    return { ...lock, stale: this.isStale(lock) };
+  }
+
+  // Both missing or unreadable counts as the same
+  private sameHolder(a: LockInfo | null, b: LockInfo | null): boolean {
+    if (!a || !b) {
+      return !a && !b;
+    }
+    return a.pid === b.pid && a.host === b.host && a.startedAt.getTime() === b.startedAt.getTime();
+  }
+
+    private isStale(lock: LockInfo): boolean {
+    if (Date.now() - lock.startedAt.getTime() > this.staleAfterMs) {
+      return true;
+    }
+
+    // The process can only be checked from the host that took the lock
+    return lock.host === os.hostname() && !this.isAlive(lock.pid);
+  }
+
+  private isAlive(pid: number): boolean {
+    try {
+      process.kill(pid, 0);
+      return true;
+    } catch (error) {
+      return (error as NodeJS.ErrnoException).code === 'EPERM';
+    }
+  }
+
+  private getOwner(): string {
+    if (process.env.AI_BUILDER_LOCK_OWNER) {
+      return process.env.AI_BUILDER_LOCK_OWNER;
+    }
+
+    try {
+      return os.userInfo().username;
+    } catch (error) {
+      return process.env.USER || 'unknown';
+    }
+  }
+
+  private getLockPath(projectId: string, target: string): string {
+    return path.join(this.locksDir, toSegment(projectId), `${toSegment(target)}.lock`);
+  }
+}
@@ -0,0 +1,226 @@
+// JSON Schema (draft-07) for the ai-builder.yaml/ai-builder.json project
+// manifest. schemas/ai-builder.schema.json is this object as published for
+// editors; the test suite keeps the two in step.
+export const MANIFEST_SCHEMA_ID = 'https://raw.githubusercontent.com/digitalproph8/ai-builder-cli/main/schemas/ai-builder.schema.json';
+
+const stringMap = {
+  type: 'object',
+  additionalProperties: { type: 'string' }
+};
+
+const positiveInteger = { type: 'integer', minimum: 1 };
+
+export const MANIFEST_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  $id: MANIFEST_SCHEMA_ID,
+  title: 'AI Builder project manifest',
+  type: 'object',
+  required: ['name', 'build'],
+  additionalProperties: false,
+  properties: {
+    $schema: { type: 'string' },
+    name: {
+      type: 'string',
+      description: 'Project name: letters, digits, "-" and "_"',
+      pattern: '^[A-Za-z0-9_-]{1,50}$'
+    },
+    version: { type: 'string', description: 'Project version', minLength: 1 },
+    template: {
+      type: ['string', 'object'],
+      description: 'Template the project was created from: its name, or (as `init` writes it) its name, version and variable answers, which `upgrade` re-applies',
+      required: ['name', 'version'],
+      additionalProperties: false,
+      properties: {
+        name: { type: 'string', minLength: 1 },
+        version: { type: 'string', minLength: 1 },
+        variables: { type: 'object', additionalProperties: { type: ['string', 'number', 'boolean'] } }
+      }
+    },
+    build: { $ref: '#/definitions/build' },
+    deploy: { $ref: '#/definitions/deploy' },
+    environment: { $ref: '#/definitions/environment' },
+    database: { $ref: '#/definitions/database' },
+    plugins: { type: 'array', items: { $ref: '#/definitions/plugin' } }
+  },
+  definitions: {
+    build: {
+      type: 'object',
+      required: ['command'],
+      additionalProperties: false,
+      properties: {
+        command: { type: 'string', description: 'Build command, run in the project directory', minLength: 1 },
+        outputDir: { type: 'string', description: 'Directory the build writes its artifacts to' },
+        environment: { ...stringMap, description: 'Variables set for the build command' },
+        dependencies: { type: 'array', items: { type: 'string' } },
+        scripts: stringMap
+      }
+    },
+    deploy: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        targets: { type: 'array', items: { $ref: '#/definitions/target' } },
+        healthCheck: { $ref: '#/definitions/healthCheck' },
+        rollback: { $ref: '#/definitions/rollback' },
+        notifications: { $ref: '#/definitions/notifications' }
+      }
+    },
+    target: {
+      type: 'object',
+      required: ['name', 'type'],
+      additionalProperties: false,
+      properties: {
+        name: { type: 'string', description: 'Target name, as in --target', pattern: '^[A-Za-z0-9._-]+$' },
+        type: { enum: ['local', 'docker', 'aws', 'azure', 'gcp', 'ssh', 'vercel', 'netlify'] },
+        environment: { enum: ['development', 'staging', 'production'] },
+        config: { $ref: '#/definitions/targetConfig' },
+        strategy: { $ref: '#/definitions/strategy' }
+      }
+    },
+    targetConfig: {
+      type: 'object',
+      description: 'Provider settings; providers may read keys not listed here',
+      properties: {
+        region: { type: 'string' },
+        credentials: { type: 'string' },
+        image: { type: 'string' },
+        port: { type: 'integer', minimum: 1, maximum: 65535 },
+        service: { type: 'string' },
+        bucket: { type: 'string' },
+        domain: { type: 'string' },
+        host: { type: 'string' },
+        user: { type: 'string' },
+        keyPath: { type: 'string' },
+        sshPort: { type: 'integer', minimum: 1, maximum: 65535 },
+        path: { type: 'string' },
+        keepReleases: positiveInteger,
+        restartCommand: { type: 'string' },
+        statusCommand: { type: 'string' },
+        transport: { enum: ['ssh', 'local'] },
+        environment: stringMap,
+        healthCheck: { $ref: '#/definitions/healthCheck' }
+      }
+    },
+    strategy: {
+      type: 'object',
+      required: ['type'],
+      additionalProperties: false,
+      properties: {
+        type: { enum: ['recreate', 'blue-green', 'canary'] },
+        steps: {
+          type: 'array',
+          description: 'Canary only: percentages of traffic sent to the new version, in order',
+          minItems: 1,
+          items: { type: 'number', minimum: 1, maximum: 100 }
+        },
+        pause: { type: 'integer', description: 'Canary only: milliseconds between steps', minimum: 0 }
+      }
+    },
+    healthCheck: {
+      type: 'object',
+      required: ['endpoint'],
+      additionalProperties: false,
+      properties: {
+        endpoint: { type: 'string', description: 'Path (or URL) probed after deploying' },
+        interval: { type: 'integer', description: 'Milliseconds between attempts', minimum: 0 },
+        timeout: { type: 'integer', description: 'Milliseconds per attempt', minimum: 1 },
+        retries: { type: 'integer', minimum: 0 },
+        expectedStatus: { type: 'integer', minimum: 100, maximum: 599 }
+      }
+    },
+    rollback: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        enabled: { type: 'boolean', description: 'Roll back automatically when a trigger fires' },
+        triggers: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['type'],
+            additionalProperties: false,
+            properties: {
+              type: { enum: ['health_check', 'error_rate', 'manual'] },
+              threshold: { type: 'number', minimum: 0 },
+              timeWindow: { type: 'integer', minimum: 0 }
+            }
+          }
+        },
+        backupStrategy: {
+          type: 'object',
+          required: ['type'],
+          additionalProperties: false,
+          properties: {
+            type: { enum: ['full', 'incremental'] },
+            retention: positiveInteger,
+            schedule: { type: 'string' }
+          }
+        }
+      }
+    },
+    notifications: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        channels: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['type'],
+            additionalProperties: false,
+            properties: {
+              type: { enum: ['email', 'slack', 'webhook', 'discord'] },
+              config: { type: 'object' }
+            }
+          }
+        },
+        events: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['type'],
+            additionalProperties: false,
+            properties: {
+              type: { enum: ['deployment_started', 'deployment_success', 'deployment_failed', 'rollback'] },
+              enabled: { type: 'boolean' }
+            }
+          }
+        }
+      }
+    },
+    environment: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        variables: { ...stringMap, description: 'Variables set for every deployment' },
+        secrets: { ...stringMap, description: 'Kept for older projects; use `ai-builder secrets set` instead of committing values' },
+        ssl: { type: 'boolean' },
+        domain: { type: 'string' }
+      }
+    },
+    database: {
+      type: 'object',
+      required: ['type', 'database'],
+      additionalProperties: false,
+      properties: {
+        type: { enum: ['sqlite', 'postgresql', 'mysql', 'mongodb'] },
+        host: { type: 'string' },
+        port: { type: 'integer', minimum: 1, maximum: 65535 },
+        database: { type: 'string', minLength: 1 },
+        username: { type: 'string' },
+        migrations: { type: 'string' },
+        seeds: { type: 'string' }
+      }
+    },
+    plugin: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        name: { type: 'string' },
+        path: { type: 'string' },
+        enabled: { type: 'boolean' },
+        settings: { type: 'object' }
+      }
+    }
+  }
+};
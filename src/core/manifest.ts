@@ -0,0 +1,272 @@
+import * as fs from 'fs-extra';
+import * as path from 'path';
+import * as YAML from 'yaml';
+import { v4 as uuidv4 } from 'uuid';
+import { Project, ProjectConfig, TemplateOrigin } from '../types';
+import { MANIFEST_SCHEMA, MANIFEST_SCHEMA_ID } from './manifest-schema';
+
+// Looked up in this order in the project directory
+export const MANIFEST_FILES = ['ai-builder.yaml', 'ai-builder.yml', 'ai-builder.json'];
+
+export type ManifestPath = (string | number)[];
+
+export interface ManifestIssue {
+  severity: 'error' | 'warning';
+  code: string;
+  message: string;
+  // Dotted path of the offending value, e.g. deploy.targets[0].type
+  path?: string;
+  file?: string;
+  line?: number;
+  column?: number;
+}
+
+export interface ProjectManifest {
+  name: string;
+  version?: string;
+  // Just the name for hand-written manifests; generated ones record the
+  // version and answers too, for `upgrade`
+  template?: string | TemplateOrigin;
+  build: ProjectConfig['build'];
+  deploy?: ProjectConfig['deploy'];
+  environment?: ProjectConfig['environment'];
+  database?: ProjectConfig['database'];
+  plugins?: ProjectConfig['plugins'];
+}
+
+export interface LoadedManifest {
+  file: string;
+  manifest?: ProjectManifest;
+  issues: ManifestIssue[];
+  // Line/column of a value in the file, for issues found after parsing
+  locate: (issuePath: ManifestPath, at?: 'key' | 'value') => { line: number; column: number } | undefined;
+}
+
+interface SchemaIssue {
+  path: ManifestPath;
+  message: string;
+  // Unknown and missing properties point at a key rather than a value
+  at: 'key' | 'value';
+}
+
+export async function findManifest(projectPath: string): Promise<string | undefined> {
+  for (const name of MANIFEST_FILES) {
+    const file = path.join(projectPath, name);
+    if (await fs.pathExists(file)) {
+      return file;
+    }
+  }
+  return undefined;
+}
+
+export async function loadManifest(projectPath: string): Promise<LoadedManifest | undefined> {
+  const file = await findManifest(projectPath);
+  return file ? parseManifest(await fs.readFile(file, 'utf8'), file) : undefined;
+}
+
+// YAML is a superset of JSON, so both formats go through the YAML parser and
+// keep their source positions
+export function parseManifest(text: string, file: string): LoadedManifest {
+  const lineCounter = new YAML.LineCounter();
+  const doc = YAML.parseDocument(text, { lineCounter, prettyErrors: false, uniqueKeys: true });
+  const position = (offset: number) => lineCounter.linePos(offset);
+
+  const locate = (issuePath: ManifestPath, at: 'key' | 'value' = 'value') => {
+    const found = findNode(doc.contents, issuePath);
+    const node = at === 'key' && found.key ? found.key : found.value;
+    if (!node?.range) {
+      return undefined;
+    }
+    const { line, col } = position(node.range[0]);
+    return { line, column: col };
+  };
+
+  const loaded: LoadedManifest = { file, issues: [], locate };
+
+  if (doc.errors.length > 0) {
+    loaded.issues = doc.errors.map(error => {
+      const { line, col } = position(error.pos[0]);
+      return { severity: 'error' as const, code: 'PARSE_ERROR', message: error.message.split('\n')[0], file, line, column: col };
+    });
+    return loaded;
+  }
+
+  const data = doc.toJS();
+  loaded.issues = validateAgainstSchema(data, MANIFEST_SCHEMA).map(issue => {
+    const location = locate(issue.path, issue.at);
+    return {
+      severity: 'error' as const,
+      code: 'SCHEMA',
+      message: issue.message,
+      path: formatPath(issue.path),
+      file,
+      ...location && { line: location.line, column: location.column }
+    };
+  });
+
+  if (loaded.issues.length === 0) {
+    loaded.manifest = data;
+  }
+  return loaded;
+}
+
+// A valid manifest over the project's stored metadata (id, history), or
+// over a new project when there is none yet
+export function manifestToProject(manifest: ProjectManifest, projectPath: string, metadata?: Project): Project {
+  const templateOrigin = typeof manifest.template === 'object' ? manifest.template : metadata?.templateOrigin;
+
+  return {
+    id: metadata?.id || uuidv4(),
+    deployments: metadata?.deployments || [],
+    createdAt: metadata?.createdAt || new Date(),
+    updatedAt: metadata?.updatedAt || new Date(),
+    name: manifest.name,
+    template: (typeof manifest.template === 'object' ? manifest.template.name : manifest.template) || metadata?.template || 'custom',
+    ...templateOrigin && { templateOrigin },
+    version: manifest.version || metadata?.version || '1.0.0',
+    config: {
+      build: manifest.build,
+      deploy: manifest.deploy || { targets: [] },
+      environment: manifest.environment || { variables: {}, secrets: {} },
+      ...manifest.database && { database: manifest.database },
+      ...manifest.plugins && { plugins: manifest.plugins }
+    } as ProjectConfig,
+    path: projectPath
+  };
+}
+
+export function createManifest(project: Project): string {
+  const manifest: ProjectManifest = {
+    name: project.name,
+    version: project.version,
+    template: project.templateOrigin || project.template,
+    ...project.config
+  };
+  return `# yaml-language-server: $schema=${MANIFEST_SCHEMA_ID}\n${YAML.stringify(manifest)}`;
+}
+
+// `deploy.targets[0].type` ⇄ ['deploy', 'targets', 0, 'type']
+export function formatPath(issuePath: ManifestPath): string {
+  return issuePath.reduce<string>((result, segment) =>
+    typeof segment === 'number' ? `${result}[${segment}]` : result ? `${result}.${segment}` : segment, '');
+}
+
+export function parsePath(dotted: string): ManifestPath {
+  return dotted.split(/\.|\[(\d+)\]/).filter(segment => segment !== undefined && segment !== '')
+    .map(segment => /^\d+$/.test(segment) ? Number(segment) : segment);
+}
+
+// `ai-builder.yaml:12:5: error deploy.targets[0].type must be one of ...`
+export function formatIssue(issue: ManifestIssue, cwd: string = process.cwd()): string {
+  const location = [issue.file && path.relative(cwd, issue.file), issue.line, issue.column].filter(part => part !== undefined && part !== '');
+  return `${location.length > 0 ? `${location.join(':')}: ` : ''}${issue.severity} ${issue.message}`;
+}
+
+function findNode(root: unknown, issuePath: ManifestPath): { key?: YAML.Node; value?: YAML.Node } {
+  let found: { key?: YAML.Node; value?: YAML.Node } = { value: root as YAML.Node };
+
+  for (const segment of issuePath) {
+    const node = found.value;
+    if (YAML.isMap(node)) {
+      const pair = node.items.find(item => YAML.isScalar(item.key) && item.key.value === segment);
+      if (!pair) return found;
+      found = { key: pair.key as YAML.Node, value: pair.value as YAML.Node };
+    } else if (YAML.isSeq(node) && typeof segment === 'number' && node.items[segment]) {
+      found = { value: node.items[segment] as YAML.Node };
+    } else {
+      return found;
+    }
+  }
+  return found;
+}
+
+// The subset of JSON Schema the manifest schema uses: $ref to definitions,
+// type, enum, properties, required, additionalProperties, items, minItems,
+// minimum, maximum, minLength and pattern
+function validateAgainstSchema(value: any, schema: any, root: any = schema, issuePath: ManifestPath = []): SchemaIssue[] {
+  if (schema.$ref) {
+    return validateAgainstSchema(value, root.definitions[schema.$ref.replace('#/definitions/', '')], root, issuePath);
+  }
+
+  const name = formatPath(issuePath) || 'The manifest';
+  const issue = (message: string): SchemaIssue[] => [{ path: issuePath, message, at: 'value' }];
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return issue(`${name} must be one of ${schema.enum.join(', ')} (got ${JSON.stringify(value)})`);
+  }
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    return issue(`${name} must be ${describeType(schema.type)} (got ${describeValue(value)})`);
+  }
+
+  const issues: SchemaIssue[] = [];
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      issues.push(...issue(`${name} must not be empty`));
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      issues.push(...issue(`${name} '${value}' does not match ${schema.pattern}`));
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      issues.push(...issue(`${name} must be at least ${schema.minimum} (got ${value})`));
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      issues.push(...issue(`${name} must be at most ${schema.maximum} (got ${value})`));
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      issues.push(...issue(`${name} needs at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`));
+    }
+    if (schema.items) {
+      value.forEach((item, index) => issues.push(...validateAgainstSchema(item, schema.items, root, [...issuePath, index])));
+    }
+  } else if (value && typeof value === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        issues.push({ path: issuePath, message: `${formatPath([...issuePath, key])} is required`, at: 'key' });
+      }
+    }
+
+    for (const [key, child] of Object.entries(value)) {
+      const propertySchema = schema.properties?.[key];
+      if (propertySchema) {
+        issues.push(...validateAgainstSchema(child, propertySchema, root, [...issuePath, key]));
+      } else if (schema.additionalProperties === false) {
+        issues.push({ path: [...issuePath, key], message: `Unknown property '${formatPath([...issuePath, key])}'`, at: 'key' });
+      } else if (schema.additionalProperties) {
+        issues.push(...validateAgainstSchema(child, schema.additionalProperties, root, [...issuePath, key]));
+      }
+    }
+  }
+
+  return issues;
+}
+
+function matchesType(value: any, type: string | string[]): boolean {
+  return ([] as string[]).concat(type).some(expected => {
+    switch (expected) {
+      case 'object': return !!value && typeof value === 'object' && !Array.isArray(value);
+      case 'array': return Array.isArray(value);
+      case 'integer': return Number.isInteger(value);
+      case 'null': return value === null;
+      default: return typeof value === expected;
+    }
+  });
+}
+
+function describeType(type: string | string[]): string {
+  return ([] as string[]).concat(type).map(expected => (/^[aeiou]/.test(expected) ? 'an ' : 'a ') + expected).join(' or ');
+}
+
+function describeValue(value: any): string {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'a list';
+  if (typeof value === 'object') return 'an object';
+  return JSON.stringify(value);
+}
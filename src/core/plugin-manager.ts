@@ -0,0 +1,289 @@
+import * as fs from 'fs-extra';
+import * as path from 'path';
+import * as os from 'os';
+import { CLICommand, Logger, Plugin, PluginConfig, PluginHooks, Project } from '../types';
+import { HookRunner } from './hooks';
+import { UsageError } from '../utils/errors';
+
+const HOOK_NAMES: (keyof PluginHooks)[] = [
+  'beforeBuild',
+  'afterBuild',
+  'beforeDeploy',
+  'afterDeploy',
+  'beforeRollback',
+  'afterRollback'
+];
+
+const STATE_FILE = 'plugins.json';
+// Hook scope of plugins loaded outside any project; matches no project path
+const NO_PROJECT = '';
+
+export interface LoadedPlugin {
+  name: string;
+  source: 'global' | 'project';
+  path: string;
+  enabled: boolean;
+  // Who turned it off: `enabled: false` in the project, or `plugins disable`
+  disabledBy?: 'project' | 'user';
+  plugin?: Plugin;
+  errors: string[];
+}
+
+interface PluginState {
+  disabled: string[];
+}
+
+interface DiscoveredPlugin {
+  name: string;
+  source: 'global' | 'project';
+  path: string;
+  config?: PluginConfig;
+}
+
+// Finds plugins in ~/.ai-builder/plugins and in the project's `plugins` list,
+// loads the enabled ones, checks their shape and hands their hooks to the
+// HookRunner. Disabled plugins are listed but their code is never loaded.
+//
+// Hooks belong to the project whose config enabled them. `load` sets up the
+// project the CLI started in (its plugins are the ones listed and whose
+// commands are offered); any other project a command works on, like `--path`
+// or workspace members, gets its plugins loaded when its first hook runs.
+export class PluginManager {
+  private pluginsDir: string;
+  private statePath: string;
+  private loaded: LoadedPlugin[] = [];
+  // Project paths whose hooks are registered (or being registered)
+  private projects = new Map<string, Promise<LoadedPlugin[]>>();
+  private owners = new Set<string>();
+  private logger: Logger;
+
+  constructor(logger: Logger, private hooks: HookRunner, dataDir?: string) {
+    this.logger = logger;
+    const baseDir = dataDir || path.join(os.homedir(), '.ai-builder');
+    this.pluginsDir = path.join(baseDir, 'plugins');
+    this.statePath = path.join(baseDir, STATE_FILE);
+    this.hooks.setProjectLoader(project => this.loadFor(project).then(() => undefined));
+  }
+
+  async load(project?: Project): Promise<LoadedPlugin[]> {
+    for (const owner of this.owners) {
+      this.hooks.unregister(owner);
+    }
+    this.owners.clear();
+    this.projects.clear();
+
+    const loading = this.activateAll(project);
+    if (project) {
+      this.projects.set(project.path, loading);
+    }
+    this.loaded = await loading;
+    return this.loaded;
+  }
+
+  private loadFor(project: Project): Promise<LoadedPlugin[]> {
+    let loading = this.projects.get(project.path);
+    if (!loading) {
+      loading = this.activateAll(project);
+      this.projects.set(project.path, loading);
+    }
+    return loading;
+  }
+
+  private async activateAll(project?: Project): Promise<LoadedPlugin[]> {
+    const state = await this.readState();
+    const loaded: LoadedPlugin[] = [];
+
+    for (const discovered of await this.discover(project)) {
+      const entry: LoadedPlugin = {
+        name: discovered.name,
+        source: discovered.source,
+        path: discovered.path,
+        enabled: true,
+        errors: []
+      };
+
+      if (discovered.config?.enabled === false) {
+        entry.enabled = false;
+        entry.disabledBy = 'project';
+      } else if (state.disabled.includes(discovered.name)) {
+        entry.enabled = false;
+        entry.disabledBy = 'user';
+      }
+
+      if (entry.enabled) {
+        await this.activate(entry, discovered, project);
+      }
+
+      loaded.push(entry);
+    }
+
+    return loaded;
+  }
+
+  list(): LoadedPlugin[] {
+    return this.loaded;
+  }
+
+  // Commands contributed by the plugins that loaded cleanly
+  getCommands(): { plugin: string; command: CLICommand }[] {
+    return this.loaded
+      .filter(entry => entry.plugin)
+      .flatMap(entry => (entry.plugin!.commands || []).map(command => ({ plugin: entry.name, command })));
+  }
+
+  async setEnabled(name: string, enabled: boolean): Promise<void> {
+    if (!this.loaded.some(entry => entry.name === name)) {
+      throw new UsageError(`Plugin '${name}' not found`);
+    }
+
+    const state = await this.readState();
+    const disabled = new Set(state.disabled);
+
+    if (enabled) {
+      disabled.delete(name);
+    } else {
+      disabled.add(name);
+    }
+
+    await fs.ensureDir(path.dirname(this.statePath));
+    await fs.writeJson(this.statePath, { disabled: Array.from(disabled).sort() }, { spaces: 2 });
+    this.logger.info(`Plugin '${name}' ${enabled ? 'enabled' : 'disabled'}`);
+  }
+
+  getPluginsDir(): string {
+    return this.pluginsDir;
+  }
+
+  private async activate(entry: LoadedPlugin, discovered: DiscoveredPlugin, project?: Project): Promise<void> {
+    try {
+      const exported = require(discovered.path);
+      const candidate = exported && exported.default ? exported.default : exported;
+
+      const plugin = typeof candidate === 'function'
+        ? await candidate({ settings: discovered.config?.settings || {}, logger: this.logger, project })
+        : candidate;
+
+      entry.errors = this.validate(plugin);
+      if (entry.errors.length > 0) {
+        this.logger.warn(`Skipping plugin '${entry.name}': ${entry.errors.join('; ')}`);
+        return;
+      }
+
+      entry.plugin = plugin;
+      // Hooks always run for some project, which loads its own plugins, so
+      // ones loaded without a project never run
+      const owner = this.getHookOwner(entry.name);
+      this.owners.add(owner);
+      this.hooks.register(owner, plugin.hooks || {}, project?.path ?? NO_PROJECT);
+      this.logger.debug(`Loaded plugin '${entry.name}' ${plugin.version} from ${discovered.path}`);
+    } catch (error) {
+      entry.errors = [`failed to load: ${(error as Error).message}`];
+      this.logger.warn(`Skipping plugin '${entry.name}': ${entry.errors[0]}`);
+    }
+  }
+
+  private validate(plugin: any): string[] {
+    if (!plugin || typeof plugin !== 'object') {
+      return ['does not export a plugin object or factory'];
+    }
+
+    const errors: string[] = [];
+
+    if (typeof plugin.name !== 'string' || plugin.name.length === 0) {
+      errors.push('`name` must be a non-empty string');
+    }
+    if (typeof plugin.version !== 'string') {
+      errors.push('`version` must be a string');
+    }
+
+    if (plugin.hooks !== undefined) {
+      if (typeof plugin.hooks !== 'object' || plugin.hooks === null) {
+        errors.push('`hooks` must be an object');
+      } else {
+        for (const [hook, handler] of Object.entries(plugin.hooks)) {
+          if (!HOOK_NAMES.includes(hook as keyof PluginHooks)) {
+            errors.push(`unknown hook '${hook}' (expected one of ${HOOK_NAMES.join(', ')})`);
+          } else if (typeof handler !== 'function') {
+            errors.push(`hook '${hook}' must be a function`);
+          }
+        }
+      }
+    }
+
+    if (plugin.commands !== undefined) {
+      if (!Array.isArray(plugin.commands)) {
+        errors.push('`commands` must be an array');
+      } else {
+        plugin.commands.forEach((command: any, index: number) => {
+          if (!command || typeof command.name !== 'string' || typeof command.handler !== 'function') {
+            errors.push(`command #${index + 1} needs a \`name\` and a \`handler\` function`);
+          }
+        });
+      }
+    }
+
+    return errors;
+  }
+
+  // Global plugins first; a project entry with the same name replaces the
+  // global one, and an entry with only a name configures the global one
+  private async discover(project?: Project): Promise<DiscoveredPlugin[]> {
+    const plugins = new Map<string, DiscoveredPlugin>();
+
+    if (await fs.pathExists(this.pluginsDir)) {
+      for (const entry of (await fs.readdir(this.pluginsDir, { withFileTypes: true })).sort((a, b) => a.name.localeCompare(b.name))) {
+        if (entry.name.startsWith('.')) continue;
+
+        if (entry.isDirectory() || (entry.isFile() && entry.name.endsWith('.js'))) {
+          const name = entry.name.replace(/\.js$/, '');
+          plugins.set(name, { name, source: 'global', path: path.join(this.pluginsDir, entry.name) });
+        }
+      }
+    }
+
+    for (const config of project?.config.plugins || []) {
+      if (!config.path) {
+        const global = config.name ? plugins.get(config.name) : undefined;
+        if (global) {
+          global.config = config;
+        } else {
+          this.logger.warn(`Project plugin entry ${config.name ? `'${config.name}' ` : ''}has no path and matches no installed plugin`);
+        }
+        continue;
+      }
+
+      const modulePath = this.resolveProjectPlugin(config.path, project!.path);
+      const name = config.name || path.basename(config.path).replace(/\.js$/, '');
+      plugins.set(name, { name, source: 'project', path: modulePath, config });
+    }
+
+    return Array.from(plugins.values());
+  }
+
+  // Relative and absolute paths point into the project; anything else is a package name
+  private resolveProjectPlugin(pluginPath: string, projectPath: string): string {
+    if (pluginPath.startsWith('.') || path.isAbsolute(pluginPath)) {
+      return path.resolve(projectPath, pluginPath);
+    }
+
+    try {
+      return require.resolve(pluginPath, { paths: [projectPath] });
+    } catch (error) {
+      // Report it when loading, alongside other load failures
+      return pluginPath;
+    }
+  }
+
+  private async readState(): Promise<PluginState> {
+    try {
+      const state = await fs.readJson(this.statePath);
+      return { disabled: Array.isArray(state.disabled) ? state.disabled : [] };
+    } catch (error) {
+      return { disabled: [] };
+    }
+  }
+
+  private getHookOwner(name: string): string {
+    return `plugin:${name}`;
+  }
+}
@@ -2,33 +2,47 @@ import * as fs from 'fs-extra';
 import * as path from 'path';
 import * as os from 'os';
 import { v4 as uuidv4 } from 'uuid';
-import Handlebars from 'handlebars';
-import { Project, ProjectManager, BuildResult, ValidationResult, Template, Logger } from '../types';
+import { Project, ProjectManager, BuildResult, BuildOptions, ValidationResult, Template, TemplateVariable, CreateProjectOptions, UpgradeOptions, UpgradeResult, UpgradeFileStatus, Logger } from '../types';
+import { BuildCache } from './build-cache';
+import { HookRunner } from './hooks';
+import { TemplateRegistry } from './template-registry';
+import { TemplateRenderer } from './template-renderer';
+import { MANIFEST_FILES, createManifest, findManifest, formatIssue, loadManifest, manifestToProject } from './manifest';
+import { merge3, unifiedDiff } from './text-merge';
+import { UsageError, ValidationError } from '../utils/errors';
+
+// Committed with the project, unlike .ai-builder/, so every clone can upgrade
+const TEMPLATE_SNAPSHOT_DIR = '.ai-builder-template';
+// Where snapshots were kept before; read when there is no committed one
+const LEGACY_TEMPLATE_SNAPSHOT_DIR = path.join('.ai-builder', 'template');
 
 export class ProjectManagerImpl implements ProjectManager {
   private projectsDir: string;
-  private templatesDir: string;
+  private templates: TemplateRegistry;
+  private buildCache: BuildCache;
+  private hooks: HookRunner;
   private logger: Logger;
 
-  constructor(logger: Logger, dataDir?: string) {
+  constructor(logger: Logger, dataDir?: string, buildCache?: BuildCache, hooks?: HookRunner, templates?: TemplateRegistry) {
     this.logger = logger;
     this.projectsDir = path.join(dataDir || path.join(os.homedir(), '.ai-builder'), 'projects');
-    this.templatesDir = path.join(__dirname, '../../templates');
+    this.templates = templates || new TemplateRegistry(logger, dataDir);
+    this.buildCache = buildCache || new BuildCache(logger, dataDir);
+    this.hooks = hooks || new HookRunner(logger);
     
     this.ensureDirectories();
   }
 
   private async ensureDirectories(): Promise<void> {
     await fs.ensureDir(this.projectsDir);
-    await fs.ensureDir(this.templatesDir);
   }
 
-  async createProject(templateName: string, name: string, projectPath: string): Promise<Project> {
+  async createProject(templateName: string, name: string, projectPath: string, options: CreateProjectOptions = {}): Promise<Project> {
     this.logger.info(`Creating project '${name}' from template '${templateName}' at '${projectPath}'`);
     
     // Validate project name
     if (!this.isValidProjectName(name)) {
-      throw new Error(`Invalid project name: '${name}'. Project names must contain only letters, numbers, hyphens, and underscores.`);
+      throw new ValidationError(`Invalid project name: '${name}'. Project names must contain only letters, numbers, hyphens, and underscores.`);
     }
 
     // Check if project already exists
@@ -37,29 +51,25 @@ export class ProjectManagerImpl implements ProjectManager {
       throw new Error(`Directory '${targetPath}' already exists`);
     }
 
-    // Load template
-    const template = await this.loadTemplate(templateName);
+    // Load template, and settle its variables before anything is written
+    const template = await this.templates.get(templateName);
+    const variables = await this.resolveTemplateVariables(template, options.variables || {}, options.interactive !== false);
     
     // Create project structure
     await fs.ensureDir(targetPath);
-    
-    const project: Project = {
-      id: uuidv4(),
-      name,
-      template: templateName,
-      version: '1.0.0',
-      config: template.config,
-      deployments: [],
-      createdAt: new Date(),
-      updatedAt: new Date(),
-      path: targetPath
-    };
+    const project = this.newProject(template, name, variables, targetPath);
 
-    // Process template variables
-    const variables = await this.promptTemplateVariables(template);
-    
-    // Create project files
-    await this.createProjectFiles(template, targetPath, variables);
+    // Create project files and the manifest to commit; templates also see the
+    // project name. A template that fails to render leaves no half-made
+    // project behind
+    try {
+      const files = this.renderTemplate(template, name, variables);
+      await this.writeFiles(targetPath, files);
+      await this.saveTemplateSnapshot(targetPath, files);
+    } catch (error) {
+      await fs.remove(targetPath);
+      throw error;
+    }
     
     // Save project metadata
     await this.saveProjectMetadata(project);
@@ -72,127 +82,290 @@ export class ProjectManagerImpl implements ProjectManager {
     return /^[a-zA-Z0-9-_]+$/.test(name) && name.length > 0 && name.length <= 50;
   }
 
-  private async loadTemplate(name: string): Promise<Template> {
-    const templatePath = path.join(this.templatesDir, name);
-    const configPath = path.join(templatePath, 'template.json');
-    
-    if (!await fs.pathExists(templatePath)) {
-      throw new Error(`Template '${name}' not found at '${templatePath}'`);
+  // --var answers first, then a prompt when interactive, then the default
+  private async resolveTemplateVariables(template: Template, given: Record<string, string>, interactive: boolean): Promise<Record<string, any>> {
+    const variables: Record<string, any> = {};
+    const declared = template.config.variables || [];
+
+    const unknown = Object.keys(given).filter(name => !declared.some(variable => variable.name === name));
+    if (unknown.length > 0) {
+      const known = declared.map(variable => variable.name);
+      throw new UsageError(`Template '${template.name}' has no variable${unknown.length === 1 ? '' : 's'} ${unknown.join(', ')}${known.length > 0 ? ` (it has ${known.join(', ')})` : ''}`);
     }
 
-    if (!await fs.pathExists(configPath)) {
-      throw new Error(`Template configuration not found at '${configPath}'`);
+    for (const variable of declared) {
+      if (given[variable.name] !== undefined) {
+        variables[variable.name] = this.parseTemplateVariable(variable, given[variable.name]);
+      } else if (interactive) {
+        variables[variable.name] = await this.promptTemplateVariable(variable);
+      } else if (variable.default !== undefined) {
+        variables[variable.name] = variable.default;
+      } else if (variable.required) {
+        throw new UsageError(`Template variable '${variable.name}' (${variable.description}) is required; pass --var ${variable.name}=<value>`);
+      }
     }
 
-    const config = await fs.readJson(configPath);
-    const filesPath = path.join(templatePath, 'files');
-    
-    // Load template files
-    const files = [];
-    if (await fs.pathExists(filesPath)) {
-      await this.collectTemplateFiles(filesPath, '', files);
+    return variables;
+  }
+
+  private parseTemplateVariable(variable: TemplateVariable, raw: string): any {
+    switch (variable.type) {
+      case 'number': {
+        const value = Number(raw);
+        if (raw.trim() === '' || !Number.isFinite(value)) {
+          throw new ValidationError(`Invalid value '${raw}' for ${variable.name}: expected a number`);
+        }
+        return value;
+      }
+      case 'boolean': {
+        const normalized = raw.trim().toLowerCase();
+        if (['true', 'yes', 'on', '1'].includes(normalized)) return true;
+        if (['false', 'no', 'off', '0'].includes(normalized)) return false;
+        throw new ValidationError(`Invalid value '${raw}' for ${variable.name}: expected true or false`);
+      }
+      case 'choice':
+        if (!(variable.choices || []).includes(raw)) {
+          throw new ValidationError(`Invalid value '${raw}' for ${variable.name}: expected one of ${(variable.choices || []).join(', ')}`);
+        }
+        return raw;
+      default:
+        return raw;
+    }
+  }
+
+  private async promptTemplateVariable(variable: TemplateVariable): Promise<any> {
+    const inquirer = require('inquirer');
+    const question: any = {
+      name: variable.name,
+      message: variable.description,
+      default: variable.default
+    };
+
+    switch (variable.type) {
+      case 'string':
+        question.type = 'input';
+        break;
+      case 'number':
+        question.type = 'number';
+        break;
+      case 'boolean':
+        question.type = 'confirm';
+        break;
+      case 'choice':
+        question.type = 'list';
+        question.choices = variable.choices;
+        break;
+    }
+
+    if (variable.required && !variable.default) {
+      question.validate = (input: any) => {
+        if (!input) {
+          return `${variable.description} is required`;
+        }
+        return true;
+      };
     }
 
+    const answer = await inquirer.prompt([question]);
+    return answer[variable.name];
+  }
+
+  // The project as `init` first writes it; the variable declarations stay
+  // with the template
+  private newProject(template: Template, name: string, variables: Record<string, any>, targetPath: string): Project {
+    const { variables: declared, ...config } = template.config;
     return {
-      ...config,
-      files
+      id: uuidv4(),
+      name,
+      template: template.name,
+      templateOrigin: { name: template.name, version: template.version, variables },
+      version: '1.0.0',
+      config: { ...config, environment: { variables: {}, secrets: {} } },
+      deployments: [],
+      createdAt: new Date(),
+      updatedAt: new Date(),
+      path: targetPath
     };
   }
 
-  private async collectTemplateFiles(basePath: string, relativePath: string, files: any[]): Promise<void> {
-    const currentPath = path.join(basePath, relativePath);
-    const entries = await fs.readdir(currentPath, { withFileTypes: true });
+  // Everything a template generates, by path in the project: its files and
+  // the manifest. `upgrade` renders a newer version the same way to merge it
+  private renderTemplate(template: Template & { path?: string }, name: string, variables: Record<string, any>): Map<string, string> {
+    const renderer = new TemplateRenderer(template.partials, template.path);
+    const context = { name, ...variables };
+    const files = new Map<string, string>();
 
-    for (const entry of entries) {
-      const entryPath = path.join(currentPath, entry.name);
-      const entryRelativePath = path.join(relativePath, entry.name);
+    for (const file of template.files) {
+      // File and directory names are templates too; an empty one skips the file
+      const relativePath = renderer.renderPath(file.path, context);
+      if (relativePath === undefined) {
+        this.logger.debug(`Skipping template file '${file.path}'`);
+        continue;
+      }
 
-      if (entry.isDirectory()) {
-        await this.collectTemplateFiles(basePath, entryRelativePath, files);
+      if (file.template) {
+        files.set(relativePath.replace(/\.(hbs|handlebars)$/, ''), renderer.render(file.content, context, file.path));
       } else {
-        const content = await fs.readFile(entryPath, 'utf-8');
-        const isTemplate = entry.name.endsWith('.hbs') || entry.name.endsWith('.handlebars');
-        
-        files.push({
-          path: entryRelativePath,
-          content,
-          template: isTemplate
-        });
+        files.set(relativePath, file.content);
       }
     }
-  }
 
-  private async promptTemplateVariables(template: Template): Promise<Record<string, any>> {
-    const inquirer = require('inquirer');
-    const variables: Record<string, any> = {};
+    files.set(MANIFEST_FILES[0], createManifest(this.newProject(template, name, variables, '')));
+    return files;
+  }
 
-    if (!template.config.variables) {
-      return variables;
+  private async writeFiles(targetPath: string, files: Map<string, string>): Promise<void> {
+    for (const [relativePath, content] of files) {
+      const filePath = path.join(targetPath, relativePath);
+      await fs.ensureDir(path.dirname(filePath));
+      await fs.writeFile(filePath, content, 'utf-8');
     }
+  }
 
-    for (const variable of template.config.variables) {
-      const question: any = {
-        name: variable.name,
-        message: variable.description,
-        default: variable.default
-      };
+  // What the template generated, kept as the base of the next upgrade's
+  // three-way merge
+  private async saveTemplateSnapshot(projectPath: string, files: Map<string, string>): Promise<void> {
+    const snapshotDir = path.join(projectPath, TEMPLATE_SNAPSHOT_DIR);
+    await fs.remove(snapshotDir);
+    await this.writeFiles(snapshotDir, files);
+    await fs.remove(path.join(projectPath, LEGACY_TEMPLATE_SNAPSHOT_DIR));
+  }
 
-      switch (variable.type) {
-        case 'string':
-          question.type = 'input';
-          break;
-        case 'number':
-          question.type = 'number';
-          break;
-        case 'boolean':
-          question.type = 'confirm';
-          break;
-        case 'choice':
-          question.type = 'list';
-          question.choices = variable.choices;
-          break;
-      }
+  private async readTemplateSnapshot(projectPath: string): Promise<Map<string, string> | undefined> {
+    let snapshotDir = path.join(projectPath, TEMPLATE_SNAPSHOT_DIR);
+    if (!await fs.pathExists(snapshotDir)) {
+      snapshotDir = path.join(projectPath, LEGACY_TEMPLATE_SNAPSHOT_DIR);
+    }
+    if (!await fs.pathExists(snapshotDir)) {
+      return undefined;
+    }
 
-      if (variable.required && !variable.default) {
-        question.validate = (input: any) => {
-          if (!input) {
-            return `${variable.description} is required`;
-          }
-          return true;
-        };
+    const files = new Map<string, string>();
+    const walk = async (relativePath: string): Promise<void> => {
+      for (const entry of await fs.readdir(path.join(snapshotDir, relativePath), { withFileTypes: true })) {
+        const entryPath = relativePath ? `${relativePath}/${entry.name}` : entry.name;
+        if (entry.isDirectory()) {
+          await walk(entryPath);
+        } else {
+          files.set(entryPath, await fs.readFile(path.join(snapshotDir, entryPath), 'utf-8'));
+        }
       }
+    };
+    await walk('');
+    return files;
+  }
 
-      const answer = await inquirer.prompt([question]);
-      variables[variable.name] = answer[variable.name];
+  // Re-applies the template's current version: a three-way merge of what the
+  // old version generated (the snapshot), the project's files and what the
+  // new version generates. Changes only one side made apply cleanly; changes
+  // both made differently get conflict markers.
+  async upgradeProject(project: Project, options: UpgradeOptions = {}): Promise<UpgradeResult> {
+    const origin = project.templateOrigin;
+    if (!origin && project.template === 'custom') {
+      throw new UsageError(`Project '${project.name}' was not generated from a template, so there is nothing to upgrade`);
     }
 
-    return variables;
-  }
+    const template = await this.templates.get(origin?.name || project.template);
+    const result: UpgradeResult = {
+      project: project.name,
+      template: template.name,
+      ...origin && { from: origin.version },
+      to: template.version,
+      upToDate: false,
+      dryRun: !!options.dryRun,
+      applied: false,
+      hasBase: false,
+      files: [],
+      conflicts: 0
+    };
 
-  private async createProjectFiles(template: Template, targetPath: string, variables: Record<string, any>): Promise<void> {
-    for (const file of template.files) {
-      const filePath = path.join(targetPath, file.path);
-      const dirPath = path.dirname(filePath);
-      
-      await fs.ensureDir(dirPath);
+    if (origin && compareVersions(template.version, origin.version) < 0) {
+      throw new UsageError(`Template '${template.name}' is at ${template.version}, older than the ${origin.version} the project was generated from`);
+    }
+    if (origin?.version === template.version && Object.keys(options.variables || {}).length === 0) {
+      result.upToDate = true;
+      return result;
+    }
 
-      let content = file.content;
-      
-      // Process template files
-      if (file.template) {
-        const compiledTemplate = Handlebars.compile(content);
-        content = compiledTemplate(variables);
-        
-        // Remove .hbs or .handlebars extension
-        if (file.path.endsWith('.hbs')) {
-          filePath = filePath.slice(0, -4);
-        } else if (file.path.endsWith('.handlebars')) {
-          filePath = filePath.slice(0, -11);
+    // Earlier answers carry over, as far as the new version still has them;
+    // it may ask for new ones
+    const declared = new Set((template.config.variables || []).map(variable => variable.name));
+    const given: Record<string, string> = {};
+    for (const [name, value] of Object.entries(origin?.variables || {})) {
+      if (declared.has(name)) {
+        given[name] = String(value);
+      }
+    }
+    const variables = await this.resolveTemplateVariables(template, { ...given, ...options.variables }, options.interactive !== false);
+
+    const base = await this.readTemplateSnapshot(project.path);
+    const next = this.renderTemplate(template, project.name, variables);
+    result.hasBase = !!base;
+    if (!base) {
+      this.logger.warn(`No record of what ${origin ? `${template.name} ${origin.version}` : 'the template'} generated (${TEMPLATE_SNAPSHOT_DIR}); every file that differs from ${template.version} will be a conflict`);
+    }
+
+    const labels = { ours: 'current', theirs: `${template.name} ${template.version}` };
+    const contents = new Map<string, string | undefined>();
+
+    for (const relativePath of [...new Set([...(base?.keys() || []), ...next.keys()])].sort()) {
+      const before = base?.get(relativePath);
+      const after = next.get(relativePath);
+      const filePath = path.join(project.path, relativePath);
+      const current = await fs.pathExists(filePath) ? await fs.readFile(filePath, 'utf-8') : undefined;
+      const change = (status: UpgradeFileStatus, content: string | undefined, conflicts = 0) => {
+        result.files.push({ path: relativePath, status, diff: status === 'kept' ? '' : unifiedDiff(current ?? '', content ?? '', current === undefined ? '/dev/null' : `a/${relativePath}`, content === undefined ? '/dev/null' : `b/${relativePath}`), conflicts });
+        result.conflicts += conflicts;
+        if (status !== 'kept') {
+          contents.set(relativePath, content);
+        }
+      };
+
+      if (after === undefined) {
+        // Dropped by the template: removed unless the user changed it
+        if (current !== undefined) {
+          current === before ? change('removed', undefined) : change('kept', current);
+        }
+      } else if (current === undefined) {
+        // A file the user deleted stays deleted
+        if (before === undefined) {
+          change('added', after);
+        } else if (before !== after) {
+          change('kept', undefined);
+        }
+      } else {
+        const merged = merge3(before ?? '', current, after, labels);
+        if (merged.text !== current) {
+          change(merged.conflicts > 0 ? 'conflict' : 'updated', merged.text, merged.conflicts);
         }
       }
+    }
 
-      await fs.writeFile(filePath, content, 'utf-8');
+    if (options.dryRun || (result.files.length > 0 && options.confirm && !await options.confirm(result))) {
+      return result;
     }
+
+    for (const [relativePath, content] of contents) {
+      const filePath = path.join(project.path, relativePath);
+      if (content === undefined) {
+        await fs.remove(filePath);
+      } else {
+        await fs.ensureDir(path.dirname(filePath));
+        await fs.writeFile(filePath, content, 'utf-8');
+      }
+    }
+
+    await this.saveTemplateSnapshot(project.path, next);
+    await this.saveProjectMetadata({
+      ...project,
+      template: template.name,
+      templateOrigin: { name: template.name, version: template.version, variables },
+      updatedAt: new Date()
+    });
+    result.applied = true;
+
+    this.logger.info(`Project '${project.name}' upgraded to ${template.name} ${template.version} (${result.files.length} files changed, ${result.conflicts} conflicts)`);
+    return result;
   }
 
   private async saveProjectMetadata(project: Project): Promise<void> {
@@ -201,39 +374,56 @@ export class ProjectManagerImpl implements ProjectManager {
     await fs.writeJson(metadataPath, project, { spaces: 2 });
   }
 
-  async buildProject(project: Project): Promise<BuildResult> {
+  async buildProject(project: Project, options: BuildOptions = {}): Promise<BuildResult> {
     this.logger.info(`Building project '${project.name}'`);
     
     const startTime = Date.now();
     const buildConfig = project.config.build;
     
     try {
-      // Change to project directory
-      const originalCwd = process.cwd();
-      process.chdir(project.path);
+      // A failing beforeBuild or afterBuild hook fails the build
+      await this.hooks.run('beforeBuild', project, project);
+
+      const cacheKey = await this.buildCache.computeKey(project);
+
+      if (options.cache !== false) {
+        const cached = await this.buildCache.restore(cacheKey, project);
+        if (cached) {
+          this.logger.info(`Build inputs unchanged, reusing cached build ${cacheKey.substring(0, 12)}`);
+          await this.hooks.run('afterBuild', project, cached);
+          return cached;
+        }
+      }
 
       // Install dependencies
       if (buildConfig.dependencies && buildConfig.dependencies.length > 0) {
         this.logger.info('Installing dependencies');
-        await this.installDependencies(buildConfig.dependencies);
+        await this.installDependencies(buildConfig.dependencies, project.path);
       }
 
       // Run build command
       this.logger.info(`Running build command: ${buildConfig.command}`);
-      const result = await this.executeCommand(buildConfig.command, buildConfig.environment);
+      const result = await this.executeCommand(buildConfig.command, buildConfig.environment, project.path);
 
       // Collect artifacts
-      const artifacts = await this.collectArtifacts(buildConfig.outputDir);
+      const artifacts = await this.collectArtifacts(path.resolve(project.path, buildConfig.outputDir));
 
       const buildResult: BuildResult = {
         success: true,
         output: result.stdout,
         artifacts,
-        duration: Date.now() - startTime
+        duration: Date.now() - startTime,
+        cached: false,
+        cacheKey
       };
 
-      // Restore original directory
-      process.chdir(originalCwd);
+      try {
+        await this.buildCache.store(cacheKey, project, buildResult);
+      } catch (error) {
+        this.logger.warn(`Failed to cache build: ${error}`);
+      }
+
+      await this.hooks.run('afterBuild', project, buildResult);
 
       this.logger.info(`Build completed successfully in ${buildResult.duration}ms`);
       return buildResult;
@@ -247,19 +437,17 @@ export class ProjectManagerImpl implements ProjectManager {
         error: (error as Error).message
       };
 
-      // Restore original directory
-      process.chdir(originalCwd);
-
       this.logger.error(`Build failed: ${buildResult.error}`);
       return buildResult;
     }
   }
 
-  private async installDependencies(dependencies: string[]): Promise<void> {
+  private async installDependencies(dependencies: string[], cwd: string): Promise<void> {
     const { spawn } = require('child_process');
     
     return new Promise((resolve, reject) => {
       const npm = spawn('npm', ['install', ...dependencies], {
+        cwd,
         stdio: 'pipe',
         shell: true
       });
@@ -289,13 +477,14 @@ export class ProjectManagerImpl implements ProjectManager {
     });
   }
 
-  private async executeCommand(command: string, env?: Record<string, string>): Promise<{ stdout: string; stderr: string }> {
+  private async executeCommand(command: string, env: Record<string, string> | undefined, cwd: string): Promise<{ stdout: string; stderr: string }> {
     const { spawn } = require('child_process');
     
     return new Promise((resolve, reject) => {
       const [cmd, ...args] = command.split(' ');
       
       const child = spawn(cmd, args, {
+        cwd,
         stdio: 'pipe',
         shell: true,
         env: { ...process.env, ...env }
@@ -420,8 +609,31 @@ export class ProjectManagerImpl implements ProjectManager {
       });
     }
 
-    // Check if required files exist
-    const requiredFiles = ['package.json', '.ai-builder/project.json'];
+    // Target names are what --target, secrets and locks refer to
+    const seen = new Set<string>();
+    (project.config.deploy?.targets || []).forEach((target, index) => {
+      if (seen.has(target.name)) {
+        errors.push({
+          code: 'DUPLICATE_TARGET',
+          message: `Deployment target '${target.name}' is defined more than once`,
+          field: `deploy.targets[${index}].name`,
+          severity: 'error'
+        });
+      }
+      seen.add(target.name);
+    });
+
+    // The manifest is committed; secret values belong in `ai-builder secrets`
+    if (Object.keys(project.config.environment?.secrets || {}).length > 0) {
+      warnings.push({
+        code: 'COMMITTED_SECRETS',
+        message: "Secret values in the project config end up in version control; move them to 'ai-builder secrets set'",
+        field: 'environment.secrets'
+      });
+    }
+
+    // Check if required files exist; package.json only matters to Node builds
+    const requiredFiles = /\b(npm|npx|yarn|pnpm)\b/.test(project.config.build?.command || '') ? ['package.json'] : [];
     for (const file of requiredFiles) {
       const filePath = path.join(project.path, file);
       if (!await fs.pathExists(filePath)) {
@@ -433,6 +645,15 @@ export class ProjectManagerImpl implements ProjectManager {
       }
     }
 
+    if (!await findManifest(project.path) && !await fs.pathExists(path.join(project.path, '.ai-builder', 'project.json'))) {
+      errors.push({
+        code: 'MISSING_FILE',
+        message: `Neither ${MANIFEST_FILES[0]} nor .ai-builder/project.json exists`,
+        field: MANIFEST_FILES[0],
+        severity: 'error'
+      });
+    }
+
     const isValid = errors.length === 0;
     
     this.logger.info(`Project validation completed: ${isValid ? 'PASSED' : 'FAILED'} (${errors.length} errors, ${warnings.length} warnings)`);
@@ -490,16 +711,46 @@ export class ProjectManagerImpl implements ProjectManager {
     return projects.find(p => p.id === projectId) || null;
   }
 
+  // Settings come from the committed manifest (ai-builder.yaml) when there is
+  // one; .ai-builder/project.json keeps the id and history. A fresh clone has
+  // only the manifest, and gets its metadata on first use.
   async loadProject(projectPath: string): Promise<Project> {
     const metadataPath = path.join(projectPath, '.ai-builder', 'project.json');
-    
-    if (!await fs.pathExists(metadataPath)) {
-      throw new Error(`Project metadata not found at '${metadataPath}'`);
+    const loaded = await loadManifest(projectPath);
+
+    if (loaded && !loaded.manifest) {
+      throw new ValidationError(`Invalid project manifest:\n${loaded.issues.map(issue => formatIssue(issue)).join('\n')}`);
+    }
+
+    const metadata: Project | undefined = await fs.pathExists(metadataPath) ? await fs.readJson(metadataPath) : undefined;
+
+    if (!loaded?.manifest) {
+      if (!metadata) {
+        throw new UsageError(`Project metadata not found at '${metadataPath}' (and no ${MANIFEST_FILES[0]})`);
+      }
+      metadata.path = projectPath;
+      return metadata;
+    }
+
+    const project = manifestToProject(loaded.manifest, projectPath, metadata);
+    if (!metadata) {
+      await this.saveProjectMetadata(project);
+      this.logger.info(`Initialized project metadata for '${project.name}' from ${path.basename(loaded.file)}`);
     }
 
-    const project = await fs.readJson(metadataPath);
-    project.path = projectPath;
-    
     return project;
   }
 }
+
+// 1.10.0 > 1.9.2; pre-release and build suffixes are ignored
+function compareVersions(a: string, b: string): number {
+  const parse = (version: string) => version.split(/[-+]/)[0].split('.').map(part => Number(part) || 0);
+  const [partsA, partsB] = [parse(a), parse(b)];
+  for (let index = 0; index < Math.max(partsA.length, partsB.length); index++) {
+    const difference = (partsA[index] || 0) - (partsB[index] || 0);
+    if (difference !== 0) {
+      return difference;
+    }
+  }
+  return 0;
+}
@@ -0,0 +1,119 @@
+import * as fs from 'fs-extra';
+import * as path from 'path';
+import * as os from 'os';
+import { Deployment, Logger, Project, Release } from '../types';
+import { toSegment } from '../utils/paths';
+
+const RELEASE_FILE = 'release.json';
+const ARTIFACTS_DIR = 'artifacts';
+
+export class ReleaseManager {
+  private releasesDir: string;
+  private logger: Logger;
+
+  constructor(logger: Logger, dataDir?: string) {
+    this.logger = logger;
+    this.releasesDir = path.join(dataDir || path.join(os.homedir(), '.ai-builder'), 'releases');
+  }
+
+  // Snapshot a successful deployment: build output, resolved environment and
+  // the project/target config it was deployed with. Each deployment gets its
+  // own release, so redeploying a version keeps the earlier builds of it.
+  async create(project: Project, deployment: Deployment, environment: Record<string, string>): Promise<Release> {
+    const id = toSegment(`${deployment.version}-${deployment.id}`);
+    const releaseDir = this.getReleaseDir(project.id, deployment.target.name, id);
+    const stagingDir = `${releaseDir}.${process.pid}.tmp`;
+    const { deployments, ...projectSnapshot } = project;
+
+    const release: Release = {
+      id,
+      version: deployment.version,
+      projectId: project.id,
+      deploymentId: deployment.id,
+      target: deployment.target,
+      project: projectSnapshot,
+      environment,
+      buildResult: deployment.buildResult,
+      createdAt: new Date()
+    };
+
+    await fs.remove(stagingDir);
+    await fs.ensureDir(stagingDir);
+
+    const outputDir = path.resolve(project.path, project.config.build.outputDir || '.');
+    if (await fs.pathExists(outputDir)) {
+      await fs.copy(outputDir, path.join(stagingDir, ARTIFACTS_DIR));
+      release.artifactsDir = path.join(releaseDir, ARTIFACTS_DIR);
+    } else {
+      this.logger.warn(`Build output '${outputDir}' not found; release ${release.version} has no artifacts`);
+    }
+
+    await fs.writeJson(path.join(stagingDir, RELEASE_FILE), release, { spaces: 2 });
+    await fs.remove(releaseDir);
+    await fs.move(stagingDir, releaseDir);
+
+    this.logger.debug(`Recorded release ${release.id} for ${project.name}/${deployment.target.name}`);
+    return release;
+  }
+
+  async get(projectId: string, target: string, id: string): Promise<Release | null> {
+    return this.readRelease(path.join(this.getReleaseDir(projectId, target, id), RELEASE_FILE));
+  }
+
+  async list(projectId: string, target: string): Promise<Release[]> {
+    const targetDir = this.getTargetDir(projectId, target);
+    if (!await fs.pathExists(targetDir)) {
+      return [];
+    }
+
+    const releases: Release[] = [];
+    for (const entry of await fs.readdir(targetDir)) {
+      if (entry.endsWith('.tmp')) continue;
+
+      const release = await this.readRelease(path.join(targetDir, entry, RELEASE_FILE));
+      if (release) {
+        releases.push(release);
+      }
+    }
+
+    // Newest first
+    return releases.sort((a, b) => b.createdAt.getTime() - a.createdAt.getTime());
+  }
+
+  async prune(projectId: string, target: string, keep: number): Promise<number> {
+    const stale = (await this.list(projectId, target)).slice(Math.max(keep, 1));
+
+    for (const release of stale) {
+      await fs.remove(this.getReleaseDir(projectId, target, release.id));
+    }
+
+    return stale.length;
+  }
+
+  private async readRelease(releasePath: string): Promise<Release | null> {
+    if (!await fs.pathExists(releasePath)) {
+      return null;
+    }
+
+    try {
+      const release = await fs.readJson(releasePath);
+      // Releases recorded before they had ids were keyed by version alone
+      release.id = release.id || path.basename(path.dirname(releasePath));
+      release.createdAt = new Date(release.createdAt);
+      release.project.createdAt = new Date(release.project.createdAt);
+      release.project.updatedAt = new Date(release.project.updatedAt);
+      return release;
+    } catch (error) {
+      this.logger.warn(`Failed to load release from '${releasePath}': ${error}`);
+      return null;
+    }
+  }
+
+  private getTargetDir(projectId: string, target: string): string {
+    return path.join(this.releasesDir, toSegment(projectId), toSegment(target));
+  }
+
+  private getReleaseDir(projectId: string, target: string, id: string): string {
+    return path.join(this.getTargetDir(projectId, target), toSegment(id));
+  }
+}
@@ -0,0 +1,92 @@
+import { Logger } from '../types';
+import { ConfigManagerImpl } from './config-manager';
+import { UsageError, ValidationError } from '../utils/errors';
+
+// The config manager encrypts any key containing "secret"
+const KEY_PREFIX = 'secrets.';
+
+// Stored under this pseudo-target, a secret applies to every target
+export const ALL_TARGETS = '*';
+
+export interface SecretEntry {
+  name: string;
+  target: string;
+}
+
+type StoredSecrets = Record<string, Record<string, string>>;
+
+// Deploy-time secrets per project, kept in the encrypted global config as one
+// `secrets.<projectId>` entry mapping target (or '*') to name/value pairs.
+// Values only leave the store when a deployment resolves them.
+export class SecretStore {
+  constructor(
+    private configManager: ConfigManagerImpl,
+    private logger: Logger
+  ) {}
+
+  async set(projectId: string, name: string, value: string, target: string = ALL_TARGETS): Promise<void> {
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+      throw new ValidationError(`Invalid secret name '${name}': use letters, digits and underscores, not starting with a digit`);
+    }
+    if (typeof value !== 'string' || value === '') {
+      throw new ValidationError(`Secret '${name}' needs a value`);
+    }
+
+    const stored = await this.read(projectId);
+    stored[target] = { ...stored[target], [name]: value };
+    await this.configManager.set(this.getKey(projectId), stored);
+    this.logger.info(`Secret '${name}' saved for ${this.describeTarget(target)}`);
+  }
+
+  async delete(projectId: string, name: string, target: string = ALL_TARGETS): Promise<void> {
+    const stored = await this.read(projectId);
+    if (!stored[target] || stored[target][name] === undefined) {
+      throw new UsageError(`Secret '${name}' not found for ${this.describeTarget(target)}`);
+    }
+
+    delete stored[target][name];
+    if (Object.keys(stored[target]).length === 0) {
+      delete stored[target];
+    }
+
+    if (Object.keys(stored).length === 0) {
+      await this.configManager.delete(this.getKey(projectId));
+    } else {
+      await this.configManager.set(this.getKey(projectId), stored);
+    }
+    this.logger.info(`Secret '${name}' deleted for ${this.describeTarget(target)}`);
+  }
+
+  // Names only; with a target, the secrets that target would receive
+  async list(projectId: string, target?: string): Promise<SecretEntry[]> {
+    const stored = await this.read(projectId);
+    const targets = target ? [ALL_TARGETS, target].filter(name => stored[name]) : Object.keys(stored);
+
+    return targets
+      .flatMap(name => Object.keys(stored[name]).map(secret => ({ name: secret, target: name })))
+      .filter(entry => !target || entry.target === target || !stored[target]?.[entry.name])
+      .sort((a, b) => a.name.localeCompare(b.name) || a.target.localeCompare(b.target));
+  }
+
+  // Values for a deployment: target-specific secrets override project-wide ones
+  async resolve(projectId: string, target: string): Promise<Record<string, string>> {
+    const stored = await this.read(projectId);
+    return { ...stored[ALL_TARGETS], ...(target !== ALL_TARGETS ? stored[target] : {}) };
+  }
+
+  private getKey(projectId: string): string {
+    return `${KEY_PREFIX}${projectId}`;
+  }
+
+  private describeTarget(target: string): string {
+    return target === ALL_TARGETS ? 'all targets' : `target '${target}'`;
+  }
+
+  private async read(projectId: string): Promise<StoredSecrets> {
+    const stored = await this.configManager.get(this.getKey(projectId));
+    if (!stored || typeof stored !== 'object') {
+      return {};
+    }
+    return Object.fromEntries(Object.entries(stored as StoredSecrets).map(([target, values]) => [target, { ...values }]));
+  }
+}
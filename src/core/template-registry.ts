@@ -0,0 +1,294 @@
+import * as fs from 'fs-extra';
+import * as path from 'path';
+import * as os from 'os';
+import { Logger, Template, TemplateFile } from '../types';
+import { runCommand } from '../utils/exec';
+import { UsageError, ValidationError } from '../utils/errors';
+
+const TEMPLATE_FILE = 'template.json';
+const ARCHIVE_PATTERN = /\.(tgz|tar\.gz|tar)$/;
+
+export type TemplateSourceKind = 'user' | 'shared' | 'builtin';
+
+export interface TemplateSource {
+  kind: TemplateSourceKind;
+  dir: string;
+}
+
+export interface TemplateInfo {
+  name: string;
+  version: string;
+  description: string;
+  category: string;
+  tags: string[];
+  source: TemplateSourceKind;
+  path: string;
+}
+
+export interface AddTemplateOptions {
+  // Directory to install into instead of ~/.ai-builder/templates, e.g. a
+  // shared source the team reads through `templates.sources`
+  to?: string;
+  force?: boolean;
+}
+
+// Templates come from ~/.ai-builder/templates (`templates add`), from shared
+// directories listed in `templates.sources`, and from the templates shipped
+// with the CLI. A name found in more than one source resolves in that order,
+// so a team or user can override a built-in template.
+export class TemplateRegistry {
+  private userDir: string;
+  private sources: TemplateSource[];
+  private logger: Logger;
+
+  constructor(logger: Logger, dataDir?: string, sharedDirs: string[] = []) {
+    this.logger = logger;
+    this.userDir = path.join(dataDir || path.join(os.homedir(), '.ai-builder'), 'templates');
+    this.sources = [];
+    this.setSharedDirs(sharedDirs);
+  }
+
+  // The `templates.sources` setting is only known once the config is resolved
+  setSharedDirs(sharedDirs: string[]): void {
+    this.sources = [
+      { kind: 'user', dir: this.userDir },
+      ...sharedDirs.map(dir => ({ kind: 'shared' as const, dir: path.resolve(dir) })),
+      { kind: 'builtin', dir: path.join(__dirname, '../../templates') }
+    ];
+  }
+
+  getSources(): TemplateSource[] {
+    return this.sources;
+  }
+
+  getUserDir(): string {
+    return this.userDir;
+  }
+
+  async list(): Promise<TemplateInfo[]> {
+    const templates = new Map<string, TemplateInfo>();
+
+    for (const source of this.sources) {
+      if (!await fs.pathExists(source.dir)) {
+        continue;
+      }
+
+      for (const entry of await fs.readdir(source.dir, { withFileTypes: true })) {
+        const dir = path.join(source.dir, entry.name);
+        if (!entry.isDirectory() || !await fs.pathExists(path.join(dir, TEMPLATE_FILE))) {
+          continue;
+        }
+
+        try {
+          const config = await this.readConfig(dir);
+          if (!templates.has(config.name)) {
+            templates.set(config.name, this.toInfo(config, source.kind, dir));
+          }
+        } catch (error) {
+          this.logger.warn(`Skipping template in '${dir}': ${(error as Error).message}`);
+        }
+      }
+    }
+
+    return [...templates.values()].sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  async find(name: string): Promise<TemplateInfo | undefined> {
+    return (await this.list()).find(template => template.name === name);
+  }
+
+  // The template with its files, ready for `createProject`
+  async get(name: string): Promise<Template & { source: TemplateSourceKind; path: string }> {
+    const info = await this.find(name);
+    if (!info) {
+      const available = (await this.list()).map(template => template.name);
+      throw new UsageError(`Template '${name}' not found${available.length > 0 ? `. Available: ${available.join(', ')}` : ''}`);
+    }
+
+    const config = await this.readConfig(info.path);
+    const files: TemplateFile[] = [];
+    const partials: TemplateFile[] = [];
+    const filesPath = path.join(info.path, 'files');
+    const partialsPath = path.join(info.path, 'partials');
+    if (await fs.pathExists(filesPath)) {
+      await this.collectFiles(filesPath, '', files);
+    }
+    if (await fs.pathExists(partialsPath)) {
+      await this.collectFiles(partialsPath, '', partials);
+    }
+
+    return { ...config, files, partials, source: info.source, path: info.path };
+  }
+
+  // Installs a template from a directory or a .tgz/.tar.gz/.tar archive (an
+  // `npm pack` tarball works too: its files sit under `package/`)
+  async add(source: string, options: AddTemplateOptions = {}): Promise<TemplateInfo> {
+    const sourcePath = path.resolve(source);
+    if (!await fs.pathExists(sourcePath)) {
+      throw new UsageError(`Template source '${source}' does not exist`);
+    }
+
+    const isArchive = (await fs.stat(sourcePath)).isFile();
+    if (isArchive && !ARCHIVE_PATTERN.test(sourcePath)) {
+      throw new UsageError(`'${source}' is not a directory or a .tgz, .tar.gz or .tar archive`);
+    }
+
+    const extracted = isArchive ? await this.extract(sourcePath) : undefined;
+    try {
+      const templateDir = extracted ? await this.findTemplateRoot(extracted, source) : sourcePath;
+      if (!await fs.pathExists(path.join(templateDir, TEMPLATE_FILE))) {
+        throw new ValidationError(`'${source}' has no ${TEMPLATE_FILE}`);
+      }
+
+      const config = await this.readConfig(templateDir);
+      const targetRoot = options.to ? path.resolve(options.to) : this.userDir;
+      const targetDir = path.join(targetRoot, config.name);
+
+      if (await fs.pathExists(targetDir)) {
+        if (!options.force) {
+          throw new UsageError(`Template '${config.name}' is already installed in ${targetRoot}; pass --force to replace it`);
+        }
+        await fs.remove(targetDir);
+      }
+
+      await fs.ensureDir(targetRoot);
+      await fs.copy(templateDir, targetDir);
+      this.logger.info(`Template '${config.name}' ${config.version} installed in '${targetDir}'`);
+
+      const kind = targetRoot === this.userDir ? 'user' : this.sources.find(entry => entry.dir === targetRoot)?.kind || 'shared';
+      return this.toInfo(config, kind, targetDir);
+    } finally {
+      if (extracted) {
+        await fs.remove(extracted);
+      }
+    }
+  }
+
+  // Only templates in ~/.ai-builder/templates, or in `from`, can be removed
+  async remove(name: string, from?: string): Promise<TemplateInfo> {
+    const root = from ? path.resolve(from) : this.userDir;
+    const dir = path.join(root, name);
+
+    if (!await fs.pathExists(path.join(dir, TEMPLATE_FILE))) {
+      const found = await this.find(name);
+      if (found && !from) {
+        throw new UsageError(`Template '${name}' is ${found.source === 'builtin' ? 'built in' : `in the shared source ${path.dirname(found.path)}`}; only templates added with \`templates add\` can be removed${found.source === 'shared' ? ' (use --from to remove it from the shared source)' : ''}`);
+      }
+      throw new UsageError(`Template '${name}' not found in ${root}`);
+    }
+
+    const info = this.toInfo(await this.readConfig(dir), root === this.userDir ? 'user' : 'shared', dir);
+    await fs.remove(dir);
+    this.logger.info(`Template '${name}' removed from '${root}'`);
+    return info;
+  }
+
+  // Problems with a template.json; templates must say what they are so
+  // `templates list` can filter on them
+  validate(config: any): string[] {
+    const errors: string[] = [];
+
+    if (!config || typeof config !== 'object') {
+      return [`${TEMPLATE_FILE} must contain an object`];
+    }
+    if (typeof config.name !== 'string' || !/^[a-zA-Z0-9-_]+$/.test(config.name)) {
+      errors.push('name must contain only letters, numbers, hyphens and underscores');
+    }
+    if (typeof config.version !== 'string' || !/^\d+\.\d+\.\d+(?:[-+][0-9A-Za-z.-]+)?$/.test(config.version)) {
+      errors.push(`version must be a semantic version such as 1.0.0 (got ${JSON.stringify(config.version)})`);
+    }
+    if (typeof config.description !== 'string' || config.description.length === 0) {
+      errors.push('description is required');
+    }
+    if (typeof config.category !== 'string' || config.category.length === 0) {
+      errors.push('category is required');
+    }
+    if (!Array.isArray(config.tags) || config.tags.some((tag: unknown) => typeof tag !== 'string')) {
+      errors.push('tags must be a list of strings');
+    }
+    if (typeof config.config?.build?.command !== 'string') {
+      errors.push('config.build.command is required');
+    }
+
+    for (const variable of config.config?.variables || []) {
+      if (!variable?.name || !['string', 'number', 'boolean', 'choice'].includes(variable.type)) {
+        errors.push(`variable ${JSON.stringify(variable?.name)} must have a name and a type of string, number, boolean or choice`);
+      } else if (variable.type === 'choice' && (!Array.isArray(variable.choices) || variable.choices.length === 0)) {
+        errors.push(`variable '${variable.name}' is a choice but lists no choices`);
+      }
+    }
+
+    return errors;
+  }
+
+  private async readConfig(dir: string): Promise<Omit<Template, 'files'>> {
+    let config: any;
+    try {
+      config = await fs.readJson(path.join(dir, TEMPLATE_FILE));
+    } catch (error) {
+      throw new ValidationError(`Cannot read ${path.join(dir, TEMPLATE_FILE)}: ${(error as Error).message}`);
+    }
+
+    const errors = this.validate(config);
+    if (errors.length > 0) {
+      throw new ValidationError(`Invalid ${TEMPLATE_FILE} in '${dir}': ${errors.join('; ')}`);
+    }
+    return config;
+  }
+
+  private toInfo(config: Omit<Template, 'files'>, source: TemplateSourceKind, dir: string): TemplateInfo {
+    return {
+      name: config.name,
+      version: config.version,
+      description: config.description,
+      category: config.category,
+      tags: config.tags,
+      source,
+      path: dir
+    };
+  }
+
+  private async extract(archive: string): Promise<string> {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ai-builder-template-'));
+    const result = await runCommand('tar', [archive.endsWith('.tar') ? '-xf' : '-xzf', archive, '-C', dir], { timeout: 60000 });
+
+    if (result.code !== 0) {
+      await fs.remove(dir);
+      throw new ValidationError(`Cannot extract '${archive}': ${result.stderr.trim() || `tar exited with code ${result.code}`}`);
+    }
+    return dir;
+  }
+
+  // template.json at the top of the archive, or in its only directory
+  private async findTemplateRoot(dir: string, source: string): Promise<string> {
+    if (await fs.pathExists(path.join(dir, TEMPLATE_FILE))) {
+      return dir;
+    }
+
+    const entries = (await fs.readdir(dir, { withFileTypes: true })).filter(entry => entry.isDirectory());
+    if (entries.length === 1 && await fs.pathExists(path.join(dir, entries[0].name, TEMPLATE_FILE))) {
+      return path.join(dir, entries[0].name);
+    }
+
+    throw new ValidationError(`'${source}' has no ${TEMPLATE_FILE} at its top level`);
+  }
+
+  private async collectFiles(basePath: string, relativePath: string, files: TemplateFile[]): Promise<void> {
+    const currentPath = path.join(basePath, relativePath);
+    const entries = await fs.readdir(currentPath, { withFileTypes: true });
+
+    for (const entry of entries) {
+      const entryRelativePath = path.join(relativePath, entry.name);
+
+      if (entry.isDirectory()) {
+        await this.collectFiles(basePath, entryRelativePath, files);
+      } else {
+        files.push({
+          path: entryRelativePath,
+          content: await fs.readFile(path.join(currentPath, entry.name), 'utf-8'),
+          template: entry.name.endsWith('.hbs') || entry.name.endsWith('.handlebars')
+        });
+      }
+    }
+  }
+}
@@ -0,0 +1,169 @@
+import * as path from 'path';
+import Handlebars from 'handlebars';
+import { TemplateFile } from '../types';
+import { ValidationError } from '../utils/errors';
+
+interface SourceLocation {
+  source?: string;
+  start: { line: number; column: number };
+}
+
+// Word boundaries: case changes, spaces, dashes, underscores and dots
+function words(value: unknown): string[] {
+  return String(value ?? '')
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean);
+}
+
+const capitalize = (word: string) => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase();
+
+const STRING_HELPERS: Record<string, (value: unknown) => string> = {
+  camelCase: value => words(value).map((word, index) => index === 0 ? word.toLowerCase() : capitalize(word)).join(''),
+  pascalCase: value => words(value).map(capitalize).join(''),
+  kebabCase: value => words(value).map(word => word.toLowerCase()).join('-'),
+  snakeCase: value => words(value).map(word => word.toLowerCase()).join('_'),
+  constantCase: value => words(value).map(word => word.toUpperCase()).join('_'),
+  titleCase: value => words(value).map(capitalize).join(' '),
+  upperCase: value => String(value ?? '').toUpperCase(),
+  lowerCase: value => String(value ?? '').toLowerCase(),
+  // `My Café API!` → `my-cafe-api`
+  slugify: value => String(value ?? '').normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '')
+};
+
+// For conditions and loops on variables: {{#if (eq database "postgres")}},
+// {{#if (or docker k8s)}}
+const LOGIC_HELPERS: Record<string, (...args: any[]) => any> = {
+  eq: (a, b) => a === b,
+  ne: (a, b) => a !== b,
+  not: value => !value,
+  and: (...args) => args.slice(0, -1).every(Boolean),
+  or: (...args) => args.slice(0, -1).some(Boolean),
+  includes: (list, value) => Array.isArray(list) ? list.includes(value) : String(list ?? '').includes(value),
+  // Block helpers cannot close in a file name ("/" is the separator), so
+  // names use this instead: {{when docker 'Dockerfile'}}
+  when: (condition, value, options) => {
+    if (options === undefined) {
+      throw new Error("when needs a condition and a value, e.g. {{when docker 'Dockerfile'}}");
+    }
+    return condition ? value : '';
+  },
+  // Lets a string variable drive a loop: {{#each (split features ",")}}
+  split: (value, separator) => String(value ?? '').split(typeof separator === 'string' ? separator : ',')
+    .map(item => item.trim()).filter(Boolean)
+};
+
+// Renders a template's files and file names with Handlebars: conditionals,
+// loops, partials from the template's `partials/` directory and the helpers
+// above. Output is not HTML-escaped, since templates generate source code.
+// Errors name the template file and line.
+export class TemplateRenderer {
+  private handlebars = Handlebars.create();
+
+  constructor(partials: TemplateFile[] = [], private baseDir = '') {
+    for (const [name, helper] of Object.entries({ ...STRING_HELPERS, ...LOGIC_HELPERS })) {
+      this.handlebars.registerHelper(name, helper);
+    }
+
+    // Helpers get the position of their call, so a failing one (including
+    // the built-in #each and #with, and a missing helper) can report it
+    for (const [name, helper] of Object.entries(this.handlebars.helpers)) {
+      this.handlebars.registerHelper(name, function (this: any, ...args: any[]) {
+        try {
+          return (helper as Function).apply(this, args);
+        } catch (error) {
+          const loc = args[args.length - 1]?.loc;
+          if (loc && !(error as any).templateLoc) {
+            (error as any).templateLoc = loc;
+          }
+          throw error;
+        }
+      });
+    }
+
+    const compiled = partials.map(file => ({ file, ast: this.parse(file.content, this.sourceName('partials', file.path)) }));
+    for (const { file, ast } of compiled) {
+      this.handlebars.registerPartial(file.path.split(path.sep).join('/').replace(/\.(hbs|handlebars)$/, ''), this.handlebars.compile(ast, { noEscape: true }));
+    }
+    compiled.forEach(({ ast }) => this.checkPartials(ast));
+  }
+
+  // Text of a file under `files/`
+  render(source: string, context: Record<string, any>, file: string): string {
+    const name = this.sourceName('files', file);
+    const ast = this.parse(source, name);
+    this.checkPartials(ast);
+
+    try {
+      return this.handlebars.compile(ast, { noEscape: true })(context);
+    } catch (error) {
+      throw this.renderError((error as any).templateLoc || { source: name }, (error as Error).message);
+    }
+  }
+
+  // `src/{{kebabCase name}}/index.ts` → `src/my-app/index.ts`. A segment that
+  // renders empty, as `{{when docker 'Dockerfile'}}` does when docker is off,
+  // leaves the file out: the result is undefined
+  renderPath(filePath: string, context: Record<string, any>): string | undefined {
+    const segments: string[] = [];
+
+    for (const segment of filePath.split(/[\\/]/)) {
+      const rendered = segment.includes('{{') ? this.render(segment, context, filePath).trim() : segment;
+      if (rendered === '') {
+        return undefined;
+      }
+      if (rendered === '..' || /[\\/]/.test(rendered)) {
+        throw new ValidationError(`Cannot render template path ${this.sourceName('files', filePath)}: '${segment}' became '${rendered}'`);
+      }
+      segments.push(rendered);
+    }
+
+    return segments.join('/');
+  }
+
+  private parse(source: string, name: string): hbs.AST.Program {
+    try {
+      return this.handlebars.parse(source, { srcName: name } as any);
+    } catch (error) {
+      // "Parse error on line 3:\n<excerpt>\n---^\nExpecting 'CLOSE', got 'EOF'"
+      const message = (error as Error).message;
+      const line = /on line (\d+)/.exec(message)?.[1];
+      const reason = message.split('\n').pop() || message;
+      throw new ValidationError(`Cannot render template: ${name}${line ? `:${line}` : ''}: ${reason}`);
+    }
+  }
+
+  // Handlebars only finds out at render time, and without a position
+  private checkPartials(node: any): void {
+    if (!node || typeof node !== 'object') {
+      return;
+    }
+
+    // A partial block ({{#> layout}}...{{/layout}}) falls back to its content
+    if (node.type === 'PartialStatement' && node.name.type === 'PathExpression') {
+      const partial = node.name.original;
+      if (partial !== '@partial-block' && !this.handlebars.partials[partial]) {
+        throw this.renderError(node.loc, `Partial '${partial}' not found (add partials/${partial}.hbs to the template)`);
+      }
+    }
+
+    for (const value of Object.values(node)) {
+      if (Array.isArray(value)) {
+        value.forEach(child => this.checkPartials(child));
+      } else if (value && typeof value === 'object' && (value as any).type) {
+        this.checkPartials(value);
+      }
+    }
+  }
+
+  private renderError(loc: SourceLocation | { source?: string }, message: string): ValidationError {
+    const position = 'start' in loc ? `:${loc.start.line}:${loc.start.column + 1}` : '';
+    return new ValidationError(`Cannot render template: ${loc.source}${position}: ${message}`);
+  }
+
+  private sourceName(dir: string, file: string): string {
+    return path.join(this.baseDir, dir, file);
+  }
+}
@@ -0,0 +1,239 @@
+// Line-based diff and three-way merge, as `upgrade` needs them to carry
+// template changes into files the user has edited
+
+export interface MergeLabels {
+  ours: string;
+  theirs: string;
+}
+
+export interface MergeResult {
+  text: string;
+  conflicts: number;
+}
+
+// Past this many edits two files are treated as entirely different, which
+// keeps the diff's memory bounded
+const MAX_EDITS = 4000;
+
+// Lines keep their "\n", so a missing final newline is a change too
+export function splitLines(text: string): string[] {
+  return text === '' ? [] : text.split(/(?<=\n)/);
+}
+
+// Pairs of equal lines [indexInA, indexInB], in order, forming a longest
+// common subsequence
+export function matchLines(a: string[], b: string[]): Array<[number, number]> {
+  // Common prefix and suffix first; they are most of a typical file
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const pairs: Array<[number, number]> = [];
+  for (let index = 0; index < start; index++) {
+    pairs.push([index, index]);
+  }
+  pairs.push(...myers(a.slice(start, endA), b.slice(start, endB)).map(([x, y]) => [x + start, y + start] as [number, number]));
+  for (let index = 0; endA + index < a.length; index++) {
+    pairs.push([endA + index, endB + index]);
+  }
+  return pairs;
+}
+
+// Myers' O(ND) diff; trace[d] keeps the furthest x of each diagonal k in
+// -d..d after round d, for walking back from the end
+function myers(a: string[], b: string[]): Array<[number, number]> {
+  const n = a.length;
+  const m = b.length;
+  if (n === 0 || m === 0) {
+    return [];
+  }
+
+  const max = Math.min(n + m, MAX_EDITS);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace: Int32Array[] = [];
+  let found = false;
+
+  for (let d = 0; d <= max && !found; d++) {
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]) ? v[offset + k + 1] : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        found = true;
+        break;
+      }
+    }
+    trace.push(v.slice(offset - d, offset + d + 1));
+  }
+
+  if (!found) {
+    return [];
+  }
+
+  const pairs: Array<[number, number]> = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d > 0; d--) {
+    const previous = trace[d - 1];
+    const k = x - y;
+    const previousK = k === -d || (k !== d && previous[k - 1 + d - 1] < previous[k + 1 + d - 1]) ? k + 1 : k - 1;
+    const previousX = previous[previousK + d - 1];
+    const previousY = previousX - previousK;
+
+    // The snake after the edit
+    while (x > previousX && y > previousY && x > 0 && y > 0 && a[x - 1] === b[y - 1]) {
+      pairs.push([--x, --y]);
+    }
+    x = previousX;
+    y = previousY;
+  }
+  while (x > 0 && y > 0) {
+    pairs.push([--x, --y]);
+  }
+
+  return pairs.reverse();
+}
+
+// diff3: regions where ours or theirs left the base alone take the other
+// side; regions both changed the same way merge; the rest conflict, between
+// git-style markers
+export function merge3(base: string, ours: string, theirs: string, labels: MergeLabels): MergeResult {
+  const baseLines = splitLines(base);
+  const ourLines = splitLines(ours);
+  const theirLines = splitLines(theirs);
+  const toOurs = matchMap(baseLines, ourLines);
+  const toTheirs = matchMap(baseLines, theirLines);
+
+  const output: string[] = [];
+  let conflicts = 0;
+  let i = 0;
+  let o = 0;
+  let t = 0;
+
+  while (i < baseLines.length || o < ourLines.length || t < theirLines.length) {
+    if (i < baseLines.length && toOurs[i] === o && toTheirs[i] === t) {
+      output.push(baseLines[i]);
+      i++;
+      o++;
+      t++;
+      continue;
+    }
+
+    // The unstable region runs to the next base line both sides kept
+    let j = i;
+    while (j < baseLines.length && (toOurs[j] < 0 || toTheirs[j] < 0)) {
+      j++;
+    }
+    const ourEnd = j < baseLines.length ? toOurs[j] : ourLines.length;
+    const theirEnd = j < baseLines.length ? toTheirs[j] : theirLines.length;
+
+    const baseChunk = baseLines.slice(i, j);
+    const ourChunk = ourLines.slice(o, ourEnd);
+    const theirChunk = theirLines.slice(t, theirEnd);
+
+    if (sameLines(ourChunk, baseChunk)) {
+      output.push(...theirChunk);
+    } else if (sameLines(theirChunk, baseChunk) || sameLines(ourChunk, theirChunk)) {
+      output.push(...ourChunk);
+    } else {
+      conflicts++;
+      output.push(
+        `<<<<<<< ${labels.ours}\n`,
+        ...terminate(ourChunk),
+        '=======\n',
+        ...terminate(theirChunk),
+        `>>>>>>> ${labels.theirs}\n`
+      );
+    }
+
+    i = j;
+    o = ourEnd;
+    t = theirEnd;
+  }
+
+  return { text: output.join(''), conflicts };
+}
+
+// A unified diff (`diff -u`) from `before` to `after`; empty when they match
+export function unifiedDiff(before: string, after: string, fromLabel: string, toLabel: string, context = 3): string {
+  if (before === after) {
+    return '';
+  }
+
+  const a = splitLines(before);
+  const b = splitLines(after);
+  const operations: Array<{ type: ' ' | '-' | '+'; line: string }> = [];
+  let x = 0;
+  let y = 0;
+  for (const [matchA, matchB] of [...matchLines(a, b), [a.length, b.length] as [number, number]]) {
+    while (x < matchA) operations.push({ type: '-', line: a[x++] });
+    while (y < matchB) operations.push({ type: '+', line: b[y++] });
+    if (matchA < a.length) {
+      operations.push({ type: ' ', line: a[x++] });
+      y++;
+    }
+  }
+
+  const output = [`--- ${fromLabel}`, `+++ ${toLabel}`];
+  const changed = operations.map((operation, index) => operation.type === ' ' ? -1 : index).filter(index => index >= 0);
+
+  let next = 0;
+  while (next < changed.length) {
+    // Changes closer than twice the context share a hunk
+    let last = next;
+    while (last + 1 < changed.length && changed[last + 1] - changed[last] <= 2 * context) {
+      last++;
+    }
+    const start = Math.max(0, changed[next] - context);
+    const end = Math.min(operations.length, changed[last] + context + 1);
+
+    const lineA = operations.slice(0, start).filter(operation => operation.type !== '+').length;
+    const lineB = operations.slice(0, start).filter(operation => operation.type !== '-').length;
+    const hunk = operations.slice(start, end);
+    const countA = hunk.filter(operation => operation.type !== '+').length;
+    const countB = hunk.filter(operation => operation.type !== '-').length;
+
+    output.push(`@@ -${countA === 0 ? lineA : lineA + 1},${countA} +${countB === 0 ? lineB : lineB + 1},${countB} @@`);
+    for (const operation of hunk) {
+      output.push(operation.type + operation.line.replace(/\n$/, ''));
+      if (!operation.line.endsWith('\n')) {
+        output.push('\\ No newline at end of file');
+      }
+    }
+    next = last + 1;
+  }
+
+  return output.join('\n') + '\n';
+}
+
+// For each line of `from`, the index of its match in `to`, or -1
+function matchMap(from: string[], to: string[]): Int32Array {
+  const map = new Int32Array(from.length).fill(-1);
+  for (const [index, match] of matchLines(from, to)) {
+    map[index] = match;
+  }
+  return map;
+}
+
+function sameLines(a: string[], b: string[]): boolean {
+  return a.length === b.length && a.every((line, index) => line === b[index]);
+}
+
+// Conflict markers go on lines of their own
+function terminate(lines: string[]): string[] {
+  return lines.length > 0 && !lines[lines.length - 1].endsWith('\n')
+    ? [...lines.slice(0, -1), lines[lines.length - 1] + '\n']
+    : lines;
+}
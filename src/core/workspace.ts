@@ -0,0 +1,260 @@
+import * as fs from 'fs-extra';
+import * as path from 'path';
+import * as YAML from 'yaml';
+import { runCommand } from '../utils/exec';
+import { loadManifest } from './manifest';
+import { UsageError, ValidationError } from '../utils/errors';
+
+// Looked up in the given directory and then its parents, so commands work
+// from inside a member project too
+export const WORKSPACE_FILES = ['ai-builder.workspace.yaml', 'ai-builder.workspace.yml', 'ai-builder.workspace.json'];
+
+const DEFAULT_CONCURRENCY = 4;
+
+export interface WorkspaceMember {
+  name: string;
+  // Absolute
+  path: string;
+  // Members built and deployed before this one
+  dependsOn: string[];
+}
+
+export interface Workspace {
+  file: string;
+  root: string;
+  // In dependency order: every member comes after the ones it depends on
+  members: WorkspaceMember[];
+  // Members worked on at once, when their dependencies allow
+  concurrency: number;
+}
+
+export type WorkspaceTaskStatus = 'succeeded' | 'failed' | 'skipped';
+
+export interface WorkspaceTaskResult<T> {
+  member: string;
+  status: WorkspaceTaskStatus;
+  result?: T;
+  // Why it failed or was skipped
+  error?: string;
+}
+
+export async function findWorkspace(startDir: string): Promise<string | undefined> {
+  let dir = path.resolve(startDir);
+
+  while (true) {
+    for (const name of WORKSPACE_FILES) {
+      const file = path.join(dir, name);
+      if (await fs.pathExists(file)) {
+        return file;
+      }
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      return undefined;
+    }
+    dir = parent;
+  }
+}
+
+// ai-builder.workspace.yaml:
+//
+//   concurrency: 2
+//   projects:
+//     model-server:
+//       path: models/server
+//     api:
+//       path: services/api
+//       dependsOn: [model-server]
+export async function loadWorkspace(startDir: string): Promise<Workspace> {
+  const file = await findWorkspace(startDir);
+  if (!file) {
+    throw new UsageError(`No ${WORKSPACE_FILES[0]} in '${path.resolve(startDir)}' or its parents`);
+  }
+
+  let data: any;
+  try {
+    data = YAML.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    throw new ValidationError(`Cannot parse ${file}: ${(error as Error).message.split('\n')[0]}`);
+  }
+
+  const root = path.dirname(file);
+  const errors: string[] = [];
+
+  if (!data || typeof data !== 'object' || !data.projects || typeof data.projects !== 'object' || Array.isArray(data.projects)) {
+    throw new ValidationError(`Invalid ${file}: projects must map project names to their path and dependsOn`);
+  }
+  if (data.concurrency !== undefined && (!Number.isInteger(data.concurrency) || data.concurrency < 1)) {
+    errors.push(`concurrency must be a whole number of at least 1 (got ${JSON.stringify(data.concurrency)})`);
+  }
+
+  const members: WorkspaceMember[] = [];
+  for (const [name, entry] of Object.entries<any>(data.projects)) {
+    if (!/^[a-zA-Z0-9-_]+$/.test(name)) {
+      errors.push(`project name '${name}' must contain only letters, numbers, hyphens and underscores`);
+    }
+    // `api:` alone means a project in the api/ directory
+    const memberPath = path.resolve(root, entry?.path ?? name);
+    const dependsOn = entry?.dependsOn ?? [];
+
+    if (entry !== null && (typeof entry !== 'object' || Array.isArray(entry))) {
+      errors.push(`projects.${name} must be an object with path and dependsOn`);
+      continue;
+    }
+    if (!Array.isArray(dependsOn) || dependsOn.some((dependency: unknown) => typeof dependency !== 'string')) {
+      errors.push(`projects.${name}.dependsOn must be a list of project names`);
+      continue;
+    }
+    if (!await fs.pathExists(memberPath)) {
+      errors.push(`projects.${name}.path '${path.relative(root, memberPath) || '.'}' does not exist`);
+    }
+    members.push({ name, path: memberPath, dependsOn });
+  }
+
+  const names = new Set(members.map(member => member.name));
+  for (const member of members) {
+    for (const dependency of member.dependsOn) {
+      if (!names.has(dependency)) {
+        errors.push(`projects.${member.name}.dependsOn names unknown project '${dependency}'`);
+      } else if (dependency === member.name) {
+        errors.push(`projects.${member.name} depends on itself`);
+      }
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError(`Invalid ${file}:\n${errors.map(error => `  ${error}`).join('\n')}`);
+  }
+
+  return { file, root, members: orderMembers(members, file), concurrency: data.concurrency ?? DEFAULT_CONCURRENCY };
+}
+
+// Dependencies first, otherwise in the order the manifest lists them
+function orderMembers(members: WorkspaceMember[], file: string): WorkspaceMember[] {
+  const byName = new Map(members.map(member => [member.name, member]));
+  const ordered: WorkspaceMember[] = [];
+  const state = new Map<string, 'visiting' | 'done'>();
+
+  const visit = (member: WorkspaceMember, trail: string[]) => {
+    if (state.get(member.name) === 'done') {
+      return;
+    }
+    if (state.get(member.name) === 'visiting') {
+      const cycle = [...trail.slice(trail.indexOf(member.name)), member.name];
+      throw new ValidationError(`Invalid ${file}: dependency cycle ${cycle.join(' → ')}`);
+    }
+
+    state.set(member.name, 'visiting');
+    member.dependsOn.forEach(dependency => visit(byName.get(dependency)!, [...trail, member.name]));
+    state.set(member.name, 'done');
+    ordered.push(member);
+  };
+
+  members.forEach(member => visit(member, []));
+  return ordered;
+}
+
+// Members with files changed since `ref` (committed, staged, unstaged or
+// untracked), and every member that depends on one of them. A change to the
+// workspace manifest affects them all. Untracked files the CLI writes itself,
+// project metadata and build output, are not changes.
+export async function findChangedMembers(workspace: Workspace, ref: string): Promise<WorkspaceMember[]> {
+  const diff = await runCommand('git', ['diff', '--name-only', '--relative', ref, '--'], { cwd: workspace.root, timeout: 60000 });
+  if (diff.code !== 0) {
+    throw new UsageError(`Cannot list changes since '${ref}': ${diff.stderr.trim() || `git exited with code ${diff.code}`}`);
+  }
+  const untracked = await runCommand('git', ['ls-files', '--others', '--exclude-standard'], { cwd: workspace.root, timeout: 60000 });
+
+  const toPaths = (output: string) => output.split('\n').filter(Boolean).map(file => path.resolve(workspace.root, file));
+  const generated = await generatedDirs(workspace);
+  const files = [
+    ...toPaths(diff.stdout),
+    ...toPaths(untracked.code === 0 ? untracked.stdout : '').filter(file => !generated.some(dir => file.startsWith(dir + path.sep)))
+  ];
+
+  if (files.includes(workspace.file)) {
+    return workspace.members;
+  }
+
+  // A file belongs to the innermost member containing it
+  const changed = new Set<string>();
+  for (const file of files) {
+    const owner = workspace.members
+      .filter(member => file === member.path || file.startsWith(member.path + path.sep))
+      .sort((a, b) => b.path.length - a.path.length)[0];
+    if (owner) {
+      changed.add(owner.name);
+    }
+  }
+
+  // Members come after their dependencies, so one pass picks up dependents
+  // of dependents
+  for (const member of workspace.members) {
+    if (member.dependsOn.some(dependency => changed.has(dependency))) {
+      changed.add(member.name);
+    }
+  }
+
+  return workspace.members.filter(member => changed.has(member.name));
+}
+
+// Each member's .ai-builder/ and build output dir (unless that is the member
+// itself)
+async function generatedDirs(workspace: Workspace): Promise<string[]> {
+  const dirs: string[] = [];
+  for (const member of workspace.members) {
+    dirs.push(path.join(member.path, '.ai-builder'));
+
+    const outputDir = (await loadManifest(member.path).catch(() => undefined))?.manifest?.build?.outputDir;
+    if (outputDir && path.resolve(member.path, outputDir) !== member.path) {
+      dirs.push(path.resolve(member.path, outputDir));
+    }
+  }
+  return dirs;
+}
+
+// Runs `task` for each member once the members it depends on have succeeded,
+// up to `concurrency` at a time. A member whose dependency failed or was
+// skipped is skipped; dependencies outside `members` count as done.
+export async function runInDependencyOrder<T>(
+  members: WorkspaceMember[],
+  concurrency: number,
+  task: (member: WorkspaceMember) => Promise<T>
+): Promise<WorkspaceTaskResult<T>[]> {
+  const selected = new Set(members.map(member => member.name));
+  const results = new Map<string, WorkspaceTaskResult<T>>();
+  const running = new Map<string, Promise<void>>();
+  let pending = [...members];
+
+  while (pending.length > 0 || running.size > 0) {
+    const waiting: WorkspaceMember[] = [];
+
+    for (const member of pending) {
+      const dependencies = member.dependsOn.filter(dependency => selected.has(dependency));
+      const blocked = dependencies.find(dependency => results.has(dependency) && results.get(dependency)!.status !== 'succeeded');
+
+      if (blocked) {
+        results.set(member.name, { member: member.name, status: 'skipped', error: `'${blocked}' ${results.get(blocked)!.status === 'failed' ? 'failed' : 'was skipped'}` });
+      } else if (running.size < concurrency && dependencies.every(dependency => results.has(dependency))) {
+        running.set(member.name, task(member).then(
+          result => { results.set(member.name, { member: member.name, status: 'succeeded', result }); },
+          error => { results.set(member.name, { member: member.name, status: 'failed', error: (error as Error).message }); }
+        ).finally(() => { running.delete(member.name); }));
+      } else {
+        waiting.push(member);
+      }
+    }
+
+    // Only a dependency cycle leaves nothing running and nothing decided
+    if (running.size === 0 && waiting.length === pending.length) {
+      throw new ValidationError(`Cannot order ${waiting.map(member => member.name).join(', ')}: their dependencies form a cycle`);
+    }
+    pending = waiting;
+
+    if (running.size > 0) {
+      await Promise.race(running.values());
+    }
+  }
+
+  return members.map(member => results.get(member.name)!);
+}
@@ -3,9 +3,18 @@
 import { CLIInterface } from './cli/interface';
 import { Logger } from './utils/logger';
 import { ConfigManagerImpl } from './core/config-manager';
+import { ConfigResolver, parseConfigFlags } from './core/config-resolver';
+import { ContextManager } from './core/context-manager';
 import { ProjectManagerImpl } from './core/project-manager';
 import { DeploymentEngineImpl } from './core/deployment-engine';
 import { DeploymentPipeline } from './core/deployment-engine';
+import { HookRunner } from './core/hooks';
+import { BuildCache } from './core/build-cache';
+import { PluginManager } from './core/plugin-manager';
+import { LockManager } from './core/lock-manager';
+import { SecretStore } from './core/secret-store';
+import { TemplateRegistry } from './core/template-registry';
+import { getExitCode } from './utils/errors';
 import * as fs from 'fs';
 import * as path from 'path';
 
@@ -14,6 +23,23 @@ import { InitCommand } from './commands/core';
 import { BuildCommand } from './commands/core';
 import { DeployCommand } from './commands/core';
 import { StatusCommand } from './commands/core';
+import { LogsCommand } from './commands/core';
+import { RollbackCommand } from './commands/core';
+import { CacheCommand } from './commands/cache';
+import { StopCommand, RestartCommand, CancelCommand } from './commands/lifecycle';
+import { PluginsCommand } from './commands/plugins';
+import { LockCommand } from './commands/lock';
+import { ConfigCommand } from './commands/config';
+import { ContextCommand } from './commands/context';
+import { SecretsCommand } from './commands/secrets';
+import { CompletionCommand } from './commands/completion';
+import { OpenShiftCommand } from './commands/openshift';
+import { RHODSCommand } from './commands/rhods';
+import { ValidateCommand } from './commands/validate';
+import { TemplatesCommand } from './commands/templates';
+import { UpgradeCommand } from './commands/upgrade';
+import { OpenShiftClient } from './integrations/openshift';
+import { RHODSClient } from './integrations/rhods';
 
 class AutoBootstrap {
   private projectRoot: string;
@@ -38,14 +64,14 @@ class AutoBootstrap {
   // Run setup if needed
   async ensureSetup(): Promise<void> {
     if (this.needsSetup()) {
-      console.log('🔧 Running initial setup...');
+      console.error('🔧 Running initial setup...');
       
       try {
-        // Run the setup script
+        // Run the setup script; its progress goes to stderr like ours
         const { spawn } = require('child_process');
         
         const setup = spawn('node', [path.join(this.projectRoot, 'setup.js')], {
-          stdio: 'inherit',
+          stdio: ['inherit', process.stderr, 'inherit'],
           cwd: this.projectRoot
         });
 
@@ -61,13 +87,14 @@ class AutoBootstrap {
           setup.on('error', reject);
         });
       } catch (error) {
-        console.log('❌ Setup failed:', (error as Error).message);
+        console.error('❌ Setup failed:', (error as Error).message);
         process.exit(1);
       }
     }
   }
 
-  // Check Node.js and npm availability
+  // Check Node.js and npm availability; silent unless one is missing, so
+  // piped output stays clean
   async checkPrerequisites(): Promise<void> {
     try {
       const { exec } = require('child_process');
@@ -76,10 +103,9 @@ class AutoBootstrap {
       await new Promise((resolve, reject) => {
         exec('node --version', (error: any, stdout: string) => {
           if (error) {
-            console.log('❌ Node.js not found. Please install Node.js from https://nodejs.org');
+            console.error('❌ Node.js not found. Please install Node.js from https://nodejs.org');
             reject(error);
           } else {
-            console.log(`✅ Node.js: ${stdout.trim()}`);
             resolve(stdout);
           }
         });
@@ -89,31 +115,38 @@ class AutoBootstrap {
       await new Promise((resolve, reject) => {
         exec('npm --version', (error: any, stdout: string) => {
           if (error) {
-            console.log('❌ npm not found. Please install npm');
+            console.error('❌ npm not found. Please install npm');
             reject(error);
           } else {
-            console.log(`✅ npm: ${stdout.trim()}`);
             resolve(stdout);
           }
         });
       });
 
     } catch (error) {
-      console.log('❌ Prerequisites check failed');
+      console.error('❌ Prerequisites check failed');
       process.exit(1);
     }
   }
 }
 
-async function main() {
-  // Auto-bootstrap first
-  const bootstrap = new AutoBootstrap();
-  
-  // Check prerequisites
-  await bootstrap.checkPrerequisites();
-  
-  // Ensure setup is complete
-  await bootstrap.ensureSetup();
+// Also the entry point of the legacy openshift/rhods/quick-start scripts,
+// which pass their arguments rewritten as ai-builder commands
+export async function main(argv: string[] = process.argv): Promise<void> {
+  // The completion scripts run `completion values` on every <Tab> and source
+  // `completion <shell>`: both skip the bootstrap and the welcome
+  const completing = argv[2] === 'completion';
+
+  if (!completing) {
+    // Auto-bootstrap first
+    const bootstrap = new AutoBootstrap();
+
+    // Check prerequisites
+    await bootstrap.checkPrerequisites();
+
+    // Ensure setup is complete
+    await bootstrap.ensureSetup();
+  }
 
   // Initialize logger
   const logger = new Logger({
@@ -124,39 +157,119 @@ async function main() {
   try {
     // Initialize core components
     const configManager = new ConfigManagerImpl(logger);
-    const projectManager = new ProjectManagerImpl(logger);
-    const deploymentEngine = new DeploymentEngineImpl(logger);
-    const deploymentPipeline = new DeploymentPipeline(deploymentEngine, logger);
+    const config = new ConfigResolver(configManager, logger);
+    const buildCache = new BuildCache(logger);
+    const hooks = new HookRunner(logger);
+    const templates = new TemplateRegistry(logger);
+    const projectManager = new ProjectManagerImpl(logger, undefined, buildCache, hooks, templates);
+
+    // Settings come from --set flags, the environment, the project in the
+    // working directory and the global config, in that order
+    config.setFlags(parseConfigFlags(argv));
+    const currentProject = await projectManager.loadProject(process.cwd()).catch(() => undefined);
+    if (currentProject) {
+      configManager.setProjectPath(currentProject.path);
+    }
+
+    const templateSources = await config.get('templates.sources');
+    templates.setSharedDirs(templateSources ? templateSources.split(path.delimiter).filter(Boolean) : []);
+
+    logger.setLevel(await config.get('logs.level'));
+    logger.setFormat(await config.get('logs.format'));
+
+    const locks = new LockManager(logger, undefined, await config.get('deploy.lock_stale_minutes'), await config.get('deploy.lock_dir'));
+    const secretStore = new SecretStore(configManager, logger);
+    const deploymentEngine = new DeploymentEngineImpl(logger, {
+      hooks,
+      projectManager,
+      locks,
+      secrets: secretStore,
+      retention: {
+        maxPerTarget: await config.get('deploy.history_max_per_target'),
+        maxAgeDays: await config.get('deploy.history_retention_days')
+      }
+    });
+    const deploymentPipeline = new DeploymentPipeline(deploymentEngine, logger, {
+      healthCheck: await config.get('deploy.health_check_enabled'),
+      autoRollback: await config.get('deploy.auto_rollback')
+    });
     const cli = new CLIInterface(logger);
+    cli.setAssumeYes(await config.get('cli.auto_confirm'));
+
+    // Plugins from ~/.ai-builder/plugins and the project in the working
+    // directory; other projects load theirs when their hooks first run
+    const pluginManager = new PluginManager(logger, hooks);
+    await pluginManager.load(currentProject);
 
     // Register commands
-    cli.registerCommand(new InitCommand(cli, projectManager, logger));
+    cli.registerCommand(new InitCommand(cli, projectManager, templates, logger));
+    cli.registerCommand(new TemplatesCommand(cli, templates, logger));
+    cli.registerCommand(new UpgradeCommand(cli, projectManager, logger));
     cli.registerCommand(new BuildCommand(cli, projectManager, logger));
-    cli.registerCommand(new DeployCommand(cli, projectManager, logger));
-    cli.registerCommand(new StatusCommand(cli, projectManager, logger));
+    cli.registerCommand(new ValidateCommand(cli, projectManager, logger));
+    cli.registerCommand(new DeployCommand(cli, projectManager, deploymentPipeline, logger));
+    cli.registerCommand(new StatusCommand(cli, projectManager, deploymentEngine, logger));
+    cli.registerCommand(new LogsCommand(cli, projectManager, deploymentEngine, logger));
+    cli.registerCommand(new RollbackCommand(cli, projectManager, deploymentEngine, logger));
+    cli.registerCommand(new StopCommand(cli, projectManager, deploymentEngine, logger));
+    cli.registerCommand(new RestartCommand(cli, projectManager, deploymentEngine, logger));
+    cli.registerCommand(new CancelCommand(cli, projectManager, deploymentEngine, logger));
+    cli.registerCommand(new CacheCommand(cli, buildCache, logger));
+    cli.registerCommand(new PluginsCommand(cli, pluginManager, logger));
+    cli.registerCommand(new LockCommand(cli, projectManager, locks, logger));
+    cli.registerCommand(new ConfigCommand(cli, configManager, config, projectManager, logger));
+    const contextManager = new ContextManager(configManager, config, logger);
+    cli.registerCommand(new ContextCommand(cli, contextManager, logger));
+    cli.registerCommand(new SecretsCommand(cli, projectManager, secretStore, logger));
+    cli.registerCommand(new OpenShiftCommand(cli, contextManager, logger));
+    cli.registerCommand(new RHODSCommand(cli, contextManager, logger));
 
-    // Additional commands would be registered here
-    // cli.registerCommand(new ConfigCommand(cli, configManager, logger));
-    // cli.registerCommand(new TemplatesCommand(cli, projectManager, logger));
-    // cli.registerCommand(new LogsCommand(cli, deploymentEngine, logger));
-    // cli.registerCommand(new RollbackCommand(cli, deploymentEngine, logger));
+    // Looked up by the completion scripts on every <Tab>, so they stay cheap
+    cli.registerCommand(new CompletionCommand(cli, {
+      projects: async () => (await projectManager.listProjects()).map(project => project.name),
+      targets: async ({ path: projectPath }) => {
+        const project = projectPath ? await projectManager.loadProject(projectPath) : currentProject;
+        return (project?.config.deploy?.targets || []).map(target => target.name);
+      },
+      templates: async () => (await templates.list()).map(template => template.name),
+      models: async () => {
+        const { rhods } = await contextManager.getSettings();
+        return (await new RHODSClient(rhods, logger, 3000).listModels()).map(model => model.name);
+      },
+      'openshift-models': async () => {
+        const { openshift } = await contextManager.getSettings();
+        return (await new OpenShiftClient(openshift, logger, undefined, 3000).listModels()).map(model => model.name);
+      }
+    }, logger));
+
+    // Plugin commands come last so they cannot replace built-in ones
+    for (const { plugin, command } of pluginManager.getCommands()) {
+      if (cli.hasCommand(command.name)) {
+        logger.warn(`Ignoring command '${command.name}' from plugin '${plugin}': the name is already taken`);
+        continue;
+      }
+      cli.registerCommand(command);
+    }
 
     // Show welcome message for first-time users
-    await showWelcomeIfNeeded(configManager, cli);
+    if (!completing) {
+      await showWelcomeIfNeeded(configManager, cli);
+    }
 
     // Execute CLI
-    await cli.execute(process.argv);
+    await cli.execute(argv);
 
   } catch (error) {
     logger.error('CLI execution failed', error as Error);
-    process.exit(1);
+    process.exit(getExitCode(error));
   }
 }
 
 async function showWelcomeIfNeeded(configManager: ConfigManagerImpl, cli: CLIInterface): Promise<void> {
   const hasSeenWelcome = await configManager.get('welcome.shown');
   
-  if (!hasSeenWelcome) {
+  // Piped output stays clean; the welcome waits for an interactive run
+  if (!hasSeenWelcome && process.stdout.isTTY) {
     cli.title('🚀 Welcome to AI Builder!');
     cli.newline();
     
@@ -0,0 +1,54 @@
+import * as fs from 'fs-extra';
+import * as path from 'path';
+
+const MODEL_EXTENSIONS = ['.pkl', '.joblib', '.h5', '.pb', '.onnx', '.pt', '.pth'];
+
+// Serialized models under a directory, skipping dependencies and dot directories
+export async function detectModelFiles(dir: string): Promise<string[]> {
+  const files: string[] = [];
+
+  const scan = async (current: string) => {
+    for (const entry of await fs.readdir(current, { withFileTypes: true })) {
+      const fullPath = path.join(current, entry.name);
+      if (entry.isDirectory()) {
+        if (entry.name !== 'node_modules' && !entry.name.startsWith('.')) {
+          await scan(fullPath);
+        }
+      } else if (MODEL_EXTENSIONS.some(extension => entry.name.endsWith(extension))) {
+        files.push(fullPath);
+      }
+    }
+  };
+
+  await scan(dir);
+  return files.sort();
+}
+
+export async function readRequirements(dir: string): Promise<string[]> {
+  const requirementsPath = path.join(dir, 'requirements.txt');
+  if (!await fs.pathExists(requirementsPath)) {
+    return [];
+  }
+  return (await fs.readFile(requirementsPath, 'utf8')).split('\n').map(line => line.trim()).filter(Boolean);
+}
+
+export function detectFramework(requirements: string[]): string {
+  const text = requirements.join('\n');
+  if (text.includes('tensorflow')) return 'tensorflow';
+  if (text.includes('torch')) return 'pytorch';
+  if (text.includes('scikit-learn')) return 'sklearn';
+  return 'unknown';
+}
+
+// `infer` input: JSON as is, anything else as a prompt
+export function parseInferenceData(args: string[]): any {
+  if (args.length === 0) {
+    return { prompt: 'Hello, world!' };
+  }
+
+  try {
+    return JSON.parse(args.join(' '));
+  } catch (error) {
+    return { prompt: args.join(' ') };
+  }
+}
@@ -0,0 +1,165 @@
+import * as fs from 'fs-extra';
+import * as path from 'path';
+import * as os from 'os';
+import { Logger } from '../types';
+import { ClusterSettings } from '../core/context-manager';
+import { requestJson } from '../utils/http';
+import { AuthError } from '../utils/errors';
+
+export interface OpenShiftModelConfig {
+  name: string;
+  type: string;
+  framework: string;
+  modelPath: string;
+  requirements: string[];
+}
+
+export interface OpenShiftModel {
+  name: string;
+  endpoint?: string;
+  status: string;
+  deployedAt: string;
+}
+
+export interface ModelStatus {
+  status: string;
+  endpoint?: string;
+  error?: string;
+  [key: string]: any;
+}
+
+export interface WaitOptions {
+  attempts?: number;
+  interval?: number;
+  onStatus?: (status: ModelStatus, attempt: number, attempts: number) => void;
+}
+
+// Client for the OpenShift model deployment endpoint. Paths resolve against the
+// endpoint's host. The endpoint cannot list models, so the ones deployed from
+// here are remembered in openshift-models.json in the data directory.
+export class OpenShiftClient {
+  private modelsFile: string;
+
+  constructor(
+    private settings: ClusterSettings['openshift'],
+    private logger: Logger,
+    dataDir?: string,
+    private timeout?: number
+  ) {
+    this.modelsFile = path.join(dataDir || path.join(os.homedir(), '.ai-builder'), 'openshift-models.json');
+  }
+
+  hasToken(): boolean {
+    return !!this.settings.token;
+  }
+
+  async deployModel(config: OpenShiftModelConfig): Promise<OpenShiftModel> {
+    const response = await this.request('POST', '/deploy', {
+      model_name: config.name,
+      model_type: config.type,
+      framework: config.framework,
+      deployment_config: {
+        replicas: 1,
+        memory: '2Gi',
+        cpu: '1'
+      },
+      requirements: config.requirements,
+      ...(this.settings.namespace && { namespace: this.settings.namespace })
+    });
+
+    if (!response.success) {
+      throw new Error(response.error || 'Deployment failed');
+    }
+
+    const model = { name: config.name, endpoint: response.endpoint, status: 'deploying', deployedAt: new Date().toISOString() };
+    await this.saveModel(model);
+    this.logger.info(`Model ${config.name} deployment started`, { endpoint: response.endpoint });
+    return model;
+  }
+
+  // Polls until the model is ready; a failed model or running out of attempts throws
+  async waitForModel(name: string, options: WaitOptions = {}): Promise<ModelStatus> {
+    const attempts = options.attempts ?? 30;
+    const interval = options.interval ?? 5000;
+
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      const status = await this.getStatus(name);
+      options.onStatus?.(status, attempt, attempts);
+
+      if (status.status === 'ready') {
+        const known = await this.findModel(name);
+        await this.saveModel({ name, status: 'ready', endpoint: status.endpoint, deployedAt: known?.deployedAt || new Date().toISOString() });
+        return status;
+      }
+      if (status.status === 'failed') {
+        throw new Error(`Deployment failed: ${status.error || 'unknown error'}`);
+      }
+
+      if (attempt < attempts) {
+        await new Promise(resolve => setTimeout(resolve, interval));
+      }
+    }
+
+    throw new Error(`Model ${name} was not ready after ${attempts} checks`);
+  }
+
+  // An unreachable endpoint reports 'unknown' rather than failing
+  async getStatus(name: string): Promise<ModelStatus> {
+    try {
+      return await this.request('GET', `/status/${encodeURIComponent(name)}`);
+    } catch (error) {
+      if (error instanceof AuthError) {
+        throw error;
+      }
+      return { status: 'unknown', error: (error as Error).message };
+    }
+  }
+
+  async infer(name: string, data: any): Promise<any> {
+    return this.request('POST', '/infer', {
+      model_name: name,
+      data,
+      parameters: {
+        temperature: 0.7,
+        max_tokens: 1000
+      }
+    });
+  }
+
+  async checkConnection(): Promise<void> {
+    await this.request('GET', '/health');
+  }
+
+  async listModels(): Promise<OpenShiftModel[]> {
+    if (!await fs.pathExists(this.modelsFile)) {
+      return [];
+    }
+    const models: OpenShiftModel[] = await fs.readJson(this.modelsFile);
+    return models.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  private async findModel(name: string): Promise<OpenShiftModel | undefined> {
+    return (await this.listModels()).find(model => model.name === name);
+  }
+
+  private async saveModel(model: OpenShiftModel): Promise<void> {
+    const models = (await this.listModels()).filter(existing => existing.name !== model.name);
+    await fs.outputJson(this.modelsFile, [...models, model], { spaces: 2 });
+  }
+
+  private async request(method: string, endpoint: string, body?: any): Promise<any> {
+    const response = await requestJson(method, new URL(endpoint, this.settings.endpoint).toString(), {
+      headers: { Authorization: `Bearer ${this.settings.token || ''}` },
+      body,
+      timeout: this.timeout
+    });
+
+    if (response.status === 401 || response.status === 403) {
+      throw new AuthError(response.body.error || `OpenShift rejected the token (HTTP ${response.status}); set openshift.token or OPENSHIFT_TOKEN`);
+    }
+    if (response.status < 200 || response.status >= 300) {
+      throw new Error(response.body.error || `HTTP ${response.status}`);
+    }
+    return response.body;
+  }
+}
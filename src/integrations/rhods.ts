@@ -0,0 +1,256 @@
+import { Logger } from '../types';
+import { ClusterSettings } from '../core/context-manager';
+import { requestJson } from '../utils/http';
+import { AuthError } from '../utils/errors';
+import { ModelStatus, WaitOptions } from './openshift';
+
+export interface RHODSPipelineConfig {
+  name: string;
+  description?: string;
+  notebooks?: string[];
+  runtime?: string;
+  resources?: Record<string, any>;
+}
+
+export interface RHODSAutomatedPipelineConfig {
+  name: string;
+  stages?: Record<string, any>[];
+  triggers?: string[];
+  schedule?: string;
+}
+
+export interface RHODSModelConfig {
+  name: string;
+  modelPath: string;
+  framework?: string;
+  runtime?: string;
+  scaling?: Record<string, any>;
+}
+
+export const DEFAULT_SCHEDULE = '0 2 * * *';
+
+const DEFAULT_STAGES = [
+  {
+    name: 'data-preprocessing',
+    type: 'notebook',
+    notebook_path: '/notebooks/preprocess.ipynb',
+    parameters: {}
+  },
+  {
+    name: 'model-training',
+    type: 'training',
+    framework: 'tensorflow',
+    parameters: {
+      epochs: 10,
+      batch_size: 32
+    }
+  },
+  {
+    name: 'model-evaluation',
+    type: 'evaluation',
+    metrics: ['accuracy', 'precision', 'recall']
+  },
+  {
+    name: 'model-deployment',
+    type: 'deployment',
+    deployment_config: {
+      replicas: 1,
+      memory: '2Gi'
+    }
+  }
+];
+
+// Client for the RHODS dashboard API (pipelines, model serving) and the
+// inference endpoint, authenticating with the dashboard user's credentials
+export class RHODSClient {
+  constructor(
+    private settings: ClusterSettings['rhods'],
+    private logger: Logger,
+    private timeout?: number
+  ) {}
+
+  // Fails before any request when there is nothing to authenticate with
+  authenticate(): void {
+    if (!this.settings.username || !this.settings.password) {
+      throw new AuthError('RHODS credentials are missing: set rhods.username and rhods.password (or RHODS_USERNAME/RHODS_PASSWORD), or use a context');
+    }
+  }
+
+  async createPipeline(config: RHODSPipelineConfig): Promise<any> {
+    const response = await this.request('POST', '/api/pipelines', {
+      name: config.name,
+      description: config.description,
+      kind: 'pipeline',
+      metadata: {
+        ...(this.settings.namespace && { namespace: this.settings.namespace }),
+        annotations: {
+          'opendatahub.io/connected': 'true',
+          'opendatahub.io/created-by': 'ai-builder-cli'
+        }
+      },
+      spec: {
+        runtime: config.runtime || 's2i-python-39',
+        resources: config.resources || {
+          limits: {
+            cpu: '2',
+            memory: '4Gi'
+          }
+        },
+        notebooks: config.notebooks || [],
+        parameters: {
+          enable_caching: true,
+          enable_gpu: false,
+          timeout: 3600
+        }
+      }
+    });
+
+    if (!response.success) {
+      throw new Error(response.error || 'Pipeline creation failed');
+    }
+    this.logger.info(`Pipeline ${config.name} created`, { pipelineId: response.pipeline_id });
+    return response;
+  }
+
+  async createAutomatedPipeline(config: RHODSAutomatedPipelineConfig): Promise<any> {
+    const response = await this.request('POST', '/api/pipelines/automated', {
+      name: config.name,
+      kind: 'automated-pipeline',
+      spec: {
+        stages: config.stages || DEFAULT_STAGES,
+        triggers: config.triggers || ['webhook', 'schedule'],
+        schedule: config.schedule || DEFAULT_SCHEDULE,
+        notifications: {
+          on_success: ['email'],
+          on_failure: ['email', 'slack']
+        }
+      }
+    });
+
+    if (!response.success) {
+      throw new Error(response.error || 'Automated pipeline creation failed');
+    }
+    this.logger.info(`Automated pipeline ${config.name} created`);
+    return response;
+  }
+
+  async deployModel(config: RHODSModelConfig): Promise<any> {
+    const response = await this.request('POST', '/api/models/deploy', {
+      name: config.name,
+      framework: config.framework || 'python',
+      runtime: config.runtime || 's2i-python-39',
+      model_path: config.modelPath,
+      resources: {
+        requests: {
+          cpu: '1',
+          memory: '2Gi'
+        },
+        limits: {
+          cpu: '2',
+          memory: '4Gi'
+        }
+      },
+      scaling: config.scaling || {
+        replicas: 1,
+        min_replicas: 1,
+        max_replicas: 3
+      },
+      inference_endpoint: `${this.settings.inferenceUrl}/${config.name}`,
+      environment: {
+        RHODS_ENV: 'production',
+        LOG_LEVEL: 'INFO'
+      }
+    });
+
+    if (!response.success) {
+      throw new Error(response.error || 'Model deployment failed');
+    }
+    this.logger.info(`Model ${config.name} deployment started`, { endpoint: response.endpoint });
+    return response;
+  }
+
+  async waitForModel(name: string, options: WaitOptions = {}): Promise<ModelStatus> {
+    const attempts = options.attempts ?? 30;
+    const interval = options.interval ?? 10000;
+
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      const status = await this.getStatus(name);
+      options.onStatus?.(status, attempt, attempts);
+
+      if (status.status === 'ready' || status.status === 'succeeded') {
+        return status;
+      }
+      if (status.status === 'failed' || status.status === 'error') {
+        throw new Error(`Deployment failed: ${status.error || 'unknown error'}`);
+      }
+
+      if (attempt < attempts) {
+        await new Promise(resolve => setTimeout(resolve, interval));
+      }
+    }
+
+    throw new Error(`Model ${name} was not ready after ${attempts} checks`);
+  }
+
+  // An unreachable dashboard reports 'unknown' rather than failing
+  async getStatus(name: string): Promise<ModelStatus> {
+    try {
+      return await this.request('GET', `/api/models/${encodeURIComponent(name)}/status`);
+    } catch (error) {
+      if (error instanceof AuthError) {
+        throw error;
+      }
+      return { status: 'unknown', error: (error as Error).message };
+    }
+  }
+
+  async infer(name: string, data: any, parameters: Record<string, any> = {}): Promise<any> {
+    this.authenticate();
+    const response = await requestJson('POST', new URL('/infer', this.settings.inferenceUrl).toString(), {
+      headers: { Authorization: this.getAuthorization() },
+      body: {
+        model_name: name,
+        data,
+        parameters: {
+          temperature: 0.7,
+          max_tokens: 1000,
+          ...parameters
+        }
+      },
+      timeout: this.timeout
+    });
+    return this.check(response.status, response.body);
+  }
+
+  async listPipelines(): Promise<Record<string, any>[]> {
+    return (await this.request('GET', '/api/pipelines')).pipelines || [];
+  }
+
+  async listModels(): Promise<Record<string, any>[]> {
+    return (await this.request('GET', '/api/models')).models || [];
+  }
+
+  private getAuthorization(): string {
+    return `Basic ${Buffer.from(`${this.settings.username}:${this.settings.password}`).toString('base64')}`;
+  }
+
+  private async request(method: string, endpoint: string, body?: any): Promise<any> {
+    this.authenticate();
+    const response = await requestJson(method, new URL(endpoint, this.settings.dashboardUrl).toString(), {
+      headers: { Authorization: this.getAuthorization() },
+      body,
+      timeout: this.timeout
+    });
+    return this.check(response.status, response.body);
+  }
+
+  private check(status: number, body: any): any {
+    if (status === 401 || status === 403) {
+      throw new AuthError(body.error || `RHODS rejected the credentials (HTTP ${status}); check rhods.username and rhods.password`);
+    }
+    if (status < 200 || status >= 300) {
+      throw new Error(body.error || `HTTP ${status}`);
+    }
+    return body;
+  }
+}
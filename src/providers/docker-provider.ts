@@ -0,0 +1,382 @@
+import * as fs from 'fs-extra';
+import * as path from 'path';
+import * as crypto from 'crypto';
+import {
+  CloudProvider,
+  Deployment,
+  DeploymentConfig,
+  DeploymentResult,
+  DeploymentStatus,
+  Logger
+} from '../types';
+import { runCommand, ExecResult } from '../utils/exec';
+
+const LABEL_PROJECT = 'ai-builder.project';
+const LABEL_TARGET = 'ai-builder.target';
+const LABEL_DEPLOYMENT = 'ai-builder.deployment';
+const LABEL_PREVIOUS_IMAGE = 'ai-builder.previous-image';
+// Names (never values) of the variables that hold secrets
+const LABEL_SECRETS = 'ai-builder.secrets';
+
+interface ContainerSpec {
+  name: string;
+  image: string;
+  ports: string[];
+  env: string[];
+  // Passed by name, so the values stay off the docker command line
+  secrets?: Record<string, string>;
+  labels: Record<string, string>;
+  restartPolicy: string;
+}
+
+export class DockerProvider implements CloudProvider {
+  name = 'docker';
+  type = 'docker' as const;
+
+  // The binary is resolved from PATH on every call, so tests can put a fake
+  // `docker` script in front of the real one.
+  constructor(private logger: Logger, private dockerBinary: string = 'docker') {}
+
+  async deploy(config: DeploymentConfig): Promise<DeploymentResult> {
+    const { project, target } = config;
+    const deploymentId = config.deploymentId || `docker_${Date.now()}`;
+    const image = `${this.getRepository(config)}:${this.getImageTag(config)}`;
+    const containerName = this.getContainerName(config);
+    const containerPort = Number(target.config.containerPort || target.config.port || 8080);
+    const hostPort = Number(target.config.port || 8080);
+
+    this.logger.info(`Deploying ${project.name} to Docker container '${containerName}'`);
+
+    try {
+      await this.buildImage(config, image, containerPort);
+
+      const previousImage = await this.getContainerImage(containerName);
+
+      const labels: Record<string, string> = {
+        [LABEL_PROJECT]: project.id,
+        [LABEL_TARGET]: target.name,
+        [LABEL_DEPLOYMENT]: deploymentId
+      };
+      if (previousImage) {
+        labels[LABEL_PREVIOUS_IMAGE] = previousImage;
+      }
+      if (config.secrets && Object.keys(config.secrets).length > 0) {
+        labels[LABEL_SECRETS] = Object.keys(config.secrets).join(',');
+      }
+
+      const containerId = await this.replaceContainer({
+        name: containerName,
+        image,
+        ports: [`${hostPort}:${containerPort}`],
+        env: this.buildEnvironment(config.environment, containerPort),
+        secrets: config.secrets,
+        labels,
+        restartPolicy: target.config.restartPolicy || 'unless-stopped'
+      }, !!previousImage);
+
+      const url = `http://${target.config.host || 'localhost'}:${hostPort}`;
+
+      return {
+        success: true,
+        deploymentId,
+        url,
+        endpoint: `${url}/api`,
+        metadata: {
+          type: 'docker',
+          image,
+          previousImage,
+          containerId,
+          containerName,
+          port: hostPort
+        }
+      };
+    } catch (error) {
+      return {
+        success: false,
+        deploymentId,
+        metadata: {
+          type: 'docker',
+          image,
+          containerName
+        },
+        error: (error as Error).message
+      };
+    }
+  }
+
+  async getStatus(deploymentId: string): Promise<DeploymentStatus> {
+    const containerId = await this.findContainer(deploymentId);
+    if (!containerId) {
+      throw new Error(`No container found for deployment ${deploymentId}`);
+    }
+
+    const result = await this.docker(['inspect', '--format', '{{json .State}}', containerId]);
+    const state = JSON.parse(result.stdout.trim());
+
+    return this.mapContainerState(state);
+  }
+
+  async rollback(deploymentId: string, targetVersion: string): Promise<void> {
+    this.logger.info(`Rolling back Docker deployment ${deploymentId} to version ${targetVersion}`);
+
+    const containerId = await this.findContainer(deploymentId);
+    if (!containerId) {
+      throw new Error(`No container found for deployment ${deploymentId}`);
+    }
+
+    const inspect = await this.docker(['inspect', '--format', '{{json .}}', containerId]);
+    const container = JSON.parse(inspect.stdout.trim());
+    const labels: Record<string, string> = container.Config?.Labels || {};
+    const currentImage: string = container.Config?.Image;
+
+    const image = targetVersion
+      ? await this.findImageForVersion(currentImage, targetVersion) || labels[LABEL_PREVIOUS_IMAGE]
+      : labels[LABEL_PREVIOUS_IMAGE];
+
+    if (!image) {
+      throw new Error(`No previous image recorded for deployment ${deploymentId}`);
+    }
+
+    const name = String(container.Name || '').replace(/^\//, '');
+
+    // Inspect shows secret values inline; hand them over by name again
+    const secretNames = new Set((labels[LABEL_SECRETS] || '').split(',').filter(Boolean));
+    const env: string[] = [];
+    const secrets: Record<string, string> = {};
+    for (const variable of container.Config?.Env || []) {
+      const separator = variable.indexOf('=');
+      const key = separator === -1 ? variable : variable.slice(0, separator);
+      if (secretNames.has(key)) {
+        secrets[key] = variable.slice(separator + 1);
+      } else {
+        env.push(variable);
+      }
+    }
+
+    await this.replaceContainer({
+      name,
+      image,
+      ports: this.getPortMappings(container.HostConfig?.PortBindings || {}),
+      env,
+      secrets,
+      labels: {
+        ...labels,
+        [LABEL_PREVIOUS_IMAGE]: currentImage
+      },
+      restartPolicy: container.HostConfig?.RestartPolicy?.Name || 'unless-stopped'
+    }, true);
+
+    this.logger.info(`Docker deployment ${deploymentId} is now running ${image}`);
+  }
+
+  async listDeployments(): Promise<Deployment[]> {
+    return [];
+  }
+
+  private async buildImage(config: DeploymentConfig, image: string, containerPort: number): Promise<void> {
+    const { project, target } = config;
+    // Rollbacks hand us the artifacts kept with the release instead of the live output dir
+    const contextDir = config.artifactsDir || path.resolve(project.path, project.config.build.outputDir || '.');
+
+    if (!await fs.pathExists(contextDir)) {
+      throw new Error(`Build output directory '${contextDir}' does not exist`);
+    }
+
+    const args = ['build', '-t', image, '--label', `${LABEL_PROJECT}=${project.id}`];
+    let input: string | undefined;
+
+    const dockerfile = target.config.dockerfile
+      ? path.resolve(project.path, target.config.dockerfile)
+      : path.join(project.path, 'Dockerfile');
+
+    if (await fs.pathExists(dockerfile)) {
+      args.push('-f', dockerfile);
+    } else {
+      // No Dockerfile in the project: feed a generated one through stdin
+      args.push('-f', '-');
+      input = this.generateDockerfile(config, containerPort);
+    }
+
+    args.push(contextDir);
+
+    this.logger.info(`Building Docker image ${image}`);
+    await this.docker(args, input);
+  }
+
+  private generateDockerfile(config: DeploymentConfig, containerPort: number): string {
+    const { target } = config;
+    const command = target.config.command
+      ? ['sh', '-c', String(target.config.command)]
+      : ['node', 'index.js'];
+
+    return [
+      `FROM ${target.config.baseImage || 'node:18-alpine'}`,
+      'WORKDIR /app',
+      'COPY . .',
+      `EXPOSE ${containerPort}`,
+      `CMD ${JSON.stringify(command)}`,
+      ''
+    ].join('\n');
+  }
+
+  private async runContainer(spec: ContainerSpec): Promise<string> {
+    const args = ['run', '-d', '--name', spec.name, '--restart', spec.restartPolicy];
+
+    spec.ports.forEach(port => args.push('-p', port));
+    spec.env.forEach(variable => args.push('-e', variable));
+    Object.keys(spec.secrets || {}).forEach(name => args.push('-e', name));
+    Object.entries(spec.labels).forEach(([key, value]) => args.push('--label', `${key}=${value}`));
+    args.push(spec.image);
+
+    const result = await this.docker(args, undefined, true, spec.secrets);
+    return result.stdout.trim();
+  }
+
+  // The old container is stopped (the new one needs its ports) and renamed
+  // aside rather than removed: it is only removed once the new one is
+  // running, and started again if the new one fails
+  private async replaceContainer(spec: ContainerSpec, hasPrevious: boolean): Promise<string> {
+    const aside = `${spec.name}-previous`;
+
+    if (hasPrevious) {
+      // Left behind if an earlier deploy was interrupted
+      await this.removeContainer(aside);
+      await this.docker(['rename', spec.name, aside]);
+      await this.docker(['stop', aside], undefined, false);
+    }
+
+    let containerId: string;
+    try {
+      containerId = await this.runContainer(spec);
+
+      const inspect = await this.docker(['inspect', '--format', '{{json .State}}', containerId]);
+      const state = JSON.parse(inspect.stdout.trim());
+      if (state.Status !== 'running') {
+        throw new Error(`Container ${spec.name} is ${state.Status || 'not running'} right after starting`);
+      }
+    } catch (error) {
+      await this.removeContainer(spec.name);
+      if (hasPrevious) {
+        this.logger.warn(`Starting ${spec.name} again with its previous container`);
+        await this.docker(['rename', aside, spec.name], undefined, false);
+        await this.docker(['start', spec.name], undefined, false);
+      }
+      throw error;
+    }
+
+    if (hasPrevious) {
+      await this.removeContainer(aside);
+    }
+    return containerId;
+  }
+
+  private async removeContainer(name: string): Promise<void> {
+    // `rm -f` fails when the container does not exist, which is fine here
+    await this.docker(['rm', '-f', name], undefined, false);
+  }
+
+  private async getContainerImage(name: string): Promise<string | undefined> {
+    const result = await this.docker(['inspect', '--format', '{{.Config.Image}}', name], undefined, false);
+    return result.code === 0 ? result.stdout.trim() || undefined : undefined;
+  }
+
+  private async findContainer(deploymentId: string): Promise<string | undefined> {
+    const result = await this.docker([
+      'ps', '-a',
+      '--filter', `label=${LABEL_DEPLOYMENT}=${deploymentId}`,
+      '--format', '{{.ID}}'
+    ]);
+
+    return result.stdout.split('\n').map(line => line.trim()).find(line => line.length > 0);
+  }
+
+  private async findImageForVersion(currentImage: string, version: string): Promise<string | undefined> {
+    const repository = currentImage.replace(/:[^:/]+$/, '');
+    const result = await this.docker(['images', repository, '--format', '{{.Tag}}']);
+    const tags = result.stdout.split('\n').map(line => line.trim()).filter(Boolean);
+
+    // `docker images` lists newest first, so the first match is the latest build of that version
+    const tag = tags.find(t => t === version || t.startsWith(`${this.sanitizeTag(version)}-`));
+    return tag ? `${repository}:${tag}` : undefined;
+  }
+
+  private mapContainerState(state: any): DeploymentStatus {
+    if (state.Health?.Status === 'unhealthy') {
+      return DeploymentStatus.FAILED;
+    }
+    if (state.Health?.Status === 'starting') {
+      return DeploymentStatus.DEPLOYING;
+    }
+
+    switch (state.Status) {
+      case 'running':
+        return DeploymentStatus.SUCCESS;
+      case 'created':
+      case 'restarting':
+        return DeploymentStatus.DEPLOYING;
+      default:
+        return DeploymentStatus.FAILED;
+    }
+  }
+
+  private getPortMappings(bindings: Record<string, { HostIp?: string; HostPort: string }[] | null>): string[] {
+    const ports: string[] = [];
+
+    for (const [containerPort, hostBindings] of Object.entries(bindings)) {
+      for (const binding of hostBindings || []) {
+        ports.push(`${binding.HostPort}:${containerPort.split('/')[0]}`);
+      }
+    }
+
+    return ports;
+  }
+
+  private buildEnvironment(environment: Record<string, string>, containerPort: number): string[] {
+    const env = { PORT: String(containerPort), ...environment };
+    return Object.entries(env).map(([key, value]) => `${key}=${value}`);
+  }
+
+  private getRepository(config: DeploymentConfig): string {
+    const image: string | undefined = config.target.config.image;
+    if (image) {
+      // Drop a tag if the configured image has one; each deploy gets its own
+      return image.replace(/:[^:/]+$/, '');
+    }
+    return config.project.name.toLowerCase().replace(/[^a-z0-9._-]/g, '-');
+  }
+
+  private getImageTag(config: DeploymentConfig): string {
+    const hash = crypto.createHash('sha256');
+    config.buildResult.artifacts.forEach(artifact => hash.update(`${artifact.path}:${artifact.hash}`));
+    const digest = config.buildResult.artifacts.length > 0
+      ? hash.digest('hex').substring(0, 12)
+      : Date.now().toString(36);
+
+    return `${this.sanitizeTag(config.project.version)}-${digest}`;
+  }
+
+  private getContainerName(config: DeploymentConfig): string {
+    return `${config.project.name}-${config.target.name}`.toLowerCase().replace(/[^a-z0-9_.-]/g, '-');
+  }
+
+  private sanitizeTag(value: string): string {
+    return value.replace(/[^A-Za-z0-9_.-]/g, '-');
+  }
+
+  private async docker(
+    args: string[],
+    input?: string,
+    throwOnError: boolean = true,
+    env?: Record<string, string>
+  ): Promise<ExecResult> {
+    this.logger.debug(`docker ${args.join(' ')}`);
+
+    const result = await runCommand(this.dockerBinary, args, { input, env });
+
+    if (throwOnError && result.code !== 0) {
+      throw new Error(`docker ${args[0]} failed: ${result.stderr.trim() || `exit code ${result.code}`}`);
+    }
+
+    return result;
+  }
+}
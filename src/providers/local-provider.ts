@@ -0,0 +1,620 @@
+import * as fs from 'fs-extra';
+import * as path from 'path';
+import * as os from 'os';
+import * as net from 'net';
+import { spawn } from 'child_process';
+import {
+  CloudProvider,
+  Deployment,
+  DeploymentConfig,
+  DeploymentResult,
+  DeploymentStatus,
+  Logger
+} from '../types';
+import { LOCAL_PROXY_SOURCE } from './local-proxy';
+import { toSegment } from '../utils/paths';
+
+const DEFAULT_PUBLIC_PORT = 3000;
+const DEFAULT_START_TIMEOUT = 10000;
+const STOP_TIMEOUT = 5000;
+const LOG_FILES_TO_KEEP = 10;
+const STATE_FILE = 'state.json';
+const ROUTES_FILE = 'routes.json';
+
+interface LocalInstance {
+  deploymentId: string;
+  version: string;
+  pid: number;
+  port: number;
+  dir: string;
+  logFile: string;
+  // Kept so the instance can be restarted without the project at hand
+  command: string;
+  environment: Record<string, string>;
+  // Secrets live beside the state, readable only by the owner, so restarts
+  // can inject them again
+  secretsFile?: string;
+  startedAt: string;
+  stoppedAt?: string;
+}
+
+interface LocalTargetState {
+  proxy?: { pid: number; port: number };
+  stable?: LocalInstance;
+  candidate?: LocalInstance;
+}
+
+// Runs each deployment as a detached process on a free port behind a small
+// reverse proxy that listens on the target's port. Keeping the proxy in front
+// lets blue-green and canary rollouts move traffic between two instances.
+export class LocalProvider implements CloudProvider {
+  name = 'local';
+  type = 'local' as const;
+
+  private localDir: string;
+
+  constructor(private logger: Logger, dataDir?: string) {
+    this.localDir = path.join(dataDir || path.join(os.homedir(), '.ai-builder'), 'local');
+  }
+
+  // Recreate: stop whatever runs now, then start the new version
+  async deploy(config: DeploymentConfig): Promise<DeploymentResult> {
+    this.logger.info(`Deploying ${config.project.name} to local environment`);
+
+    try {
+      const targetDir = this.getTargetDir(config);
+      const state = await this.readState(targetDir);
+      await this.ensureProxy(targetDir, this.getPublicPort(config), state);
+
+      for (const instance of [state.candidate, state.stable]) {
+        if (instance) await this.removeInstance(instance);
+      }
+      state.candidate = undefined;
+      state.stable = undefined;
+      await this.writeState(targetDir, state);
+
+      state.stable = await this.startInstance(config);
+      await this.writeRoutes(targetDir, [{ instance: state.stable, weight: 100 }]);
+      await this.writeState(targetDir, state);
+
+      return this.publicResult(config, state, state.stable);
+    } catch (error) {
+      return this.failedResult(config, error as Error);
+    }
+  }
+
+  async startCandidate(config: DeploymentConfig): Promise<DeploymentResult> {
+    try {
+      const targetDir = this.getTargetDir(config);
+      const state = await this.readState(targetDir);
+      await this.ensureProxy(targetDir, this.getPublicPort(config), state);
+
+      // A candidate left over from an interrupted rollout never received full traffic
+      if (state.candidate) {
+        await this.removeInstance(state.candidate);
+        state.candidate = undefined;
+      }
+
+      state.candidate = await this.startInstance(config);
+      await this.writeState(targetDir, state);
+
+      return {
+        success: true,
+        deploymentId: state.candidate.deploymentId,
+        url: `http://localhost:${state.candidate.port}`,
+        metadata: this.getMetadata(state, state.candidate)
+      };
+    } catch (error) {
+      return this.failedResult(config, error as Error);
+    }
+  }
+
+  async shiftTraffic(config: DeploymentConfig, candidatePercent: number): Promise<void> {
+    const targetDir = this.getTargetDir(config);
+    const state = await this.readState(targetDir);
+    if (!state.candidate) {
+      throw new Error(`No candidate running for target '${config.target.name}'`);
+    }
+
+    const percent = Math.min(100, Math.max(0, candidatePercent));
+    const routes = [{ instance: state.candidate, weight: percent }];
+    if (state.stable) {
+      routes.push({ instance: state.stable, weight: 100 - percent });
+    }
+
+    await this.writeRoutes(targetDir, routes);
+  }
+
+  async promoteCandidate(config: DeploymentConfig): Promise<DeploymentResult> {
+    const targetDir = this.getTargetDir(config);
+    const state = await this.readState(targetDir);
+    if (!state.candidate) {
+      throw new Error(`No candidate running for target '${config.target.name}'`);
+    }
+
+    const previous = state.stable;
+    state.stable = state.candidate;
+    state.candidate = undefined;
+
+    await this.writeRoutes(targetDir, [{ instance: state.stable, weight: 100 }]);
+    await this.writeState(targetDir, state);
+
+    if (previous) {
+      await this.removeInstance(previous);
+    }
+
+    return this.publicResult(config, state, state.stable);
+  }
+
+  async discardCandidate(config: DeploymentConfig): Promise<void> {
+    const targetDir = this.getTargetDir(config);
+    const state = await this.readState(targetDir);
+
+    // Put all traffic back on the live version before stopping the candidate
+    await this.writeRoutes(targetDir, state.stable ? [{ instance: state.stable, weight: 100 }] : []);
+
+    if (state.candidate) {
+      await this.removeInstance(state.candidate);
+      state.candidate = undefined;
+      await this.writeState(targetDir, state);
+    }
+  }
+
+  async getStatus(deploymentId: string): Promise<DeploymentStatus> {
+    const found = await this.findInstance(deploymentId);
+
+    // Replaced by a later deployment, or never started
+    if (!found) {
+      return DeploymentStatus.STOPPED;
+    }
+
+    const { instance, role } = found;
+    if (instance.stoppedAt) {
+      return DeploymentStatus.STOPPED;
+    }
+    if (!this.isAlive(instance.pid)) {
+      return DeploymentStatus.FAILED;
+    }
+    return role === 'candidate' ? DeploymentStatus.DEPLOYING : DeploymentStatus.SUCCESS;
+  }
+
+  // Stop the deployment's process but keep its files, so it can be restarted
+  async stop(deploymentId: string): Promise<void> {
+    const found = await this.findInstance(deploymentId);
+    if (!found) {
+      throw new Error(`No local instance found for deployment '${deploymentId}'`);
+    }
+
+    const { targetDir, state, instance, role } = found;
+    if (instance.stoppedAt) {
+      return;
+    }
+
+    this.logger.info(`Stopping local instance ${deploymentId} (pid ${instance.pid})`);
+    await this.killProcessGroup(instance.pid);
+    instance.stoppedAt = new Date().toISOString();
+
+    // Nothing is left to serve, so the proxy goes too; its port stays recorded for restart
+    if (role === 'stable' && state.proxy) {
+      await this.killProcessGroup(state.proxy.pid);
+    }
+
+    await this.writeState(targetDir, state);
+  }
+
+  async restart(deploymentId: string): Promise<DeploymentResult> {
+    const found = await this.findInstance(deploymentId);
+    if (!found) {
+      throw new Error(`No local instance found for deployment '${deploymentId}'`);
+    }
+
+    const { targetDir, state, instance, role } = found;
+    this.logger.info(`Restarting local instance ${deploymentId}`);
+
+    if (role === 'stable') {
+      await this.ensureProxy(targetDir, state.proxy?.port || DEFAULT_PUBLIC_PORT, state);
+    }
+
+    if (!instance.stoppedAt) {
+      await this.killProcessGroup(instance.pid);
+    }
+    await this.spawnInstance(instance, DEFAULT_START_TIMEOUT);
+    instance.stoppedAt = undefined;
+    await this.writeState(targetDir, state);
+
+    const url = role === 'stable' ? `http://localhost:${state.proxy!.port}` : `http://localhost:${instance.port}`;
+    return {
+      success: true,
+      deploymentId,
+      url,
+      endpoint: `${url}/api`,
+      metadata: this.getMetadata(state, instance)
+    };
+  }
+
+  async rollback(deploymentId: string, targetVersion: string): Promise<void> {
+    // The engine rolls back by redeploying the stored release through deploy()
+    this.logger.info(`Rolling back local deployment ${deploymentId} to version ${targetVersion}`);
+  }
+
+  async listDeployments(): Promise<Deployment[]> {
+    return [];
+  }
+
+  // Stop the instances and proxy of every local target
+  async stopAll(): Promise<void> {
+    for (const statePath of await this.listStateFiles()) {
+      const state: LocalTargetState = await fs.readJson(statePath);
+      await this.stopTargetState(state);
+      await fs.remove(statePath);
+    }
+  }
+
+  private async findInstance(deploymentId: string): Promise<{
+    targetDir: string;
+    state: LocalTargetState;
+    instance: LocalInstance;
+    role: 'stable' | 'candidate';
+  } | null> {
+    for (const statePath of await this.listStateFiles()) {
+      const targetDir = path.dirname(statePath);
+      const state = await this.readState(targetDir);
+
+      if (state.stable?.deploymentId === deploymentId) {
+        return { targetDir, state, instance: state.stable, role: 'stable' };
+      }
+      if (state.candidate?.deploymentId === deploymentId) {
+        return { targetDir, state, instance: state.candidate, role: 'candidate' };
+      }
+    }
+
+    return null;
+  }
+
+  private async startInstance(config: DeploymentConfig): Promise<LocalInstance> {
+    const { project, target } = config;
+    const deploymentId = config.deploymentId || `local_${Date.now()}`;
+    const targetDir = this.getTargetDir(config);
+    const dir = path.join(targetDir, 'instances', deploymentId);
+
+    // Each instance runs from its own copy, so two versions can run side by side
+    const source = config.artifactsDir || path.resolve(project.path, project.config.build.outputDir || '.');
+    await fs.remove(dir);
+    await fs.ensureDir(dir);
+    if (await fs.pathExists(source)) {
+      await fs.copy(source, dir);
+    }
+
+    const instance: LocalInstance = {
+      deploymentId,
+      version: project.version,
+      pid: 0,
+      port: await this.findFreePort(),
+      dir,
+      logFile: path.join(targetDir, 'logs', `${deploymentId}.log`),
+      command: target.config.command || `node ${target.config.entry || 'index.js'}`,
+      environment: {
+        ...config.environment,
+        // The copy lives outside the project, so point module resolution back at it
+        NODE_PATH: path.join(project.path, 'node_modules')
+      },
+      startedAt: new Date().toISOString()
+    };
+
+    if (config.secrets && Object.keys(config.secrets).length > 0) {
+      instance.secretsFile = `${dir}.secrets.json`;
+      await fs.writeJson(instance.secretsFile, config.secrets, { mode: 0o600 });
+    }
+
+    this.logger.info(`Starting '${instance.command}' for ${project.name}@${project.version} on port ${instance.port}`);
+
+    try {
+      await this.spawnInstance(instance, target.config.startTimeout || DEFAULT_START_TIMEOUT);
+    } catch (error) {
+      await this.removeInstance(instance);
+      throw error;
+    }
+
+    await this.pruneLogs(path.dirname(instance.logFile));
+    return instance;
+  }
+
+  // Start the instance's command and wait until it listens; stdout and stderr
+  // are appended to its log file, which outlives the process.
+  private async spawnInstance(instance: LocalInstance, startTimeout: number): Promise<void> {
+    await fs.ensureDir(path.dirname(instance.logFile));
+    const logFd = await fs.open(instance.logFile, 'a');
+
+    const secrets = instance.secretsFile && await fs.pathExists(instance.secretsFile)
+      ? await fs.readJson(instance.secretsFile)
+      : {};
+
+    let child: ReturnType<typeof spawn>;
+    try {
+      await fs.write(logFd, `--- ${new Date().toISOString()} starting '${instance.command}' on port ${instance.port}\n`);
+      child = spawn(instance.command, {
+        cwd: instance.dir,
+        shell: true,
+        detached: true,
+        stdio: ['ignore', logFd, logFd],
+        env: { ...process.env, ...instance.environment, ...secrets, PORT: String(instance.port) }
+      });
+      child.unref();
+    } finally {
+      // The child holds its own copy of the descriptor
+      await fs.close(logFd);
+    }
+
+    if (!child.pid) {
+      throw new Error(`Failed to start '${instance.command}'`);
+    }
+
+    instance.pid = child.pid;
+    instance.startedAt = new Date().toISOString();
+
+    try {
+      await this.waitForPort(instance.port, startTimeout, child);
+    } catch (error) {
+      await this.killProcessGroup(child.pid);
+      throw new Error(
+        `'${instance.command}' did not start listening on port ${instance.port}: ${(error as Error).message} (see ${instance.logFile})`
+      );
+    }
+  }
+
+  // Stop an instance for good: used when it is replaced or discarded
+  private async removeInstance(instance: LocalInstance): Promise<void> {
+    this.logger.info(`Stopping local instance ${instance.deploymentId} (pid ${instance.pid})`);
+    // A stopped instance's pid may already belong to another process
+    if (instance.pid && !instance.stoppedAt) {
+      await this.killProcessGroup(instance.pid);
+    }
+    await fs.remove(instance.dir);
+    if (instance.secretsFile) {
+      await fs.remove(instance.secretsFile);
+    }
+  }
+
+  private async pruneLogs(logsDir: string): Promise<void> {
+    const entries = await Promise.all((await fs.readdir(logsDir)).map(async name => ({
+      file: path.join(logsDir, name),
+      mtime: (await fs.stat(path.join(logsDir, name))).mtimeMs
+    })));
+
+    for (const entry of entries.sort((a, b) => b.mtime - a.mtime).slice(LOG_FILES_TO_KEEP)) {
+      await fs.remove(entry.file);
+    }
+  }
+
+  private async ensureProxy(targetDir: string, port: number, state: LocalTargetState): Promise<void> {
+    if (state.proxy && this.isAlive(state.proxy.pid)) {
+      if (state.proxy.port === port) return;
+      // The target's port changed since the proxy was started
+      await this.killProcessGroup(state.proxy.pid);
+    }
+
+    if (!await this.isPortFree(port)) {
+      throw new Error(`Port ${port} is already in use`);
+    }
+
+    const proxyPath = path.join(this.localDir, 'proxy.js');
+    await fs.ensureDir(this.localDir);
+    await fs.writeFile(proxyPath, LOCAL_PROXY_SOURCE);
+
+    const routesPath = path.join(targetDir, ROUTES_FILE);
+    if (!await fs.pathExists(routesPath)) {
+      await this.writeRoutes(targetDir, []);
+    }
+
+    const child = spawn(process.execPath, [proxyPath, routesPath, String(port)], {
+      detached: true,
+      stdio: 'ignore'
+    });
+    child.unref();
+
+    if (!child.pid) {
+      throw new Error('Failed to start the local proxy');
+    }
+
+    await this.waitForPort(port, DEFAULT_START_TIMEOUT, child);
+    state.proxy = { pid: child.pid, port };
+    await this.writeState(targetDir, state);
+
+    this.logger.info(`Local proxy listening on port ${port}`);
+  }
+
+  private async stopTargetState(state: LocalTargetState): Promise<void> {
+    for (const instance of [state.candidate, state.stable]) {
+      if (instance) await this.removeInstance(instance);
+    }
+    if (state.proxy) {
+      await this.killProcessGroup(state.proxy.pid);
+    }
+  }
+
+  private async writeRoutes(targetDir: string, routes: { instance: LocalInstance; weight: number }[]): Promise<void> {
+    const routesPath = path.join(targetDir, ROUTES_FILE);
+    await fs.ensureDir(targetDir);
+
+    // Atomic replace: the proxy reads this file on every request
+    const tempPath = `${routesPath}.${process.pid}.tmp`;
+    await fs.writeJson(tempPath, {
+      routes: routes.map(({ instance, weight }) => ({
+        url: `http://localhost:${instance.port}`,
+        weight,
+        version: instance.version,
+        deploymentId: instance.deploymentId
+      }))
+    });
+    await fs.rename(tempPath, routesPath);
+  }
+
+  private async readState(targetDir: string): Promise<LocalTargetState> {
+    const statePath = path.join(targetDir, STATE_FILE);
+    if (!await fs.pathExists(statePath)) {
+      return {};
+    }
+
+    try {
+      return await fs.readJson(statePath);
+    } catch (error) {
+      this.logger.warn(`Failed to read local state '${statePath}': ${error}`);
+      return {};
+    }
+  }
+
+  private async writeState(targetDir: string, state: LocalTargetState): Promise<void> {
+    await fs.ensureDir(targetDir);
+    await fs.writeJson(path.join(targetDir, STATE_FILE), state, { spaces: 2 });
+  }
+
+  private async listStateFiles(): Promise<string[]> {
+    const files: string[] = [];
+    if (!await fs.pathExists(this.localDir)) {
+      return files;
+    }
+
+    for (const projectEntry of await fs.readdir(this.localDir, { withFileTypes: true })) {
+      if (!projectEntry.isDirectory()) continue;
+      const projectDir = path.join(this.localDir, projectEntry.name);
+
+      for (const targetEntry of await fs.readdir(projectDir)) {
+        const statePath = path.join(projectDir, targetEntry, STATE_FILE);
+        if (await fs.pathExists(statePath)) {
+          files.push(statePath);
+        }
+      }
+    }
+
+    return files;
+  }
+
+  private publicResult(config: DeploymentConfig, state: LocalTargetState, instance: LocalInstance): DeploymentResult {
+    const url = `http://${config.target.config.host || 'localhost'}:${state.proxy!.port}`;
+    return {
+      success: true,
+      deploymentId: instance.deploymentId,
+      url,
+      endpoint: `${url}/api`,
+      metadata: this.getMetadata(state, instance)
+    };
+  }
+
+  private failedResult(config: DeploymentConfig, error: Error): DeploymentResult {
+    this.logger.error(`Local deployment of ${config.project.name} failed: ${error.message}`);
+    return {
+      success: false,
+      deploymentId: config.deploymentId || '',
+      error: error.message,
+      metadata: { type: 'local' }
+    };
+  }
+
+  private getMetadata(state: LocalTargetState, instance: LocalInstance): Record<string, any> {
+    return {
+      type: 'local',
+      port: state.proxy?.port,
+      pid: instance.pid,
+      instancePort: instance.port,
+      proxyPid: state.proxy?.pid,
+      logFile: instance.logFile
+    };
+  }
+
+  private getTargetDir(config: DeploymentConfig): string {
+    return path.join(this.localDir, toSegment(config.project.id), toSegment(config.target.name));
+  }
+
+  private getPublicPort(config: DeploymentConfig): number {
+    return Number(config.target.config.port || DEFAULT_PUBLIC_PORT);
+  }
+
+
+  private isAlive(pid: number): boolean {
+    try {
+      process.kill(pid, 0);
+      return true;
+    } catch (error) {
+      return (error as NodeJS.ErrnoException).code === 'EPERM';
+    }
+  }
+
+  // Processes are started detached, so each is the leader of its own group;
+  // signalling the group also stops children of the shell wrapper.
+  private async killProcessGroup(pid: number): Promise<void> {
+    const signal = (sig: NodeJS.Signals) => {
+      try {
+        process.kill(-pid, sig);
+      } catch (error) {
+        try {
+          process.kill(pid, sig);
+        } catch (innerError) {
+          // Already gone
+        }
+      }
+    };
+
+    signal('SIGTERM');
+
+    const deadline = Date.now() + STOP_TIMEOUT;
+    while (this.isAlive(pid) && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+
+    if (this.isAlive(pid)) {
+      signal('SIGKILL');
+    }
+  }
+
+  private findFreePort(): Promise<number> {
+    return new Promise((resolve, reject) => {
+      const server = net.createServer();
+      server.unref();
+      server.on('error', reject);
+      server.listen(0, () => {
+        const { port } = server.address() as net.AddressInfo;
+        server.close(() => resolve(port));
+      });
+    });
+  }
+
+  private isPortFree(port: number): Promise<boolean> {
+    return new Promise(resolve => {
+      const server = net.createServer();
+      server.unref();
+      server.on('error', () => resolve(false));
+      server.listen(port, () => server.close(() => resolve(true)));
+    });
+  }
+
+  private waitForPort(port: number, timeout: number, child: ReturnType<typeof spawn>): Promise<void> {
+    const deadline = Date.now() + timeout;
+    let exitCode: number | null | undefined;
+    child.once('exit', code => { exitCode = code; });
+
+    return new Promise((resolve, reject) => {
+      const attempt = () => {
+        if (exitCode !== undefined) {
+          reject(new Error(`process exited with code ${exitCode}`));
+          return;
+        }
+
+        const socket = net.connect({ port, host: 'localhost' });
+        socket.once('connect', () => {
+          socket.destroy();
+          resolve();
+        });
+        socket.once('error', () => {
+          socket.destroy();
+          if (Date.now() > deadline) {
+            reject(new Error(`timed out after ${timeout}ms`));
+          } else {
+            setTimeout(attempt, 100);
+          }
+        });
+      };
+
+      attempt();
+    });
+  }
+}
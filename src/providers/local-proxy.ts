@@ -0,0 +1,61 @@
+// Source of the reverse proxy that fronts local deployments. It runs as its own
+// detached Node process (the CLI exits after each command), so it is written
+// to disk and started with `node proxy.js <routes-file> <port>`.
+//
+// The routes file is re-read on every request; providers change the traffic
+// split by atomically replacing it.
+export const LOCAL_PROXY_SOURCE = `'use strict';
+const http = require('http');
+const fs = require('fs');
+
+const [routesFile, port] = process.argv.slice(2);
+
+function readRoutes() {
+  try {
+    return (JSON.parse(fs.readFileSync(routesFile, 'utf8')).routes || []).filter(route => route.weight > 0);
+  } catch (error) {
+    return [];
+  }
+}
+
+function pickRoute(routes) {
+  const total = routes.reduce((sum, route) => sum + route.weight, 0);
+  let point = Math.random() * total;
+  for (const route of routes) {
+    point -= route.weight;
+    if (point < 0) return route;
+  }
+  return routes[routes.length - 1];
+}
+
+http.createServer((req, res) => {
+  const routes = readRoutes();
+  if (routes.length === 0) {
+    res.writeHead(503, { 'content-type': 'text/plain' });
+    res.end('No backend available\\n');
+    return;
+  }
+
+  const route = pickRoute(routes);
+  const backend = new URL(route.url);
+  const upstream = http.request({
+    hostname: backend.hostname,
+    port: backend.port,
+    method: req.method,
+    path: req.url,
+    headers: req.headers
+  }, response => {
+    res.writeHead(response.statusCode, { ...response.headers, 'x-ai-builder-version': route.version });
+    response.pipe(res);
+  });
+
+  upstream.on('error', () => {
+    if (!res.headersSent) {
+      res.writeHead(502, { 'content-type': 'text/plain' });
+    }
+    res.end('Bad gateway\\n');
+  });
+
+  req.pipe(upstream);
+}).listen(Number(port));
+`;
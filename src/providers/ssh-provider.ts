@@ -0,0 +1,394 @@
+import * as fs from 'fs-extra';
+import * as path from 'path';
+import * as os from 'os';
+import {
+  CloudProvider,
+  Deployment,
+  DeploymentConfig,
+  DeploymentResult,
+  DeploymentStatus,
+  Logger,
+  TargetConfig
+} from '../types';
+import { RemoteTransport, TransportFactory, createTransport, shellQuote } from './ssh-transport';
+import { toSegment } from '../utils/paths';
+
+const DEFAULT_KEEP_RELEASES = 5;
+const DEFAULT_COMMAND_TIMEOUT = 300000;
+const ENV_FILE = '.env';
+
+// Where things live on the host, all under the target's `path`:
+//   releases/<version>-<deployment id>/  one directory per uploaded release
+//   current                              symlink to the live release
+interface RemoteLayout {
+  root: string;
+  releasesDir: string;
+  current: string;
+}
+
+// What was last deployed to a target, kept locally so status checks and
+// rollbacks know which host and directory a deployment went to
+interface SSHTargetState {
+  deploymentId: string;
+  version: string;
+  root: string;
+  release: string;
+  targetConfig: TargetConfig;
+  deployedAt: string;
+}
+
+type HookName = 'preDeploy' | 'postDeploy';
+
+// Deploys build output to a host over SSH: upload to a release directory of
+// its own, run the pre-deploy hooks, switch the `current` symlink atomically,
+// restart the service, run the post-deploy hooks and keep the newest N
+// releases around. The live release is never written to.
+//
+// Needs a POSIX shell on the host, and an `mv` that can rename over a symlink
+// to a directory: GNU (`mv -T`) or BSD/macOS (`mv -h`).
+export class SSHProvider implements CloudProvider {
+  name = 'ssh';
+  type = 'ssh' as const;
+
+  private stateDir: string;
+
+  constructor(
+    private logger: Logger,
+    dataDir?: string,
+    private transportFactory: TransportFactory = createTransport
+  ) {
+    this.stateDir = path.join(dataDir || path.join(os.homedir(), '.ai-builder'), 'ssh');
+  }
+
+  async deploy(config: DeploymentConfig): Promise<DeploymentResult> {
+    const { project, target } = config;
+    const deploymentId = config.deploymentId || `ssh_${Date.now()}`;
+    const layout = this.getLayout(config);
+    // A rollback reuses the directory its release was first uploaded to
+    const release = path.posix.join(layout.releasesDir, toSegment(config.releaseId || `${project.version}-${deploymentId}`));
+    const transport = this.transportFactory(target.config, this.logger);
+
+    this.logger.info(`Deploying ${project.name} via SSH to ${transport.describe()}:${release}`);
+
+    try {
+      const previous = await this.readCurrent(transport, layout);
+
+      await this.uploadRelease(config, transport, layout, release, deploymentId);
+
+      try {
+        await this.runHooks('preDeploy', config, transport, release);
+      } catch (error) {
+        // Nothing switched yet; drop the release unless a rollback reused the live one
+        if (release !== previous) {
+          await this.run(transport, `rm -rf ${shellQuote(release)}`, 'Removing the rejected release', target.config);
+        }
+        throw error;
+      }
+
+      await this.switchCurrent(transport, layout, release, target.config);
+
+      try {
+        await this.restartService(transport, layout, target.config);
+        await this.runHooks('postDeploy', config, transport, release);
+      } catch (error) {
+        if (previous && previous !== release) {
+          await this.restorePrevious(transport, layout, previous, target.config);
+        }
+        throw error;
+      }
+
+      await this.pruneReleases(transport, layout, release, target.config);
+      await this.writeState(config, {
+        deploymentId,
+        version: project.version,
+        root: layout.root,
+        release,
+        targetConfig: target.config,
+        deployedAt: new Date().toISOString()
+      });
+
+      const url = `http://${target.config.host}:${target.config.port || 3000}`;
+
+      return {
+        success: true,
+        deploymentId,
+        url,
+        endpoint: `${url}/api`,
+        metadata: {
+          type: 'ssh',
+          host: target.config.host,
+          user: target.config.user,
+          path: layout.root,
+          release,
+          previousRelease: previous,
+          port: target.config.port || 3000
+        }
+      };
+    } catch (error) {
+      this.logger.error(`SSH deployment of ${project.name} failed: ${(error as Error).message}`);
+      return {
+        success: false,
+        deploymentId,
+        metadata: {
+          type: 'ssh',
+          host: target.config.host,
+          path: layout.root,
+          release
+        },
+        error: (error as Error).message
+      };
+    }
+  }
+
+  // Live when `current` still points at the deployment's release and the
+  // optional status command succeeds; stopped once something else is live
+  async getStatus(deploymentId: string): Promise<DeploymentStatus> {
+    const state = await this.findState(deploymentId);
+    if (!state) {
+      throw new Error(`No SSH deployment found for ${deploymentId}`);
+    }
+
+    const transport = this.transportFactory(state.targetConfig, this.logger);
+    const layout = this.getLayoutFor(state.root);
+
+    if (await this.readCurrent(transport, layout) !== state.release) {
+      return DeploymentStatus.STOPPED;
+    }
+
+    const statusCommand = this.getStatusCommand(state.targetConfig);
+    if (statusCommand) {
+      const result = await transport.exec(`cd ${shellQuote(layout.current)} && ${statusCommand}`, this.getTimeout(state.targetConfig));
+      return result.code === 0 ? DeploymentStatus.SUCCESS : DeploymentStatus.FAILED;
+    }
+
+    return DeploymentStatus.SUCCESS;
+  }
+
+  // Point `current` back at a release that is still on the host: the release
+  // directory named `targetVersion`, or the newest upload of that version
+  async rollback(deploymentId: string, targetVersion: string): Promise<void> {
+    this.logger.info(`Rolling back SSH deployment ${deploymentId} to version ${targetVersion}`);
+
+    const state = await this.findState(deploymentId);
+    if (!state) {
+      throw new Error(`No SSH deployment found for ${deploymentId}`);
+    }
+
+    const transport = this.transportFactory(state.targetConfig, this.logger);
+    const layout = this.getLayoutFor(state.root);
+    const name = toSegment(targetVersion);
+    const listing = await this.run(transport, `ls -1t ${shellQuote(layout.releasesDir)}`, 'Listing releases', state.targetConfig);
+    const found = listing.split('\n')
+      .map(entry => entry.trim())
+      .find(entry => entry === name || entry.startsWith(`${name}-`));
+
+    if (!found) {
+      throw new Error(`Release ${targetVersion} is no longer on ${transport.describe()}`);
+    }
+    const release = path.posix.join(layout.releasesDir, found);
+
+    await this.switchCurrent(transport, layout, release, state.targetConfig);
+    await this.restartService(transport, layout, state.targetConfig);
+  }
+
+  async listDeployments(): Promise<Deployment[]> {
+    return [];
+  }
+
+  private async uploadRelease(
+    config: DeploymentConfig,
+    transport: RemoteTransport,
+    layout: RemoteLayout,
+    release: string,
+    deploymentId: string
+  ): Promise<void> {
+    const { project, target } = config;
+
+    // A rollback whose release is still on the host does not need another upload
+    const reuse = !!config.artifactsDir && (await transport.exec(`test -d ${shellQuote(release)}`)).code === 0;
+
+    if (reuse) {
+      this.logger.info(`Reusing ${release} already on ${transport.describe()}`);
+    } else {
+      const source = config.artifactsDir || path.resolve(project.path, project.config.build.outputDir || '.');
+      if (!await fs.pathExists(source)) {
+        throw new Error(`Build output directory '${source}' does not exist`);
+      }
+
+      // Upload next to the releases and move into place, so a half-finished
+      // upload never looks like a release. The directory is this deployment's
+      // own, so the live release is never touched.
+      const staging = path.posix.join(layout.releasesDir, `.${path.posix.basename(release)}.${deploymentId}.tmp`);
+      await transport.upload(source, staging);
+      await this.run(
+        transport,
+        `rm -rf ${shellQuote(release)} && mv ${shellQuote(staging)} ${shellQuote(release)}`,
+        'Moving the upload into place',
+        target.config
+      );
+    }
+
+    // The service and the hooks read the environment from the release; it
+    // carries the secrets too, so only the deploy user may read it
+    const environment = { ...config.environment, ...config.secrets };
+    await this.run(
+      transport,
+      `umask 077 && printf '%s' ${shellQuote(this.formatEnvFile(environment))} > ${shellQuote(path.posix.join(release, ENV_FILE))}`,
+      'Writing the release environment',
+      target.config
+    );
+  }
+
+  private async runHooks(hook: HookName, config: DeploymentConfig, transport: RemoteTransport, release: string): Promise<void> {
+    const configured = config.target.config.hooks?.[hook];
+    const commands: string[] = Array.isArray(configured) ? configured : configured ? [configured] : [];
+
+    for (const command of commands) {
+      this.logger.info(`Running ${hook} hook: ${command}`);
+
+      const exports = [
+        `RELEASE_DIR=${shellQuote(release)}`,
+        `RELEASE_VERSION=${shellQuote(config.project.version)}`,
+        `DEPLOY_PATH=${shellQuote(this.getLayout(config).root)}`
+      ].join(' ');
+
+      await this.run(
+        transport,
+        `cd ${shellQuote(release)} && ${this.loadEnv()} && export ${exports} && ${command}`,
+        `${hook} hook '${command}'`,
+        config.target.config
+      );
+    }
+  }
+
+  // Build the new link next to `current` and rename it over the old one; the
+  // rename is atomic, so `current` always points at a complete release. Plain
+  // `mv` would move the link into the directory `current` points at, so the
+  // rename needs GNU `mv -T` or, on BSD and macOS, `mv -h`.
+  private async switchCurrent(transport: RemoteTransport, layout: RemoteLayout, release: string, targetConfig: TargetConfig): Promise<void> {
+    const next = shellQuote(`${layout.current}.next`);
+    const current = shellQuote(layout.current);
+
+    await this.run(
+      transport,
+      `touch ${shellQuote(release)} && ln -sfn ${shellQuote(release)} ${next} && { mv -Tf ${next} ${current} 2>/dev/null || mv -hf ${next} ${current}; }`,
+      'Switching the current release',
+      targetConfig
+    );
+
+    this.logger.info(`${layout.current} -> ${release}`);
+  }
+
+  private async restartService(transport: RemoteTransport, layout: RemoteLayout, targetConfig: TargetConfig): Promise<void> {
+    const command = targetConfig.restartCommand
+      || (targetConfig.service ? `sudo systemctl restart ${shellQuote(targetConfig.service)}` : undefined);
+
+    if (!command) {
+      return;
+    }
+
+    this.logger.info(`Restarting service: ${command}`);
+    await this.run(transport, `cd ${shellQuote(layout.current)} && ${this.loadEnv()} && ${command}`, 'Restarting the service', targetConfig);
+  }
+
+  private async restorePrevious(transport: RemoteTransport, layout: RemoteLayout, previous: string, targetConfig: TargetConfig): Promise<void> {
+    this.logger.warn(`Switching back to ${previous}`);
+
+    try {
+      await this.switchCurrent(transport, layout, previous, targetConfig);
+      await this.restartService(transport, layout, targetConfig);
+    } catch (error) {
+      this.logger.error(`Failed to switch back to ${previous}: ${(error as Error).message}`);
+    }
+  }
+
+  // Keep the newest N releases (by last deploy); never the live one
+  private async pruneReleases(transport: RemoteTransport, layout: RemoteLayout, current: string, targetConfig: TargetConfig): Promise<void> {
+    const keep = Math.max(1, Number(targetConfig.keepReleases ?? DEFAULT_KEEP_RELEASES));
+    const listing = await this.run(transport, `ls -1t ${shellQuote(layout.releasesDir)}`, 'Listing releases', targetConfig);
+
+    const stale = listing.split('\n')
+      .map(name => name.trim())
+      .filter(Boolean)
+      .map(name => path.posix.join(layout.releasesDir, name))
+      .filter(release => release !== current)
+      .slice(keep - 1);
+
+    if (stale.length > 0) {
+      this.logger.info(`Removing ${stale.length} old release(s) from ${transport.describe()}`);
+      await this.run(transport, `rm -rf ${stale.map(shellQuote).join(' ')}`, 'Removing old releases', targetConfig);
+    }
+  }
+
+  private async readCurrent(transport: RemoteTransport, layout: RemoteLayout): Promise<string | undefined> {
+    const result = await transport.exec(`readlink ${shellQuote(layout.current)}`);
+    return result.code === 0 ? result.stdout.trim() || undefined : undefined;
+  }
+
+  // Run a command that has to succeed; returns its stdout
+  private async run(transport: RemoteTransport, command: string, what: string, targetConfig: TargetConfig): Promise<string> {
+    const result = await transport.exec(command, this.getTimeout(targetConfig));
+
+    if (result.code !== 0) {
+      throw new Error(`${what} failed on ${transport.describe()}: ${result.stderr.trim() || `exit code ${result.code}`}`);
+    }
+
+    return result.stdout;
+  }
+
+  private loadEnv(): string {
+    return `if [ -f ${ENV_FILE} ]; then set -a && . ./${ENV_FILE} && set +a; fi`;
+  }
+
+  private formatEnvFile(environment: Record<string, string>): string {
+    return Object.entries(environment)
+      .map(([key, value]) => `${key}=${shellQuote(String(value))}\n`)
+      .join('');
+  }
+
+  private getStatusCommand(targetConfig: TargetConfig): string | undefined {
+    return targetConfig.statusCommand
+      || (targetConfig.service ? `systemctl is-active --quiet ${shellQuote(targetConfig.service)}` : undefined);
+  }
+
+  private getTimeout(targetConfig: TargetConfig): number {
+    return Number(targetConfig.commandTimeout || DEFAULT_COMMAND_TIMEOUT);
+  }
+
+  private getLayout(config: DeploymentConfig): RemoteLayout {
+    const root = config.target.config.path || `/var/www/${toSegment(config.project.name)}`;
+    return this.getLayoutFor(root);
+  }
+
+  private getLayoutFor(root: string): RemoteLayout {
+    return {
+      root,
+      releasesDir: path.posix.join(root, 'releases'),
+      current: path.posix.join(root, 'current')
+    };
+  }
+
+  private async writeState(config: DeploymentConfig, state: SSHTargetState): Promise<void> {
+    const statePath = path.join(this.stateDir, toSegment(config.project.id), `${toSegment(config.target.name)}.json`);
+    await fs.ensureDir(path.dirname(statePath));
+    await fs.writeJson(statePath, state, { spaces: 2 });
+  }
+
+  // Only the latest deployment of each target has a record
+  private async findState(deploymentId: string): Promise<SSHTargetState | null> {
+    if (!await fs.pathExists(this.stateDir)) {
+      return null;
+    }
+
+    for (const projectDir of await fs.readdir(this.stateDir)) {
+      for (const file of await fs.readdir(path.join(this.stateDir, projectDir))) {
+        const state: SSHTargetState = await fs.readJson(path.join(this.stateDir, projectDir, file));
+        if (state.deploymentId === deploymentId) {
+          return state;
+        }
+      }
+    }
+
+    return null;
+  }
+}
@@ -0,0 +1,90 @@
+import * as fs from 'fs-extra';
+import * as path from 'path';
+import * as os from 'os';
+import { Logger, TargetConfig } from '../types';
+import { runCommand, ExecResult } from '../utils/exec';
+
+// How the SSH provider reaches a host: run a shell command there and copy a
+// directory to it. Paths are always paths on the remote side.
+export interface RemoteTransport {
+  describe(): string;
+  exec(command: string, timeout?: number): Promise<ExecResult>;
+  upload(localDir: string, remoteDir: string): Promise<void>;
+}
+
+export type TransportFactory = (config: TargetConfig, logger: Logger) => RemoteTransport;
+
+// `transport: 'local'` treats the local machine as the host, which is enough
+// to exercise the release layout without an SSH server
+export const createTransport: TransportFactory = (config, logger) =>
+  config.transport === 'local' ? new LocalTransport(logger) : new SSHTransport(config, logger);
+
+export function shellQuote(value: string): string {
+  return `'${value.replace(/'/g, `'\\''`)}'`;
+}
+
+export class SSHTransport implements RemoteTransport {
+  constructor(private config: TargetConfig, private logger: Logger) {}
+
+  describe(): string {
+    return this.getDestination();
+  }
+
+  async exec(command: string, timeout?: number): Promise<ExecResult> {
+    this.logger.debug(`ssh ${this.getDestination()} ${command}`);
+    return runCommand('ssh', [...this.getOptions('-p'), this.getDestination(), command], { timeout });
+  }
+
+  async upload(localDir: string, remoteDir: string): Promise<void> {
+    // scp creates remoteDir itself when it does not exist yet
+    const prepare = await this.exec(`mkdir -p ${shellQuote(path.posix.dirname(remoteDir))} && rm -rf ${shellQuote(remoteDir)}`);
+    if (prepare.code !== 0) {
+      throw new Error(`Failed to prepare ${remoteDir}: ${prepare.stderr.trim() || `exit code ${prepare.code}`}`);
+    }
+
+    this.logger.debug(`scp ${localDir} ${this.getDestination()}:${remoteDir}`);
+    const result = await runCommand('scp', ['-rq', ...this.getOptions('-P'), localDir, `${this.getDestination()}:${remoteDir}`]);
+    if (result.code !== 0) {
+      throw new Error(`Upload to ${this.getDestination()}:${remoteDir} failed: ${result.stderr.trim() || `exit code ${result.code}`}`);
+    }
+  }
+
+  private getDestination(): string {
+    if (!this.config.host) {
+      throw new Error('SSH targets need a host');
+    }
+    return this.config.user ? `${this.config.user}@${this.config.host}` : this.config.host;
+  }
+
+  // ssh and scp spell the port flag differently
+  private getOptions(portFlag: '-p' | '-P'): string[] {
+    const args = ['-o', 'BatchMode=yes'];
+
+    if (this.config.keyPath) {
+      args.push('-i', this.config.keyPath.replace(/^~(?=$|\/)/, os.homedir()));
+    }
+    if (this.config.sshPort) {
+      args.push(portFlag, String(this.config.sshPort));
+    }
+
+    return args;
+  }
+}
+
+export class LocalTransport implements RemoteTransport {
+  constructor(private logger: Logger) {}
+
+  describe(): string {
+    return 'localhost (local transport)';
+  }
+
+  async exec(command: string, timeout?: number): Promise<ExecResult> {
+    this.logger.debug(`sh -c ${command}`);
+    return runCommand('sh', ['-c', command], { timeout });
+  }
+
+  async upload(localDir: string, remoteDir: string): Promise<void> {
+    await fs.remove(remoteDir);
+    await fs.copy(localDir, remoteDir);
+  }
+}
@@ -3,19 +3,38 @@
 export interface CLICommand {
   name: string;
   description: string;
+  arguments?: CLIArgument[];
   options: CLIOption[];
-  handler: (args: CommandArgs) => Promise<void>;
+  // What the command did, rendered for --output json|yaml
+  handler: (args: CommandArgs) => Promise<CommandResult | void>;
   subcommands?: CLICommand[];
 }
 
+export type CommandResult = Record<string, any> | Record<string, any>[];
+
+export type OutputFormat = 'table' | 'json' | 'yaml';
+
 export interface CLIOption {
   name: string;
   alias?: string;
   description: string;
   type: 'string' | 'number' | 'boolean';
   required?: boolean;
+  // May be given more than once; the values arrive as an array
+  repeatable?: boolean;
   default?: any;
   choices?: string[];
+  // Shell completion source for the value, e.g. 'targets' (see `ai-builder completion`)
+  complete?: string;
+}
+
+export interface CLIArgument {
+  name: string;
+  description: string;
+  required?: boolean;
+  // Collects the remaining words into an array; only valid on the last argument
+  variadic?: boolean;
+  complete?: string;
 }
 
 export interface CommandArgs {
@@ -33,6 +52,15 @@ export interface Project {
   createdAt: Date;
   updatedAt: Date;
   path: string;
+  // The template version and answers the project was generated from, which
+  // `upgrade` re-applies; missing for projects made before it was recorded
+  templateOrigin?: TemplateOrigin;
+}
+
+export interface TemplateOrigin {
+  name: string;
+  version: string;
+  variables: Record<string, string | number | boolean>;
 }
 
 export interface ProjectConfig {
@@ -63,6 +91,15 @@ export interface DeploymentTarget {
   type: 'local' | 'docker' | 'aws' | 'azure' | 'gcp' | 'ssh' | 'vercel' | 'netlify';
   config: TargetConfig;
   environment: 'development' | 'staging' | 'production';
+  strategy?: DeploymentStrategy;
+}
+
+export interface DeploymentStrategy {
+  type: 'recreate' | 'blue-green' | 'canary';
+  // Canary only: percentages of traffic sent to the new version, in order
+  steps?: number[];
+  // Canary only: milliseconds to wait (and then re-check health) between steps
+  pause?: number;
 }
 
 export interface TargetConfig {
@@ -83,6 +120,13 @@ export interface TargetConfig {
   host: string;
   user?: string;
   keyPath?: string;
+  sshPort?: number;
+  path?: string;
+  keepReleases?: number;
+  restartCommand?: string;
+  statusCommand?: string;
+  hooks?: { preDeploy?: string | string[]; postDeploy?: string | string[] };
+  transport?: 'ssh' | 'local';
   
   // Custom fields
   [key: string]: any;
@@ -113,11 +157,34 @@ export interface Deployment {
   version: string;
   status: DeploymentStatus;
   logs: DeploymentLog[];
+  statusHistory?: DeploymentStatusChange[];
   buildResult?: BuildResult;
+  result?: DeploymentResult;
   createdAt: Date;
   startedAt?: Date;
   completedAt?: Date;
   rollbackFrom?: string;
+  // The release this deployment is running
+  releaseId?: string;
+}
+
+export interface Release {
+  // <version>-<deploymentId>
+  id: string;
+  version: string;
+  projectId: string;
+  deploymentId: string;
+  target: DeploymentTarget;
+  project: Omit<Project, 'deployments'>;
+  environment: Record<string, string>;
+  buildResult?: BuildResult;
+  artifactsDir?: string;
+  createdAt: Date;
+}
+
+export interface DeploymentStatusChange {
+  status: DeploymentStatus;
+  timestamp: Date;
 }
 
 export enum DeploymentStatus {
@@ -127,7 +194,9 @@ export enum DeploymentStatus {
   SUCCESS = 'success',
   FAILED = 'failed',
   ROLLING_BACK = 'rolling_back',
-  ROLLED_BACK = 'rolled_back'
+  ROLLED_BACK = 'rolled_back',
+  STOPPED = 'stopped',
+  CANCELLED = 'cancelled'
 }
 
 export interface DeploymentLog {
@@ -144,8 +213,64 @@ export interface BuildResult {
   artifacts: Artifact[];
   duration: number;
   error?: string;
+  cached?: boolean;
+  cacheKey?: string;
+}
+
+export interface BuildOptions {
+  // Set to false to ignore the build cache and always run the build command
+  cache?: boolean;
+}
+
+export interface UpgradeOptions {
+  // Work out and report the merge without writing anything
+  dryRun?: boolean;
+  // Answers for variables the newer template adds, or changed answers
+  variables?: Record<string, string>;
+  interactive?: boolean;
+  // Asked once the merge is worked out and before anything is written, when
+  // there are changes; false leaves the project as it was
+  confirm?: (result: UpgradeResult) => Promise<boolean>;
+}
+
+// added/removed: by the template; kept: the template removed a file the user
+// changed, or changed a file the user deleted, and the user's side stays
+export type UpgradeFileStatus = 'added' | 'updated' | 'removed' | 'conflict' | 'kept';
+
+export interface UpgradeFileChange {
+  path: string;
+  status: UpgradeFileStatus;
+  // Unified diff from the current file to the upgraded one
+  diff: string;
+  conflicts: number;
+}
+
+export interface UpgradeResult {
+  project: string;
+  template: string;
+  from?: string;
+  to: string;
+  upToDate: boolean;
+  dryRun: boolean;
+  applied: boolean;
+  // Without the output of the original version every file that differs from
+  // the new one is a conflict
+  hasBase: boolean;
+  files: UpgradeFileChange[];
+  conflicts: number;
+}
+
+export interface DeployOptions extends BuildOptions {
+  // Replaces the plain `provider.deploy` call, e.g. to run a rollout strategy
+  rollout?: RolloutHandler;
 }
 
+export type RolloutHandler = (
+  provider: CloudProvider,
+  config: DeploymentConfig,
+  deployment: Deployment
+) => Promise<DeploymentResult>;
+
 export interface Artifact {
   path: string;
   size: number;
@@ -197,19 +322,29 @@ export interface NotificationEvent {
 
 // Service Interfaces
 export interface ProjectManager {
-  createProject(template: string, name: string, path: string): Promise<Project>;
-  buildProject(project: Project): Promise<BuildResult>;
+  createProject(template: string, name: string, path: string, options?: CreateProjectOptions): Promise<Project>;
+  buildProject(project: Project, options?: BuildOptions): Promise<BuildResult>;
   validateProject(project: Project): Promise<ValidationResult>;
   deleteProject(projectId: string): Promise<void>;
   listProjects(): Promise<Project[]>;
 }
 
+export interface CreateProjectOptions {
+  // Answers to the template's variables, as given with `init --var key=value`
+  variables?: Record<string, string>;
+  // Ask for variables that have no answer; otherwise their defaults are used
+  interactive?: boolean;
+}
+
 export interface DeploymentEngine {
-  deploy(project: Project, target: DeploymentTarget): Promise<Deployment>;
+  deploy(project: Project, target: DeploymentTarget, options?: DeployOptions): Promise<Deployment>;
+  // `version` is a release version (its newest good release) or a release id
   rollback(deployment: Deployment, version: string): Promise<void>;
   getStatus(deployment: Deployment): Promise<DeploymentStatus>;
   getLogs(deployment: Deployment): Promise<DeploymentLog[]>;
   cancelDeployment(deployment: Deployment): Promise<void>;
+  stopDeployment(deployment: Deployment): Promise<void>;
+  restartDeployment(deployment: Deployment): Promise<void>;
 }
 
 export interface ConfigManager {
@@ -237,6 +372,8 @@ export interface Template {
   tags: string[];
   config: TemplateConfig;
   files: TemplateFile[];
+  // Handlebars partials, from the template's partials/ directory
+  partials?: TemplateFile[];
   dependencies?: TemplateDependency[];
 }
 
@@ -288,10 +425,24 @@ export interface PluginHooks {
 }
 
 export interface PluginConfig {
+  // Identify the plugin in a project's `plugins` list: `path` is a module path
+  // relative to the project or a package name; `name` alone refers to a plugin
+  // installed in ~/.ai-builder/plugins
+  name?: string;
+  path?: string;
   enabled: boolean;
   settings: Record<string, any>;
 }
 
+// Plugin modules export a Plugin, or a factory that receives this context
+export interface PluginContext {
+  settings: Record<string, any>;
+  logger: Logger;
+  project?: Project;
+}
+
+export type PluginFactory = (context: PluginContext) => Plugin | Promise<Plugin>;
+
 // Validation Types
 export interface ValidationResult {
   valid: boolean;
@@ -315,18 +466,35 @@ export interface ValidationWarning {
 // Cloud Provider Interfaces
 export interface CloudProvider {
   name: string;
-  type: 'aws' | 'azure' | 'gcp' | 'custom';
+  type: DeploymentTarget['type'] | 'custom';
   deploy(config: DeploymentConfig): Promise<DeploymentResult>;
   getStatus(deploymentId: string): Promise<DeploymentStatus>;
   rollback(deploymentId: string, targetVersion: string): Promise<void>;
   listDeployments(): Promise<Deployment[]>;
+
+  // Optional support for blue-green and canary rollouts: run the new version
+  // next to the live one, move traffic in steps, then promote or discard it.
+  startCandidate?(config: DeploymentConfig): Promise<DeploymentResult>;
+  shiftTraffic?(config: DeploymentConfig, candidatePercent: number): Promise<void>;
+  promoteCandidate?(config: DeploymentConfig): Promise<DeploymentResult>;
+  discardCandidate?(config: DeploymentConfig): Promise<void>;
+
+  // Optional process control for providers that supervise what they deploy
+  stop?(deploymentId: string): Promise<void>;
+  restart?(deploymentId: string): Promise<DeploymentResult>;
 }
 
 export interface DeploymentConfig {
+  deploymentId?: string;
   project: Project;
   target: DeploymentTarget;
   buildResult: BuildResult;
   environment: Record<string, string>;
+  // Injected by the provider at start-up; never written to releases or logs
+  secrets?: Record<string, string>;
+  // Set when a rollback redeploys a recorded release
+  artifactsDir?: string;
+  releaseId?: string;
 }
 
 export interface DeploymentResult {
@@ -398,6 +566,8 @@ export interface Logger {
   info(message: string, meta?: any): void;
   warn(message: string, meta?: any): void;
   error(message: string, error?: Error, meta?: any): void;
+  // Values to redact from everything logged from now on
+  addSecrets?(values: string[]): void;
 }
 
 export interface EventBus {
@@ -0,0 +1,73 @@
+// Exit codes every command uses; documented in the README and `ai-builder --help`
+export enum ExitCode {
+  SUCCESS = 0,
+  // Anything not covered below
+  FAILURE = 1,
+  // Bad arguments or options, an unknown target/template/release, or a prompt
+  // that cannot be answered in non-interactive mode
+  USAGE = 2,
+  // Invalid project or config
+  VALIDATION = 3,
+  BUILD = 4,
+  DEPLOY = 5,
+  // Missing or rejected credentials
+  AUTH = 6
+}
+
+export const EXIT_CODE_DESCRIPTIONS: Record<ExitCode, string> = {
+  [ExitCode.SUCCESS]: 'Success',
+  [ExitCode.FAILURE]: 'Unexpected failure',
+  [ExitCode.USAGE]: 'Usage error, or an answer needed in non-interactive mode',
+  [ExitCode.VALIDATION]: 'Project or config validation failed',
+  [ExitCode.BUILD]: 'Build failed',
+  [ExitCode.DEPLOY]: 'Deploy, rollback or lifecycle operation failed',
+  [ExitCode.AUTH]: 'Authentication failed'
+};
+
+// An error that knows which exit code it maps to
+export class CLIError extends Error {
+  constructor(message: string, public readonly exitCode: ExitCode = ExitCode.FAILURE) {
+    super(message);
+    this.name = new.target.name;
+  }
+}
+
+export class UsageError extends CLIError {
+  constructor(message: string) {
+    super(message, ExitCode.USAGE);
+  }
+}
+
+export class ValidationError extends CLIError {
+  constructor(message: string) {
+    super(message, ExitCode.VALIDATION);
+  }
+}
+
+export class BuildError extends CLIError {
+  constructor(message: string) {
+    super(message, ExitCode.BUILD);
+  }
+}
+
+export class DeployError extends CLIError {
+  constructor(message: string) {
+    super(message, ExitCode.DEPLOY);
+  }
+}
+
+export class AuthError extends CLIError {
+  constructor(message: string) {
+    super(message, ExitCode.AUTH);
+  }
+}
+
+export function getExitCode(error: unknown): ExitCode {
+  return error instanceof CLIError ? error.exitCode : ExitCode.FAILURE;
+}
+
+// Keeps a more specific error (say a failed build during a deploy) and gives
+// anything else the code of the operation that failed
+export function asCLIError(error: unknown, wrap: (message: string) => CLIError): CLIError {
+  return error instanceof CLIError ? error : wrap((error as Error).message);
+}
@@ -0,0 +1,61 @@
+import { spawn } from 'child_process';
+
+export interface ExecOptions {
+  cwd?: string;
+  env?: Record<string, string | undefined>;
+  input?: string;
+  timeout?: number;
+}
+
+export interface ExecResult {
+  stdout: string;
+  stderr: string;
+  code: number;
+}
+
+// Run a binary without a shell and collect its output. Resolves with the exit
+// code instead of rejecting so callers can decide what a failure means; only
+// a missing binary or a timeout rejects.
+export function runCommand(command: string, args: string[], options: ExecOptions = {}): Promise<ExecResult> {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, {
+      cwd: options.cwd,
+      env: { ...process.env, ...options.env },
+      stdio: 'pipe'
+    });
+
+    let stdout = '';
+    let stderr = '';
+    let timer: NodeJS.Timeout | undefined;
+
+    if (options.timeout) {
+      timer = setTimeout(() => {
+        child.kill('SIGTERM');
+        reject(new Error(`Command '${command} ${args.join(' ')}' timed out after ${options.timeout}ms`));
+      }, options.timeout);
+    }
+
+    child.stdout?.on('data', (data: Buffer) => {
+      stdout += data.toString();
+    });
+
+    child.stderr?.on('data', (data: Buffer) => {
+      stderr += data.toString();
+    });
+
+    child.on('close', (code: number | null) => {
+      if (timer) clearTimeout(timer);
+      resolve({ stdout, stderr, code: code ?? 1 });
+    });
+
+    child.on('error', (error: Error) => {
+      if (timer) clearTimeout(timer);
+      reject(error);
+    });
+
+    if (options.input !== undefined) {
+      child.stdin?.write(options.input);
+    }
+    child.stdin?.end();
+  });
+}
@@ -0,0 +1,50 @@
+import * as http from 'http';
+import * as https from 'https';
+
+export interface JsonResponse {
+  status: number;
+  body: any;
+}
+
+export interface JsonRequestOptions {
+  headers?: Record<string, string>;
+  body?: any;
+  // Milliseconds before the request is abandoned; none by default
+  timeout?: number;
+}
+
+// A JSON request against the OpenShift/RHODS APIs. Resolves for any status so
+// callers can tell rejected credentials from other failures.
+export function requestJson(method: string, url: string, options: JsonRequestOptions = {}): Promise<JsonResponse> {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const client = target.protocol === 'https:' ? https : http;
+
+    const req = client.request(target, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...options.headers }
+    }, res => {
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => {
+        try {
+          resolve({ status: res.statusCode || 0, body: body ? JSON.parse(body) : {} });
+        } catch (error) {
+          reject(new Error(`Invalid response from ${target.host}: ${(error as Error).message}`));
+        }
+      });
+    });
+
+    req.on('error', reject);
+
+    if (options.timeout) {
+      req.setTimeout(options.timeout, () => req.destroy(new Error(`Request to ${target.host} timed out after ${options.timeout}ms`)));
+    }
+
+    if (options.body !== undefined) {
+      req.write(JSON.stringify(options.body));
+    }
+    req.end();
+  });
+}
@@ -1,3 +1,5 @@
+import { SecretRedactor } from './redact';
+
 export enum LogLevel {
   DEBUG = 0,
   INFO = 1,
@@ -15,6 +17,7 @@ export interface LoggerConfig {
 export class Logger {
   private config: LoggerConfig;
   private level: LogLevel;
+  private redactor = new SecretRedactor();
 
   constructor(config: Partial<LoggerConfig> = {}) {
     this.config = {
@@ -66,7 +69,10 @@ export class Logger {
     return level >= this.level;
   }
 
-  private log(level: LogLevel, message: string, meta?: any): void {
+  // Logs go to stderr, keeping stdout for command output
+  private log(level: LogLevel, rawMessage: string, rawMeta?: any): void {
+    const message = this.redactor.redact(rawMessage);
+    const meta = this.redactor.redactValue(rawMeta);
     const timestamp = new Date().toISOString();
     const levelName = LogLevel[level];
 
@@ -77,7 +83,7 @@ export class Logger {
         message,
         ...(meta && { meta })
       };
-      console.log(JSON.stringify(logEntry));
+      console.error(JSON.stringify(logEntry));
     } else {
       const colors = {
         [LogLevel.DEBUG]: '\x1b[36m', // cyan
@@ -89,16 +95,16 @@ export class Logger {
       const reset = '\x1b[0m';
       const color = colors[level];
 
-      console.log(`${color}[${timestamp}] ${levelName}:${reset} ${message}`);
+      console.error(`${color}[${timestamp}] ${levelName}:${reset} ${message}`);
       
       if (meta) {
         if (meta.error) {
-          console.log(`${color}  Error: ${meta.error.message}${reset}`);
+          console.error(`${color}  Error: ${meta.error.message}${reset}`);
           if (process.env.NODE_ENV === 'development') {
-            console.log(`${color}  Stack: ${meta.error.stack}${reset}`);
+            console.error(`${color}  Stack: ${meta.error.stack}${reset}`);
           }
         } else {
-          console.log(`${color}  Meta: ${JSON.stringify(meta, null, 2)}${reset}`);
+          console.error(`${color}  Meta: ${JSON.stringify(meta, null, 2)}${reset}`);
         }
       }
     }
@@ -113,4 +119,8 @@ export class Logger {
   setFormat(format: 'pretty' | 'json'): void {
     this.config.format = format;
   }
+
+  addSecrets(values: string[]): void {
+    this.redactor.add(values);
+  }
 }
@@ -0,0 +1,5 @@
+// A value made safe as one file or directory name, the same way wherever
+// it is used (release ids locally and on SSH hosts, lock and state files)
+export function toSegment(value: string): string {
+  return value.replace(/[^A-Za-z0-9._-]/g, '_').replace(/^\.+$/, '_');
+}
@@ -0,0 +1,78 @@
+export const REDACTED = '[REDACTED]';
+
+// Shorter values would turn up inside ordinary words and mangle the output
+const MIN_SECRET_LENGTH = 4;
+
+// Replaces known secret values in text written to logs and the terminal
+export class SecretRedactor {
+  private values = new Set<string>();
+
+  add(values: Iterable<string>): void {
+    for (const value of values) {
+      if (typeof value === 'string' && value.length >= MIN_SECRET_LENGTH) {
+        this.values.add(value);
+      }
+    }
+  }
+
+  redact(text: string): string {
+    if (this.values.size === 0 || typeof text !== 'string') {
+      return text;
+    }
+
+    // Longest first, so a secret containing another is replaced whole
+    return Array.from(this.values)
+      .sort((a, b) => b.length - a.length)
+      .reduce((result, value) => result.split(value).join(REDACTED), text);
+  }
+
+  // Redacts the strings inside log metadata. Errors keep their class, message
+  // and stack; objects holding no secret (Dates, class instances...) are
+  // returned as they are, and the others copied with their prototype.
+  redactValue<T>(value: T): T {
+    if (this.values.size === 0) {
+      return value;
+    }
+
+    return this.redactLeaves(value, new Set()) as T;
+  }
+
+  private redactLeaves(value: unknown, visiting: Set<object>): unknown {
+    if (typeof value === 'string') {
+      return this.redact(value);
+    }
+    if (value === null || typeof value !== 'object' || visiting.has(value) || value instanceof Date || ArrayBuffer.isView(value)) {
+      return value;
+    }
+
+    visiting.add(value);
+    try {
+      if (Array.isArray(value)) {
+        const items = value.map(item => this.redactLeaves(item, visiting));
+        return items.some((item, index) => item !== value[index]) ? items : value;
+      }
+
+      // An Error's message and stack are own but not enumerable
+      const source = value as Record<string, unknown>;
+      const keys = value instanceof Error ? Object.getOwnPropertyNames(value) : Object.keys(value);
+      const redacted = new Map<string, unknown>();
+      for (const key of keys) {
+        const item = this.redactLeaves(source[key], visiting);
+        if (item !== source[key]) {
+          redacted.set(key, item);
+        }
+      }
+      if (redacted.size === 0) {
+        return value;
+      }
+
+      const descriptors = Object.getOwnPropertyDescriptors(value);
+      for (const [key, item] of redacted) {
+        descriptors[key] = { configurable: true, enumerable: descriptors[key].enumerable, writable: true, value: item };
+      }
+      return Object.create(Object.getPrototypeOf(value), descriptors);
+    } finally {
+      visiting.delete(value);
+    }
+  }
+}
@@ -0,0 +1,10 @@
+import { defineConfig } from 'vite';
+import react from '@vitejs/plugin-react';
+
+// The client is built next to the server, which serves it
+export default defineConfig({
+  root: 'client',
+  plugins: [react()],
+  build: { outDir: '../dist/public', emptyOutDir: true },
+  server: { proxy: { '/api': 'http://localhost:3000' } }
+});